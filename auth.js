@@ -6,6 +6,7 @@ const fs = require('fs');
 const APP_DIR = process.env.APP_DIR || __dirname;
 const AUTH_FILE = path.join(APP_DIR, 'data', 'auth.json');
 const SESSIONS_FILE = path.join(APP_DIR, 'data', 'sessions-auth.json');
+const API_TOKENS_FILE = path.join(APP_DIR, 'data', 'api-tokens.json');
 const TOKEN_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days
 const MAX_SESSIONS = 20; // cap concurrent sessions per installation
 // lastUsed is updated in-memory on every request but only flushed to disk at
@@ -13,11 +14,34 @@ const MAX_SESSIONS = 20; // cap concurrent sessions per installation
 // (including frequent /api/auth/status polls).
 const LAST_USED_FLUSH_INTERVAL = 5 * 60 * 1000; // 5 minutes
 
+// Roles, least → most privileged. viewer: read-only; member: run sessions and
+// tasks; admin: everything incl. users, remote hosts, MCP servers and config.
+const ROLES = ['viewer', 'member', 'admin'];
+
 function loadAuth() {
-  try { return JSON.parse(fs.readFileSync(AUTH_FILE, 'utf-8')); }
+  let data;
+  try { data = JSON.parse(fs.readFileSync(AUTH_FILE, 'utf-8')); }
   catch { return null; }
+  // Migrate the legacy single-password layout to a one-admin users list
+  if (!Array.isArray(data.users)) {
+    data.users = data.passwordHash ? [{
+      id: genUserId(),
+      username: 'admin',
+      displayName: data.displayName || 'Admin',
+      passwordHash: data.passwordHash,
+      role: 'admin',
+      disabled: false,
+      createdAt: data.createdAt || new Date().toISOString(),
+    }] : [];
+    delete data.passwordHash;
+    delete data.displayName;
+    try { saveAuth(data); } catch (e) { console.error('[auth] users migration write failed:', e.message); }
+  }
+  return data;
 }
 
+function genUserId() { return 'u_' + crypto.randomBytes(6).toString('hex'); }
+
 function atomicWrite(filePath, content) {
   const tmp = filePath + '.tmp';
   fs.writeFileSync(tmp, content);
@@ -72,6 +96,13 @@ function validatePassword(password) {
   if (Buffer.byteLength(password, 'utf8') > 72) throw new Error('Password must not exceed 72 bytes when UTF-8 encoded');
 }
 
+/** Usernames: 2–32 chars, lowercase letters, digits, dot, dash, underscore. */
+function normalizeUsername(username) {
+  const u = typeof username === 'string' ? username.trim().toLowerCase() : '';
+  if (!/^[a-z0-9._-]{2,32}$/.test(u)) throw new Error('Username must be 2-32 characters: a-z, 0-9, dot, dash, underscore');
+  return u;
+}
+
 /** Sanitize display name: trim, max 64 chars, strip control characters. */
 function sanitizeDisplayName(name) {
   if (!name || typeof name !== 'string') return 'Admin';
@@ -80,36 +111,64 @@ function sanitizeDisplayName(name) {
   return name.trim().replace(/[\x00-\x1F\x7F\u0080-\u009F\u200B-\u200F\u2028\u2029\u202A-\u202E\uFEFF]/g, '').slice(0, 64) || 'Admin';
 }
 
-async function setupUser(password, displayName) {
+/** Public view of a user record — never exposes the password hash. */
+function publicUser(u) {
+  return { id: u.id, username: u.username, displayName: u.displayName, role: u.role, disabled: !!u.disabled, createdAt: u.createdAt };
+}
+
+function firstAdmin(auth) {
+  return auth.users.find(u => u.role === 'admin' && !u.disabled) || null;
+}
+
+/** First-run setup: creates the initial admin account. */
+async function setupUser(password, displayName, username) {
   if (isSetupDone() || _setupInProgress) throw new Error('Already configured');
   _setupInProgress = true;
   try {
     validatePassword(password);
     const safeName = sanitizeDisplayName(displayName);
+    const safeUsername = username ? normalizeUsername(username) : 'admin';
     const hash = await bcrypt.hash(password, 12);
     // Re-check after the async await — another concurrent request may have finished first
     if (isSetupDone()) throw new Error('Already configured');
+    const now = new Date().toISOString();
+    const user = { id: genUserId(), username: safeUsername, displayName: safeName, passwordHash: hash, role: 'admin', disabled: false, createdAt: now };
     saveAuth({
-      passwordHash: hash,
-      displayName: safeName,
+      users: [user],
       sessionSecret: process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex'),
-      createdAt: new Date().toISOString(),
+      createdAt: now,
     });
-    return createToken();
+    return createToken(user.id);
   } finally {
     _setupInProgress = false;
   }
 }
 
-async function login(password) {
+/**
+ * Password login. `username` may be omitted on installs with a single account
+ * (old login form / scripts) — the password is then checked against the first admin.
+ */
+async function login(password, username) {
   const auth = loadAuth();
-  // Generic message: do not distinguish 'not configured' from 'wrong password'
-  // to prevent user-enumeration via error message differences.
-  if (!auth || !(await bcrypt.compare(password, auth.passwordHash))) throw new Error('Invalid credentials');
-  return createToken();
+  let user = null;
+  if (auth) {
+    if (username) {
+      const uname = String(username).trim().toLowerCase();
+      user = auth.users.find(u => u.username === uname) || null;
+    } else if (auth.users.length === 1) {
+      user = auth.users[0];
+    }
+  }
+  // Generic message: do not distinguish 'not configured', 'unknown user', 'disabled'
+  // or 'wrong password' to prevent user-enumeration via error message differences.
+  // Compare against a dummy hash when the user is unknown to keep timing uniform.
+  const hash = user?.passwordHash || '$2a$12$' + 'x'.repeat(53);
+  const ok = await bcrypt.compare(String(password || ''), hash);
+  if (!user || !ok || user.disabled) throw new Error('Invalid credentials');
+  return createToken(user.id);
 }
 
-function createToken() {
+function createToken(userId) {
   const token = crypto.randomBytes(32).toString('hex');
   const sessions = loadSessions();
   const now = Date.now();
@@ -121,17 +180,26 @@ function createToken() {
     entries.sort((a, b) => (a[1].lastUsed || 0) - (b[1].lastUsed || 0));
     for (const [t] of entries.slice(0, entries.length - MAX_SESSIONS + 1)) delete sessions[t];
   }
-  sessions[token] = { created: now, lastUsed: now };
+  sessions[token] = { created: now, lastUsed: now, userId };
   saveSessions(sessions);
   return token;
 }
 
+/**
+ * Resolve a login token to its user (public view), or null if the token is
+ * unknown, expired, or belongs to a deleted/disabled account.
+ */
 function validateToken(token) {
-  if (!token) return false;
+  if (!token) return null;
   const sessions = loadSessions();
   const s = sessions[token];
-  if (!s) return false;
-  if (Date.now() - s.created > TOKEN_TTL) { delete sessions[token]; saveSessions(sessions); return false; }
+  if (!s) return null;
+  if (Date.now() - s.created > TOKEN_TTL) { delete sessions[token]; saveSessions(sessions); return null; }
+  const auth = loadAuth();
+  if (!auth) return null;
+  // Tokens issued before multi-user support carry no userId — they belonged to the sole admin
+  const user = s.userId ? auth.users.find(u => u.id === s.userId) : firstAdmin(auth);
+  if (!user || user.disabled) { delete sessions[token]; saveSessions(sessions); return null; }
   const now = Date.now();
   // Always update lastUsed in the in-memory cache (loadSessions returns _sessionsCache,
   // so s is a direct reference — mutation is visible immediately to all callers).
@@ -142,7 +210,7 @@ function validateToken(token) {
     s._lastFlushed = now;
     saveSessions(sessions);
   }
-  return true;
+  return publicUser(user);
 }
 
 function revokeToken(token) {
@@ -154,15 +222,261 @@ function revokeAll() {
   catch (e) { console.error('[auth] revokeAll write failed:', e.message); }
 }
 
-async function changePassword(oldPassword, newPassword) {
+/** Revoke every login token belonging to one user. */
+function revokeUserTokens(userId) {
+  try {
+    const s = loadSessions();
+    const auth = loadAuth();
+    const legacyOwner = auth && firstAdmin(auth);
+    for (const [t, d] of Object.entries(s)) {
+      if ((d.userId || legacyOwner?.id) === userId) delete s[t];
+    }
+    saveSessions(s);
+  } catch (e) { console.error('[auth] revokeUserTokens write failed:', e.message); }
+}
+
+/** Change own password. Signs out that user's other sessions and returns a fresh token. */
+async function changePassword(userId, oldPassword, newPassword) {
   const auth = loadAuth();
   if (!auth) throw new Error('Not configured');
-  if (!(await bcrypt.compare(oldPassword, auth.passwordHash))) throw new Error('Invalid current password');
+  const user = auth.users.find(u => u.id === userId);
+  if (!user) throw new Error('Unknown user');
+  if (!(await bcrypt.compare(String(oldPassword || ''), user.passwordHash))) throw new Error('Invalid current password');
   validatePassword(newPassword);
-  auth.passwordHash = await bcrypt.hash(newPassword, 12);
+  user.passwordHash = await bcrypt.hash(newPassword, 12);
+  saveAuth(auth);
+  revokeUserTokens(userId);
+  return createToken(userId);
+}
+
+// ─── User management (admin) ─────────────────────────────────────────────────
+
+function listUsers() {
+  const auth = loadAuth();
+  return auth ? auth.users.map(publicUser) : [];
+}
+
+function getUser(userId) {
+  const auth = loadAuth();
+  const u = auth?.users.find(x => x.id === userId);
+  return u ? publicUser(u) : null;
+}
+
+function validateRole(role) {
+  if (!ROLES.includes(role)) throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+  return role;
+}
+
+async function createUser({ username, displayName, password, role = 'member' } = {}) {
+  const uname = normalizeUsername(username);
+  validateRole(role);
+  validatePassword(password);
+  const hash = await bcrypt.hash(password, 12);
+  // Re-load after the await so a concurrent create cannot slip in a duplicate
+  const auth = loadAuth();
+  if (!auth) throw new Error('Not configured');
+  if (auth.users.some(u => u.username === uname)) throw new Error('Username already exists');
+  const user = {
+    id: genUserId(), username: uname, displayName: sanitizeDisplayName(displayName || uname),
+    passwordHash: hash, role, disabled: false, createdAt: new Date().toISOString(),
+  };
+  auth.users.push(user);
+  saveAuth(auth);
+  return publicUser(user);
+}
+
+/**
+ * Update role / display name / disabled flag / password.
+ * Refuses changes that would leave the installation without an active admin.
+ */
+async function updateUser(userId, { displayName, role, disabled, password } = {}) {
+  if (role !== undefined) validateRole(role);
+  if (password !== undefined) validatePassword(password);
+  const hash = password !== undefined ? await bcrypt.hash(password, 12) : null;
+  const auth = loadAuth();
+  const user = auth?.users.find(u => u.id === userId);
+  if (!user) throw new Error('Unknown user');
+  const next = {
+    ...user,
+    ...(displayName !== undefined && { displayName: sanitizeDisplayName(displayName) }),
+    ...(role !== undefined && { role }),
+    ...(disabled !== undefined && { disabled: !!disabled }),
+    ...(hash && { passwordHash: hash }),
+  };
+  const after = auth.users.map(u => (u.id === userId ? next : u));
+  if (!after.some(u => u.role === 'admin' && !u.disabled)) throw new Error('At least one active admin is required');
+  Object.assign(user, next);
+  saveAuth(auth);
+  // Disabling, demoting or resetting a password ends the user's existing sessions
+  if (next.disabled || role !== undefined || hash) revokeUserTokens(userId);
+  return publicUser(user);
+}
+
+function deleteUser(userId) {
+  const auth = loadAuth();
+  const user = auth?.users.find(u => u.id === userId);
+  if (!user) throw new Error('Unknown user');
+  const rest = auth.users.filter(u => u.id !== userId);
+  if (!rest.some(u => u.role === 'admin' && !u.disabled)) throw new Error('At least one active admin is required');
+  revokeUserTokens(userId);
+  revokeUserApiTokens(userId);
+  auth.users = rest;
   saveAuth(auth);
-  revokeAll();
-  return createToken();
+}
+
+// ─── Personal access tokens ──────────────────────────────────────────────────
+// Long-lived tokens for scripts and CI. Each acts as its owner (role still
+// applies) but is further limited to a set of scopes. Only a SHA-256 hash is
+// stored; the plaintext is shown once at creation.
+
+const API_TOKEN_PREFIX = 'ccs_pat_';
+const MAX_API_TOKENS_PER_USER = 50;
+
+// Scope resource → API path prefixes it unlocks. `<resource>:read` allows
+// GET/HEAD, `<resource>:write` allows every method (write implies read).
+const SCOPE_RESOURCES = {
+  tasks: ['/api/tasks', '/api/task-chains', '/api/schedule'],
+  sessions: ['/api/sessions', '/api/search'],
+  files: ['/api/files', '/api/project-files', '/api/upload'],
+  git: ['/api/git'],
+  projects: ['/api/projects', '/api/project', '/api/permission-profiles'],
+  stats: ['/api/dashboard', '/api/stats'],
+};
+const READ_ONLY_RESOURCES = new Set(['stats']);
+const API_SCOPES = Object.keys(SCOPE_RESOURCES).flatMap(r => (READ_ONLY_RESOURCES.has(r) ? [`${r}:read`] : [`${r}:read`, `${r}:write`]));
+
+let _apiTokensCache = null;
+
+function loadApiTokens() {
+  if (_apiTokensCache !== null) return _apiTokensCache;
+  try { _apiTokensCache = JSON.parse(fs.readFileSync(API_TOKENS_FILE, 'utf-8')); }
+  catch { _apiTokensCache = []; }
+  return _apiTokensCache;
+}
+
+function saveApiTokens(list) {
+  _apiTokensCache = list;
+  const dir = path.dirname(API_TOKENS_FILE);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  atomicWrite(API_TOKENS_FILE, JSON.stringify(list.map(({ _lastFlushed, ...rest }) => rest), null, 2));
+}
+
+function hashApiToken(token) { return crypto.createHash('sha256').update(token).digest('hex'); }
+
+function publicApiToken(t) {
+  return { id: t.id, name: t.name, prefix: t.prefix, scopes: t.scopes, createdAt: t.createdAt, expiresAt: t.expiresAt || null, lastUsed: t.lastUsed || null };
+}
+
+function listApiTokens(userId) {
+  return loadApiTokens().filter(t => t.userId === userId).map(publicApiToken);
+}
+
+/**
+ * Create a personal access token. Returns { token, ...publicView } — the
+ * plaintext `token` is never retrievable again.
+ */
+function createApiToken(userId, { name, scopes, expiresInDays } = {}) {
+  if (!name || typeof name !== 'string' || !name.trim()) throw new Error('Token name is required');
+  const label = sanitizeDisplayName(name);
+  if (!Array.isArray(scopes) || !scopes.length) throw new Error('At least one scope is required');
+  const bad = scopes.filter(sc => !API_SCOPES.includes(sc));
+  if (bad.length) throw new Error(`Unknown scope(s): ${bad.join(', ')}. Valid: ${API_SCOPES.join(', ')}`);
+  let expiresAt = null;
+  if (expiresInDays !== undefined && expiresInDays !== null && expiresInDays !== '') {
+    const days = Number(expiresInDays);
+    if (!Number.isFinite(days) || days <= 0 || days > 3650) throw new Error('expiresInDays must be between 1 and 3650');
+    expiresAt = new Date(Date.now() + days * 86400000).toISOString();
+  }
+  const list = loadApiTokens();
+  if (list.filter(t => t.userId === userId).length >= MAX_API_TOKENS_PER_USER) {
+    throw new Error(`Token limit reached (${MAX_API_TOKENS_PER_USER}) — revoke unused tokens first`);
+  }
+  const token = API_TOKEN_PREFIX + crypto.randomBytes(24).toString('hex');
+  const entry = {
+    id: 'pat_' + crypto.randomBytes(6).toString('hex'),
+    userId, name: label, scopes: [...new Set(scopes)],
+    hash: hashApiToken(token), prefix: token.slice(0, API_TOKEN_PREFIX.length + 6),
+    createdAt: new Date().toISOString(), expiresAt, lastUsed: null,
+  };
+  saveApiTokens([...list, entry]);
+  return { token, ...publicApiToken(entry) };
+}
+
+function revokeApiToken(userId, tokenId) {
+  const list = loadApiTokens();
+  const next = list.filter(t => !(t.id === tokenId && t.userId === userId));
+  if (next.length === list.length) throw new Error('Unknown token');
+  saveApiTokens(next);
+}
+
+function revokeUserApiTokens(userId) {
+  try { saveApiTokens(loadApiTokens().filter(t => t.userId !== userId)); }
+  catch (e) { console.error('[auth] revokeUserApiTokens write failed:', e.message); }
+}
+
+/** Resolve a personal access token to { user, scopes }, or null. */
+function validateApiToken(token) {
+  if (!token || !token.startsWith(API_TOKEN_PREFIX)) return null;
+  const hash = hashApiToken(token);
+  const list = loadApiTokens();
+  const entry = list.find(t => t.hash.length === hash.length &&
+    crypto.timingSafeEqual(Buffer.from(t.hash), Buffer.from(hash)));
+  if (!entry) return null;
+  if (entry.expiresAt && Date.parse(entry.expiresAt) < Date.now()) return null;
+  const auth = loadAuth();
+  const user = auth?.users.find(u => u.id === entry.userId);
+  if (!user || user.disabled) return null;
+  const now = Date.now();
+  entry.lastUsed = new Date(now).toISOString();
+  if (now - (entry._lastFlushed || 0) > LAST_USED_FLUSH_INTERVAL) {
+    entry._lastFlushed = now;
+    try { saveApiTokens(list); } catch (e) { console.error('[auth] api token lastUsed write failed:', e.message); }
+  }
+  return { user: publicUser(user), scopes: entry.scopes, tokenId: entry.id };
+}
+
+/** Scope needed for a request (e.g. 'tasks:write'), or null if no scope unlocks the path. */
+function requiredScope(method, reqPath) {
+  const write = !['GET', 'HEAD', 'OPTIONS'].includes(method);
+  for (const [resource, prefixes] of Object.entries(SCOPE_RESOURCES)) {
+    if (matchesPrefix(reqPath, prefixes)) return `${resource}:${write ? 'write' : 'read'}`;
+  }
+  return null;
+}
+
+function hasScope(scopes, needed) {
+  if (scopes.includes(needed)) return true;
+  const [resource, level] = needed.split(':');
+  return level === 'read' && scopes.includes(`${resource}:write`);
+}
+
+// ─── Role checks ─────────────────────────────────────────────────────────────
+
+function hasRole(user, role) {
+  return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// Admin-only for every method: user management, raw config, remote access channels
+const ADMIN_PATHS = ['/api/users', '/api/config-files', '/api/telegram', '/api/tunnel', '/api/webhooks'];
+// Readable by everyone, writable by admins only: infrastructure shared by all users
+const ADMIN_WRITE_PATHS = [
+  '/api/remote-hosts', '/api/mcp', '/api/skills', '/api/commands',
+  '/api/external-agents', '/api/claude-md', '/api/budgets', '/api/permission-profiles',
+];
+// Viewers may still write to these (sign out, change own password, own API tokens)
+const VIEWER_WRITE_PATHS = ['/api/auth/logout', '/api/auth/change-password', '/api/tokens'];
+
+function matchesPrefix(reqPath, prefixes) {
+  return prefixes.some(p => reqPath === p || reqPath.startsWith(p + '/'));
+}
+
+/** Minimum role needed for a request, by path and method. */
+function requiredRole(method, reqPath) {
+  const write = !['GET', 'HEAD', 'OPTIONS'].includes(method);
+  if (matchesPrefix(reqPath, ADMIN_PATHS)) return 'admin';
+  if (write && matchesPrefix(reqPath, ADMIN_WRITE_PATHS)) return 'admin';
+  if (write && reqPath.startsWith('/api/') && !matchesPrefix(reqPath, VIEWER_WRITE_PATHS)) return 'member';
+  return 'viewer';
 }
 
 const PUBLIC_PATHS = [
@@ -179,11 +493,39 @@ function authMiddleware(req, res, next) {
   }
   const token = req.cookies?.token || req.headers['x-auth-token'] ||
     (req.headers.authorization?.startsWith('Bearer ') ? req.headers.authorization.slice(7) : null);
-  if (validateToken(token)) { req.authToken = token; return next(); }
-  if (req.accepts('html') && !req.path.startsWith('/api/')) return res.redirect('/login');
-  return res.status(401).json({ error: 'unauthorized' });
+  // Personal access tokens: API only, limited to their scopes on top of the owner's role
+  if (token?.startsWith(API_TOKEN_PREFIX)) {
+    const pat = validateApiToken(token);
+    if (!pat) return res.status(401).json({ error: 'unauthorized' });
+    const scope = requiredScope(req.method, reqPath);
+    if (!scope || !hasScope(pat.scopes, scope)) {
+      return res.status(403).json({ error: 'insufficient_scope', requiredScope: scope || 'not available to API tokens' });
+    }
+    req.user = pat.user;
+    req.apiToken = { id: pat.tokenId, scopes: pat.scopes };
+  } else {
+    const user = validateToken(token);
+    if (!user) {
+      if (req.accepts('html') && !req.path.startsWith('/api/')) return res.redirect('/login');
+      return res.status(401).json({ error: 'unauthorized' });
+    }
+    req.authToken = token;
+    req.user = user;
+  }
+  const user = req.user;
+  const need = requiredRole(req.method, reqPath);
+  if (!hasRole(user, need)) return res.status(403).json({ error: 'forbidden', requiredRole: need });
+  next();
 }
 
-function validateWsToken(token) { return validateToken(token); }
+/** Resolve a WebSocket upgrade token to its user (or null). API tokens are REST-only. */
+function validateWsToken(token) {
+  if (token?.startsWith(API_TOKEN_PREFIX)) return null;
+  return validateToken(token);
+}
 
-module.exports = { isSetupDone, setupUser, login, validateToken, revokeToken, revokeAll, changePassword, authMiddleware, validateWsToken, loadAuth };
+module.exports = {
+  ROLES, isSetupDone, setupUser, login, validateToken, revokeToken, revokeAll, revokeUserTokens, changePassword,
+  listUsers, getUser, createUser, updateUser, deleteUser, hasRole, authMiddleware, validateWsToken, loadAuth,
+  API_SCOPES, listApiTokens, createApiToken, revokeApiToken,
+};
@@ -4,6 +4,7 @@ const fs = require('fs');
 const os = require('os');
 const crypto = require('crypto');
 const { StringDecoder } = require('string_decoder');
+const { containerCommand, containerName, hostAlias, removeContainer, releaseClaudeConfig } = require('./container-backend');
 
 // Kill a child process and its tree. On Windows `proc.kill()` only kills the
 // direct child (cmd.exe), leaving grandchildren (node.exe) orphaned.
@@ -119,13 +120,37 @@ process.on('exit', () => {
   }
 });
 
+// Studio's internal API is reached via loopback URLs, which inside a container
+// point at the container itself.
+function toHostAlias(value, alias) {
+  return typeof value === 'string'
+    ? value.replace(/^(https?:\/\/)(127\.0\.0\.1|localhost)(?=[:/]|$)/, `$1${alias}`)
+    : value;
+}
+
+function mapEnvUrls(env, alias) {
+  if (!env) return env;
+  const out = {};
+  for (const [k, v] of Object.entries(env)) out[k] = toHostAlias(v, alias);
+  return out;
+}
+
 class ClaudeCLI {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.cwd]
+   * @param {string} [options.claudeBin]
+   * @param {object} [options.container] container spec (see container-backend.js); runs on the host when unset
+   * @param {string[]} [options.mounts]  extra directories the container needs read-write (worktree's main repo)
+   */
   constructor(options = {}) {
     this.cwd = options.cwd || process.cwd();
     this.claudeBin = options.claudeBin || CLAUDE_BIN;
+    this.container = options.container || null;
+    this.mounts = options.mounts || [];
   }
 
-  send({ prompt, contentBlocks, sessionId, model, maxTurns, mcpServers, systemPrompt, allowedTools, tools, abortController, settingSources, forkSession, addDirs, extraEnv, extraSettings, name, effort, jsonSchema }) {
+  send({ prompt, contentBlocks, sessionId, model, maxTurns, mcpServers, systemPrompt, allowedTools, tools, abortController, settingSources, forkSession, addDirs, extraEnv, extraSettings, name, effort, jsonSchema, maxBudgetUsd }) {
     const args = ['--print'];
 
     // --setting-sources: control which setting sources to load (user, project, local)
@@ -154,6 +179,10 @@ class ClaudeCLI {
     if (model) args.push('--model', MODEL_MAP[model] || model);
     if (maxTurns) args.push('--max-turns', String(maxTurns));
 
+    // --max-budget-usd: the CLI stops itself with subtype "error_max_budget_usd"
+    // once this invocation's spend reaches the cap. Used by task budget guardrails.
+    if (typeof maxBudgetUsd === 'number' && maxBudgetUsd > 0) args.push('--max-budget-usd', Math.max(maxBudgetUsd, 0.01).toFixed(2));
+
     // --effort: thinking-effort dial for the current session.
     // Allowed: low | medium | high | xhigh | max. Reject unknown values silently
     // so callers can pass user-supplied input without crashing the subprocess.
@@ -189,6 +218,14 @@ class ClaudeCLI {
     // Omit mcpServers to use global defaults.
     let mcpConfigHash = null;
     let mcpConfigPath = null;
+    const alias = this.container && hostAlias(this.container);
+    if (alias && alias !== '127.0.0.1') {
+      if (mcpServers && typeof mcpServers === 'object') {
+        mcpServers = Object.fromEntries(Object.entries(mcpServers).map(([k, srv]) =>
+          [k, { ...srv, env: mapEnvUrls(srv.env, alias), ...(srv.url ? { url: toHostAlias(srv.url, alias) } : {}) }]));
+      }
+      extraEnv = mapEnvUrls(extraEnv, alias);
+    }
     if (mcpServers && typeof mcpServers === 'object') {
       const mcp = getMcpConfigPath(mcpServers);
       mcpConfigPath = mcp.path;
@@ -271,11 +308,23 @@ class ClaudeCLI {
     // On Unix, binaries execute directly (shell:false is safer).
     const needsShell = process.platform === 'win32' &&
       /\.(cmd|bat)$/i.test(this.claudeBin);
-    const proc = spawn(this.claudeBin, args, {
+    let command = this.claudeBin;
+    let spawnArgs = args;
+    let ctrName = null;
+    if (this.container) {
+      ctrName = containerName();
+      ({ command, args: spawnArgs } = containerCommand(this.container, {
+        name: ctrName, cwd: this.cwd, args, env,
+        envKeys: Object.keys(extraEnv || {}),
+        mounts: [...this.mounts, ...(addDirs || [])],
+        files: [mcpConfigPath, ..._tempFiles].filter(Boolean),
+      }));
+    }
+    const proc = spawn(command, spawnArgs, {
       cwd: this.cwd,
       env,
       stdio: ['pipe', 'pipe', 'pipe'],
-      shell: needsShell,
+      shell: this.container ? false : needsShell,
     });
 
     // Close stdin immediately (non-interactive)
@@ -374,6 +423,7 @@ class ClaudeCLI {
       for (const f of attFiles) { try { fs.unlinkSync(f); } catch {} }
       if (attDir) { try { fs.rmSync(attDir, { recursive: true, force: true }); } catch {} attDir = null; }
       attFiles = [];
+      if (ctrName) releaseClaudeConfig(ctrName);
       if (code !== 0 && stderrBuf.trim() && h.onError) {
         // Filter out known non-error noise (MCP loading messages) line-by-line,
         // then report any remaining real error lines to the caller.
@@ -403,8 +453,9 @@ class ClaudeCLI {
       for (const f of attFiles) { try { fs.unlinkSync(f); } catch {} }
       if (attDir) { try { fs.rmSync(attDir, { recursive: true, force: true }); } catch {} attDir = null; }
       attFiles = [];
+      if (ctrName) releaseClaudeConfig(ctrName);
       // Wrapped in try-catch for the same reason as in 'close': onDone must always fire.
-      try { if (h.onError) h.onError(`Failed to start claude: ${err.message}. Binary: ${this.claudeBin}`); } catch {}
+      try { if (h.onError) h.onError(`Failed to start claude: ${err.message}. Binary: ${command}`); } catch {}
       if (h.onDone) h.onDone(detectedSid || h._detectedSid);
     });
 
@@ -421,6 +472,7 @@ class ClaudeCLI {
           sigkillTimer = null;
           if (proc.exitCode !== null || proc.signalCode !== null) return;
           try { proc.kill('SIGKILL'); } catch {}
+          if (ctrName) removeContainer(this.container, ctrName);
         }, 3000);
       }
     }, MAX_SUBPROCESS_MS);
@@ -437,6 +489,8 @@ class ClaudeCLI {
             sigkillTimer = null;
             if (proc.exitCode !== null || proc.signalCode !== null) return;
             try { proc.kill('SIGKILL'); } catch {}
+            // Killing the engine client does not stop the container itself
+            if (ctrName) removeContainer(this.container, ctrName);
           }, 3000);
         }
       };
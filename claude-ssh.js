@@ -1,12 +1,21 @@
 'use strict';
 const { Client } = require('ssh2');
 const { StringDecoder } = require('string_decoder');
+const { Duplex } = require('stream');
+const { EventEmitter } = require('events');
+const { spawn } = require('child_process');
 const os  = require('os');
 const path = require('path');
 const fs  = require('fs');
+const crypto = require('crypto');
 
 const MAX_LINE_BUFFER    = 10 * 1024 * 1024; // 10 MB
 const MAX_SUBPROCESS_MS  = parseInt(process.env.CLAUDE_TIMEOUT_MS || '1800000', 10);
+const SFTP_IDLE_MS       = 60_000; // file-browser sessions close after a minute without use
+const SFTP_NO_SUCH_FILE  = 2;      // SSH_FX_NO_SUCH_FILE
+const MAX_JUMP_HOSTS     = 8;
+// `claude` is often installed per user (npm global, ~/.local); non-login PATHs miss it
+const REMOTE_PATH_EXPORT = 'export PATH="$PATH:/usr/local/bin:/usr/bin:$HOME/.npm-global/bin:$HOME/.local/bin:$(npm root -g 2>/dev/null)/../.bin"';
 
 const MODEL_MAP = { opus: 'opus', sonnet: 'sonnet', haiku: 'haiku' };
 
@@ -25,6 +34,200 @@ function expandTilde(v) {
   return v;
 }
 
+// ─── Host key pinning ────────────────────────────────────────────────────────
+// A host entry pins one key: { type: 'ssh-ed25519', fingerprint: 'SHA256:…' }.
+// Fingerprints use the OpenSSH format, so they can be compared with
+// `ssh-keygen -lf` output. An unpinned host is trusted on first use.
+
+// Host key algorithms ssh2 may negotiate for a pinned key type. Restricting the
+// list makes a server with several keys present the one that was pinned.
+const HOST_KEY_ALGOS = {
+  'ssh-rsa': ['rsa-sha2-512', 'rsa-sha2-256', 'ssh-rsa'],
+};
+const HOST_KEY_PREFERENCE = ['ssh-ed25519', 'ecdsa-sha2-nistp256', 'ecdsa-sha2-nistp384', 'ecdsa-sha2-nistp521', 'ssh-rsa', 'ssh-dss'];
+
+/** Type and SHA256 fingerprint of a raw SSH public key blob. */
+function hostKeyInfo(blob) {
+  let type = 'unknown';
+  try { type = blob.toString('latin1', 4, 4 + blob.readUInt32BE(0)); } catch {}
+  const fingerprint = 'SHA256:' + crypto.createHash('sha256').update(blob).digest('base64').replace(/=+$/, '');
+  return { type, fingerprint };
+}
+
+// ssh2 hostVerifier + connection algorithms for a pinned key (or none).
+// `state.seen` receives the key the server presented.
+function hostKeyConfig(pinned, state) {
+  const cfg = {
+    hostVerifier: (blob) => {
+      state.seen = hostKeyInfo(blob);
+      return !pinned?.fingerprint || state.seen.fingerprint === pinned.fingerprint;
+    },
+  };
+  if (pinned?.type && HOST_KEY_PREFERENCE.includes(pinned.type)) {
+    cfg.algorithms = { serverHostKey: HOST_KEY_ALGOS[pinned.type] || [pinned.type] };
+  }
+  return cfg;
+}
+
+function hostKeyMismatchError(hostname, pinned, seen) {
+  const err = new Error(`Host key for ${hostname} has changed (${seen.fingerprint}, pinned ${pinned.fingerprint}) — connection refused. An admin can review and accept the new key under SSH hosts.`);
+  err.code = 'HOST_KEY_MISMATCH';
+  err.seen = seen;
+  err.pinned = pinned;
+  return err;
+}
+
+// `[host]:port` for non-standard ports, as written by OpenSSH
+function knownHostsName(hostname, port) {
+  return Number(port) && Number(port) !== 22 ? `[${hostname}]:${port}` : hostname;
+}
+
+function knownHostsPatternMatches(pattern, name) {
+  if (pattern.startsWith('|1|')) {
+    // Hashed entry: |1|base64(salt)|base64(HMAC-SHA1(salt, name))
+    const [, , salt, hash] = pattern.split('|');
+    if (!salt || !hash) return false;
+    return crypto.createHmac('sha1', Buffer.from(salt, 'base64')).update(name).digest('base64') === hash;
+  }
+  const re = new RegExp('^' + pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.') + '$', 'i');
+  return re.test(name);
+}
+
+/**
+ * Keys recorded for `hostname:port` in known_hosts-formatted `text` (e.g.
+ * `ssh-keyscan` output), or in ~/.ssh/known_hosts when no text is given, best
+ * algorithm first. Handles hashed names, wildcards and negated patterns;
+ * @revoked and @cert-authority lines are skipped.
+ */
+function knownHostsLookup(hostname, port = 22, text = null) {
+  if (text == null) {
+    try { text = fs.readFileSync(path.join(os.homedir(), '.ssh', 'known_hosts'), 'utf8'); } catch { return []; }
+  }
+  const name = knownHostsName(hostname, port);
+  const keys = [];
+  for (const raw of text.split('\n')) {
+    const line = raw.trim();
+    if (!line || line.startsWith('#') || line.startsWith('@')) continue;
+    const [patterns, type, b64] = line.split(/\s+/);
+    if (!patterns || !type || !b64) continue;
+    let match = false;
+    for (const p of patterns.split(',')) {
+      if (p.startsWith('!')) { if (knownHostsPatternMatches(p.slice(1), name)) { match = false; break; } }
+      else if (knownHostsPatternMatches(p, name)) match = true;
+    }
+    if (!match) continue;
+    const info = hostKeyInfo(Buffer.from(b64, 'base64'));
+    if (info.type === type && !keys.some(k => k.fingerprint === info.fingerprint)) keys.push(info);
+  }
+  const rank = t => { const i = HOST_KEY_PREFERENCE.indexOf(t); return i === -1 ? HOST_KEY_PREFERENCE.length : i; };
+  return keys.sort((a, b) => rank(a.type) - rank(b.type));
+}
+
+// ─── ~/.ssh/config import ───────────────────────────────────────────────────
+
+const SSH_CONFIG_FIELDS = {
+  hostname: 'hostname', user: 'user', port: 'port', identityfile: 'identityFile',
+  proxyjump: 'proxyJump', proxycommand: 'proxyCommand',
+};
+
+// Host patterns use the same wildcard syntax as known_hosts: *, ? and !negation
+function sshConfigBlockMatches(patterns, alias) {
+  let match = false;
+  for (const p of patterns) {
+    if (p.startsWith('!')) { if (knownHostsPatternMatches(p.slice(1), alias)) return false; }
+    else if (knownHostsPatternMatches(p, alias)) match = true;
+  }
+  return match;
+}
+
+/**
+ * Concrete `Host` entries of an OpenSSH client config — `text`, or
+ * ~/.ssh/config when no text is given — with the settings Studio uses:
+ * [{ alias, hostname, user, port, identityFile, proxyJump, proxyCommand }].
+ * As in ssh, the first value found for the alias wins, so `Host *` blocks act
+ * as defaults. `Match` blocks and `Include` are not followed.
+ */
+function readSshConfig(text = null) {
+  if (text == null) {
+    try { text = fs.readFileSync(path.join(os.homedir(), '.ssh', 'config'), 'utf8'); } catch (e) { throw new Error(`Cannot read ~/.ssh/config: ${e.message}`); }
+  }
+  const blocks = [{ patterns: ['*'], opts: {} }]; // options before the first Host line apply to all
+  let cur = blocks[0];
+  for (const raw of text.split('\n')) {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) continue;
+    const m = line.match(/^(\S+?)(?:\s*=\s*|\s+)(.*)$/);
+    if (!m) continue;
+    const key = m[1].toLowerCase();
+    const value = m[2].trim().replace(/^"(.*)"$/, '$1');
+    if (key === 'host') { cur = { patterns: value.split(/\s+/), opts: {} }; blocks.push(cur); continue; }
+    if (key === 'match') { cur = null; continue; }
+    const field = SSH_CONFIG_FIELDS[key];
+    if (cur && field && !(field in cur.opts)) cur.opts[field] = value;
+  }
+
+  const aliases = [];
+  for (const b of blocks.slice(1)) {
+    for (const p of b.patterns) if (!/[*?!]/.test(p) && !aliases.includes(p)) aliases.push(p);
+  }
+  return aliases.map(alias => {
+    const opts = {};
+    for (const b of blocks) {
+      if (!sshConfigBlockMatches(b.patterns, alias)) continue;
+      for (const [k, v] of Object.entries(b.opts)) if (!(k in opts)) opts[k] = v;
+    }
+    const hostname = (opts.hostname || alias).replace(/%h/g, alias);
+    const user = opts.user || null;
+    const tokens = { '%%': '%', '%d': os.homedir(), '%u': os.userInfo().username, '%h': hostname, '%r': user || os.userInfo().username };
+    const none = v => (!v || v.toLowerCase() === 'none' ? null : v);
+    return {
+      alias, hostname, user,
+      port: Number(opts.port) || 22,
+      identityFile: none(opts.identityFile)?.replace(/%[%dhur]/g, t => tokens[t]) || null,
+      proxyJump: none(opts.proxyJump),
+      proxyCommand: none(opts.proxyCommand),
+    };
+  });
+}
+
+// ─── Jump hosts and ProxyCommand ────────────────────────────────────────────
+// A connection can be routed like OpenSSH does: through a chain of jump hosts
+// (ProxyJump — each hop forwards a TCP stream to the next one) and/or through
+// a local ProxyCommand whose stdin/stdout carry the SSH stream of the first
+// connection in the chain.
+
+/**
+ * Run `command` (OpenSSH ProxyCommand syntax: %h host, %p port, %r user, %% a
+ * literal %) and expose its stdio as a socket for ssh2's `sock` option.
+ */
+function proxyCommandSocket(command, { hostname, port, username }) {
+  const tokens = { '%%': '%', '%h': shellEscape(hostname), '%p': String(port), '%r': shellEscape(username) };
+  const cmd = command.replace(/%[%hpr]/g, m => tokens[m]);
+  const child = spawn('sh', ['-c', cmd], { stdio: ['pipe', 'pipe', 'pipe'] });
+  let stderr = '';
+  const sock = new Duplex({
+    read() {},
+    write(chunk, enc, cb) { child.stdin.write(chunk, cb); },
+    final(cb) { child.stdin.end(); cb(); },
+    destroy(err, cb) { try { child.kill(); } catch {} cb(err); },
+  });
+  child.stdout.on('data', d => sock.push(d));
+  child.stdout.on('end', () => sock.push(null));
+  child.stderr.on('data', d => { if (stderr.length < 2048) stderr += d.toString('utf8'); });
+  child.stdin.on('error', () => {});
+  child.on('error', err => sock.destroy(new Error(`ProxyCommand failed: ${err.message}`)));
+  child.on('exit', code => {
+    if (code) sock.destroy(new Error(`ProxyCommand exited with code ${code}${stderr.trim() ? `: ${stderr.trim().split('\n').pop()}` : ''}`));
+  });
+  return sock;
+}
+
+function forwardOut(conn, hostname, port) {
+  return new Promise((resolve, reject) => {
+    conn.forwardOut('127.0.0.1', 0, hostname, port, (err, stream) => err ? reject(err) : resolve(stream));
+  });
+}
+
 // Parse "user@host" → { username, hostname }
 // Falls back to current OS user if no "@" found
 function parseHost(hostStr) {
@@ -44,6 +247,19 @@ class ClaudeSSH {
     // Auth: prefer explicit key, then password, then ssh-agent
     this.sshKeyPath = options.sshKeyPath ? expandTilde(options.sshKeyPath) : null;
     this.password   = options.password  || null;
+    // Pinned host key ({ type, fingerprint }); null = trust on first use.
+    // onHostKey(key) fires after an unpinned host was accepted so the caller can
+    // pin it; onHostKeyMismatch(key) fires when a pinned host presents another key.
+    this.hostKey    = options.hostKey || null;
+    this.onHostKey  = options.onHostKey || null;
+    this.onHostKeyMismatch = options.onHostKeyMismatch || null;
+    this._hostKeyState = {};
+    // Route: jump hosts, first to last, each with ClaudeSSH options of its own
+    // (host, port, sshKeyPath, password, hostKey, …). proxyCommand reaches the
+    // first connection of the chain — the first jump host, or this host.
+    if ((options.jumpHosts || []).length > MAX_JUMP_HOSTS) throw new Error(`Too many jump hosts (max ${MAX_JUMP_HOSTS})`);
+    this.jumpHosts  = (options.jumpHosts || []).map(h => h instanceof ClaudeSSH ? h : new ClaudeSSH(h));
+    this.proxyCommand = options.proxyCommand || '';
   }
 
   // Build ssh2 connection config from instance fields
@@ -64,9 +280,93 @@ class ClaudeSSH {
     } else if (process.env.SSH_AUTH_SOCK) {
       cfg.agent = process.env.SSH_AUTH_SOCK;
     }
-    // StrictHostKeyChecking equivalent: accept new hosts automatically
-    cfg.hostVerifier = () => true;
-    return cfg;
+    this._hostKeyState = {};
+    return { ...cfg, ...hostKeyConfig(this.hostKey, this._hostKeyState) };
+  }
+
+  // Connection is up: pin the key of a host seen for the first time
+  _acceptedHostKey() {
+    const seen = this._hostKeyState.seen;
+    if (this.hostKey || !seen) return;
+    this.hostKey = seen;
+    try { if (this.onHostKey) this.onHostKey(seen); } catch {}
+  }
+
+  // Error for a pinned host that presented a different key, or null
+  _hostKeyMismatch() {
+    const seen = this._hostKeyState.seen;
+    if (!this.hostKey?.fingerprint || !seen || seen.fingerprint === this.hostKey.fingerprint) return null;
+    try { if (this.onHostKeyMismatch) this.onHostKeyMismatch(seen); } catch {}
+    return hostKeyMismatchError(this.hostname, this.hostKey, seen);
+  }
+
+  // Readable error for a failed connection
+  _connError(err) {
+    if (err.jumpHost) return err; // already described by the hop that failed
+    const mismatch = this._hostKeyMismatch();
+    if (mismatch) return mismatch;
+    return new Error(
+      err.code === 'ECONNREFUSED'             ? `SSH connection refused — is sshd running on port ${this.port}?`
+      : err.code === 'ENOTFOUND'              ? `Host not found: ${this.hostname}`
+      : err.code === 'ETIMEDOUT'              ? `SSH connection timed out to ${this.hostname}`
+      : err.level === 'client-authentication' ? `SSH auth failed — check password/key for ${this.username}@${this.hostname}`
+      : `SSH error: ${err.message}`);
+  }
+
+  // Connect `conn` to this host, through the proxy route if there is one.
+  // Route failures are emitted as conn 'error' like any connection failure.
+  _connect(conn) {
+    const cfg = this._connConfig();
+    if (!this.jumpHosts.length && !this.proxyCommand) return conn.connect(cfg);
+    this._openRoute().then(({ sock, hops }) => {
+      conn.once('close', () => hops.forEach(c => { try { c.end(); } catch {} }));
+      conn.connect({ ...cfg, sock });
+    }, err => conn.emit('error', err));
+  }
+
+  /**
+   * Open the route to this host: a socket for ssh2's `sock` option plus the
+   * connected jump host clients (to be closed with the main connection).
+   */
+  async _openRoute() {
+    const first = this.jumpHosts[0] || this;
+    let sock = this.proxyCommand ? proxyCommandSocket(this.proxyCommand, first) : null;
+    const hops = [];
+    try {
+      for (let i = 0; i < this.jumpHosts.length; i++) {
+        const hop = this.jumpHosts[i];
+        const next = this.jumpHosts[i + 1] || this;
+        const conn = await hop._connectHop(sock);
+        hops.push(conn);
+        try {
+          sock = await forwardOut(conn, next.hostname, next.port);
+        } catch (e) {
+          const err = new Error(`Jump host ${hop.hostname} cannot reach ${next.hostname}:${next.port} — ${e.message}`);
+          err.jumpHost = hop.hostname;
+          throw err;
+        }
+      }
+      return { sock, hops };
+    } catch (e) {
+      hops.forEach(c => { try { c.end(); } catch {} });
+      if (sock && !hops.length) sock.destroy();
+      throw e;
+    }
+  }
+
+  // Connect to this host as a jump host: resolves to the ready Client
+  _connectHop(sock) {
+    return new Promise((resolve, reject) => {
+      const conn = new Client();
+      conn.on('ready', () => { this._acceptedHostKey(); resolve(conn); });
+      conn.on('error', (err) => {
+        const e = this._connError(err);
+        e.message = `Jump host ${this.hostname}: ${e.message}`;
+        e.jumpHost = this.hostname;
+        reject(e);
+      });
+      conn.connect({ ...this._connConfig(), ...(sock ? { sock } : {}) });
+    });
   }
 
   _openSftp(conn) {
@@ -100,7 +400,196 @@ class ClaudeSSH {
     });
   }
 
-  send({ prompt, contentBlocks, sessionId, model, maxTurns, systemPrompt, allowedTools, abortController, forkSession, name, effort }) {
+  // ─── SFTP file access (remote project file browser) ───────────────────────
+  // One connection + SFTP channel per instance, shared by all calls and closed
+  // after SFTP_IDLE_MS without use. Paths are relative to this.workdir.
+
+  _sftpSession() {
+    clearTimeout(this._sftpIdleTimer);
+    this._sftpIdleTimer = setTimeout(() => this.closeSftp(), SFTP_IDLE_MS);
+    this._sftpIdleTimer.unref?.();
+    if (this._sftp) return this._sftp;
+    const conn = new Client();
+    const session = this._sftp = new Promise((resolve, reject) => {
+      conn.on('ready', async () => {
+        this._acceptedHostKey();
+        try {
+          const sftp = await this._openSftp(conn);
+          const home = await new Promise((res, rej) => sftp.realpath('.', (e, p) => e ? rej(e) : res(p)));
+          resolve({ conn, sftp, home });
+        } catch (e) {
+          try { conn.end(); } catch {}
+          reject(new Error(`SFTP unavailable: ${e.message}`));
+        }
+      });
+      conn.on('error', err => reject(this._connError(err)));
+      conn.on('close', () => { if (this._sftp === session) this._sftp = null; });
+      this._connect(conn);
+    });
+    session.catch(() => { if (this._sftp === session) this._sftp = null; });
+    return session;
+  }
+
+  closeSftp() {
+    clearTimeout(this._sftpIdleTimer);
+    const session = this._sftp;
+    this._sftp = null;
+    if (session) session.then(({ conn }) => { try { conn.end(); } catch {} }, () => {});
+  }
+
+  /** Absolute remote path of `rel` inside the workdir. Throws (code EACCES) if it escapes. */
+  async remotePath(rel = '') {
+    const { home } = await this._sftpSession();
+    const root = path.posix.resolve(home, this.workdir.replace(/^~(?=\/|$)/, home));
+    const target = path.posix.resolve(root, String(rel || '.'));
+    if (target !== root && !target.startsWith(root + '/')) {
+      const err = new Error('Denied');
+      err.code = 'EACCES';
+      throw err;
+    }
+    return target;
+  }
+
+  async _sftpCall(method, rel) {
+    const { sftp } = await this._sftpSession();
+    const target = await this.remotePath(rel);
+    return new Promise((resolve, reject) => {
+      sftp[method](target, (err, result) => {
+        if (!err) return resolve(result);
+        if (err.code === SFTP_NO_SUCH_FILE) err.code = 'ENOENT';
+        reject(err);
+      });
+    });
+  }
+
+  /** Stat a path relative to the workdir (follows symlinks). */
+  async stat(rel) {
+    const st = await this._sftpCall('stat', rel);
+    return { isDirectory: st.isDirectory(), size: st.size, mtime: new Date(st.mtime * 1000) };
+  }
+
+  /** Directory entries: [{ name, type: 'dir'|'file', size }]. */
+  async readdir(rel) {
+    const list = await this._sftpCall('readdir', rel);
+    return list.map(e => ({
+      name: e.filename,
+      type: e.attrs.isDirectory() ? 'dir' : 'file',
+      size: e.attrs.isDirectory() ? null : e.attrs.size,
+    }));
+  }
+
+  /** Read a file, or its first `maxBytes` bytes. Resolves to a Buffer. */
+  async readFile(rel, maxBytes = Infinity) {
+    const stream = await this.createReadStream(rel, Number.isFinite(maxBytes) ? { start: 0, end: maxBytes - 1 } : {});
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      stream.on('data', c => chunks.push(c));
+      stream.on('end', () => resolve(Buffer.concat(chunks)));
+      stream.on('error', reject);
+    });
+  }
+
+  async createReadStream(rel, opts = {}) {
+    const { sftp } = await this._sftpSession();
+    return sftp.createReadStream(await this.remotePath(rel), opts);
+  }
+
+  /** Replace the contents of a file; an existing file keeps its permissions. */
+  async writeFile(rel, data) {
+    const { sftp } = await this._sftpSession();
+    const target = await this.remotePath(rel);
+    return new Promise((resolve, reject) => {
+      const out = sftp.createWriteStream(target);
+      out.on('close', resolve);
+      out.on('error', reject);
+      out.end(data);
+    });
+  }
+
+  // ─── Commands in the workdir (git panel) ──────────────────────────────────
+
+  /**
+   * Run a shell command in the workdir over the shared file-browser connection.
+   * Resolves to { code, stdout, stderr } whatever the exit code; the channel is
+   * closed after `timeout` ms and output beyond `maxBytes` is dropped.
+   */
+  async exec(command, { timeout = 60_000, maxBytes = 32 * 1024 * 1024 } = {}) {
+    const { conn } = await this._sftpSession();
+    return new Promise((resolve, reject) => {
+      conn.exec(`cd ${shellEscape(this.workdir)} && ${command}`, { pty: false }, (err, stream) => {
+        if (err) return reject(new Error(`SSH exec failed: ${err.message}`));
+        const out = [], errOut = [];
+        let size = 0;
+        const collect = (list) => (chunk) => { if ((size += chunk.length) <= maxBytes) list.push(chunk); };
+        let timedOut = false;
+        const timer = setTimeout(() => { timedOut = true; try { stream.close(); } catch {} }, timeout);
+        // A long push must not be cut off by the idle close
+        const keepAlive = setInterval(() => this._sftpSession().catch(() => {}), SFTP_IDLE_MS / 2);
+        let exitCode = null;
+        stream.on('exit', (code) => { exitCode = code; });
+        stream.on('data', collect(out));
+        stream.stderr.on('data', collect(errOut));
+        stream.on('close', (code) => {
+          clearTimeout(timer);
+          clearInterval(keepAlive);
+          resolve({
+            code: code ?? exitCode ?? -1,
+            stdout: Buffer.concat(out).toString('utf8'),
+            stderr: timedOut ? 'Remote command timed out' : Buffer.concat(errOut).toString('utf8'),
+          });
+        });
+      });
+    });
+  }
+
+  // ─── Interactive shell (web terminal) ─────────────────────────────────────
+
+  /**
+   * Open a login shell in the workdir on a PTY channel of its own connection.
+   * `command` (e.g. `claude --resume <id>`) runs first; the shell starts when
+   * it exits. Resolves to an EventEmitter with write(data), resize(cols, rows)
+   * and close(), emitting 'data' (string) and 'exit' (code).
+   */
+  shell({ command = '', cols = 80, rows = 24 } = {}) {
+    const inner = [
+      REMOTE_PATH_EXPORT,
+      'unset CLAUDECODE',
+      `cd ${shellEscape(this.workdir)} || exit 1`,
+      ...(command ? [command] : []),
+      'exec "${SHELL:-/bin/sh}" -l',
+    ].join('; ');
+    return new Promise((resolve, reject) => {
+      const conn = new Client();
+      let term = null;
+      conn.on('ready', () => {
+        this._acceptedHostKey();
+        conn.exec(`/bin/sh -c ${shellEscape(inner)}`, { pty: { term: 'xterm-256color', cols, rows } }, (err, stream) => {
+          if (err) {
+            try { conn.end(); } catch {}
+            return reject(new Error(`SSH shell failed: ${err.message}`));
+          }
+          const decoder = new StringDecoder('utf8');
+          term = new EventEmitter();
+          term.pty = true;
+          term.write = (data) => { try { stream.write(data); } catch {} };
+          term.resize = (c, r) => { try { stream.setWindow(r, c, 0, 0); } catch {} };
+          term.close = () => { try { stream.close(); } catch {} try { conn.end(); } catch {} };
+          stream.on('data', d => term.emit('data', decoder.write(d)));
+          stream.stderr.on('data', d => term.emit('data', decoder.write(d)));
+          stream.on('close', (code) => { try { conn.end(); } catch {} term.emit('exit', code ?? null); });
+          resolve(term);
+        });
+      });
+      conn.on('error', (err) => {
+        if (term) return term.emit('data', `\r\n${this._connError(err).message}\r\n`);
+        reject(this._connError(err));
+      });
+      conn.on('close', () => { if (!term) reject(new Error('SSH connection closed')); });
+      this._connect(conn);
+    });
+  }
+
+  send({ prompt, contentBlocks, sessionId, model, maxTurns, systemPrompt, allowedTools, tools, extraSettings, abortController, forkSession, name, effort }) {
     const attachmentSpecs = [];
     const textParts = [];
     if (Array.isArray(contentBlocks)) {
@@ -156,6 +645,7 @@ class ClaudeSSH {
     };
 
     conn.on('ready', () => {
+      this._acceptedHostKey();
       (async () => {
         let remoteTempDir = null;
         const remoteFilePaths = [];
@@ -201,14 +691,16 @@ class ClaudeSSH {
             }
           }
           if (systemPrompt && !sessionId) args.push('--system-prompt', systemPrompt);
+          if (typeof tools === 'string') args.push('--tools', tools);
           if (allowedTools?.length) args.push('--allowedTools', ...allowedTools);
+          if (extraSettings && typeof extraSettings === 'object') args.push('--settings', JSON.stringify(extraSettings));
           args.push('--dangerously-skip-permissions');
           args.push('--output-format', 'stream-json', '--verbose');
           args.push('--include-partial-messages');
           args.push('-p', finalPrompt);
 
           const innerCmdParts = [
-            'export PATH="$PATH:/usr/local/bin:/usr/bin:$HOME/.npm-global/bin:$HOME/.local/bin:$(npm root -g 2>/dev/null)/../.bin"',
+            REMOTE_PATH_EXPORT,
             'export IS_SANDBOX=1',
             `mkdir -p ${shellEscape(this.workdir)}`,
             `cd ${shellEscape(this.workdir)}`,
@@ -279,11 +771,7 @@ class ClaudeSSH {
 
     conn.on('error', (err) => {
       if (globalTimer) { clearTimeout(globalTimer); globalTimer = null; }
-      const msg = err.code === 'ECONNREFUSED' ? `SSH connection refused — is sshd running on port ${this.port}?`
-        : err.code === 'ENOTFOUND'            ? `Host not found: ${this.hostname}`
-        : err.code === 'ETIMEDOUT'            ? `SSH connection timed out to ${this.hostname}`
-        : err.level === 'client-authentication' ? `SSH auth failed — check password/key for ${this.username}@${this.hostname}`
-        : `SSH error: ${err.message}`;
+      const msg = this._connError(err).message;
       try { if (h.onError) h.onError(msg); } catch {}
       if (h.onDone) h.onDone(detectedSid);
     });
@@ -295,7 +783,7 @@ class ClaudeSSH {
       try { conn.end(); } catch {}
     }, MAX_SUBPROCESS_MS);
 
-    conn.connect(this._connConfig());
+    this._connect(conn);
 
     return {
       onText(fn)      { h.onText      = fn; return this; },
@@ -344,17 +832,22 @@ class ClaudeSSH {
 }
 
 // ─── Standalone SSH connection tester ────────────────────────────────────────
-// Returns Promise<{ latencyMs }> or rejects with Error
-function testSshConnection({ host, port = 22, sshKeyPath = '', password = '' }) {
+// Returns Promise<{ latencyMs, hostKey }> or rejects with Error. `hostKey` is the
+// key the server presented; with a pinned `hostKey` a different key rejects
+// with err.code 'HOST_KEY_MISMATCH' (err.seen / err.pinned). `jumpHosts` and
+// `proxyCommand` route the connection as in ClaudeSSH; a failing jump host
+// rejects with err.jumpHost set.
+function testSshConnection({ host, port = 22, sshKeyPath = '', password = '', hostKey = null, jumpHosts = [], proxyCommand = '' }) {
   return new Promise((resolve, reject) => {
     const { username, hostname } = parseHost(host);
     const start = Date.now();
+    const keyState = {};
 
     const cfg = {
       host: hostname, port: Number(port) || 22, username,
       readyTimeout: 12000,
       tryKeyboard: !!password,
-      hostVerifier: () => true,
+      ...hostKeyConfig(hostKey, keyState),
     };
     if (password) {
       cfg.password = password;
@@ -368,10 +861,12 @@ function testSshConnection({ host, port = 22, sshKeyPath = '', password = '' })
 
     const conn = new Client();
     let done = false;
+    let hops = [];
     const finish = (err) => {
       if (done) return; done = true;
       try { conn.end(); } catch {}
-      if (err) reject(err); else resolve({ latencyMs: Date.now() - start });
+      hops.forEach(c => { try { c.end(); } catch {} });
+      if (err) reject(err); else resolve({ latencyMs: Date.now() - start, hostKey: keyState.seen || null });
     };
 
     conn.on('ready', () => {
@@ -387,18 +882,39 @@ function testSshConnection({ host, port = 22, sshKeyPath = '', password = '' })
     });
 
     conn.on('error', (err) => {
+      if (err.jumpHost) return finish(err);
+      if (hostKey?.fingerprint && keyState.seen && keyState.seen.fingerprint !== hostKey.fingerprint) {
+        return finish(hostKeyMismatchError(hostname, hostKey, keyState.seen));
+      }
       const msg = err.level === 'client-authentication'
         ? `Auth failed — wrong password or key for ${username}@${hostname}`
         : err.code === 'ECONNREFUSED' ? `Connection refused (port ${port})`
         : err.code === 'ENOTFOUND'    ? `Host not found: ${hostname}`
         : err.message;
-      finish(new Error(msg));
+      const e = new Error(msg);
+      e.hostKey = keyState.seen || null; // still worth showing when auth fails
+      finish(e);
     });
 
-    conn.connect(cfg);
-    setTimeout(() => finish(new Error('Connection timed out (12s)')), 14000);
+    if (jumpHosts.length || proxyCommand) {
+      let route;
+      try { route = new ClaudeSSH({ host, port, jumpHosts, proxyCommand }); } catch (e) { return reject(e); }
+      route._openRoute().then((r) => {
+        hops = r.hops;
+        if (done) return hops.forEach(c => { try { c.end(); } catch {} });
+        conn.connect({ ...cfg, sock: r.sock });
+      }, err => finish(err));
+    } else {
+      conn.connect(cfg);
+    }
+    if (jumpHosts.length) setTimeout(() => finish(new Error('Connection through jump hosts timed out')), 14000 + jumpHosts.length * 20000);
+    else setTimeout(() => finish(new Error('Connection timed out (12s)')), 14000);
   });
 }
 
 module.exports = ClaudeSSH;
 module.exports.testSshConnection = testSshConnection;
+module.exports.hostKeyInfo = hostKeyInfo;
+module.exports.knownHostsLookup = knownHostsLookup;
+module.exports.parseHost = parseHost;
+module.exports.readSshConfig = readSshConfig;
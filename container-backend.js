@@ -0,0 +1,215 @@
+// ─── Container execution backend for Claude Code Studio ─────────────────────
+// Runs the `claude` CLI inside a throwaway Docker or Podman container instead of
+// on the host. The project directory is bind-mounted at the same path, so the
+// stream-json output, session ids and file paths Claude reports are identical
+// to a host run and nothing above ClaudeCLI needs to know the difference.
+// No external npm dependencies — shells out to the `docker` / `podman` binary.
+//
+// A project's container spec is a plain object stored in projects.json:
+//   { engine, image, cpus, memory, network }
+//   engine: docker | podman; cpus: number or null; memory: "2g" or null
+//   network: bridge (default), host or a user-defined network name
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile, execFileSync } = require('child_process');
+
+const ENGINES = ['docker', 'podman'];
+const DEFAULT_IMAGE = 'claude-code-studio-runner';
+const DEFAULT_NETWORK = 'bridge';
+const CHECK_TIMEOUT = 120_000;
+const SWEEP_TIMEOUT = 30_000;
+const IMAGE_RE = /^[a-z0-9][a-z0-9._\-/:@]{0,254}$/i;
+const NETWORK_RE = /^[a-z0-9][a-z0-9_.-]{0,63}$/i;
+const MEMORY_RE = /^\d+(\.\d+)?[kmg]?$/i;
+// Host variables the CLI needs for auth, proxies and its own settings
+const FORWARD_ENV_RE = /^(ANTHROPIC_|CLAUDE_CODE_|AWS_|GOOGLE_|VERTEX_|HTTPS?_PROXY$|NO_PROXY$|https?_proxy$|no_proxy$)/;
+// Containers started by this Studio install carry its label; leftovers from a crash are swept on startup
+const INSTANCE = crypto.createHash('sha256').update(__dirname).digest('hex').slice(0, 12);
+
+/** Hostname under which the container reaches the host (Studio's internal API, MCP servers). */
+function hostAlias(spec) {
+  if (spec.network === 'host') return '127.0.0.1';
+  return spec.engine === 'podman' ? 'host.containers.internal' : 'host.docker.internal';
+}
+
+/**
+ * Validate a container spec coming from the API.
+ * Returns { spec } with defaults filled in, or { error }.
+ */
+function cleanContainerSpec(input) {
+  const src = input && typeof input === 'object' ? input : {};
+  const engine = src.engine || 'docker';
+  if (!ENGINES.includes(engine)) return { error: `engine must be one of: ${ENGINES.join(', ')}` };
+  const image = String(src.image || DEFAULT_IMAGE).trim();
+  if (!IMAGE_RE.test(image)) return { error: 'Invalid image name' };
+
+  let cpus = null;
+  if (src.cpus !== undefined && src.cpus !== null && src.cpus !== '') {
+    cpus = Number(src.cpus);
+    if (!Number.isFinite(cpus) || cpus <= 0 || cpus > 256) return { error: 'cpus must be a positive number' };
+  }
+  let memory = null;
+  if (src.memory) {
+    memory = String(src.memory).trim().toLowerCase();
+    if (!MEMORY_RE.test(memory)) return { error: 'memory must look like 512m or 2g' };
+  }
+  const network = String(src.network || DEFAULT_NETWORK).trim();
+  if (!NETWORK_RE.test(network)) return { error: 'Invalid network name' };
+  // Claude has to reach the API and Studio's MCP servers
+  if (network === 'none') return { error: 'network "none" leaves Claude without API access' };
+
+  return { spec: { engine, image, cpus, memory, network } };
+}
+
+function claudeConfigDir() {
+  return process.env.CLAUDE_CONFIG_DIR || path.join(os.homedir(), '.claude');
+}
+
+// Studio scripts a run executes: MCP servers and the permission hooks. Mounted one
+// by one — the install directory also holds data/, .env and config.json.
+function studioScripts() {
+  const mcp = fs.readdirSync(__dirname).filter(f => /^mcp-[\w-]+\.js$/.test(f));
+  return [...mcp, 'hooks', 'permission-profiles.js'].map(f => path.join(__dirname, f));
+}
+
+function stagedConfigDir(name) {
+  return path.join(os.tmpdir(), `ccs-claude-${INSTANCE}-${name}`);
+}
+
+/**
+ * A throwaway CLAUDE_CONFIG_DIR for one run. The host's ~/.claude stays out of the
+ * container: settings.json hooks or commands planted there would later run on the
+ * host unsandboxed. Only the login (read-only) and the session transcripts, which
+ * --resume needs, are mounted into it. Returns [[hostPath, containerPath, mode]].
+ */
+function stageClaudeConfig(name) {
+  const dir = stagedConfigDir(name);
+  const host = claudeConfigDir();
+  fs.mkdirSync(path.join(dir, 'projects'), { recursive: true, mode: 0o700 });
+  fs.mkdirSync(path.join(host, 'projects'), { recursive: true });
+  const volumes = [[dir, dir, 'rw'], [path.join(host, 'projects'), path.join(dir, 'projects'), 'rw']];
+  const credentials = path.join(host, '.credentials.json');
+  if (fs.existsSync(credentials)) {
+    // Mount point owned by the Studio user, not created by the engine as root
+    fs.writeFileSync(path.join(dir, '.credentials.json'), '', { mode: 0o600 });
+    volumes.push([credentials, path.join(dir, '.credentials.json'), 'ro']);
+  }
+  return volumes;
+}
+
+/** Remove a run's staged config dir once its container is gone. */
+function releaseClaudeConfig(name) {
+  try { fs.rmSync(stagedConfigDir(name), { recursive: true, force: true }); } catch {}
+}
+
+/** Random container name, so an aborted run can be removed by name. */
+function containerName() {
+  return `ccs-${crypto.randomBytes(6).toString('hex')}`;
+}
+
+/**
+ * Build the `docker run` / `podman run` invocation for one CLI run.
+ *
+ * @param {object}   spec            cleaned container spec
+ * @param {object}   opts
+ * @param {string}   opts.name       container name (see containerName)
+ * @param {string}   opts.cwd        project directory; mounted read-write at the same path
+ * @param {string[]} opts.args       arguments for `claude`
+ * @param {object}   [opts.env]      environment of the run; only forwarded keys cross over
+ * @param {string[]} [opts.envKeys]  keys of `env` to forward besides the auth/proxy ones
+ * @param {string[]} [opts.mounts]   extra read-write directories (worktree repo, --add-dir)
+ * @param {string[]} [opts.files]    host files Claude must read (MCP config, attachments)
+ * @returns {{ command: string, args: string[] }}
+ */
+function containerCommand(spec, { name, cwd, args, env = {}, envKeys = [], mounts = [], files = [] }) {
+  const run = ['run', '--rm', '-i', '--init', '--name', name,
+    '--label', 'ccs.managed=1', '--label', `ccs.instance=${INSTANCE}`];
+
+  // Files written in the bind mounts should belong to the Studio user, not root
+  if (spec.engine === 'podman') run.push('--userns=keep-id');
+  else if (process.getuid) run.push('--user', `${process.getuid()}:${process.getgid()}`);
+
+  // container path → { src, mode }; most paths are mounted where they are on the host
+  const volumes = new Map();
+  const addVolume = (p, mode, dest = p) => {
+    if (!p) return;
+    const target = path.resolve(dest);
+    if (volumes.get(target)?.mode === 'rw') return;
+    volumes.set(target, { src: path.resolve(p), mode });
+  };
+  addVolume(cwd, 'rw');
+  for (const m of mounts) addVolume(m, 'rw');
+  const configVolumes = stageClaudeConfig(name);
+  for (const [src, dest, mode] of configVolumes) addVolume(src, mode, dest);
+  for (const f of studioScripts()) addVolume(f, 'ro');
+  for (const f of files) addVolume(f, 'ro');
+  for (const [dest, { src, mode }] of volumes) run.push('-v', `${src}:${dest}${mode === 'ro' ? ':ro' : ''}`);
+  run.push('-w', cwd);
+
+  const fwd = new Set(envKeys);
+  for (const k of Object.keys(env)) if (FORWARD_ENV_RE.test(k)) fwd.add(k);
+  // `-e NAME` passes the value from the engine client's environment, keeping secrets off the command line
+  for (const k of fwd) if (env[k] !== undefined) run.push('-e', k);
+  run.push('-e', `CLAUDE_CONFIG_DIR=${configVolumes[0][1]}`, '-e', 'HOME=/tmp');
+
+  if (spec.cpus) run.push('--cpus', String(spec.cpus));
+  if (spec.memory) run.push('--memory', spec.memory);
+  run.push('--network', spec.network || DEFAULT_NETWORK);
+  if (spec.network !== 'host' && spec.engine === 'docker') {
+    run.push('--add-host', 'host.docker.internal:host-gateway');
+  }
+
+  run.push(spec.image, 'claude', ...args);
+  return { command: spec.engine, args: run };
+}
+
+/** Force-remove a container by name; fire-and-forget. */
+function removeContainer(spec, name) {
+  execFile(spec.engine, ['rm', '-f', name], { timeout: SWEEP_TIMEOUT }, () => {});
+}
+
+/**
+ * Remove containers this install left behind (server crash mid-run).
+ * Called once on startup, before interrupted chat runs are resumed.
+ */
+function sweepContainers(engine) {
+  try {
+    const ids = execFileSync(engine, ['ps', '-aq', '--filter', `label=ccs.instance=${INSTANCE}`],
+      { encoding: 'utf-8', timeout: SWEEP_TIMEOUT, stdio: ['ignore', 'pipe', 'ignore'] })
+      .split('\n').map(s => s.trim()).filter(Boolean);
+    if (ids.length) execFileSync(engine, ['rm', '-f', ...ids], { timeout: SWEEP_TIMEOUT, stdio: 'ignore' });
+    for (const d of fs.readdirSync(os.tmpdir())) {
+      if (d.startsWith(`ccs-claude-${INSTANCE}-`)) fs.rmSync(path.join(os.tmpdir(), d), { recursive: true, force: true });
+    }
+    return ids.length;
+  } catch {
+    return 0; // engine not installed or daemon down — nothing to sweep
+  }
+}
+
+/**
+ * Check that the engine is reachable and the image can run the CLI.
+ * Resolves to { ok: true, version } or { ok: false, error }.
+ */
+function checkContainer(spec) {
+  return new Promise(resolve => {
+    execFile(spec.engine, ['run', '--rm', '--label', 'ccs.managed=1', spec.image, 'claude', '--version'],
+      { timeout: CHECK_TIMEOUT, encoding: 'utf-8' }, (err, stdout, stderr) => {
+        if (!err) return resolve({ ok: true, version: stdout.trim() });
+        const msg = err.code === 'ENOENT'
+          ? `${spec.engine} is not installed`
+          : (String(stderr || '').trim().split('\n').slice(-2).join(' ') || err.message);
+        resolve({ ok: false, error: msg });
+      });
+  });
+}
+
+module.exports = {
+  ENGINES, DEFAULT_IMAGE,
+  cleanContainerSpec, containerCommand, containerName, hostAlias,
+  removeContainer, releaseClaudeConfig, sweepContainers, checkContainer,
+};
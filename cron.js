@@ -0,0 +1,217 @@
+// ─── Cron schedules for Claude Code Studio ──────────────────────────────────
+// Parses 5-field cron expressions and computes fire times in an IANA timezone.
+// No external npm dependencies — timezone math uses the built-in Intl API.
+//
+// Field syntax: `*`, lists (`1,15`), ranges (`1-5`), steps (`*/15`, `10-50/10`),
+// month/day names (`JAN`, `MON-FRI`). Extensions:
+//   day-of-month `L`      — last day of the month
+//   day-of-week  `MON#1`  — first Monday of the month (1–5)
+//   day-of-week  `FRI#L`  — last Friday of the month (`5L` works too)
+// Macros: @hourly, @daily, @midnight, @weekly, @monthly, @yearly, @annually.
+// As in Vixie cron, when both day-of-month and day-of-week are restricted a day
+// matches if EITHER field matches.
+'use strict';
+
+const MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+};
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const DOW_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day-of-month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, nameBase: 1 },
+  { name: 'day-of-week', min: 0, max: 7, names: DOW_NAMES, nameBase: 0 },
+];
+
+const MINUTE_MS = 60_000;
+const DAY_MS = 86_400_000;
+const MAX_SEARCH_STEPS = 100_000; // enough for "Feb 29 on a Monday" style rarities
+
+// ─── Parsing ─────────────────────────────────────────────────────────────────
+
+function parseValue(raw, field) {
+  const up = raw.toUpperCase();
+  if (field.names) {
+    const idx = field.names.indexOf(up);
+    if (idx !== -1) return idx + field.nameBase;
+  }
+  if (!/^\d+$/.test(raw)) throw new Error(`Invalid ${field.name} value "${raw}"`);
+  const n = parseInt(raw, 10);
+  if (n < field.min || n > field.max) throw new Error(`${field.name} value ${n} out of range ${field.min}-${field.max}`);
+  return n;
+}
+
+function parseField(src, field) {
+  const out = { any: src === '*', values: new Set(), last: false, nth: [] };
+  for (const part of src.split(',')) {
+    if (!part) throw new Error(`Empty entry in ${field.name} field`);
+    const up = part.toUpperCase();
+    if (field.name === 'day-of-month' && up === 'L') { out.last = true; continue; }
+    if (field.name === 'day-of-week') {
+      const m = up.match(/^([A-Z]+|\d)(?:#([1-5L])|(L))$/);
+      if (m) {
+        const dow = parseValue(m[1], field) % 7;
+        out.nth.push({ dow, n: (m[2] && m[2] !== 'L') ? parseInt(m[2], 10) : 'L' });
+        continue;
+      }
+    }
+    const [range, stepRaw] = part.split('/');
+    let step = 1;
+    if (stepRaw !== undefined) {
+      if (!/^\d+$/.test(stepRaw) || parseInt(stepRaw, 10) < 1) throw new Error(`Invalid step "${stepRaw}" in ${field.name} field`);
+      step = parseInt(stepRaw, 10);
+    }
+    let lo, hi;
+    if (range === '*') { lo = field.min; hi = field.max; }
+    else if (range.includes('-')) {
+      const [a, b] = range.split('-');
+      lo = parseValue(a, field); hi = parseValue(b, field);
+      if (lo > hi) throw new Error(`Invalid range "${range}" in ${field.name} field`);
+    } else {
+      lo = parseValue(range, field);
+      hi = stepRaw !== undefined ? field.max : lo;
+    }
+    for (let v = lo; v <= hi; v += step) out.values.add(field.name === 'day-of-week' ? v % 7 : v);
+  }
+  return out;
+}
+
+/**
+ * Parse a 5-field cron expression (or @macro).
+ * Throws an Error with a human-readable message if the expression is invalid.
+ */
+function parseCron(expr) {
+  const src = String(expr || '').trim();
+  const expanded = MACROS[src.toLowerCase()] || src;
+  const parts = expanded.split(/\s+/);
+  if (parts.length !== 5) throw new Error(`Cron expression must have 5 fields (minute hour day month weekday), got ${parts.length}`);
+  const [minute, hour, dom, month, dow] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  return { source: src, minute, hour, dom, month, dow };
+}
+
+/** True if the string looks like a cron expression rather than a named preset. */
+function isCronExpression(value) {
+  if (!value || typeof value !== 'string') return false;
+  const v = value.trim();
+  return v.startsWith('@') || v.split(/\s+/).length === 5;
+}
+
+// ─── Timezone helpers ────────────────────────────────────────────────────────
+
+const _fmtCache = new Map();
+function getFormatter(tz) {
+  let fmt = _fmtCache.get(tz);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat('en-US', {
+      timeZone: tz, hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric',
+    });
+    _fmtCache.set(tz, fmt);
+  }
+  return fmt;
+}
+
+/** True if `tz` is an IANA timezone name the runtime understands. */
+function isValidTimezone(tz) {
+  if (!tz || typeof tz !== 'string') return false;
+  try { getFormatter(tz); return true; } catch { return false; }
+}
+
+// Wall-clock time in `tz` for UTC ms, expressed as a "naive" UTC ms value.
+function wallClock(ms, tz) {
+  const p = {};
+  for (const { type, value } of getFormatter(tz).formatToParts(new Date(ms))) p[type] = value;
+  return Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour, +p.minute, +p.second);
+}
+
+function tzOffset(ms, tz) {
+  const whole = Math.floor(ms / 1000) * 1000;
+  return wallClock(whole, tz) - whole;
+}
+
+// Naive wall-clock ms → real UTC ms. Ambiguous times (DST fall-back) resolve to
+// the earlier instant; skipped times (DST spring-forward) shift forward by the gap.
+function wallToUtc(naive, tz) {
+  const before = tzOffset(naive - DAY_MS, tz);
+  const after = tzOffset(naive + DAY_MS, tz);
+  const valid = [naive - before, naive - after].filter(ms => wallClock(ms, tz) === naive);
+  return valid.length ? Math.min(...valid) : naive - before;
+}
+
+// ─── Matching ────────────────────────────────────────────────────────────────
+
+function dayMatches(c, d) {
+  const year = d.getUTCFullYear(), month = d.getUTCMonth();
+  const day = d.getUTCDate(), dow = d.getUTCDay();
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  const domHit = c.dom.values.has(day) || (c.dom.last && day === daysInMonth);
+  const dowHit = c.dow.values.has(dow) || c.dow.nth.some(({ dow: w, n }) =>
+    w === dow && (n === 'L' ? day + 7 > daysInMonth : Math.ceil(day / 7) === n));
+  if (c.dom.any && c.dow.any) return true;
+  if (c.dom.any) return dowHit;
+  if (c.dow.any) return domHit;
+  return domHit || dowHit;
+}
+
+// First naive wall-clock minute >= `naive` that matches the expression.
+function nextWallMatch(c, naive) {
+  const d = new Date(Math.ceil(naive / MINUTE_MS) * MINUTE_MS);
+  for (let i = 0; i < MAX_SEARCH_STEPS; i++) {
+    if (!c.month.any && !c.month.values.has(d.getUTCMonth() + 1)) {
+      d.setUTCMonth(d.getUTCMonth() + 1, 1); d.setUTCHours(0, 0, 0, 0); continue;
+    }
+    if (!dayMatches(c, d)) { d.setUTCDate(d.getUTCDate() + 1); d.setUTCHours(0, 0, 0, 0); continue; }
+    if (!c.hour.any && !c.hour.values.has(d.getUTCHours())) { d.setUTCHours(d.getUTCHours() + 1, 0, 0, 0); continue; }
+    if (!c.minute.any && !c.minute.values.has(d.getUTCMinutes())) { d.setUTCMinutes(d.getUTCMinutes() + 1, 0, 0); continue; }
+    return d.getTime();
+  }
+  return null;
+}
+
+/**
+ * Next fire time strictly after `afterTs` (Unix seconds) for a cron expression
+ * evaluated in timezone `tz` (defaults to the server's zone).
+ * Returns Unix seconds, or null if nothing matches (e.g. "0 0 30 2 *").
+ */
+function nextCronRun(expr, tz, afterTs) {
+  const c = typeof expr === 'string' ? parseCron(expr) : expr;
+  const zone = tz || Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const afterMs = afterTs * 1000;
+  let naive = wallClock(afterMs, zone) + MINUTE_MS;
+  naive -= naive % MINUTE_MS;
+  // A few rounds are enough to step over a repeated DST hour
+  for (let round = 0; round < 5; round++) {
+    const match = nextWallMatch(c, naive);
+    if (match === null) return null;
+    const utc = wallToUtc(match, zone);
+    if (utc > afterMs) return Math.floor(utc / 1000);
+    naive = match + MINUTE_MS;
+  }
+  return null;
+}
+
+/** The next `count` fire times after `afterTs` (Unix seconds). */
+function previewCronRuns(expr, tz, afterTs, count = 5) {
+  const c = parseCron(expr);
+  const out = [];
+  let ts = afterTs;
+  while (out.length < count) {
+    ts = nextCronRun(c, tz, ts);
+    if (ts === null) break;
+    out.push(ts);
+  }
+  return out;
+}
+
+module.exports = { parseCron, isCronExpression, isValidTimezone, nextCronRun, previewCronRuns };
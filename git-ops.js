@@ -0,0 +1,297 @@
+// ─── Git operations for Claude Code Studio ──────────────────────────────────
+// Backs the git panel: status, per-file diffs, staging, commits, branches and
+// push for a project checkout. Every function takes a runner — an async
+// `run(args, opts)` resolving to git's stdout — so the same code serves local
+// projects (child_process) and SSH projects (ClaudeSSH.exec).
+// No external npm dependencies — shells out to the `git` binary.
+//
+// File paths are relative to the repository root, as `git status` reports
+// them, and are passed back to git with the :(top,literal) pathspec so the
+// project directory may sit anywhere inside the repository.
+'use strict';
+
+const { execFile } = require('child_process');
+const path = require('path');
+
+const GIT_TIMEOUT = 60_000;
+const PUSH_TIMEOUT = 120_000;
+const MAX_DIFF_BYTES = 512 * 1024;
+const MAX_STATUS_FILES = 2000;
+const FALLBACK_IDENTITY = ['-c', 'user.name=Claude Code Studio', '-c', 'user.email=studio@localhost'];
+// Nobody can answer a credential prompt from the server; fail instead of hanging.
+// Optional locks off: a running task may be using the same checkout.
+const GIT_ENV = { GIT_TERMINAL_PROMPT: '0', GIT_OPTIONAL_LOCKS: '0' };
+const SHA_RE = /^[0-9a-f]{4,40}$/i;
+
+function shq(str) {
+  return "'" + String(str).replace(/'/g, "'\\''") + "'";
+}
+
+// Last meaningful lines of git's stderr, as worktrees.js reports them
+function gitError(args, stderr, fallback) {
+  const lines = String(stderr || '').trim().split('\n').filter(l => l.trim() && !l.startsWith('hint:'));
+  const err = new Error(lines.slice(-3).join(' ') || fallback || `git ${args[0]} failed`);
+  err.git = true;
+  if (/not a git repository/i.test(err.message)) err.code = 'NOT_A_REPO';
+  return err;
+}
+
+/**
+ * Runner for a local directory. `opts.okExit` lists exit codes besides 0 whose
+ * stdout is still the answer (`git diff --no-index` exits 1 on differences).
+ */
+function localRunner(cwd) {
+  return (args, opts = {}) => new Promise((resolve, reject) => {
+    execFile('git', args, {
+      cwd, encoding: 'utf-8', timeout: opts.timeout || GIT_TIMEOUT,
+      maxBuffer: 32 * 1024 * 1024, env: { ...process.env, ...GIT_ENV },
+    }, (err, stdout, stderr) => {
+      if (!err || (opts.okExit || []).includes(err.code)) return resolve(stdout.trimEnd());
+      reject(gitError(args, stderr || stdout, err.killed ? `git ${args[0]} timed out` : err.message));
+    });
+  });
+}
+
+/** Runner for an SSH project: git runs in the project workdir through `ssh.exec()`. */
+function remoteRunner(ssh) {
+  return async (args, opts = {}) => {
+    const env = Object.entries(GIT_ENV).map(([k, v]) => `${k}=${v}`).join(' ');
+    const { code, stdout, stderr } = await ssh.exec(`${env} git ${args.map(shq).join(' ')}`, { timeout: opts.timeout || GIT_TIMEOUT });
+    if (code === 0 || (opts.okExit || []).includes(code)) return stdout.trimEnd();
+    if (code === 127) throw gitError(args, '', 'git is not installed on the remote host');
+    throw gitError(args, stderr || stdout);
+  };
+}
+
+async function tryRun(run, args) {
+  try { return await run(args); } catch { return null; }
+}
+
+function top(file) {
+  return `:(top,literal)${file}`;
+}
+
+// Paths from the client: relative to the repository root and never climbing out of it
+function checkPath(file) {
+  const str = String(file || '');
+  if (!str || str.includes('\0') || /^([\\/]|[A-Za-z]:)/.test(str) || str.split(/[\\/]+/).includes('..')) {
+    throw Object.assign(new Error(`Invalid path: ${str}`), { git: true });
+  }
+  return str;
+}
+
+function cap(patch) {
+  const truncated = Buffer.byteLength(patch) > MAX_DIFF_BYTES;
+  return { patch: truncated ? patch.substring(0, MAX_DIFF_BYTES) : patch, truncated };
+}
+
+/** Current commit id, or null outside git and before the first commit. */
+function head(run) {
+  return tryRun(run, ['rev-parse', '--verify', '--quiet', 'HEAD']);
+}
+
+// ─── Status ──────────────────────────────────────────────────────────────────
+
+/**
+ * `git status` of the repository. Returns null outside git, otherwise
+ *   { root, branch, detached, upstream, ahead, behind, head, files, truncated }
+ * where each file is { path, orig, index, worktree, conflict, untracked } with
+ * the one-letter codes of `git status --short` ('.' = unchanged).
+ */
+async function status(run) {
+  let out;
+  try {
+    out = await run(['status', '--porcelain=v2', '--branch', '-z', '--untracked-files=all']);
+  } catch (e) {
+    if (e.code === 'NOT_A_REPO') return null;
+    throw e;
+  }
+  const res = { root: await tryRun(run, ['rev-parse', '--show-toplevel']), branch: null, detached: false, upstream: null, ahead: 0, behind: 0, head: null, files: [], truncated: false };
+  const fields = out.split('\0');
+  for (let i = 0; i < fields.length; i++) {
+    const line = fields[i];
+    if (!line) continue;
+    if (line.startsWith('# ')) {
+      const [key, ...rest] = line.slice(2).split(' ');
+      const val = rest.join(' ');
+      if (key === 'branch.oid') res.head = val === '(initial)' ? null : val;
+      else if (key === 'branch.head') { res.detached = val === '(detached)'; res.branch = res.detached ? null : val; }
+      else if (key === 'branch.upstream') res.upstream = val;
+      else if (key === 'branch.ab') {
+        const m = val.match(/\+(\d+) -(\d+)/);
+        if (m) { res.ahead = +m[1]; res.behind = +m[2]; }
+      }
+      continue;
+    }
+    if (res.files.length >= MAX_STATUS_FILES) { res.truncated = true; break; }
+    const kind = line[0];
+    if (kind === '?') {
+      res.files.push({ path: line.slice(2), orig: null, index: '.', worktree: '?', conflict: false, untracked: true });
+    } else if (kind === '1' || kind === '2' || kind === 'u') {
+      // Fixed fields before the path: 8 for ordinary, 9 for renames, 10 for conflicts
+      const parts = line.split(' ');
+      const nFixed = kind === '1' ? 8 : kind === '2' ? 9 : 10;
+      const xy = parts[1];
+      res.files.push({
+        path: parts.slice(nFixed).join(' '),
+        orig: kind === '2' ? fields[++i] : null,
+        index: xy[0], worktree: xy[1], conflict: kind === 'u', untracked: false,
+      });
+    }
+  }
+  return res;
+}
+
+// ─── Diffs ───────────────────────────────────────────────────────────────────
+
+/**
+ * Patch of one file: staged (index vs HEAD) or unstaged (work tree vs index).
+ * Untracked files show as new. Returns { patch, truncated }.
+ */
+async function fileDiff(run, file, { staged = false } = {}) {
+  checkPath(file);
+  const base = ['diff', '--no-color', '--no-ext-diff'];
+  if (staged) return cap(await run([...base, '--cached', '--', top(file)]));
+  const tracked = await run(['ls-files', '--', top(file)]);
+  if (tracked) return cap(await run([...base, '--', top(file)]));
+  const root = await run(['rev-parse', '--show-toplevel']);
+  if (!path.posix.resolve(root, file).startsWith(root.replace(/\/$/, '') + '/')) {
+    throw Object.assign(new Error(`Invalid path: ${file}`), { git: true });
+  }
+  // `--no-index` reads any path it is given, so only files git lists as untracked
+  const untracked = (await run(['ls-files', '-z', '--full-name', '--others', '--exclude-standard', '--', top(file)])).split('\0');
+  if (!untracked.includes(file)) return cap('');
+  // `--no-index` compares plain paths, so run it from the repository root
+  return cap(await run(['-C', root, ...base, '--no-index', '--', '/dev/null', file], { okExit: [1] }));
+}
+
+/** Everything staged for the next commit: { stat, patch, truncated }. */
+async function stagedChanges(run) {
+  const stat = await run(['diff', '--cached', '--stat=100']);
+  return { stat, ...cap(await run(['diff', '--cached', '--no-color', '--no-ext-diff'])) };
+}
+
+// ─── Index and commits ───────────────────────────────────────────────────────
+
+/** Stage files (all changes when `files` is empty), including deletions. */
+async function stage(run, files = []) {
+  await run(['add', '-A', '--', ...(files.length ? files.map(top) : [':(top)'])]);
+}
+
+/** Unstage files (everything when `files` is empty). Works before the first commit too. */
+async function unstage(run, files = []) {
+  const specs = files.length ? files.map(top) : [':(top)'];
+  if (await head(run)) await run(['reset', '-q', 'HEAD', '--', ...specs]);
+  else await run(['rm', '-r', '-q', '--cached', '--', ...specs]);
+}
+
+/**
+ * Commit what is staged. Repositories without a configured identity commit as
+ * Claude Code Studio, like task worktrees do. Returns the new commit (see log()).
+ */
+async function commit(run, message) {
+  if (!String(message || '').trim()) throw Object.assign(new Error('Commit message required'), { git: true });
+  // `diff --quiet` exits 1 when something is staged
+  if (await tryRun(run, ['diff', '--cached', '--quiet']) !== null) throw Object.assign(new Error('Nothing staged to commit'), { git: true });
+  const identity = await tryRun(run, ['config', 'user.email']) ? [] : FALLBACK_IDENTITY;
+  await run([...identity, 'commit', '-q', '-m', message]);
+  return (await log(run, { max: 1 }))[0];
+}
+
+/**
+ * Commits, newest first: [{ sha, short, author, date, subject }].
+ * `range` is anything `git log` accepts (`base..HEAD`, a branch); default HEAD.
+ */
+async function log(run, { range = 'HEAD', max = 20 } = {}) {
+  // Before `--` git would take a leading dash as an option (`--output=…` writes a file)
+  if (String(range).startsWith('-')) throw Object.assign(new Error('Invalid revision range'), { git: true });
+  const out = await run(['log', '--no-color', `--max-count=${Math.max(1, Math.min(max, 200))}`,
+    '--format=%H%x00%h%x00%an%x00%aI%x00%s', range, '--']);
+  return out.split('\n').filter(Boolean).map(line => {
+    const [sha, short, author, date, subject] = line.split('\0');
+    return { sha, short, author, date, subject };
+  });
+}
+
+/** One commit with its stat and patch: { commit, stat, patch, truncated }. */
+async function show(run, sha) {
+  if (!SHA_RE.test(String(sha || ''))) throw Object.assign(new Error('Invalid commit id'), { git: true });
+  const [commit] = await log(run, { range: sha, max: 1 });
+  const stat = await run(['show', '--no-color', '--format=', '--stat=100', sha]);
+  return { commit, stat, ...cap(await run(['show', '--no-color', '--no-ext-diff', '--format=', sha])) };
+}
+
+// ─── Branches and remotes ────────────────────────────────────────────────────
+
+/** Local branches and remotes: { current, branches: [{ name, sha, upstream, current }], remotes }. */
+async function branches(run) {
+  const out = await run(['for-each-ref', '--format=%(refname:short)%00%(objectname:short)%00%(upstream:short)%00%(HEAD)', 'refs/heads']);
+  const list = out.split('\n').filter(Boolean).map(line => {
+    const [name, sha, upstream, headMark] = line.split('\0');
+    return { name, sha, upstream: upstream || null, current: headMark === '*' };
+  });
+  const current = list.find(b => b.current)?.name || await tryRun(run, ['symbolic-ref', '--quiet', '--short', 'HEAD']);
+  const remotes = (await run(['remote'])).split('\n').filter(Boolean);
+  return { current, branches: list, remotes };
+}
+
+async function checkBranchName(run, name) {
+  if (!name || typeof name !== 'string' || name.startsWith('-')) throw Object.assign(new Error('Invalid branch name'), { git: true });
+  if (await tryRun(run, ['check-ref-format', '--branch', name]) === null) {
+    throw Object.assign(new Error(`Invalid branch name: ${name}`), { git: true });
+  }
+}
+
+/** Create a branch at HEAD and (by default) switch to it. Uncommitted changes come along. */
+async function createBranch(run, name, { checkout = true } = {}) {
+  await checkBranchName(run, name);
+  await run(checkout ? ['checkout', '-q', '-b', name] : ['branch', name]);
+}
+
+/** Switch to a local branch, or to a new branch tracking `<remote>/<name>`. */
+async function switchBranch(run, name) {
+  await checkBranchName(run, name);
+  await run(['checkout', '-q', name, '--']);
+}
+
+/**
+ * Push a branch (default: the current one) to a configured remote (default:
+ * the branch's upstream remote, else `origin`, else the only remote). The first
+ * push of a branch sets its upstream. Force pushes are not offered.
+ */
+async function push(run, { remote, branch } = {}) {
+  const info = await branches(run);
+  branch = branch || info.current;
+  if (!branch) throw Object.assign(new Error('Detached HEAD — switch to a branch first'), { git: true });
+  const local = info.branches.find(b => b.name === branch);
+  if (!local) throw Object.assign(new Error(`No local branch ${branch}`), { git: true });
+  if (!info.remotes.length) throw Object.assign(new Error('No remote configured — add one with `git remote add`'), { git: true });
+  if (!remote) {
+    const upstreamRemote = local.upstream && info.remotes.find(r => local.upstream.startsWith(r + '/'));
+    remote = upstreamRemote || (info.remotes.includes('origin') ? 'origin' : info.remotes.length === 1 ? info.remotes[0] : null);
+    if (!remote) throw Object.assign(new Error('Several remotes configured — choose one'), { git: true });
+  } else if (!info.remotes.includes(remote)) {
+    throw Object.assign(new Error(`Unknown remote: ${remote}`), { git: true });
+  }
+  await run(['push', '--porcelain', ...(local.upstream ? [] : ['-u']), remote, `refs/heads/${branch}:refs/heads/${branch}`], { timeout: PUSH_TIMEOUT });
+  return { remote, branch };
+}
+
+/**
+ * Web page of a remote for commit links, from its fetch URL:
+ * git@github.com:o/r.git, ssh://git@host/o/r, https://user@host/o/r.git → https://host/o/r.
+ * Null for local paths and unrecognised URLs.
+ */
+async function remoteWebUrl(run, remote = 'origin') {
+  const url = await tryRun(run, ['remote', 'get-url', remote]);
+  if (!url) return null;
+  let m = url.match(/^(?:ssh:\/\/)?[^@\/\s]+@([^:\/\s]+)(?::\d+)?[:\/](.+?)(?:\.git)?\/?$/);
+  if (!m) m = url.match(/^https?:\/\/(?:[^@\/\s]+@)?([^\/\s]+)\/(.+?)(?:\.git)?\/?$/);
+  return m ? `https://${m[1]}/${m[2].replace(/^\/+/, '')}` : null;
+}
+
+module.exports = {
+  localRunner, remoteRunner,
+  head, status, fileDiff, stagedChanges, stage, unstage, commit, log, show,
+  branches, createBranch, switchBranch, push, remoteWebUrl,
+};
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+// PreToolUse hook: enforces the run's permission profile (see permission-profiles.js).
+// Only active in CCS subprocess context (requires CCS_PERMISSION_PROFILE).
+// A blocked call is refused with the reason — Claude sees it as the tool result —
+// and reported to Studio so the chat shows it as it happens. A call that needs
+// approval waits here until Studio returns the user's decision (or the
+// profile's default once askTimeout runs out).
+
+const path = require('path');
+const { checkToolUse, approvalNeeded } = require(path.join(__dirname, '..', 'permission-profiles.js'));
+
+function approve() {
+  process.stdout.write(JSON.stringify({ decision: 'approve' }));
+  process.exit(0);
+}
+
+function block(reason) {
+  process.stdout.write(JSON.stringify({ decision: 'block', reason: `${reason}. Do not retry it or work around it; continue without it or tell the user what you need.` }));
+  process.exit(0);
+}
+
+let profile = null;
+try { profile = JSON.parse(process.env.CCS_PERMISSION_PROFILE || 'null'); } catch {}
+if (!profile) approve();
+
+const url = process.env.CCS_PERMISSION_URL;
+const secret = process.env.CCS_PERMISSION_SECRET;
+const sessionId = process.env.CCS_PERMISSION_SESSION;
+
+// POST to Studio's internal API; calls back with the parsed reply or null
+function post(route, payload, timeout, callback) {
+  const http = require('http');
+  const body = JSON.stringify(payload);
+  const parsed = new URL(url + route);
+  const req = http.request({
+    hostname: parsed.hostname,
+    port: parsed.port || 80,
+    path: parsed.pathname,
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body),
+      'Authorization': `Bearer ${secret}`,
+    },
+    timeout,
+  }, (res) => {
+    let data = '';
+    res.on('data', chunk => { data += chunk; });
+    res.on('end', () => {
+      try { callback(res.statusCode === 200 ? JSON.parse(data) : null); } catch { callback(null); }
+    });
+  });
+  req.on('error', () => callback(null));
+  req.on('timeout', () => { req.destroy(); callback(null); });
+  req.write(body);
+  req.end();
+}
+
+let raw = '';
+process.stdin.setEncoding('utf8');
+process.stdin.on('data', d => { raw += d; });
+process.stdin.on('end', () => {
+  let event;
+  try { event = JSON.parse(raw); } catch { return approve(); }
+  const tool = event.tool_name;
+  const input = event.tool_input || {};
+  const cwd = event.cwd || process.cwd();
+
+  const reason = checkToolUse(profile, tool, input, cwd);
+  if (reason) {
+    if (!url || !secret || !sessionId) return block(reason);
+    // Reporting is best effort — the call is blocked either way
+    return post('/api/internal/tool-blocked', { sessionId, tool, input, reason, profile: profile.id }, 2000, () => block(reason));
+  }
+
+  const ask = approvalNeeded(profile, tool, input, cwd);
+  if (!ask) return approve();
+  const fallback = () => profile.askDefault === 'allow'
+    ? approve()
+    : block(`${tool} needs approval under permission profile "${profile.name || profile.id}" and nobody approved it`);
+  if (!url || !secret || !sessionId) return fallback();
+
+  post('/api/internal/tool-approval', {
+    sessionId, tool, input, cwd, pattern: ask.pattern, reason: ask.reason, profile: profile.id,
+    timeout: profile.askTimeout, default: profile.askDefault,
+  }, (profile.askTimeout + 15) * 1000, (reply) => {
+    if (!reply) return fallback();
+    if (reply.decision === 'allow') return approve();
+    block(reply.reason || `The user denied this ${tool} call`);
+  });
+});
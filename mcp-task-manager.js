@@ -3,7 +3,10 @@
 // Raw JSON-RPC 2.0 over stdio (newline-delimited). Zero external dependencies.
 // Provides tools for autonomous task creation, chaining, and result reporting
 // during scheduled task execution. Claude can create child tasks, read its own
-// context, and report structured results for dependent tasks.
+// context, report structured results for dependent tasks, wait for its
+// children to finish to collect their results, keep project memory
+// (a key-value store shared by the project's tasks) across runs, and create
+// tasks and chains from the project's templates.
 //
 // Environment variables (set by server.js at injection time):
 //   TASK_MANAGER_SERVER_URL  — e.g. http://127.0.0.1:3000
@@ -19,6 +22,10 @@ const TASK_ID = process.env.TASK_MANAGER_TASK_ID || '';
 const SESSION_ID = process.env.TASK_MANAGER_SESSION_ID || '';
 const SECRET = process.env.TASK_MANAGER_SECRET || '';
 const MAX_STDIN_BUFFER = 10 * 1024 * 1024; // 10 MB
+const REQUEST_TIMEOUT_MS = 15000;
+// Keep in sync with WAIT_DEFAULT_SECONDS / WAIT_MAX_SECONDS in server.js
+const WAIT_DEFAULT_SECONDS = 600;
+const WAIT_MAX_SECONDS = 1800;
 
 // ─── JSON-RPC helpers ────────────────────────────────────────────────────────
 
@@ -34,6 +41,11 @@ function sendError(id, code, message) {
 
 // ─── Tool definitions ────────────────────────────────────────────────────────
 
+const RECURRENCE_DESCRIPTION = 'Repeat schedule: "hourly", "daily", "weekly", "monthly", or a 5-field cron expression '
+  + '(minute hour day month weekday), e.g. "30 2 * * 1-5" = weekdays at 02:30, "0 9 * * MON#1" = first Monday at 09:00, '
+  + '"0 18 L * *" = last day of month at 18:00. Cron schedules without scheduled_at first run at the next matching time.';
+const RECURRENCE_TZ_DESCRIPTION = 'IANA timezone for a cron recurrence, e.g. "Europe/Kyiv" (default: server timezone)';
+
 const TOOLS = [
   {
     name: 'create_task',
@@ -51,8 +63,13 @@ const TOOLS = [
         chain_id: { type: 'string', description: 'Add this task to an existing chain' },
         scheduled_at: { type: 'string', description: 'ISO 8601 datetime for delayed execution' },
         max_turns: { type: 'number', description: 'Max Claude turns (default: 30)' },
+        recurrence: { type: 'string', description: RECURRENCE_DESCRIPTION },
+        recurrence_end_at: { type: 'string', description: 'ISO 8601 datetime to stop recurring' },
+        recurrence_tz: { type: 'string', description: RECURRENCE_TZ_DESCRIPTION },
+        template_id: { type: 'string', description: 'Create the task from a task template (see list_templates). The template supplies title, description, model, effort, max_turns and attachments; fields you pass override it.' },
+        variables: { type: 'object', additionalProperties: { type: 'string' }, description: 'Values for the template\'s {{variables}}' },
       },
-      required: ['title', 'description'],
+      description: 'title and description are required unless template_id is given',
     },
   },
   {
@@ -80,19 +97,27 @@ const TOOLS = [
         },
         model: { type: 'string', enum: ['haiku', 'sonnet', 'opus'], description: 'Default model for all tasks' },
         scheduled_at: { type: 'string', description: 'ISO 8601 datetime for delayed execution' },
-        recurrence: { type: 'string', enum: ['hourly', 'daily', 'weekly', 'monthly'], description: 'Repeat schedule' },
+        recurrence: { type: 'string', description: RECURRENCE_DESCRIPTION },
         recurrence_end_at: { type: 'string', description: 'ISO 8601 datetime to stop recurring' },
+        recurrence_tz: { type: 'string', description: RECURRENCE_TZ_DESCRIPTION },
+        template_id: { type: 'string', description: 'Create the chain from a chain template (see list_templates) instead of passing tasks' },
+        variables: { type: 'object', additionalProperties: { type: 'string' }, description: 'Values for the template\'s {{variables}}' },
       },
-      required: ['title', 'tasks'],
+      description: 'title and tasks are required unless template_id is given',
     },
   },
+  {
+    name: 'list_templates',
+    description: 'List the task and chain templates available in this project, with the {{variables}} each one needs. Pass a template\'s ID as template_id to create_task or create_chain.',
+    inputSchema: { type: 'object', properties: {} },
+  },
   {
     name: 'list_tasks',
     description: 'List tasks in your project. Useful for checking existing tasks, avoiding duplicates, or monitoring progress of child tasks you created.',
     inputSchema: {
       type: 'object',
       properties: {
-        status: { type: 'string', enum: ['backlog', 'todo', 'in_progress', 'done', 'cancelled'], description: 'Filter by status' },
+        status: { type: 'string', enum: ['backlog', 'todo', 'in_progress', 'review', 'done', 'cancelled'], description: 'Filter by status' },
         chain_id: { type: 'string', description: 'Filter by chain ID' },
         limit: { type: 'number', description: 'Max results (default 20, max 50)' },
       },
@@ -137,11 +162,103 @@ const TOOLS = [
       required: ['task_id'],
     },
   },
+  {
+    name: 'wait_for_tasks',
+    description: 'Block until the listed tasks finish (done, cancelled/failed, or awaiting review), then return each one\'s status and reported result — use it to fan out work with create_task and collect the results in one place. While you wait you do not occupy a worker slot, so your children can run. Do not wait for tasks that depend on you or share your session; they cannot start before you finish. Waiting time counts toward your own run time limit. If the timeout passes first, you get the current state and can call again.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_ids: { type: 'array', items: { type: 'string' }, description: 'IDs of the tasks to wait for (max 50)' },
+        timeout_seconds: { type: 'number', description: `How long to wait at most (default ${WAIT_DEFAULT_SECONDS}, max ${WAIT_MAX_SECONDS})` },
+      },
+      required: ['task_ids'],
+    },
+  },
+  {
+    name: 'retry_task',
+    description: 'Re-queue a failed or cancelled task you created. The child is told why its previous run failed; use context and notes to tell it what to do differently. Tasks that were cancelled only because this one failed are re-queued with it.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: { type: 'string', description: 'ID of the task to retry' },
+        context: { description: 'New context for the child, replacing the old one (string or JSON object). Omit to keep the current context.' },
+        notes: { type: 'string', description: 'Extra instructions for this attempt, added to the task notes' },
+      },
+      required: ['task_id'],
+    },
+  },
+  {
+    name: 'update_task',
+    description: 'Edit a task you created that has not started yet (backlog or todo). Only the fields you pass are changed.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: { type: 'string', description: 'ID of the task to update' },
+        title: { type: 'string', description: 'New title (max 200 chars)' },
+        description: { type: 'string', description: 'New description (max 2000 chars)' },
+        context: { description: 'New context, replacing the old one (string or JSON object)' },
+        model: { type: 'string', enum: ['haiku', 'sonnet', 'opus'] },
+        max_turns: { type: 'number' },
+        depends_on: { type: 'array', items: { type: 'string' }, description: 'Task IDs that must complete first; replaces the current list ([] removes all)' },
+        scheduled_at: { type: 'string', description: 'ISO 8601 datetime for delayed execution' },
+      },
+      required: ['task_id'],
+    },
+  },
+  {
+    name: 'memory_get',
+    description: 'Read a key from the project memory — a key-value store shared by all tasks of this project that persists between runs (e.g. "issues already handled" for a recurring triage task). Returns the value, or the entries of a log key.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        key: { type: 'string', description: 'Key to read' },
+        limit: { type: 'number', description: 'For a log key: return only the newest N entries' },
+      },
+      required: ['key'],
+    },
+  },
+  {
+    name: 'memory_set',
+    description: 'Store a value under a key in the project memory, replacing what was there. Pass value null to delete the key. Keys may use letters, digits and . _ - : / @ # — prefixes such as "triage/" keep related keys together.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        key: { type: 'string', description: 'Key to write (max 200 chars)' },
+        value: { description: 'Value to store (string, number, or JSON object/array, max 64 KB); null deletes the key' },
+        ttl_seconds: { type: 'number', description: 'Forget the value after this many seconds (default: keep)' },
+      },
+      required: ['key', 'value'],
+    },
+  },
+  {
+    name: 'memory_append',
+    description: 'Append an entry to a log key in the project memory, creating it if needed. Use it for running records like handled issue numbers or deploy history. Only the newest 500 entries are kept.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        key: { type: 'string', description: 'Log key to append to' },
+        value: { description: 'Entry to append (string, number, or JSON object/array, max 64 KB)' },
+        ttl_seconds: { type: 'number', description: 'Drop this entry after this many seconds (default: keep)' },
+      },
+      required: ['key', 'value'],
+    },
+  },
+  {
+    name: 'memory_list',
+    description: 'List the keys in the project memory with a short preview of each.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        prefix: { type: 'string', description: 'Only keys starting with this prefix' },
+        limit: { type: 'number', description: 'Max results (default 100)' },
+      },
+    },
+  },
 ];
 
 // ─── HTTP POST to Express server ─────────────────────────────────────────────
 
-function postToServer(body) {
+function postToServer(body, timeout = REQUEST_TIMEOUT_MS) {
   return new Promise((resolve, reject) => {
     const data = JSON.stringify({
       ...body,
@@ -160,7 +277,7 @@ function postToServer(body) {
         'Content-Length': Buffer.byteLength(data),
         'Authorization': `Bearer ${SECRET}`,
       },
-      timeout: 15000,
+      timeout,
     };
 
     const req = http.request(options, (res) => {
@@ -226,17 +343,31 @@ async function handleMessage(msg) {
       const args = params?.arguments || {};
 
       try {
-        const result = await postToServer({ ...args, action: toolName }); // action AFTER spread — prevents override
+        // wait_for_tasks holds the request open for up to timeout_seconds
+        const timeout = toolName === 'wait_for_tasks'
+          ? (Math.min(Math.max(Number(args.timeout_seconds) || WAIT_DEFAULT_SECONDS, 1), WAIT_MAX_SECONDS) + 30) * 1000
+          : REQUEST_TIMEOUT_MS;
+        const result = await postToServer({ ...args, action: toolName }, timeout); // action AFTER spread — prevents override
 
         // Format response based on tool
         let text;
         switch (toolName) {
           case 'create_task':
-            text = `Task created: "${result.title}" (ID: ${result.task_id}, status: ${result.status})`;
+            text = `Task created: "${result.title}" (ID: ${result.task_id}, status: ${result.status}${result.scheduled_at ? `, first run: ${result.scheduled_at}` : ''})`;
             break;
           case 'create_chain':
             text = `Chain created (ID: ${result.chain_id}) with ${result.task_ids.length} tasks:\n${result.task_ids.map((id, i) => `  ${i + 1}. ${id}`).join('\n')}`;
             break;
+          case 'list_templates':
+            if (!result.templates?.length) {
+              text = 'No templates in this project.';
+            } else {
+              text = `Found ${result.templates.length} templates:\n${result.templates.map(tpl => {
+                const vars = tpl.variables.map(v => v.default !== undefined ? `${v.name}="${v.default}"` : v.name).join(', ');
+                return `  - [${tpl.kind}] "${tpl.name}" (ID: ${tpl.id})${vars ? ` — variables: ${vars}` : ''}`;
+              }).join('\n')}`;
+            }
+            break;
           case 'list_tasks':
             if (!result.tasks?.length) {
               text = 'No tasks found matching the criteria.';
@@ -256,6 +387,38 @@ async function handleMessage(msg) {
           case 'cancel_task':
             text = `Task ${result.task_id} cancelled.`;
             break;
+          case 'wait_for_tasks': {
+            const pending = result.tasks.filter(t => !['done', 'cancelled', 'review', 'deleted'].includes(t.status)).length;
+            const head = result.timed_out
+              ? `Timed out after ${result.waited_seconds}s — ${pending} of ${result.tasks.length} tasks still pending. Call wait_for_tasks again to keep waiting.`
+              : `All ${result.tasks.length} tasks finished (waited ${result.waited_seconds}s).`;
+            text = `${head}\n${JSON.stringify(result.tasks, null, 2)}`;
+            break;
+          }
+          case 'retry_task':
+            text = `Task ${result.task_id} re-queued.${result.requeued_dependents?.length ? ` Also re-queued its dependents: ${result.requeued_dependents.join(', ')}` : ''}`;
+            break;
+          case 'update_task':
+            text = `Task updated: "${result.title}" (ID: ${result.task_id}, status: ${result.status})`;
+            break;
+          case 'memory_get':
+            text = result.found ? JSON.stringify(result, null, 2) : `Key "${result.key}" is not set.`;
+            break;
+          case 'memory_set':
+            text = result.deleted !== undefined
+              ? (result.deleted ? `Key "${result.key}" deleted.` : `Key "${result.key}" was not set.`)
+              : `Stored "${result.key}"${result.expires_at ? ` (expires ${new Date(result.expires_at * 1000).toISOString()})` : ''}.`;
+            break;
+          case 'memory_append':
+            text = `Appended to "${result.key}" (entry ${result.entry_id}, ${result.count} entries).`;
+            break;
+          case 'memory_list':
+            if (!result.keys?.length) {
+              text = 'Project memory is empty.';
+            } else {
+              text = `Found ${result.keys.length} keys:\n${result.keys.map(k => `  - ${k.key} [${k.kind === 'log' ? `log, ${k.count} entries` : 'value'}] ${k.preview}`).join('\n')}`;
+            }
+            break;
           default:
             text = JSON.stringify(result);
         }
@@ -0,0 +1,335 @@
+// ─── Permission profiles for Claude Code Studio ─────────────────────────────
+// Named tool policies for chats and tasks, applied on top of
+// --dangerously-skip-permissions (Studio runs the CLI non-interactively, so
+// the CLI's own prompts never appear — Studio's hook allows, blocks, or asks).
+// No external npm dependencies.
+//
+// A profile is a plain object:
+//   { name, description, tools, deny, editPaths, ask, askOutsideProject, askTimeout, askDefault }
+//   tools:     built-in tools the CLI offers at all (--tools); omitted = all
+//   deny:      rules in Claude Code's permission syntax: `WebFetch`,
+//              `Bash(git push:*)` (command prefix), `Bash(rm -rf *)` (glob),
+//              `Edit(config/**)` (path relative to the project; `//abs`, `~/home`)
+//   editPaths: globs a file-writing tool may touch; omitted = anywhere
+//   ask:       rules (same syntax) that pause the run until a user approves the call
+//   askOutsideProject: file writes outside the project also need approval
+//   askTimeout / askDefault: seconds to wait for an answer, and what happens
+//              when nobody answers (deny | allow)
+//
+// `deny` goes to the CLI as settings.permissions.deny, which it enforces even
+// with permission checks skipped. Locally the PreToolUse hook in
+// hooks/check-permission.js evaluates the same rules first (plus editPaths,
+// which Claude's own rules cannot express) and reports every block to Studio,
+// which shows it in the chat stream. Calls matching `ask` are held by the
+// same hook while Studio asks the user in the web UI and on Telegram. These are guardrails against mistakes,
+// not a sandbox: Bash can still reach the network or write files through
+// commands the rules do not name. Use the container backend for isolation.
+'use strict';
+
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_PROFILE = 'full';
+const ID_RE = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+const RULE_RE = /^([A-Za-z0-9_*-]+)(?:\((.*)\))?$/s;
+const MAX_RULES = 200;
+const ASK_TIMEOUT = 300;              // seconds
+const ASK_TIMEOUT_MAX = 24 * 3600;
+const ASK_DEFAULTS = ['deny', 'allow'];
+const FILE_TOOLS = ['Read', 'Edit', 'Write', 'MultiEdit', 'NotebookEdit', 'Glob', 'Grep', 'LS'];
+const WRITE_TOOLS = ['Edit', 'Write', 'MultiEdit', 'NotebookEdit'];
+const NETWORK_COMMANDS = [
+  'curl', 'wget', 'http', 'https', 'aria2c', 'ssh', 'scp', 'sftp', 'rsync', 'ftp', 'telnet', 'nc', 'ncat', 'netcat', 'socat',
+  'git push', 'git pull', 'git fetch', 'git clone', 'git ls-remote', 'git submodule update',
+  'npm install', 'npm i', 'npm ci', 'npm publish', 'npx', 'pnpm', 'yarn', 'bun install', 'bun add',
+  'pip install', 'pip3 install', 'uv pip install', 'poetry install', 'gem install', 'bundle install',
+  'cargo install', 'cargo fetch', 'go get', 'go install', 'go mod download',
+  'docker pull', 'docker push', 'podman pull', 'podman push', 'apt', 'apt-get', 'brew', 'gh',
+];
+
+const BUILTIN_PROFILES = {
+  full: {
+    name: 'Full access',
+    description: 'Every tool, no restrictions',
+  },
+  'read-only': {
+    name: 'Read-only',
+    description: 'Read and search files and the web; no edits, no shell',
+    tools: ['Read', 'Glob', 'Grep', 'LS', 'WebFetch', 'WebSearch', 'TodoWrite'],
+  },
+  'no-network-bash': {
+    name: 'No network in Bash',
+    description: 'Bash cannot run downloaders, remote shells, package installs or git remotes',
+    deny: NETWORK_COMMANDS.map(c => `Bash(${c}:*)`),
+  },
+  'no-git-push': {
+    name: 'No git push',
+    description: 'Commits stay local: git push is blocked',
+    deny: ['Bash(git push:*)'],
+  },
+  'edit-src-only': {
+    name: 'Edit only under src/',
+    description: 'File edits are limited to src/ in the project',
+    editPaths: ['src/**'],
+  },
+  'ask-risky': {
+    name: 'Ask before risky actions',
+    description: 'Deleting files, git push, deploys and writes outside the project wait for approval',
+    ask: [
+      'Bash(rm:*)', 'Bash(git push:*)', 'Bash(git reset --hard:*)', 'Bash(git clean:*)',
+      'Bash(*deploy*)', 'Bash(kubectl:*)', 'Bash(helm:*)', 'Bash(terraform apply:*)', 'Bash(terraform destroy:*)',
+      'Bash(npm publish:*)', 'Bash(docker push:*)',
+    ],
+    askOutsideProject: true,
+  },
+};
+
+// ─── Profiles ────────────────────────────────────────────────────────────────
+
+function cleanList(value, field) {
+  if (value === undefined || value === null) return { list: undefined };
+  if (!Array.isArray(value)) return { error: `${field} must be an array of strings` };
+  const list = value.map(v => String(v).trim()).filter(Boolean);
+  if (list.length > MAX_RULES) return { error: `${field}: at most ${MAX_RULES} entries` };
+  return { list };
+}
+
+/**
+ * Validate a custom profile coming from the API or config.json.
+ * Returns { profile } or { error }.
+ */
+function cleanProfile(input) {
+  const src = input && typeof input === 'object' ? input : {};
+  const name = String(src.name || '').trim().substring(0, 80);
+  if (!name) return { error: 'name required' };
+  const profile = { name, description: String(src.description || '').trim().substring(0, 300) };
+  for (const field of ['tools', 'deny', 'editPaths', 'ask']) {
+    const { list, error } = cleanList(src[field], field);
+    if (error) return { error };
+    if (list) profile[field] = list;
+  }
+  for (const rule of [...(profile.deny || []), ...(profile.ask || [])]) {
+    if (!RULE_RE.test(rule)) return { error: `Invalid rule: ${rule}` };
+  }
+  if (src.askOutsideProject) profile.askOutsideProject = true;
+  if (src.askTimeout !== undefined && src.askTimeout !== null && src.askTimeout !== '') {
+    const secs = Number(src.askTimeout);
+    if (!Number.isInteger(secs) || secs < 10 || secs > ASK_TIMEOUT_MAX) return { error: `askTimeout must be 10–${ASK_TIMEOUT_MAX} seconds` };
+    profile.askTimeout = secs;
+  }
+  if (src.askDefault) {
+    if (!ASK_DEFAULTS.includes(src.askDefault)) return { error: `askDefault must be one of: ${ASK_DEFAULTS.join(', ')}` };
+    profile.askDefault = src.askDefault;
+  }
+  if (profile.tools?.some(t => !/^[A-Za-z][A-Za-z0-9_]*$/.test(t))) return { error: 'tools must be tool names like Read or Bash' };
+  return { profile };
+}
+
+/** Built-in profiles plus the custom ones from config.json, as a list for the UI. */
+function listProfiles(custom = {}) {
+  const out = Object.entries(BUILTIN_PROFILES).map(([id, p]) => ({ id, builtin: true, ...p }));
+  for (const [id, p] of Object.entries(custom || {})) {
+    if (BUILTIN_PROFILES[id] || !ID_RE.test(id)) continue;
+    const { profile } = cleanProfile(p);
+    if (profile) out.push({ id, builtin: false, ...profile });
+  }
+  return out;
+}
+
+/** Profile by id, or null when no such profile exists. */
+function resolveProfile(id, custom = {}) {
+  const key = id || DEFAULT_PROFILE;
+  if (BUILTIN_PROFILES[key]) return { id: key, ...BUILTIN_PROFILES[key] };
+  if (!ID_RE.test(key) || !custom?.[key]) return null;
+  const { profile } = cleanProfile(custom[key]);
+  return profile ? { id: key, ...profile } : null;
+}
+
+/** True when the profile changes nothing, so runs can skip the hook entirely. */
+function isUnrestricted(profile) {
+  return !profile || (!profile.tools && !profile.deny?.length && !profile.editPaths?.length && !asksApproval(profile));
+}
+
+function asksApproval(profile) {
+  return !!(profile?.ask?.length || profile?.askOutsideProject);
+}
+
+/**
+ * CLI options that apply `profile`: { tools, settings, env }.
+ * `tools` is the --tools value (undefined = all); `settings` goes into
+ * --settings (undefined = nothing to add); `env` carries the rules to the hook. `withHook` is false where
+ * Studio's hook script cannot run (SSH hosts) — then only the CLI's own
+ * deny rules apply, with `ask` rules added to them.
+ */
+function profileCliOptions(profile, { withHook = true } = {}) {
+  if (isUnrestricted(profile)) return { tools: undefined, settings: undefined, env: {} };
+  const settings = {};
+  // Without the hook nobody can be asked, so calls that need approval are refused
+  const deny = withHook ? profile.deny || [] : [...(profile.deny || []), ...(profile.ask || [])];
+  if (deny.length) settings.permissions = { deny };
+  const env = {};
+  if (withHook && (profile.deny?.length || profile.editPaths?.length || asksApproval(profile))) {
+    // A call waiting for approval holds the hook until the user answers or askTimeout runs out
+    const timeout = asksApproval(profile) ? (profile.askTimeout || ASK_TIMEOUT) + 30 : 5;
+    settings.hooks = { PreToolUse: [{ matcher: '.*', hooks: [{ type: 'command', command: `node "${path.join(__dirname, 'hooks', 'check-permission.js')}"`, timeout }] }] };
+    env.CCS_PERMISSION_PROFILE = JSON.stringify({
+      id: profile.id, name: profile.name, deny: profile.deny || [], editPaths: profile.editPaths || [],
+      ask: profile.ask || [], askOutsideProject: !!profile.askOutsideProject,
+      askTimeout: profile.askTimeout || ASK_TIMEOUT, askDefault: profile.askDefault || 'deny',
+    });
+  }
+  return { tools: profile.tools?.join(','), settings: Object.keys(settings).length ? settings : undefined, env };
+}
+
+/** Merge two --settings objects, concatenating hook lists per event. */
+function mergeSettings(a = {}, b = {}) {
+  const out = { ...a, ...b };
+  if (a.hooks || b.hooks) {
+    out.hooks = { ...(a.hooks || {}) };
+    for (const [event, list] of Object.entries(b.hooks || {})) out.hooks[event] = [...(out.hooks[event] || []), ...list];
+  }
+  return out;
+}
+
+// ─── Rule matching ───────────────────────────────────────────────────────────
+
+function globToRegExp(glob) {
+  let re = '';
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*' && glob[i + 1] === '*') {
+      re += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += glob[i + 2] === '/' ? 2 : 1;
+    } else if (c === '*') re += '[^/]*';
+    else if (c === '?') re += '[^/]';
+    else re += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  }
+  return new RegExp(`^${re}$`);
+}
+
+// Bash globs match whole commands, where `*` also spans slashes
+function commandGlob(glob) {
+  return new RegExp('^' + glob.split('*').map(s => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$', 's');
+}
+
+// Split a shell line into the simple commands it runs, so `cd x && git push`,
+// `echo $(curl …)` and `bash -c "git push"` are checked command by command.
+function splitCommands(command) {
+  return String(command || '')
+    .split(/&&|\|\||[;|\n&]|\$\(|`|\(|\)/)
+    .map(normalizeCommand)
+    .filter(Boolean);
+}
+
+function normalizeCommand(cmd) {
+  let c = cmd.trim().replace(/\s+/g, ' ');
+  // Leading env assignments and wrappers don't change what runs. A script passed
+  // to `sh -c` or `eval` is itself a command line: the split above already cut
+  // it at its separators, so only the quotes around the pieces are left to drop.
+  for (;;) {
+    const next = c
+      .replace(/^["']+|["']+$/g, '')
+      .replace(/^[A-Za-z_][A-Za-z0-9_]*=("[^"]*"|'[^']*'|\S*) /, '')
+      .replace(/^(sudo|env|command|exec|nohup|time|nice|timeout \S+|xargs) /, '')
+      .replace(/^(eval|(?:ba|da|k|z)?sh(?: --?[a-z-]+)*? -[a-z]*c[a-z]*) /, '');
+    if (next === c) break;
+    c = next;
+  }
+  // `git -C dir push`, `git -c k=v push`, `git --no-pager push` → `git push`
+  if (/^git /.test(c)) {
+    c = c.replace(/^git ((?:(?:-C|-c) \S+ |--[a-z-]+(?:=\S+)? )+)/, 'git ');
+  }
+  return c.replace(/^\S*\/(?=[^/\s]+(?: |$))/, ''); // /usr/bin/curl → curl
+}
+
+function parseRule(rule) {
+  const m = RULE_RE.exec(String(rule).trim());
+  return m ? { tool: m[1], spec: m[2] } : null;
+}
+
+function toolMatches(pattern, toolName) {
+  return pattern.includes('*') ? commandGlob(pattern).test(toolName) : pattern === toolName;
+}
+
+function commandMatches(spec, command) {
+  const subs = splitCommands(command);
+  if (spec.endsWith(':*')) {
+    const prefix = spec.slice(0, -2).trim().replace(/\s+/g, ' ');
+    return subs.some(c => c === prefix || c.startsWith(prefix + ' '));
+  }
+  const re = commandGlob(spec.trim());
+  return subs.some(c => re.test(c));
+}
+
+function toolPath(input) {
+  return input?.file_path || input?.notebook_path || input?.path || null;
+}
+
+// Absolute path for a glob in Claude's syntax: `//abs`, `~/home`, else relative to the project
+function pathGlob(glob, cwd) {
+  if (glob.startsWith('//')) return glob.slice(1);
+  if (glob.startsWith('~/')) return path.join(os.homedir(), glob.slice(2));
+  return path.join(cwd, glob.replace(/^\.?\//, ''));
+}
+
+function pathMatches(glob, filePath, cwd) {
+  return globToRegExp(pathGlob(glob, cwd)).test(path.resolve(cwd, filePath));
+}
+
+/** True when `rule` covers this tool call. */
+function ruleMatches(rule, toolName, input, cwd) {
+  const r = parseRule(rule);
+  if (!r || !toolMatches(r.tool, toolName)) return false;
+  if (r.spec === undefined || r.spec === '' || r.spec === '*') return true;
+  if (toolName === 'Bash') return commandMatches(r.spec, input?.command);
+  return FILE_TOOLS.includes(toolName) && !!toolPath(input) && pathMatches(r.spec, toolPath(input), cwd);
+}
+
+/**
+ * Check one tool call against a profile's rules.
+ * Returns null when allowed, or the reason it is blocked.
+ */
+function checkToolUse(profile, toolName, input, cwd) {
+  if (!profile) return null;
+  const label = `permission profile "${profile.name || profile.id}"`;
+  for (const rule of profile.deny || []) {
+    if (!ruleMatches(rule, toolName, input, cwd)) continue;
+    const r = parseRule(rule);
+    if (r.spec === undefined || r.spec === '' || r.spec === '*') return `${toolName} is not allowed by ${label}`;
+    if (toolName === 'Bash') return `This command is not allowed by ${label} (rule ${rule})`;
+    return `${toolName} on ${toolPath(input)} is not allowed by ${label} (rule ${rule})`;
+  }
+  if (profile.editPaths?.length && WRITE_TOOLS.includes(toolName)) {
+    const p = toolPath(input);
+    if (p && !profile.editPaths.some(g => pathMatches(g, p, cwd))) {
+      return `${label} only allows edits in ${profile.editPaths.join(', ')}; ${p} is outside`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check whether an allowed call still needs the user's approval.
+ * Returns null, or { pattern, reason }: `pattern` is the rule an
+ * "always allow" answer adds for the rest of the session.
+ */
+function approvalNeeded(profile, toolName, input, cwd) {
+  if (!asksApproval(profile)) return null;
+  const rule = (profile.ask || []).find(r => ruleMatches(r, toolName, input, cwd));
+  if (rule) return { pattern: rule, reason: `matches ${rule}` };
+  const p = toolPath(input);
+  if (profile.askOutsideProject && WRITE_TOOLS.includes(toolName) && p) {
+    const abs = path.resolve(cwd, p);
+    const rel = path.relative(cwd, abs);
+    if (rel.startsWith('..') || path.isAbsolute(rel)) {
+      return { pattern: `${toolName}(/${path.join(path.dirname(abs), '**')})`, reason: `writes outside the project (${abs})` };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  DEFAULT_PROFILE, BUILTIN_PROFILES, ID_RE, ASK_DEFAULTS,
+  cleanProfile, listProfiles, resolveProfile, isUnrestricted,
+  profileCliOptions, mergeSettings, checkToolUse, approvalNeeded, ruleMatches,
+};
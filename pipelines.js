@@ -0,0 +1,621 @@
+// ─── Pipelines as code for Claude Code Studio ───────────────────────────────
+// Task chains declared in a file committed to the project (.studio/pipelines.yml)
+// so they can be reviewed in PRs. Studio validates the file, shows what would
+// change in the database and syncs it into task_chains/tasks; existing chains
+// export back to the same format. No external npm dependencies — the YAML
+// reader and writer below cover the subset this format needs.
+//
+// File format:
+//   version: 1
+//   pipelines:
+//     nightly-audit:                 # key: how a chain is matched on the next sync
+//       title: Nightly dependency audit
+//       model: sonnet                # haiku | sonnet | opus; steps inherit it
+//       effort: medium
+//       max_turns: 30
+//       schedule: "0 3 * * *"        # hourly | daily | weekly | monthly or cron
+//       timezone: Europe/Kyiv
+//       requires_approval: false     # true = every step waits for review
+//       active: true                 # start the chain when it is not queued yet
+//       tasks:
+//         - id: audit                # step key, unique within the pipeline
+//           title: Run npm audit
+//           description: |
+//             List vulnerable packages.
+//         - id: fix
+//           title: Fix what can be fixed
+//           needs: [audit]           # default: the previous step; [] = no dependency
+//           requires_approval: true
+// JSON with the same shape works too (.studio/pipelines.json).
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const cron = require('./cron');
+
+const FILES = ['.studio/pipelines.yml', '.studio/pipelines.yaml', '.studio/pipelines.json'];
+const MODELS = ['haiku', 'sonnet', 'opus'];
+const EFFORTS = ['low', 'medium', 'high', 'xhigh', 'max'];
+const PRESETS = ['hourly', 'daily', 'weekly', 'monthly'];
+const KEY_RE = /^[A-Za-z0-9][\w.-]{0,63}$/;
+const MAX_PIPELINES = 100;
+const MAX_STEPS = 50;
+const DEFAULTS = { model: 'sonnet', effort: null, max_turns: 30 };
+
+const PIPELINE_FIELDS = ['title', 'model', 'effort', 'max_turns', 'schedule', 'timezone', 'requires_approval', 'active', 'tasks'];
+const STEP_FIELDS = ['id', 'title', 'description', 'model', 'effort', 'max_turns', 'requires_approval', 'needs'];
+
+// ─── YAML subset ─────────────────────────────────────────────────────────────
+// Block mappings and sequences, plain and quoted scalars, | and > block text,
+// single-line [flow] and {flow} collections and comments. Anchors, aliases,
+// tags and multi-document files are rejected rather than misread.
+
+class YamlError extends Error {
+  constructor(message, line) {
+    super(line ? `Line ${line}: ${message}` : message);
+    this.name = 'YamlError';
+    this.line = line || null;
+  }
+}
+
+const isBlank = l => /^\s*(#.*)?$/.test(l) || /^(---|\.\.\.)\s*(#.*)?$/.test(l);
+const indentOf = l => l.length - l.trimStart().length;
+
+// Drop a trailing comment: a # at the start or after whitespace, outside quotes
+function stripComment(s) {
+  let quote = null;
+  for (let i = 0; i < s.length; i++) {
+    const c = s[i];
+    if (quote) {
+      if (c === '\\' && quote === '"') i++;
+      else if (c === quote) quote = null;
+    } else if (c === '"' || c === "'") {
+      if (i === 0 || /[\s[{,:-]/.test(s[i - 1])) quote = c;
+    } else if (c === '#' && (i === 0 || /\s/.test(s[i - 1]))) {
+      return s.slice(0, i).trimEnd();
+    }
+  }
+  return s.trimEnd();
+}
+
+// "key: rest" → { key, rest }, or null when the text is not a mapping entry
+function splitKey(s) {
+  if (s[0] === '"' || s[0] === "'") {
+    const m = s[0] === '"' ? /^"(?:[^"\\]|\\.)*"/.exec(s) : /^'(?:[^']|'')*'/.exec(s);
+    if (!m) return null;
+    const after = s.slice(m[0].length);
+    const colon = /^\s*:(\s|$)/.exec(after);
+    if (!colon) return null;
+    return { key: parseScalar(m[0]), rest: after.slice(colon[0].length).trim() };
+  }
+  if (/^[-?]\s|^[[{]/.test(s)) return null;
+  const m = /:(\s|$)/.exec(s);
+  if (!m) return null;
+  return { key: s.slice(0, m.index).trim(), rest: s.slice(m.index + 1).trim() };
+}
+
+function parseScalar(s, line) {
+  if (s === '' || s === '~' || /^(null|Null|NULL)$/.test(s)) return null;
+  if (/^(true|True|TRUE)$/.test(s)) return true;
+  if (/^(false|False|FALSE)$/.test(s)) return false;
+  if (s[0] === '"') {
+    if (!/^"(?:[^"\\]|\\.)*"$/.test(s)) throw new YamlError('Unterminated or malformed double-quoted string', line);
+    try { return JSON.parse(s.replace(/\\'/g, "'").replace(/\t/g, '\\t')); } catch { throw new YamlError(`Bad escape in ${s}`, line); }
+  }
+  if (s[0] === "'") {
+    if (!/^'(?:[^']|'')*'$/.test(s)) throw new YamlError('Unterminated or malformed single-quoted string', line);
+    return s.slice(1, -1).replace(/''/g, "'");
+  }
+  if (/^[&*!]/.test(s)) throw new YamlError(`Anchors, aliases and tags are not supported — quote the value: "${s}"`, line);
+  if (/^[|>]/.test(s)) throw new YamlError('Block text (| or >) must end its line', line);
+  if (/^[-+]?\d+$/.test(s)) return Number(s);
+  if (/^[-+]?(\d+\.\d*|\.\d+|\d+(\.\d*)?[eE][-+]?\d+)$/.test(s)) return Number(s);
+  return s;
+}
+
+// Single-line flow collection: [a, "b", {c: d}] or {a: 1, b: [x]}
+function parseFlow(s, line) {
+  let i = 0;
+  const ws = () => { while (i < s.length && /\s/.test(s[i])) i++; };
+  function token() {
+    ws();
+    const c = s[i];
+    if (c === '[' || c === '{') return collection();
+    if (c === '"' || c === "'") {
+      const m = (c === '"' ? /^"(?:[^"\\]|\\.)*"/ : /^'(?:[^']|'')*'/).exec(s.slice(i));
+      if (!m) throw new YamlError('Unterminated string in flow collection', line);
+      i += m[0].length;
+      return parseScalar(m[0], line);
+    }
+    const m = /^[^,\]}]*/.exec(s.slice(i));
+    let text = m[0];
+    // In a {mapping} the key ends at ": "
+    const colon = /:(\s|$)/.exec(text);
+    if (colon) text = text.slice(0, colon.index);
+    i += text.length;
+    return parseScalar(text.trim(), line);
+  }
+  function collection() {
+    const open = s[i++], close = open === '[' ? ']' : '}';
+    const out = open === '[' ? [] : {};
+    ws();
+    if (s[i] === close) { i++; return out; }
+    for (;;) {
+      if (open === '[') out.push(token());
+      else {
+        const key = token();
+        ws();
+        if (s[i] !== ':') throw new YamlError('Expected ":" in flow mapping', line);
+        i++;
+        out[String(key)] = token();
+      }
+      ws();
+      if (s[i] === ',') { i++; ws(); if (s[i] === close) { i++; return out; } continue; }
+      if (s[i] === close) { i++; return out; }
+      throw new YamlError(`Expected "," or "${close}" in flow collection`, line);
+    }
+  }
+  const value = collection();
+  ws();
+  if (i < s.length) throw new YamlError('Unexpected text after flow collection (flow collections must fit on one line)', line);
+  return value;
+}
+
+function parseYaml(text) {
+  const lines = String(text).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+  let i = 0;
+  if (lines.filter(l => /^---\s*(#.*)?$/.test(l)).length > 1) throw new YamlError('Only one YAML document per file is supported');
+
+  const skipBlank = () => { while (i < lines.length && isBlank(lines[i])) i++; };
+  const lineAt = () => {
+    const raw = lines[i];
+    if (/^\t| \t/.test(raw.slice(0, indentOf(raw) + 1))) throw new YamlError('Tabs are not allowed for indentation', i + 1);
+    return { indent: indentOf(raw), content: stripComment(raw.trimStart()), no: i + 1 };
+  };
+  const isSeqItem = c => c === '-' || c.startsWith('- ');
+
+  function parseNode(minIndent) {
+    skipBlank();
+    if (i >= lines.length) return null;
+    const { indent, content, no } = lineAt();
+    if (indent < minIndent) return null;
+    if (isSeqItem(content)) return parseSeq(indent);
+    if (splitKey(content)) return parseMap(indent);
+    i++;
+    return parseValue(content, indent, no);
+  }
+
+  function parseMap(indent) {
+    const obj = {};
+    for (;;) {
+      skipBlank();
+      if (i >= lines.length) break;
+      const { indent: ind, content, no } = lineAt();
+      if (ind < indent) break;
+      if (ind > indent) throw new YamlError('Unexpected indentation', no);
+      if (isSeqItem(content)) break;
+      const kv = splitKey(content);
+      if (!kv) throw new YamlError(`Expected "key: value", got "${content}"`, no);
+      const key = String(kv.key);
+      if (Object.prototype.hasOwnProperty.call(obj, key)) throw new YamlError(`Duplicate key "${key}"`, no);
+      i++;
+      obj[key] = parseValue(kv.rest, indent, no, true);
+    }
+    return obj;
+  }
+
+  function parseSeq(indent) {
+    const arr = [];
+    for (;;) {
+      skipBlank();
+      if (i >= lines.length) break;
+      const { indent: ind, content, no } = lineAt();
+      if (ind < indent || !isSeqItem(content)) break;
+      if (ind > indent) throw new YamlError('Unexpected indentation', no);
+      const rest = content.slice(1).trimStart();
+      const col = ind + 1 + (content.length - 1 - rest.length);
+      if (rest && (isSeqItem(rest) || splitKey(rest))) {
+        // "- key: value" / "- - x": re-read the rest of the line as a nested block at its column
+        lines[i] = ' '.repeat(col) + rest;
+        arr.push(isSeqItem(rest) ? parseSeq(col) : parseMap(col));
+      } else {
+        i++;
+        arr.push(parseValue(rest, ind, no));
+      }
+    }
+    return arr;
+  }
+
+  // The value after "key:" or "- "; an empty one is a nested block on the next lines
+  function parseValue(rest, parentIndent, no, inMap = false) {
+    if (rest === '') {
+      skipBlank();
+      if (i >= lines.length) return null;
+      const next = lineAt();
+      if (next.indent > parentIndent) return parseNode(next.indent);
+      // YAML allows a mapping's sequence at the key's own indentation
+      if (inMap && next.indent === parentIndent && isSeqItem(next.content)) return parseSeq(parentIndent);
+      return null;
+    }
+    if (rest[0] === '|' || rest[0] === '>') return parseBlockText(rest, parentIndent, no);
+    if (rest[0] === '[' || rest[0] === '{') return parseFlow(rest, no);
+    return parseScalar(rest, no);
+  }
+
+  function parseBlockText(header, parentIndent, no) {
+    const m = /^([|>])([-+]?)(\d?)([-+]?)$/.exec(header);
+    if (!m) throw new YamlError(`Bad block text header "${header}"`, no);
+    const folded = m[1] === '>';
+    const chomp = m[2] || m[4];
+    let blockIndent = m[3] ? parentIndent + Number(m[3]) : null;
+    const body = [];
+    while (i < lines.length) {
+      const raw = lines[i];
+      if (raw.trim() === '') { body.push(''); i++; continue; }
+      const ind = indentOf(raw);
+      if (blockIndent === null) {
+        if (ind <= parentIndent) break;
+        blockIndent = ind;
+      }
+      if (ind < blockIndent) break;
+      body.push(raw.slice(blockIndent));
+      i++;
+    }
+    let trailing = 0;
+    while (body.length && body[body.length - 1] === '') { body.pop(); trailing++; }
+    let text;
+    if (folded) {
+      text = '';
+      body.forEach((l, k) => {
+        if (k === 0) { text = l; return; }
+        const prev = body[k - 1];
+        if (l === '' || prev === '' || /^\s/.test(l) || /^\s/.test(prev)) text += '\n' + l;
+        else text += ' ' + l;
+      });
+      text = text.replace(/\n(?=\n)/g, '');
+    } else {
+      text = body.join('\n');
+    }
+    if (!body.length) return '';
+    if (chomp === '-') return text;
+    if (chomp === '+') return text + '\n'.repeat(trailing + 1);
+    return text + '\n';
+  }
+
+  skipBlank();
+  const value = i < lines.length ? parseNode(0) : null;
+  skipBlank();
+  if (i < lines.length) throw new YamlError('Unexpected content (check the indentation)', i + 1);
+  return value;
+}
+
+// Strings that would read back as something else (or not at all) get double quotes
+function needsQuotes(s) {
+  return s === '' || s !== s.trim() || /^[-?:,[\]{}#&*!|>'"%@`]/.test(s) || /: |:$| #|\t/.test(s)
+    || /^(null|Null|NULL|~|true|True|TRUE|false|False|FALSE)$/.test(s)
+    || /^[-+]?(\d+|\d+\.\d*|\.\d+|\d+(\.\d*)?[eE][-+]?\d+)$/.test(s);
+}
+
+function yamlScalar(v) {
+  if (v === null || v === undefined) return 'null';
+  if (typeof v === 'boolean' || typeof v === 'number') return String(v);
+  const s = String(v);
+  return needsQuotes(s) ? JSON.stringify(s) : s;
+}
+
+const isPlainList = v => Array.isArray(v) && v.every(x => x === null || typeof x !== 'object');
+// Multi-line text goes into a | block unless leading spaces or blank tails would not survive it
+const isBlockText = v => typeof v === 'string' && v.includes('\n') && !/^[ \t]/.test(v) && !/\n\n$/.test(v)
+  && !/[ \t]\n/.test(v) && !/\r/.test(v);
+
+function toYaml(value, indent = 0) {
+  const pad = ' '.repeat(indent);
+  const entry = (prefix, v, childIndent) => {
+    if (isBlockText(v)) {
+      const chomp = v.endsWith('\n') ? '' : '-';
+      const body = v.replace(/\n$/, '').split('\n').map(l => l ? ' '.repeat(childIndent) + l : '').join('\n');
+      return `${prefix} |${chomp}\n${body}`;
+    }
+    if (isPlainList(v)) return `${prefix} [${v.map(yamlScalar).join(', ')}]`;
+    if (v && typeof v === 'object') {
+      if (!Object.keys(v).length) return `${prefix} ${Array.isArray(v) ? '[]' : '{}'}`;
+      return `${prefix}\n${toYaml(v, childIndent)}`;
+    }
+    return `${prefix} ${yamlScalar(v)}`;
+  };
+  if (Array.isArray(value)) {
+    return value.map(item => {
+      if (item && typeof item === 'object' && !Array.isArray(item) && Object.keys(item).length) {
+        // "- first: x" with the other keys aligned under it
+        const nested = toYaml(item, indent + 2);
+        return `${pad}- ${nested.slice(indent + 2)}`;
+      }
+      return entry(`${pad}-`, item, indent + 2);
+    }).join('\n');
+  }
+  return Object.entries(value).map(([k, v]) => entry(`${pad}${needsQuotes(k) ? JSON.stringify(k) : k}:`, v, indent + 2)).join('\n');
+}
+
+// ─── Pipeline spec ───────────────────────────────────────────────────────────
+
+function checkSchedule(schedule, timezone) {
+  if (timezone && !cron.isValidTimezone(timezone)) return `unknown timezone "${timezone}"`;
+  if (!schedule || PRESETS.includes(schedule)) return null;
+  try { cron.parseCron(schedule); } catch (e) { return `invalid schedule: ${e.message}`; }
+  return null;
+}
+
+function findCycle(steps) {
+  const byId = new Map(steps.map(s => [s.id, s]));
+  const state = new Map(); // id → 1 visiting, 2 done
+  const visit = (id, trail) => {
+    if (state.get(id) === 2) return null;
+    if (state.get(id) === 1) return [...trail.slice(trail.indexOf(id)), id];
+    state.set(id, 1);
+    for (const dep of byId.get(id).needs) {
+      const cycle = visit(dep, [...trail, id]);
+      if (cycle) return cycle;
+    }
+    state.set(id, 2);
+    return null;
+  };
+  for (const s of steps) {
+    const cycle = visit(s.id, []);
+    if (cycle) return cycle;
+  }
+  return null;
+}
+
+/**
+ * Validate a parsed pipelines document.
+ * Returns { pipelines, errors }: normalized pipelines (every step with its model,
+ * effort, max_turns and needs resolved) and human-readable errors with their path.
+ */
+function normalize(doc) {
+  const errors = [];
+  const pipelines = [];
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) return { pipelines, errors: ['The file must be a mapping with a "pipelines" key'] };
+  for (const k of Object.keys(doc)) if (k !== 'version' && k !== 'pipelines') errors.push(`Unknown top-level key "${k}"`);
+  if (doc.version !== undefined && doc.version !== 1) errors.push(`Unsupported version ${JSON.stringify(doc.version)} (expected 1)`);
+  const src = doc.pipelines;
+  if (!src || typeof src !== 'object' || Array.isArray(src)) return { pipelines, errors: [...errors, '"pipelines" must be a mapping of pipeline key → pipeline'] };
+  if (Object.keys(src).length > MAX_PIPELINES) errors.push(`At most ${MAX_PIPELINES} pipelines per file`);
+
+  const text = (v, where, max, required) => {
+    if (v === undefined || v === null || v === '') {
+      if (required) errors.push(`${where}: required`);
+      return '';
+    }
+    if (typeof v !== 'string' && typeof v !== 'number') { errors.push(`${where}: must be text`); return ''; }
+    const s = String(v);
+    if (s.length > max) errors.push(`${where}: longer than ${max} characters`);
+    return s;
+  };
+  const runFields = (o, where, inherit) => {
+    const out = { ...inherit };
+    if (o.model !== undefined && o.model !== null) {
+      if (MODELS.includes(o.model)) out.model = o.model;
+      else errors.push(`${where}.model: must be one of ${MODELS.join(', ')}`);
+    }
+    if (o.effort !== undefined && o.effort !== null) {
+      if (EFFORTS.includes(o.effort)) out.effort = o.effort;
+      else errors.push(`${where}.effort: must be one of ${EFFORTS.join(', ')}`);
+    }
+    if (o.max_turns !== undefined && o.max_turns !== null) {
+      if (Number.isInteger(o.max_turns) && o.max_turns >= 1 && o.max_turns <= 500) out.max_turns = o.max_turns;
+      else errors.push(`${where}.max_turns: must be a whole number from 1 to 500`);
+    }
+    return out;
+  };
+  const flag = (v, where) => {
+    if (v === undefined || v === null) return false;
+    if (typeof v !== 'boolean') errors.push(`${where}: must be true or false`);
+    return v === true;
+  };
+
+  for (const [key, p] of Object.entries(src)) {
+    const at = `pipelines.${key}`;
+    if (!KEY_RE.test(key)) errors.push(`${at}: key must be 1-64 letters, digits, "-", "_" or "." starting with a letter or digit`);
+    if (!p || typeof p !== 'object' || Array.isArray(p)) { errors.push(`${at}: must be a mapping`); continue; }
+    for (const k of Object.keys(p)) if (!PIPELINE_FIELDS.includes(k)) errors.push(`${at}: unknown field "${k}"`);
+    const schedule = text(p.schedule, `${at}.schedule`, 100) || null;
+    const timezone = text(p.timezone, `${at}.timezone`, 100) || null;
+    const scheduleErr = checkSchedule(schedule, timezone);
+    if (scheduleErr) errors.push(`${at}.schedule: ${scheduleErr}`);
+    const pipeline = {
+      key,
+      title: text(p.title, `${at}.title`, 200) || key,
+      ...runFields(p, at, DEFAULTS),
+      schedule, timezone,
+      requires_approval: flag(p.requires_approval, `${at}.requires_approval`),
+      active: flag(p.active, `${at}.active`),
+      tasks: [],
+    };
+    if (!Array.isArray(p.tasks) || !p.tasks.length) { errors.push(`${at}.tasks: needs at least one step`); pipelines.push(pipeline); continue; }
+    if (p.tasks.length > MAX_STEPS) errors.push(`${at}.tasks: at most ${MAX_STEPS} steps`);
+
+    const inherit = { model: pipeline.model, effort: pipeline.effort, max_turns: pipeline.max_turns };
+    p.tasks.forEach((s, n) => {
+      const sat = `${at}.tasks[${n + 1}]`;
+      if (!s || typeof s !== 'object' || Array.isArray(s)) { errors.push(`${sat}: must be a mapping`); return; }
+      for (const k of Object.keys(s)) if (!STEP_FIELDS.includes(k)) errors.push(`${sat}: unknown field "${k}"`);
+      const id = s.id === undefined || s.id === null ? '' : String(s.id);
+      if (!KEY_RE.test(id)) errors.push(`${sat}.id: required; 1-64 letters, digits, "-", "_" or "."`);
+      else if (pipeline.tasks.some(x => x.id === id)) errors.push(`${sat}.id: "${id}" is used twice`);
+      let needs;
+      if (s.needs === undefined || s.needs === null) needs = n > 0 && pipeline.tasks[n - 1] ? [pipeline.tasks[n - 1].id] : [];
+      else if (typeof s.needs === 'string') needs = [s.needs];
+      else if (Array.isArray(s.needs)) needs = s.needs.map(String);
+      else { errors.push(`${sat}.needs: must be a step id or a list of them`); needs = []; }
+      pipeline.tasks.push({
+        id,
+        title: text(s.title, `${sat}.title`, 200, true),
+        description: text(s.description, `${sat}.description`, 2000),
+        ...runFields(s, sat, inherit),
+        requires_approval: flag(s.requires_approval, `${sat}.requires_approval`),
+        needs: [...new Set(needs)],
+      });
+    });
+    const ids = new Set(pipeline.tasks.map(s => s.id));
+    for (const s of pipeline.tasks) {
+      if (!KEY_RE.test(s.id)) continue; // already reported
+      for (const dep of s.needs) {
+        if (dep === s.id) errors.push(`${at}.tasks.${s.id}.needs: a step cannot depend on itself`);
+        else if (!ids.has(dep)) errors.push(`${at}.tasks.${s.id}.needs: no step "${dep}"`);
+      }
+    }
+    if (!errors.some(e => e.startsWith(`${at}.tasks`))) {
+      const cycle = findCycle(pipeline.tasks);
+      if (cycle) errors.push(`${at}.tasks: dependency cycle ${cycle.join(' → ')}`);
+    }
+    pipelines.push(pipeline);
+  }
+  return { pipelines, errors };
+}
+
+/** Parse and validate file contents. Returns { pipelines, errors }. */
+function parse(text, filename = 'pipelines.yml') {
+  let doc;
+  try {
+    doc = filename.endsWith('.json') ? JSON.parse(text) : parseYaml(text);
+  } catch (e) {
+    return { pipelines: [], errors: [`${path.basename(filename)}: ${e.message}`] };
+  }
+  return normalize(doc);
+}
+
+/** The pipelines file of a project: { file, text } or null when there is none. */
+function readProjectFile(workdir) {
+  for (const rel of FILES) {
+    const file = path.join(workdir, rel);
+    if (fs.existsSync(file)) return { file, rel, text: fs.readFileSync(file, 'utf8') };
+  }
+  return null;
+}
+
+// ─── Chains ↔ pipelines ──────────────────────────────────────────────────────
+
+function slug(s) {
+  const out = String(s || '').toLowerCase().normalize('NFKD').replace(/[^\w.-]+/g, '-').replace(/^[-_.]+|-+$/g, '').substring(0, 48);
+  return out || null;
+}
+
+function uniqueKey(base, taken, fallback) {
+  let key = base || fallback;
+  for (let n = 2; taken.has(key); n++) key = `${base || fallback}-${n}`;
+  taken.add(key);
+  return key;
+}
+
+/**
+ * A chain and its tasks (in order) as a normalized pipeline.
+ * Steps keep their synced id; others get one from their title.
+ */
+function fromChain(chain, tasks, taken = new Set()) {
+  // Synced ids first, so a step added on the board cannot take one of them
+  const stepIds = new Set(tasks.map(t => t.pipeline_step).filter(Boolean));
+  const idOf = new Map();
+  for (const [n, t] of tasks.entries()) {
+    const synced = t.pipeline_step && ![...idOf.values()].includes(t.pipeline_step);
+    idOf.set(t.id, synced ? t.pipeline_step : uniqueKey(slug(t.title), stepIds, `step-${n + 1}`));
+  }
+  const parseDeps = t => { try { return JSON.parse(t.depends_on || '[]'); } catch { return []; } };
+  return {
+    key: chain.pipeline || uniqueKey(slug(chain.title), taken, 'pipeline'),
+    title: chain.title,
+    model: chain.model || DEFAULTS.model,
+    effort: chain.effort || null,
+    max_turns: chain.max_turns || DEFAULTS.max_turns,
+    schedule: chain.recurrence || null,
+    timezone: chain.recurrence_tz || null,
+    requires_approval: !!chain.requires_approval,
+    active: !!chain.active,
+    tasks: tasks.map(t => ({
+      id: idOf.get(t.id),
+      title: t.title,
+      description: t.description || '',
+      model: t.model || chain.model || DEFAULTS.model,
+      effort: t.effort || null,
+      max_turns: t.max_turns || chain.max_turns || DEFAULTS.max_turns,
+      requires_approval: !!t.requires_approval,
+      needs: parseDeps(t).map(d => idOf.get(d)).filter(Boolean),
+    })),
+  };
+}
+
+const CHAIN_DIFF_FIELDS = ['title', 'model', 'effort', 'max_turns', 'schedule', 'timezone', 'requires_approval'];
+const STEP_DIFF_FIELDS = ['title', 'description', 'model', 'effort', 'max_turns', 'requires_approval', 'needs'];
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+function fieldChanges(from, to, fields) {
+  return fields.filter(f => !same(from[f], to[f])).map(f => ({ field: f, from: from[f] ?? null, to: to[f] ?? null }));
+}
+
+/**
+ * What a sync would do. `wanted`: pipelines from the file; `current`: pipelines
+ * built with fromChain() from the synced chains, each with its chain_id.
+ * Returns one entry per pipeline: { key, action: create|update|delete|unchanged,
+ * chain_id, changes: [{field, from, to}], steps: [{id, action, changes}] }.
+ */
+function diff(wanted, current) {
+  const byKey = new Map(current.map(c => [c.key, c]));
+  const out = [];
+  for (const w of wanted) {
+    const c = byKey.get(w.key);
+    byKey.delete(w.key);
+    if (!c) {
+      out.push({ key: w.key, title: w.title, action: 'create', chain_id: null, changes: [], steps: w.tasks.map(s => ({ id: s.id, title: s.title, action: 'create', changes: [] })) });
+      continue;
+    }
+    const steps = [];
+    const had = new Map(c.tasks.map((s, n) => [s.id, { ...s, position: n + 1 }]));
+    w.tasks.forEach((s, n) => {
+      const old = had.get(s.id);
+      had.delete(s.id);
+      if (!old) { steps.push({ id: s.id, title: s.title, action: 'create', changes: [] }); return; }
+      const changes = fieldChanges(old, { ...s, position: n + 1 }, [...STEP_DIFF_FIELDS, 'position']);
+      steps.push({ id: s.id, title: s.title, action: changes.length ? 'update' : 'unchanged', changes });
+    });
+    for (const old of had.values()) steps.push({ id: old.id, title: old.title, action: 'delete', changes: [] });
+    const changes = fieldChanges(c, w, CHAIN_DIFF_FIELDS);
+    const touched = changes.length || steps.some(s => s.action !== 'unchanged');
+    out.push({ key: w.key, title: w.title, action: touched ? 'update' : 'unchanged', chain_id: c.chain_id, changes, steps });
+  }
+  for (const c of byKey.values()) {
+    out.push({ key: c.key, title: c.title, action: 'delete', chain_id: c.chain_id, changes: [], steps: c.tasks.map(s => ({ id: s.id, title: s.title, action: 'delete', changes: [] })) });
+  }
+  return out;
+}
+
+/** Pipelines → file contents; step fields equal to the pipeline's and default needs are left out. */
+function serialize(pipelines, format = 'yaml') {
+  const doc = { version: 1, pipelines: {} };
+  for (const p of pipelines) {
+    const out = { title: p.title, model: p.model };
+    if (p.effort) out.effort = p.effort;
+    if (p.max_turns !== DEFAULTS.max_turns) out.max_turns = p.max_turns;
+    if (p.schedule) out.schedule = p.schedule;
+    if (p.timezone) out.timezone = p.timezone;
+    if (p.requires_approval) out.requires_approval = true;
+    if (p.active) out.active = true;
+    out.tasks = p.tasks.map((s, n) => {
+      const step = { id: s.id, title: s.title };
+      if (s.description) step.description = s.description;
+      if (s.model !== p.model) step.model = s.model;
+      if ((s.effort || null) !== (p.effort || null)) step.effort = s.effort;
+      if (s.max_turns !== p.max_turns) step.max_turns = s.max_turns;
+      if (s.requires_approval) step.requires_approval = true;
+      const linear = n > 0 ? [p.tasks[n - 1].id] : [];
+      if (!same(s.needs, linear)) step.needs = s.needs;
+      return step;
+    });
+    doc.pipelines[p.key] = out;
+  }
+  if (format === 'json') return JSON.stringify(doc, null, 2) + '\n';
+  return '# Claude Code Studio pipelines — sync them with ⛓ Pipelines on the Kanban board\n' + toYaml(doc) + '\n';
+}
+
+module.exports = {
+  FILES, YamlError, parseYaml, toYaml,
+  normalize, parse, readProjectFile, fromChain, diff, serialize,
+};
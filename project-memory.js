@@ -0,0 +1,200 @@
+// ─── Project memory for Claude Code Studio ──────────────────────────────────
+// A small key-value store per project (keyed by the project's working
+// directory) that tasks read and write through the task_manager MCP, so
+// recurring pipelines can remember things between runs ("issues already
+// triaged", "last deployed commit"). Browsable and editable from the Kanban.
+// No external npm dependencies.
+//
+// A key holds either a value (memory_set) or an append-only log (memory_append).
+// Values and log entries are JSON. TTLs are optional: a value expires as a whole,
+// log entries expire one by one.
+'use strict';
+
+const KEY_RE = /^[\w.:/@#-]{1,200}$/;
+const MAX_VALUE_BYTES = 64 * 1024;   // one value, or one log entry
+const MAX_LOG_ENTRIES = 500;         // oldest entries are dropped beyond this…
+const MAX_LOG_BYTES = 512 * 1024;    // …or beyond this much JSON
+const MAX_KEYS_PER_PROJECT = 1000;
+const MAX_TTL_SECONDS = 365 * 86400;
+const PREVIEW_CHARS = 120;
+
+const now = () => Math.floor(Date.now() / 1000);
+
+function checkKey(key) {
+  return typeof key === 'string' && KEY_RE.test(key)
+    ? null
+    : 'key must be 1-200 characters: letters, digits and . _ - : / @ #';
+}
+
+/** TTL in seconds → expiry timestamp; undefined/null/0 means no expiry. */
+function expiryFor(ttl) {
+  if (ttl === undefined || ttl === null || ttl === '' || Number(ttl) === 0) return { expiresAt: null };
+  const seconds = Number(ttl);
+  if (!Number.isFinite(seconds) || seconds < 0 || seconds > MAX_TTL_SECONDS) {
+    return { error: `ttl_seconds must be between 1 and ${MAX_TTL_SECONDS}` };
+  }
+  return { expiresAt: now() + Math.ceil(seconds) };
+}
+
+function encode(value) {
+  const text = JSON.stringify(value === undefined ? null : value);
+  if (Buffer.byteLength(text) > MAX_VALUE_BYTES) return { error: `Value too large (max ${MAX_VALUE_BYTES / 1024} KB)` };
+  return { text };
+}
+
+function parseJson(text, fallback) {
+  try { return JSON.parse(text); } catch { return fallback; }
+}
+
+function liveEntries(row) {
+  const t = now();
+  return parseJson(row.value || '[]', []).filter(e => !e.expires_at || e.expires_at > t);
+}
+
+function preview(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > PREVIEW_CHARS ? text.slice(0, PREVIEW_CHARS - 1) + '…' : text;
+}
+
+function toItem(row, { limit } = {}) {
+  const base = { key: row.key, kind: row.kind, expires_at: row.expires_at, updated_by: row.updated_by, updated_at: row.updated_at };
+  if (row.kind !== 'log') return { ...base, value: parseJson(row.value, null) };
+  const entries = liveEntries(row);
+  return { ...base, count: entries.length, entries: limit ? entries.slice(-limit) : entries };
+}
+
+class MemoryStore {
+  constructor(db) {
+    this.db = db;
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS project_memory (
+        workdir TEXT NOT NULL,
+        key TEXT NOT NULL,
+        kind TEXT NOT NULL DEFAULT 'value',   -- value | log
+        value TEXT,                           -- JSON; for a log, an array of {id, value, at, by, expires_at}
+        expires_at INTEGER,                   -- unix seconds; NULL = keep (logs expire per entry)
+        updated_by TEXT,                      -- task id or user name of the last write
+        created_at TEXT DEFAULT (datetime('now')),
+        updated_at TEXT DEFAULT (datetime('now')),
+        PRIMARY KEY (workdir, key)
+      );
+    `);
+
+    this.stmts = {
+      get: db.prepare(`SELECT * FROM project_memory WHERE workdir=? AND key=?`),
+      list: db.prepare(`SELECT * FROM project_memory WHERE workdir=? AND key LIKE ? ESCAPE '\\' ORDER BY key LIMIT ?`),
+      count: db.prepare(`SELECT COUNT(*) AS n FROM project_memory WHERE workdir=?`),
+      upsert: db.prepare(`INSERT INTO project_memory (workdir, key, kind, value, expires_at, updated_by) VALUES (@workdir, @key, @kind, @value, @expires_at, @by)
+        ON CONFLICT(workdir, key) DO UPDATE SET kind=@kind, value=@value, expires_at=@expires_at, updated_by=@by, updated_at=datetime('now')`),
+      delete: db.prepare(`DELETE FROM project_memory WHERE workdir=? AND key=?`),
+      purge: db.prepare(`DELETE FROM project_memory WHERE expires_at IS NOT NULL AND expires_at <= ?`),
+    };
+  }
+
+  /** Drop expired values; called before every read so callers never see them. */
+  purgeExpired() {
+    return this.stmts.purge.run(now()).changes;
+  }
+
+  get(workdir, key, opts) {
+    this.purgeExpired();
+    const row = this.stmts.get.get(workdir, key);
+    return row ? toItem(row, opts) : null;
+  }
+
+  /** Keys of a project with a short preview of their content (no full values). */
+  list(workdir, { prefix = '', limit = 200 } = {}) {
+    this.purgeExpired();
+    const like = String(prefix).replace(/[\\%_]/g, c => '\\' + c) + '%';
+    const rows = this.stmts.list.all(workdir, like, Math.min(Math.max(Number(limit) || 200, 1), MAX_KEYS_PER_PROJECT));
+    return rows.map(row => {
+      const item = toItem(row, { limit: 1 });
+      return {
+        key: item.key, kind: item.kind, expires_at: item.expires_at,
+        updated_by: item.updated_by, updated_at: item.updated_at,
+        ...(item.kind === 'log'
+          ? { count: item.count, preview: item.entries.length ? preview(item.entries[0].value) : '' }
+          : { preview: preview(item.value) }),
+      };
+    });
+  }
+
+  /** Set (or replace) a value. Returns { item } or { error }. */
+  set(workdir, key, value, { ttl, by = null } = {}) {
+    const keyErr = checkKey(key);
+    if (keyErr) return { error: keyErr };
+    const { expiresAt, error: ttlErr } = expiryFor(ttl);
+    if (ttlErr) return { error: ttlErr };
+    const { text, error } = encode(value);
+    if (error) return { error };
+    this.purgeExpired();
+    if (this.stmts.get.get(workdir, key)?.kind === 'log') return { error: `Key "${key}" is a log; delete it before storing a value` };
+    const limitErr = this._checkRoom(workdir, key);
+    if (limitErr) return { error: limitErr };
+    this.stmts.upsert.run({ workdir, key, kind: 'value', value: text, expires_at: expiresAt, by });
+    return { item: this.get(workdir, key) };
+  }
+
+  /** Append an entry to a log key, creating it. Returns { item, entry } or { error }. */
+  append(workdir, key, value, { ttl, by = null } = {}) {
+    const keyErr = checkKey(key);
+    if (keyErr) return { error: keyErr };
+    const { expiresAt, error: ttlErr } = expiryFor(ttl);
+    if (ttlErr) return { error: ttlErr };
+    const { error } = encode(value);
+    if (error) return { error };
+    this.purgeExpired();
+    const row = this.stmts.get.get(workdir, key);
+    if (row && row.kind !== 'log') return { error: `Key "${key}" holds a value, not a log` };
+    if (!row) {
+      const limitErr = this._checkRoom(workdir, key);
+      if (limitErr) return { error: limitErr };
+    }
+    const entries = row ? liveEntries(row) : [];
+    const entry = {
+      id: entries.reduce((max, e) => Math.max(max, e.id), 0) + 1,
+      value: value === undefined ? null : value,
+      at: new Date().toISOString(),
+      ...(by ? { by } : {}),
+      ...(expiresAt ? { expires_at: expiresAt } : {}),
+    };
+    entries.push(entry);
+    this._saveLog(workdir, key, entries.slice(-MAX_LOG_ENTRIES), by);
+    return { item: this.get(workdir, key, { limit: 1 }), entry };
+  }
+
+  /** Remove one entry from a log. Returns false when the key or entry does not exist. */
+  deleteEntry(workdir, key, entryId, by = null) {
+    const row = this.stmts.get.get(workdir, key);
+    if (!row || row.kind !== 'log') return false;
+    const entries = liveEntries(row);
+    const rest = entries.filter(e => e.id !== Number(entryId));
+    if (rest.length === entries.length) return false;
+    this._saveLog(workdir, key, rest, by);
+    return true;
+  }
+
+  delete(workdir, key) {
+    return this.stmts.delete.run(workdir, key).changes > 0;
+  }
+
+  _saveLog(workdir, key, entries, by) {
+    let text = JSON.stringify(entries);
+    while (entries.length > 1 && Buffer.byteLength(text) > MAX_LOG_BYTES) {
+      entries = entries.slice(Math.ceil(entries.length / 10));
+      text = JSON.stringify(entries);
+    }
+    this.stmts.upsert.run({ workdir, key, kind: 'log', value: text, expires_at: null, by });
+  }
+
+  _checkRoom(workdir, key) {
+    if (this.stmts.get.get(workdir, key)) return null;
+    return this.stmts.count.get(workdir).n >= MAX_KEYS_PER_PROJECT
+      ? `Project memory is full (${MAX_KEYS_PER_PROJECT} keys). Delete keys you no longer need.`
+      : null;
+  }
+}
+
+module.exports = MemoryStore;
+module.exports.MAX_LOG_ENTRIES = MAX_LOG_ENTRIES;
+module.exports.MAX_TTL_SECONDS = MAX_TTL_SECONDS;
@@ -15,9 +15,20 @@ const rateLimit = require('express-rate-limit');
 const auth = require('./auth');
 const ClaudeCLI = require('./claude-cli');
 const ClaudeSSH = require('./claude-ssh');
-const { testSshConnection } = require('./claude-ssh');
+const { testSshConnection, knownHostsLookup, readSshConfig, parseHost: parseSshHost } = require('./claude-ssh');
 const TelegramBot = require('./telegram-bot');
 const TunnelManager = require('./tunnel-manager');
+const cron = require('./cron');
+const WebhookDispatcher = require('./webhooks');
+const TriggerStore = require('./triggers');
+const MemoryStore = require('./project-memory');
+const TemplateStore = require('./task-templates');
+const pipelines = require('./pipelines');
+const worktrees = require('./worktrees');
+const containerBackend = require('./container-backend');
+const permissionProfiles = require('./permission-profiles');
+const webTerminal = require('./web-terminal');
+const gitOps = require('./git-ops');
 
 // ─── Load .env file (no external dependency needed) ───────────────────────
 {
@@ -87,6 +98,15 @@ const authLimiter = rateLimit({
   legacyHeaders: false,
   message: { error: 'Too many attempts, please try again later' },
 });
+
+// Inbound trigger URLs are public; cap how fast one address can hit them
+const inboundLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 60,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: 'Too many requests, please try again later' },
+});
 // Set secure flag on cookies only when served over HTTPS (behind a proxy)
 const SECURE_COOKIES = process.env.TRUST_PROXY === 'true';
 // Directories that authenticated users may browse/create projects in
@@ -102,6 +122,7 @@ const PROJECTS_FILE = path.join(APP_DIR, 'data', 'projects.json');
 const REMOTE_HOSTS_FILE = path.join(APP_DIR, 'data', 'remote-hosts.json');
 const HOSTS_KEY_FILE    = path.join(APP_DIR, 'data', 'hosts.key');
 const UPLOADS_DIR   = path.join(APP_DIR, 'data', 'uploads');
+const WORKTREES_DIR = path.join(APP_DIR, 'data', 'worktrees');
 
 // Category map for bundled skills — used when skill is auto-discovered (not in config)
 const BUNDLED_SKILL_META = {
@@ -363,6 +384,7 @@ try { db.exec(`ALTER TABLE tasks ADD COLUMN task_retry_count INTEGER DEFAULT 0`)
 try { db.exec(`ALTER TABLE tasks ADD COLUMN scheduled_at INTEGER`); } catch {}
 try { db.exec(`ALTER TABLE tasks ADD COLUMN recurrence TEXT`); } catch {}
 try { db.exec(`ALTER TABLE tasks ADD COLUMN recurrence_end_at INTEGER`); } catch {}
+try { db.exec(`ALTER TABLE tasks ADD COLUMN recurrence_tz TEXT`); } catch {}       // IANA timezone for cron recurrence (NULL = server local)
 // Task Manager MCP: autonomous task creation by Claude during task execution
 try { db.exec(`ALTER TABLE tasks ADD COLUMN task_output TEXT`); } catch {}        // Structured result from report_result
 try { db.exec(`ALTER TABLE tasks ADD COLUMN context TEXT`); } catch {}            // Curated context passed by parent task
@@ -372,6 +394,15 @@ try { db.exec(`ALTER TABLE sessions ADD COLUMN remote_host TEXT`); } catch {}
 try { db.exec(`ALTER TABLE sessions ADD COLUMN remote_workdir TEXT`); } catch {}
 try { db.exec(`ALTER TABLE sessions ADD COLUMN sort_order REAL`); } catch {}
 try { db.exec(`ALTER TABLE sessions ADD COLUMN fork_from_cid TEXT`); } catch {}
+try { db.exec(`ALTER TABLE sessions ADD COLUMN owner_id TEXT`); } catch {}      // auth.js user id (NULL = created before multi-user)
+try { db.exec(`ALTER TABLE tasks ADD COLUMN owner_id TEXT`); } catch {}         // auth.js user id of whoever queued the task
+try { db.exec(`ALTER TABLE tasks ADD COLUMN isolation TEXT`); } catch {}        // NULL = project default | 'worktree' | 'none'
+try { db.exec(`ALTER TABLE tasks ADD COLUMN worktree TEXT`); } catch {}         // JSON worktree state of an isolated run (see worktrees.js)
+try { db.exec(`ALTER TABLE tasks ADD COLUMN requires_approval INTEGER DEFAULT 0`); } catch {} // 1 = stop in 'review' until approved
+try { db.exec(`ALTER TABLE tasks ADD COLUMN approval TEXT`); } catch {}          // JSON review state: { base, round, requested_at, decision, decided_by, decided_at, feedback }
+try { db.exec(`ALTER TABLE tasks ADD COLUMN git_activity TEXT`); } catch {}      // JSON commits the task produced: { commits, web, updated_at }
+try { db.exec(`ALTER TABLE tasks ADD COLUMN permission_profile TEXT`); } catch {} // NULL = project default (see permission-profiles.js)
+try { db.exec(`ALTER TABLE tasks ADD COLUMN pipeline_step TEXT`); } catch {}      // step id in the project's pipelines file (see pipelines.js)
 // Performance indexes — safe to re-run (IF NOT EXISTS)
 try { db.exec(`CREATE INDEX IF NOT EXISTS idx_task_status   ON tasks(status)`); } catch {}
 try { db.exec(`CREATE INDEX IF NOT EXISTS idx_task_session  ON tasks(session_id)`); } catch {}
@@ -403,6 +434,40 @@ db.exec(`
 try { db.exec(`ALTER TABLE telegram_devices ADD COLUMN last_session_id TEXT`); } catch(e) {}
 try { db.exec(`ALTER TABLE telegram_devices ADD COLUMN last_workdir TEXT`); } catch(e) {}
 try { db.exec(`ALTER TABLE messages ADD COLUMN source TEXT DEFAULT 'web'`); } catch(e) {}
+// Full-text search over chat history: text, tool input and thinking rows.
+// External-content FTS5 index kept in sync by SQL triggers, so every insert path
+// (live chats, task workers, CLI import) and every delete — including the session
+// cascade — updates it without touching call sites. Without FTS5, /api/search uses LIKE.
+const FTS_TYPES = `('text','tool','thinking')`;
+let ftsEnabled = false;
+try {
+  const ftsExisted = !!db.prepare(`SELECT 1 FROM sqlite_master WHERE type='table' AND name='messages_fts'`).get();
+  db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+      content, tool_name, content='messages', content_rowid='id', tokenize='unicode61 remove_diacritics 2'
+    );
+    CREATE TRIGGER IF NOT EXISTS messages_fts_ai AFTER INSERT ON messages WHEN new.type IN ${FTS_TYPES} BEGIN
+      INSERT INTO messages_fts(rowid, content, tool_name) VALUES (new.id, new.content, new.tool_name);
+    END;
+    CREATE TRIGGER IF NOT EXISTS messages_fts_ad AFTER DELETE ON messages WHEN old.type IN ${FTS_TYPES} BEGIN
+      INSERT INTO messages_fts(messages_fts, rowid, content, tool_name) VALUES ('delete', old.id, old.content, old.tool_name);
+    END;
+    CREATE TRIGGER IF NOT EXISTS messages_fts_au AFTER UPDATE OF type, content, tool_name ON messages BEGIN
+      INSERT INTO messages_fts(messages_fts, rowid, content, tool_name)
+        SELECT 'delete', old.id, old.content, old.tool_name WHERE old.type IN ${FTS_TYPES};
+      INSERT INTO messages_fts(rowid, content, tool_name)
+        SELECT new.id, new.content, new.tool_name WHERE new.type IN ${FTS_TYPES};
+    END;
+  `);
+  if (!ftsExisted) {
+    const t0 = Date.now();
+    const { changes } = db.prepare(`INSERT INTO messages_fts(rowid, content, tool_name) SELECT id, content, tool_name FROM messages WHERE type IN ${FTS_TYPES}`).run();
+    log.info(`[search] indexed ${changes} messages in ${Date.now() - t0}ms`);
+  }
+  ftsEnabled = true;
+} catch (e) {
+  log.warn('[search] FTS5 unavailable — falling back to LIKE search', { error: e.message });
+}
 // Task chains (groups): lightweight metadata for manually-created sequential task groups
 db.exec(`
   CREATE TABLE IF NOT EXISTS task_chains (
@@ -427,6 +492,89 @@ db.exec(`
   CREATE INDEX IF NOT EXISTS idx_chain_workdir ON task_chains(workdir);
 `);
 try { db.exec(`ALTER TABLE task_chains ADD COLUMN effort TEXT`); } catch {}      // claude --effort dial; chain-level default for new tasks
+try { db.exec(`ALTER TABLE task_chains ADD COLUMN recurrence_tz TEXT`); } catch {} // IANA timezone for cron recurrence (NULL = server local)
+try { db.exec(`ALTER TABLE task_chains ADD COLUMN owner_id TEXT`); } catch {}      // auth.js user id of the chain's creator
+try { db.exec(`ALTER TABLE task_chains ADD COLUMN requires_approval INTEGER DEFAULT 0`); } catch {} // 1 = every task of the chain needs approval
+try { db.exec(`ALTER TABLE task_chains ADD COLUMN pipeline TEXT`); } catch {}      // pipeline key in .studio/pipelines.yml; NULL = made on the board
+// Run ledger: one row per chat turn, Kanban task run and multi-agent sub-run.
+// Token usage + cost come from the stream-json `result` event (summed across auto-continues).
+// Rows cascade with their session; archiveSessionStats() rolls them into stats_archived first.
+db.exec(`
+  CREATE TABLE IF NOT EXISTS runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id TEXT,
+    task_id TEXT,
+    kind TEXT NOT NULL DEFAULT 'chat',
+    agent_id TEXT,
+    title TEXT,
+    workdir TEXT,
+    model TEXT,
+    input_tokens INTEGER DEFAULT 0,
+    output_tokens INTEGER DEFAULT 0,
+    cache_read_tokens INTEGER DEFAULT 0,
+    cache_creation_tokens INTEGER DEFAULT 0,
+    cost_usd REAL DEFAULT 0,
+    duration_ms INTEGER DEFAULT 0,
+    num_turns INTEGER DEFAULT 0,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+  );
+  CREATE INDEX IF NOT EXISTS idx_runs_session ON runs(session_id);
+  CREATE INDEX IF NOT EXISTS idx_runs_task    ON runs(task_id);
+  CREATE INDEX IF NOT EXISTS idx_runs_created ON runs(created_at);
+`);
+// Archived spend: totals + per-day/project/model/task breakdowns of deleted sessions' runs
+try { db.exec(`ALTER TABLE stats_archived ADD COLUMN total_runs INTEGER DEFAULT 0`); } catch {}
+try { db.exec(`ALTER TABLE stats_archived ADD COLUMN total_cost_usd REAL DEFAULT 0`); } catch {}
+try { db.exec(`ALTER TABLE stats_archived ADD COLUMN total_input_tokens INTEGER DEFAULT 0`); } catch {}
+try { db.exec(`ALTER TABLE stats_archived ADD COLUMN total_output_tokens INTEGER DEFAULT 0`); } catch {}
+try { db.exec(`ALTER TABLE stats_archived ADD COLUMN total_cache_read_tokens INTEGER DEFAULT 0`); } catch {}
+try { db.exec(`ALTER TABLE stats_archived ADD COLUMN total_cache_creation_tokens INTEGER DEFAULT 0`); } catch {}
+try { db.exec(`ALTER TABLE stats_archived_detail ADD COLUMN cost_usd REAL DEFAULT 0`); } catch {}
+try { db.exec(`ALTER TABLE stats_archived_detail ADD COLUMN input_tokens INTEGER DEFAULT 0`); } catch {}
+try { db.exec(`ALTER TABLE stats_archived_detail ADD COLUMN output_tokens INTEGER DEFAULT 0`); } catch {}
+try { db.exec(`ALTER TABLE stats_archived_detail ADD COLUMN label TEXT`); } catch {}  // display name for keys that may disappear (task titles)
+// Chat run journal: one row per chat turn from the web UI. A row still 'running' on
+// startup was cut off by a restart or crash and is resumed by resumeChatRuns().
+// params holds what the session row does not: { agentMode, maxTurns, effort, skills, mcpServers, permissionProfile }
+db.exec(`
+  CREATE TABLE IF NOT EXISTS chat_runs (
+    id TEXT PRIMARY KEY,
+    session_id TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'running',
+    prompt TEXT,
+    params TEXT,
+    pid INTEGER,
+    resumes INTEGER DEFAULT 0,
+    error TEXT,
+    started_at TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+    finished_at TEXT,
+    FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+  );
+  CREATE INDEX IF NOT EXISTS idx_chat_runs_session ON chat_runs(session_id);
+  CREATE INDEX IF NOT EXISTS idx_chat_runs_status  ON chat_runs(status);
+`);
+// Task run history: one row per execution attempt of a task. The task row itself is
+// re-armed in place (recurrence, auto-retry), so this is what keeps earlier attempts.
+// session_id is not a foreign key — the attempt stays in the history after its chat is deleted.
+db.exec(`
+  CREATE TABLE IF NOT EXISTS task_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    task_id TEXT NOT NULL,
+    attempt INTEGER NOT NULL DEFAULT 1,
+    session_id TEXT,
+    status TEXT NOT NULL DEFAULT 'running', -- running | review | done | rejected | failed | retried | stopped | interrupted
+    failure_reason TEXT,
+    task_output TEXT,
+    cost_usd REAL DEFAULT 0,
+    num_turns INTEGER DEFAULT 0,
+    started_at TEXT NOT NULL DEFAULT (datetime('now')),
+    finished_at TEXT,
+    FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE
+  );
+  CREATE INDEX IF NOT EXISTS idx_task_runs_task ON task_runs(task_id);
+`);
 
 // Sanitize a value for better-sqlite3 bind parameters.
 // better-sqlite3 EXPANDS arrays: each element counts as a separate bind value.
@@ -494,8 +642,7 @@ const stmts = {
     return _stmt;
   })(),
   updateConfig: db.prepare(`UPDATE sessions SET active_mcp=?,active_skills=?,mode=?,agent_mode=?,model=?,workdir=?,updated_at=datetime('now') WHERE id=?`),
-  getSessions: db.prepare(`SELECT id,title,created_at,updated_at,mode,agent_mode,model,workdir,claude_session_id FROM sessions ORDER BY CASE WHEN sort_order IS NULL THEN 0 ELSE 1 END ASC, sort_order ASC, updated_at DESC LIMIT 100`),
-  getSessionsByWorkdir: db.prepare(`SELECT id,title,created_at,updated_at,mode,agent_mode,model,workdir,claude_session_id FROM sessions WHERE workdir=? ORDER BY CASE WHEN sort_order IS NULL THEN 0 ELSE 1 END ASC, sort_order ASC, updated_at DESC LIMIT 100`),
+  getSessionsFor: db.prepare(`SELECT id,title,created_at,updated_at,mode,agent_mode,model,workdir,claude_session_id,owner_id FROM sessions WHERE (@w IS NULL OR workdir=@w) AND (@owner IS NULL OR owner_id=@owner) ORDER BY CASE WHEN sort_order IS NULL THEN 0 ELSE 1 END ASC, sort_order ASC, updated_at DESC LIMIT 100`),
   getSession: db.prepare(`SELECT * FROM sessions WHERE id=?`),
   deleteSession: db.prepare(`DELETE FROM sessions WHERE id=?`),
   addMsg: db.prepare(`INSERT INTO messages (session_id,role,type,content,tool_name,agent_id,reply_to_id,attachments) VALUES (?,?,?,?,?,?,?,?)`),
@@ -509,12 +656,19 @@ const stmts = {
   setLastUserMsg: db.prepare(`UPDATE sessions SET last_user_msg=? WHERE id=?`),
   clearLastUserMsg: db.prepare(`UPDATE sessions SET last_user_msg=NULL, retry_count=0 WHERE id=?`),
   setPartialText: db.prepare(`UPDATE sessions SET partial_text=? WHERE id=?`),
-  getInterrupted: db.prepare(`SELECT id, title, last_user_msg FROM sessions WHERE last_user_msg IS NOT NULL`),
+  getInterrupted: db.prepare(`SELECT id, title, last_user_msg, owner_id, workdir FROM sessions WHERE last_user_msg IS NOT NULL`),
   incrementRetry: db.prepare(`UPDATE sessions SET retry_count = COALESCE(retry_count, 0) + 1 WHERE id=?`),
+  // Chat run journal
+  startChatRun: db.prepare(`INSERT INTO chat_runs (id,session_id,prompt,params) VALUES (?,?,?,?)`),
+  setChatRunPid: db.prepare(`UPDATE chat_runs SET pid=?, updated_at=datetime('now') WHERE id=?`),
+  markChatRunResumed: db.prepare(`UPDATE chat_runs SET resumes=resumes+1, pid=NULL, updated_at=datetime('now') WHERE id=?`),
+  finishChatRun: db.prepare(`UPDATE chat_runs SET status=?, error=?, pid=NULL, finished_at=datetime('now'), updated_at=datetime('now') WHERE id=? AND status='running'`),
+  getRunningChatRuns: db.prepare(`SELECT * FROM chat_runs WHERE status='running' ORDER BY started_at ASC`),
   // Tasks (Kanban)
   getTasks: db.prepare(`
     SELECT t.*, s.title as sess_title, s.claude_session_id, s.model as sess_model,
-           s.updated_at as sess_updated_at, COALESCE(s.retry_count, 0) as retry_count
+           s.updated_at as sess_updated_at, COALESCE(s.retry_count, 0) as retry_count,
+           (SELECT COUNT(*) FROM task_runs r WHERE r.task_id = t.id) as run_count
     FROM tasks t LEFT JOIN sessions s ON t.session_id = s.id
     WHERE (@w IS NULL OR t.workdir = @w)
     ORDER BY t.sort_order ASC, t.created_at ASC
@@ -592,12 +746,55 @@ const stmts = {
   archDailyActivity: db.prepare(`SELECT key AS date, count FROM stats_archived_detail WHERE category='daily' AND key >= date('now', '-90 days') ORDER BY key ASC`),
   archHourlyDist: db.prepare(`SELECT CAST(key AS INTEGER) AS hour, count FROM stats_archived_detail WHERE category='hourly' ORDER BY hour`),
   archWeeklyTrend: db.prepare(`SELECT key AS week, count, tool_count FROM stats_archived_detail WHERE category='weekly' AND key >= strftime('%Y-W%W', date('now', '-84 days')) ORDER BY key ASC`),
+  // Run ledger (cost + token usage)
+  budgetSpendToday: db.prepare(`SELECT COALESCE(SUM(cost_usd),0) AS cost_usd, COALESCE(SUM(num_turns),0) AS turns, COALESCE(SUM(duration_ms),0) AS duration_ms FROM runs WHERE created_at >= date('now')`),
+  budgetSpendTodayByWorkdir: db.prepare(`SELECT COALESCE(SUM(cost_usd),0) AS cost_usd, COALESCE(SUM(num_turns),0) AS turns, COALESCE(SUM(duration_ms),0) AS duration_ms FROM runs WHERE created_at >= date('now') AND workdir=?`),
+  budgetArchivedCostToday: db.prepare(`SELECT COALESCE(SUM(cost_usd),0) AS cost_usd FROM stats_archived_detail WHERE category='cost_daily' AND key=date('now')`),
+  insertRun: db.prepare(`INSERT INTO runs (session_id,task_id,kind,agent_id,title,workdir,model,input_tokens,output_tokens,cache_read_tokens,cache_creation_tokens,cost_usd,duration_ms,num_turns) VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?)`),
+  dashCostSummary: db.prepare(`SELECT COUNT(*) AS runs, COALESCE(SUM(cost_usd),0) AS cost_usd, COALESCE(SUM(input_tokens),0) AS input_tokens, COALESCE(SUM(output_tokens),0) AS output_tokens, COALESCE(SUM(cache_read_tokens),0) AS cache_read_tokens, COALESCE(SUM(cache_creation_tokens),0) AS cache_creation_tokens FROM runs`),
+  dashCostDaily: db.prepare(`SELECT date(created_at) AS date, COUNT(*) AS count, SUM(cost_usd) AS cost_usd, SUM(input_tokens) AS input_tokens, SUM(output_tokens) AS output_tokens FROM runs WHERE created_at >= date('now', '-90 days') GROUP BY date(created_at) ORDER BY date ASC`),
+  dashCostByModel: db.prepare(`SELECT COALESCE(model,'unknown') AS model, COUNT(*) AS count, SUM(cost_usd) AS cost_usd, SUM(input_tokens) AS input_tokens, SUM(output_tokens) AS output_tokens FROM runs GROUP BY COALESCE(model,'unknown')`),
+  dashCostByProject: db.prepare(`SELECT COALESCE(workdir,'') AS workdir, COUNT(*) AS count, SUM(cost_usd) AS cost_usd, SUM(input_tokens) AS input_tokens, SUM(output_tokens) AS output_tokens FROM runs GROUP BY COALESCE(workdir,'')`),
+  dashCostByTask: db.prepare(`SELECT task_id, MAX(title) AS label, COUNT(*) AS count, SUM(cost_usd) AS cost_usd, SUM(input_tokens) AS input_tokens, SUM(output_tokens) AS output_tokens FROM runs WHERE task_id IS NOT NULL GROUP BY task_id`),
+  archCostDaily: db.prepare(`SELECT key AS date, count, cost_usd, input_tokens, output_tokens FROM stats_archived_detail WHERE category='cost_daily' AND key >= date('now', '-90 days') ORDER BY key ASC`),
+  archCostByModel: db.prepare(`SELECT key AS model, count, cost_usd, input_tokens, output_tokens FROM stats_archived_detail WHERE category='cost_model'`),
+  archCostByProject: db.prepare(`SELECT key AS workdir, count, cost_usd, input_tokens, output_tokens FROM stats_archived_detail WHERE category='cost_project'`),
+  archCostByTask: db.prepare(`SELECT key AS task_id, label, count, cost_usd, input_tokens, output_tokens FROM stats_archived_detail WHERE category='cost_task'`),
   // Task Manager MCP prepared statements
   countChildTasks: db.prepare(`SELECT COUNT(*) AS cnt FROM tasks WHERE parent_task_id=?`),
   getParentTaskId: db.prepare(`SELECT parent_task_id FROM tasks WHERE id=?`),
   setTaskContext: db.prepare(`UPDATE tasks SET context=?, parent_task_id=?, updated_at=datetime('now') WHERE id=?`),
+  setTaskRecurrenceTz: db.prepare(`UPDATE tasks SET recurrence_tz=? WHERE id=?`),
+  setChainRecurrenceTz: db.prepare(`UPDATE task_chains SET recurrence_tz=? WHERE id=?`),
+  setSessionOwner: db.prepare(`UPDATE sessions SET owner_id=? WHERE id=?`),
+  setTaskOwner: db.prepare(`UPDATE tasks SET owner_id=? WHERE id=?`),
+  setTaskIsolation: db.prepare(`UPDATE tasks SET isolation=? WHERE id=?`),
+  setTaskWorktree: db.prepare(`UPDATE tasks SET worktree=?, updated_at=datetime('now') WHERE id=?`),
+  setTaskRequiresApproval: db.prepare(`UPDATE tasks SET requires_approval=? WHERE id=?`),
+  setTaskPermissionProfile: db.prepare(`UPDATE tasks SET permission_profile=? WHERE id=?`),
+  setTaskApproval: db.prepare(`UPDATE tasks SET approval=?, updated_at=datetime('now') WHERE id=?`),
+  setTaskGitActivity: db.prepare(`UPDATE tasks SET git_activity=? WHERE id=?`),
+  getTaskBySession: db.prepare(`SELECT * FROM tasks WHERE session_id=? ORDER BY updated_at DESC LIMIT 1`),
+  setChainRequiresApproval: db.prepare(`UPDATE task_chains SET requires_approval=? WHERE id=?`),
+  setChainOwner: db.prepare(`UPDATE task_chains SET owner_id=? WHERE id=?`),
+  setChainPipeline: db.prepare(`UPDATE task_chains SET pipeline=? WHERE id=?`),
+  getPipelineChains: db.prepare(`SELECT * FROM task_chains WHERE workdir=? AND pipeline IS NOT NULL ORDER BY sort_order ASC, created_at ASC`),
+  setTaskPipelineStep: db.prepare(`UPDATE tasks SET pipeline_step=? WHERE id=?`),
+  updatePipelineStep: db.prepare(`UPDATE tasks SET title=?, description=?, model=?, effort=?, max_turns=?, updated_at=datetime('now') WHERE id=?`),
+  setTaskGraph: db.prepare(`UPDATE tasks SET depends_on=?, sort_order=?, updated_at=datetime('now') WHERE id=?`),
+  getSessionOwner: db.prepare(`SELECT owner_id FROM sessions WHERE id=?`),
   setTaskOutput: db.prepare(`UPDATE tasks SET task_output=?, updated_at=datetime('now') WHERE id=?`),
   cancelTask: db.prepare(`UPDATE tasks SET status='cancelled', failure_reason=?, updated_at=datetime('now') WHERE id=?`),
+  // Task run history
+  startTaskRun: db.prepare(`INSERT INTO task_runs (task_id,attempt,session_id) VALUES (?,(SELECT COALESCE(MAX(attempt),0)+1 FROM task_runs WHERE task_id=?),?)`),
+  finishTaskRun: db.prepare(`UPDATE task_runs SET status=?, failure_reason=?, cost_usd=?, num_turns=?, finished_at=datetime('now') WHERE id=? AND status IN ('running','interrupted')`),
+  setTaskRunOutput: db.prepare(`UPDATE task_runs SET task_output=? WHERE id=(SELECT MAX(id) FROM task_runs WHERE task_id=?)`),
+  decideTaskRun: db.prepare(`UPDATE task_runs SET status=? WHERE task_id=? AND status='review'`),
+  interruptTaskRuns: db.prepare(`UPDATE task_runs SET status='interrupted', finished_at=datetime('now') WHERE task_id=? AND status='running'`),
+  getTaskRuns: db.prepare(`
+    SELECT r.*, s.id IS NOT NULL AS session_exists
+    FROM task_runs r LEFT JOIN sessions s ON s.id = r.session_id
+    WHERE r.task_id=? ORDER BY r.id DESC LIMIT ?`),
 };
 // Auto-sanitize ALL prepared statements — prevents "Too few parameter values"
 // on every code path (chat, tasks, queue, reconnect, telegram, etc.)
@@ -751,6 +948,56 @@ function archiveSessionStats(sessionIds) {
       for (const w of weekly) upsertDetail.run('weekly', w.key, w.count, w.tool_count);
     }
 
+    // Run ledger (cost + tokens) — runs rows cascade with the session, so roll them up now
+    const runTotals = db.prepare(`
+      SELECT COUNT(*) AS runs, COALESCE(SUM(cost_usd),0) AS cost_usd,
+        COALESCE(SUM(input_tokens),0) AS input_tokens, COALESCE(SUM(output_tokens),0) AS output_tokens,
+        COALESCE(SUM(cache_read_tokens),0) AS cache_read_tokens, COALESCE(SUM(cache_creation_tokens),0) AS cache_creation_tokens
+      FROM runs WHERE session_id IN (SELECT value FROM json_each(?))
+    `).get(jsonIds);
+    if (runTotals?.runs > 0) {
+      db.prepare(`
+        UPDATE stats_archived SET
+          total_runs = COALESCE(total_runs,0) + ?,
+          total_cost_usd = COALESCE(total_cost_usd,0) + ?,
+          total_input_tokens = COALESCE(total_input_tokens,0) + ?,
+          total_output_tokens = COALESCE(total_output_tokens,0) + ?,
+          total_cache_read_tokens = COALESCE(total_cache_read_tokens,0) + ?,
+          total_cache_creation_tokens = COALESCE(total_cache_creation_tokens,0) + ?
+        WHERE id = 1
+      `).run(runTotals.runs, runTotals.cost_usd, runTotals.input_tokens, runTotals.output_tokens,
+        runTotals.cache_read_tokens, runTotals.cache_creation_tokens);
+
+      const upsertCost = db.prepare(`
+        INSERT INTO stats_archived_detail (category, key, count, tool_count, cost_usd, input_tokens, output_tokens, label)
+        VALUES (?, ?, ?, 0, ?, ?, ?, ?)
+        ON CONFLICT(category, key) DO UPDATE SET
+          count = count + excluded.count,
+          cost_usd = COALESCE(cost_usd,0) + excluded.cost_usd,
+          input_tokens = COALESCE(input_tokens,0) + excluded.input_tokens,
+          output_tokens = COALESCE(output_tokens,0) + excluded.output_tokens,
+          label = COALESCE(excluded.label, label)
+      `);
+      const costGroups = [
+        ['cost_daily',   `date(created_at)`],
+        ['cost_model',   `COALESCE(model,'unknown')`],
+        ['cost_project', `COALESCE(workdir,'')`],
+        ['cost_task',    `task_id`],
+      ];
+      for (const [category, keyExpr] of costGroups) {
+        const rows = db.prepare(`
+          SELECT ${keyExpr} AS key, MAX(title) AS label, COUNT(*) AS count, SUM(cost_usd) AS cost_usd,
+            SUM(input_tokens) AS input_tokens, SUM(output_tokens) AS output_tokens
+          FROM runs WHERE session_id IN (SELECT value FROM json_each(?)) AND ${keyExpr} IS NOT NULL
+          GROUP BY key
+        `).all(jsonIds);
+        for (const r of rows) {
+          upsertCost.run(category, String(r.key), r.count, r.cost_usd || 0, r.input_tokens || 0, r.output_tokens || 0,
+            category === 'cost_task' ? (r.label || null) : null);
+        }
+      }
+    }
+
     log.info(`[archive] Archived stats for ${sessionCount} sessions (${totalMessages} messages)`);
   });
 
@@ -767,6 +1014,7 @@ function deriveChainStatusFromTasks(tasks) {
   if (!tasks.length) return 'backlog';
   if (tasks.every(t => t.status === 'done')) return 'done';
   if (tasks.some(t => t.status === 'in_progress')) return 'in_progress';
+  if (tasks.some(t => t.status === 'review')) return 'review';
   if (tasks.some(t => t.status === 'cancelled') &&
       !tasks.some(t => t.status === 'in_progress' || t.status === 'todo')) return 'cancelled';
   if (tasks.some(t => t.status === 'todo')) return 'todo';
@@ -776,6 +1024,11 @@ function deriveChainStatus(chainId) {
   return deriveChainStatusFromTasks(stmts.getChainTasksList.all(chainId));
 }
 
+// owner_id → display name for API responses (users live in auth.json, not SQLite)
+function ownerNameMap() {
+  return new Map(auth.listUsers().map(u => [u.id, u.displayName || u.username]));
+}
+
 // Build chain summary for API responses (single query per chain)
 function chainWithSummary(chain) {
   const tasks = stmts.getChainTasksList.all(chain.id);
@@ -783,10 +1036,11 @@ function chainWithSummary(chain) {
   const done = tasks.filter(t => t.status === 'done').length;
   const in_progress = tasks.filter(t => t.status === 'in_progress').length;
   const failed = tasks.filter(t => t.status === 'cancelled').length;
+  const review = tasks.filter(t => t.status === 'review').length;
   return {
     ...chain,
     derived_status: deriveChainStatusFromTasks(tasks),
-    tasks_summary: { total, done, in_progress, failed },
+    tasks_summary: { total, done, in_progress, failed, review },
     tasks,
   };
 }
@@ -824,6 +1078,12 @@ const SET_UI_STATE_SECRET = require('crypto').randomBytes(16).toString('hex');
 // ─── Task Manager (Internal MCP) ─────────────────────────────────────────
 const TASK_MANAGER_SECRET = require('crypto').randomBytes(16).toString('hex');
 
+// ─── Permission profiles (PreToolUse hook reports) ──────────────────────
+const PERMISSION_SECRET = require('crypto').randomBytes(16).toString('hex');
+// Tool calls held for approval: requestId → { resolve, sessionId, timer, tool, input, pattern, reason, profile, defaultDecision, expiresAt }
+const pendingToolApprovals = new Map();
+const sessionToolAllows = new Map(); // sessionId → Set of rules answered with "always allow", kept until the session is deleted
+
 // ─── User Interrupt (Internal MCP) ──────────────────────────────────────
 const INTERRUPT_SECRET = require('crypto').randomBytes(16).toString('hex');
 const pendingInterrupts = new Map(); // sessionId → [{ id, content, attachments?, createdAt }]
@@ -917,6 +1177,7 @@ const MAX_TASK_WORKERS = Math.max(1, parseInt(process.env.MAX_TASK_WORKERS || '5
 const taskRunning = new Set();        // task IDs currently executing
 const runningTaskAborts = new Map();  // taskId → AbortController
 const stoppingTasks = new Set();      // task IDs being manually stopped (onDone must not overwrite status)
+const waitingTasks = new Map();       // taskId → open wait_for_tasks calls; a waiting task gives up its worker slot
 
 async function startTask(task) {
   if (taskRunning.has(task.id)) return;
@@ -925,16 +1186,46 @@ async function startTask(task) {
   let _retryBackoffMs = 0; // Set by auto-retry logic, used by finally for processQueue delay
   let sessionId = task.session_id;
   let _taskStartedAt = Date.now();
+  let worktree = null;
+  let gitCwd = null, gitBefore = null; // checkout and HEAD before the run, for the task's git activity
+  const taskUsage = newRunUsage();
+  let taskRunId = null, taskRunEnd = null; // this attempt's task_runs row and how it ended
   try {
     // Create session + link task + mark in_progress — all atomic
     db.transaction(() => {
       if (!sessionId) {
         sessionId = genId();
         stmts.createSession.run(sessionId, task.title.substring(0, 200), '[]', '[]', task.mode || 'auto', task.agent_mode || 'single', task.model || 'sonnet', task.workdir || null);
+        stmts.setSessionOwner.run(task.owner_id || null, sessionId);
         stmts.setTaskSession.run(sessionId, task.id);
       }
       stmts.setTaskInProgress.run(task.id);
+      taskRunId = Number(stmts.startTaskRun.run(task.id, task.id, sessionId).lastInsertRowid);
     })();
+    emitWebhook('task.started', taskWebhookData(task, { session_id: sessionId }), `▶ Task started: ${task.title}`);
+    // 🌿 Worktree isolation: run in a separate checkout on the task's own branch.
+    // A task sent back from review keeps working on the same branch.
+    let taskCwd = task.workdir || WORKDIR;
+    if (taskWantsWorktree(task)) {
+      const prev = parseWorktree(task);
+      worktree = (prev && (prev.state === 'active' || prev.state === 'review') && fs.existsSync(prev.path))
+        ? { ...prev, state: 'active', error: null }
+        : worktrees.create(taskCwd, task, WORKTREES_DIR);
+      saveWorktree(task.id, worktree);
+      taskCwd = worktrees.cwdOf(worktree);
+      log.info(`[taskWorker] task ${task.id} runs in worktree ${worktree.path} (${worktree.branch})`);
+    }
+    // ✋ Approval gate: snapshot the checkout so the review diff shows only this task's changes.
+    // A task sent back with feedback keeps its first snapshot — the diff then covers every round.
+    if (!worktree && taskNeedsApproval(task)) {
+      const prev = parseApproval(task);
+      const resumed = prev?.decision === 'rejected';
+      saveApproval(task.id, { round: resumed ? (prev.round || 0) : 0, base: (resumed && prev.base) || worktrees.snapshot(taskCwd) });
+    }
+    if (!worktree && fs.existsSync(taskCwd)) {
+      gitCwd = taskCwd;
+      gitBefore = await gitOps.head(gitOps.localRunner(taskCwd));
+    }
     // Build prompt
     const parts = [task.title];
     if (task.description?.trim()) parts.push(task.description.trim());
@@ -944,7 +1235,7 @@ async function startTask(task) {
       try {
         const atts = JSON.parse(task.attachments);
         if (Array.isArray(atts) && atts.length) {
-          const attDir = path.join(task.workdir || WORKDIR, '.kanban-attachments', task.id);
+          const attDir = path.join(taskCwd, '.kanban-attachments', task.id);
           fs.mkdirSync(attDir, { recursive: true });
           const names = [];
           for (const att of atts) {
@@ -978,6 +1269,9 @@ async function startTask(task) {
       try { const parsed = JSON.parse(task.context); contextStr = typeof parsed === 'string' ? parsed : JSON.stringify(parsed, null, 2); } catch {}
       parts.push(`---\nContext from parent task:\n${contextStr}`);
     }
+    if (worktree) {
+      parts.push(`---\nYou are working in an isolated git worktree on branch \`${worktree.branch}\`. Commit your work on this branch (anything left uncommitted is committed automatically when the task ends). Do not switch branches, merge, or modify other checkouts — the user reviews and merges this branch.`);
+    }
     // Task manager instruction: inform Claude about available task management tools
     parts.push(TASK_MANAGER_INSTRUCTION);
     const prompt = parts.join('\n\n') + TASK_VERIFICATION_SUFFIX;
@@ -998,7 +1292,10 @@ async function startTask(task) {
     // Resume existing claude session if any
     const session = stmts.getSession.get(sessionId);
     const claudeSessionId = sanitizeSessionId(session?.claude_session_id) || null;
-    const cli = new ClaudeCLI({ cwd: task.workdir || WORKDIR });
+    const taskPerm = profileRunOptions(resolveRunProfile(task.permission_profile, task.workdir || WORKDIR), sessionId);
+    // A worktree's .git points into the main repository, which the container needs as well
+    const cli = new ClaudeCLI({ cwd: taskCwd, container: projectContainer(task.workdir || WORKDIR),
+      mounts: worktree ? [worktree.path, worktree.repo] : [] });
     const taskAbort = new AbortController();
     runningTaskAborts.set(task.id, taskAbort);
     let fullText = '', newCid = claudeSessionId, hasError = false;
@@ -1017,6 +1314,7 @@ async function startTask(task) {
     let currentTaskCid = claudeSessionId;
     let lastTaskResult = null;
     const effectiveTaskMaxTurns = task.max_turns || 30;
+    liveTaskBudgets.set(task.id, { workdir: task.workdir || WORKDIR, startedAt: _taskStartedAt, usage: taskUsage });
 
     // Build MCP config for task execution — user MCPs from config + internal task-manager
     const taskMcpServers = {};
@@ -1047,7 +1345,12 @@ async function startTask(task) {
     while (true) {
       lastTaskResult = null;
       hasError = false; // Reset per iteration — only the LAST iteration's error state matters for final status
-      const stream = cli.send({ prompt: currentTaskPrompt, sessionId: currentTaskCid, model: session?.model || task.model || 'sonnet', maxTurns: effectiveTaskMaxTurns, mcpServers: taskMcpServers, abortController: taskAbort, name: task.title, effort: task.effort || null });
+      // 💰 Budget guardrails — stop before spending more, and cap this invocation by what's left
+      const budgetReason = budgetStops.get(task.id) || taskBudgetReason(task.id);
+      if (budgetReason) { budgetStops.set(task.id, budgetReason.startsWith('budget_exceeded') ? budgetReason : `budget_exceeded: ${budgetReason}`); break; }
+      const budgetLeft = taskBudgetRemaining(task.id);
+      const invocationMaxTurns = budgetLeft.turns != null ? Math.max(1, Math.min(effectiveTaskMaxTurns, budgetLeft.turns)) : effectiveTaskMaxTurns;
+      const stream = cli.send({ prompt: currentTaskPrompt, sessionId: currentTaskCid, model: session?.model || task.model || 'sonnet', maxTurns: invocationMaxTurns, mcpServers: taskMcpServers, abortController: taskAbort, name: task.title, effort: task.effort || null, maxBudgetUsd: budgetLeft.costUsd, tools: taskPerm.tools, extraEnv: taskPerm.env, extraSettings: taskPerm.settings });
       // Save subprocess PID so startup recovery can kill orphans on restart
       if (stream.process?.pid) {
         db.prepare(`UPDATE tasks SET worker_pid=? WHERE id=?`).run(stream.process.pid, task.id);
@@ -1078,11 +1381,15 @@ async function startTask(task) {
             resolve();
           });
       });
+      addRunUsage(taskUsage, lastTaskResult);
 
       // ✅ Success — agent finished naturally
       if (lastTaskResult?.subtype === 'success') break;
       // 💰 Budget limit — can't continue
-      if (lastTaskResult?.subtype === 'error_max_budget_usd') break;
+      if (lastTaskResult?.subtype === 'error_max_budget_usd') {
+        if (!budgetStops.has(task.id)) budgetStops.set(task.id, `budget_exceeded: ${taskBudgetReason(task.id) || 'cost cap reached'}`);
+        break;
+      }
       // 🛑 User stopped or aborted
       if (taskAbort?.signal?.aborted || stoppingTasks.has(task.id)) break;
       // 🔄 Auto-continue budget exhausted
@@ -1109,37 +1416,25 @@ async function startTask(task) {
       stoppingTasks.delete(task.id);
       if (!wasStopped) {
         const isSuccess = lastTaskResult?.subtype === 'success' && !hasError;
+        const budgetFailure = budgetStops.get(task.id) || null;
         const isRateLimited = hasError && (fullText.includes('rate_limit') || fullText.includes('overloaded') || fullText.includes('Too many'));
         const MAX_CHAIN_RETRIES = 2;
 
-        if (isSuccess) {
+        if (isSuccess && taskNeedsApproval(task)) {
+          // ✋ Approval gate — result waits in 'review'; dependents stay blocked in processQueue
+          db.prepare(`UPDATE sessions SET retry_count=0 WHERE id=?`).run(sessionId);
+          requestTaskReview(task, sessionId, Date.now() - _taskStartedAt);
+          taskRunEnd = { status: 'review' };
+        } else if (isSuccess) {
           // ✅ Success — recurring standalone tasks re-arm directly (skip intermediate 'done')
-          const reArmed = (task.recurrence && !task.chain_id) ? scheduleNextRun(task) : false;
-          if (!reArmed) {
-            db.prepare(`UPDATE tasks SET status='done', failure_reason=NULL, worker_pid=NULL, updated_at=datetime('now') WHERE id=?`)
-              .run(task.id);
-          }
+          const reArmed = completeTask(task);
+          taskRunEnd = { status: 'done' };
           db.prepare(`UPDATE sessions SET retry_count=0 WHERE id=?`).run(sessionId);
           log.info(`[taskWorker] task ${task.id}: ${reArmed ? 're-armed' : 'done'}`);
-          // 🔗 Chain completion: check if all tasks in a manual chain are done
-          if (task.chain_id) {
-            try {
-              const chain = stmts.getChain.get(task.chain_id);
-              if (chain) {
-                const allChainTasks = stmts.getChainTasksList.all(task.chain_id);
-                const allDone = allChainTasks.every(ct => ct.status === 'done');
-                if (allDone) {
-                  db.prepare(`UPDATE task_chains SET updated_at=datetime('now') WHERE id=?`).run(task.chain_id);
-                  log.info(`[taskWorker] chain ${task.chain_id} completed: all ${allChainTasks.length} tasks done`);
-                  if (chain.recurrence) {
-                    scheduleNextChainRun(chain, allChainTasks);
-                  }
-                } else {
-                  db.prepare(`UPDATE task_chains SET updated_at=datetime('now') WHERE id=?`).run(task.chain_id);
-                }
-              }
-            } catch (e) { log.error('Chain completion check failed', { chainId: task.chain_id, error: e.message }); }
-          }
+          emitWebhook('task.done', taskWebhookData(task, {
+            session_id: sessionId, duration_ms: Date.now() - _taskStartedAt,
+            cost_usd: taskUsage.cost_usd || 0, rearmed: reArmed,
+          }), `✅ Task done: ${task.title}`);
           // Notify Telegram about completed task
           if (telegramBot && telegramBot.isRunning()) {
             telegramBot.notifyTaskComplete({
@@ -1149,12 +1444,44 @@ async function startTask(task) {
               duration: Date.now() - _taskStartedAt,
             }).catch(() => {});
           }
+        } else if (budgetFailure) {
+          // 💰 Budget cap hit — no retries; dependents are cascade-cancelled by processQueue
+          db.prepare(`UPDATE tasks SET status='cancelled', failure_reason=?, worker_pid=NULL, updated_at=datetime('now') WHERE id=?`)
+            .run(budgetFailure, task.id);
+          taskRunEnd = { status: 'failed', reason: budgetFailure };
+          log.warn(`[taskWorker] task ${task.id}: stopped by budget guardrail`, { reason: budgetFailure });
+          emitWebhook('task.failed', taskWebhookData(task, {
+            session_id: sessionId, duration_ms: Date.now() - _taskStartedAt, failure_reason: budgetFailure,
+          }), `❌ Task stopped: ${task.title} — ${budgetFailure}`);
+          if (task.source_session_id) {
+            const _ctx = getNotificationContext(task.source_session_id);
+            broadcastToSession(task.source_session_id, {
+              type: 'notification', level: 'error',
+              title: `Task stopped: "${task.title}"`,
+              detail: budgetFailure,
+              tabId: task.source_session_id,
+              chainTaskId: task.id, chainStatus: 'cancelled',
+              sessionTitle: _ctx.sessionTitle, projectName: _ctx.projectName,
+            });
+          }
+          if (telegramBot && telegramBot.isRunning()) {
+            telegramBot.notifyTaskComplete({
+              sessionId,
+              title: task.title || 'Task',
+              status: 'error',
+              duration: Date.now() - _taskStartedAt,
+              error: budgetFailure,
+            }).catch(() => {});
+          }
+          // 🔄 Recurring tasks: the next run gets a fresh budget window
+          scheduleNextRun(task);
         } else if (task.chain_id && (task.task_retry_count || 0) < MAX_CHAIN_RETRIES) {
           // 🔄 Auto-retry for chain tasks — don't give up on first failure
           const reason = isRateLimited ? 'rate_limited' : 'agent_incomplete';
           _retryBackoffMs = isRateLimited ? Math.min(60000 * ((task.task_retry_count || 0) + 1), 300000) : 3000;
           db.prepare(`UPDATE tasks SET status='todo', failure_reason=?, task_retry_count=COALESCE(task_retry_count,0)+1, worker_pid=NULL, updated_at=datetime('now') WHERE id=?`)
             .run(reason, task.id);
+          taskRunEnd = { status: 'retried', reason };
           log.warn(`[taskWorker] task ${task.id}: chain retry ${(task.task_retry_count||0)+1}/${MAX_CHAIN_RETRIES}, reason: ${reason}, backoff: ${_retryBackoffMs}ms`);
           if (task.source_session_id) {
             const _ctx = getNotificationContext(task.source_session_id);
@@ -1172,7 +1499,11 @@ async function startTask(task) {
           const reason = isRateLimited ? 'rate_limited' : 'agent_incomplete';
           db.prepare(`UPDATE tasks SET status='cancelled', failure_reason=?, worker_pid=NULL, updated_at=datetime('now') WHERE id=?`)
             .run(reason, task.id);
+          taskRunEnd = { status: 'failed', reason };
           log.error(`[taskWorker] task ${task.id}: cancelled (${reason}, subtype: ${lastTaskResult?.subtype || 'unknown'})`);
+          emitWebhook('task.failed', taskWebhookData(task, {
+            session_id: sessionId, duration_ms: Date.now() - _taskStartedAt, failure_reason: reason,
+          }), `❌ Task failed: ${task.title} — ${reason}`);
           // Notify source chat about the failed task
           if (task.source_session_id) {
             const _ctx = getNotificationContext(task.source_session_id);
@@ -1203,6 +1534,7 @@ async function startTask(task) {
         // User manually stopped — mark as user_cancelled, cascade will follow
         db.prepare(`UPDATE tasks SET status='cancelled', failure_reason='user_cancelled', worker_pid=NULL, updated_at=datetime('now') WHERE id=?`)
           .run(task.id);
+        taskRunEnd = { status: 'stopped', reason: 'user_cancelled' };
         log.info(`[taskWorker] task ${task.id}: stopped by user`);
         // 🔄 Recurring tasks: stopping one run should not kill the entire schedule
         scheduleNextRun(task);
@@ -1210,6 +1542,8 @@ async function startTask(task) {
     } catch (e) {
       console.error(`[taskWorker] task ${task.id} onDone DB error:`, e);
     }
+    liveTaskBudgets.delete(task.id); // before recordRun — the ledger takes over this spend
+    recordRun({ kind: 'task', sessionId, taskId: task.id, title: task.title, workdir: task.workdir, model: session?.model || task.model || 'sonnet' }, taskUsage);
     const _taskModelInfo = lastTaskResult?.modelUsage ? Object.values(lastTaskResult.modelUsage)[0] : null;
     const _taskMeta = lastTaskResult ? { cost: lastTaskResult.total_cost_usd, usage: lastTaskResult.usage, numTurns: lastTaskResult.num_turns, durationMs: lastTaskResult.duration_ms, contextWindow: _taskModelInfo?.contextWindow || 0 } : null;
     broadcastToSession(sessionId, { type: 'done', tabId: sessionId, taskId: task.id, duration: Date.now() - _taskStartedAt, ...(_taskMeta ? { resultMeta: _taskMeta } : {}) });
@@ -1220,10 +1554,15 @@ async function startTask(task) {
       const failureMsg = `${err.name}: ${err.message}`;
       if (task.chain_id && (task.task_retry_count || 0) < 2) {
         db.prepare(`UPDATE tasks SET status='todo', failure_reason=?, task_retry_count=COALESCE(task_retry_count,0)+1, worker_pid=NULL, updated_at=datetime('now') WHERE id=?`).run(failureMsg, task.id);
+        taskRunEnd = { status: 'retried', reason: failureMsg };
         _retryBackoffMs = 5000;
         log.warn(`[taskWorker] task ${task.id}: exception → auto-retry`);
       } else {
         db.prepare(`UPDATE tasks SET status='cancelled', failure_reason=?, worker_pid=NULL, updated_at=datetime('now') WHERE id=?`).run(failureMsg, task.id);
+        taskRunEnd = { status: 'failed', reason: failureMsg };
+        emitWebhook('task.failed', taskWebhookData(task, {
+          session_id: sessionId || null, duration_ms: Date.now() - _taskStartedAt, failure_reason: failureMsg,
+        }), `❌ Task failed: ${task.title} — ${failureMsg}`);
         // 🔄 Recurring tasks: schedule next run even after exception (fresh session)
         scheduleNextRun(task);
       }
@@ -1234,12 +1573,349 @@ async function startTask(task) {
     taskBuffers.delete(task.id);
     taskRunning.delete(task.id);
     runningTaskAborts.delete(task.id);
+    if (sessionId) cancelToolApprovals(sessionId);
+    liveTaskBudgets.delete(task.id);
+    budgetStops.delete(task.id);
+    if (taskRunId) finishTaskRun(taskRunId, taskRunEnd, taskUsage);
+    if (worktree) finishTaskWorktree(task, worktree);
+    if (worktree || gitBefore) recordTaskRunCommits(task, worktree, gitCwd, gitBefore);
     setTimeout(processQueue, _retryBackoffMs || 500);
   }
 }
 
+// ─── Task run history ────────────────────────────────────────────────────────
+// Close this attempt's task_runs row. The worker's own outcome wins over 'interrupted'
+// from a recovery pass that raced it. No outcome means the run ended somewhere the
+// status branches never reached (an onDone DB error) — it is kept as 'failed'.
+function finishTaskRun(runId, end, usage) {
+  try {
+    stmts.finishTaskRun.run(end?.status || 'failed', end ? (end.reason || null) : 'unknown', usage.cost_usd || 0, usage.num_turns || 0, runId);
+  } catch (e) {
+    log.error('[taskWorker] finishTaskRun failed', { runId, err: e.message });
+  }
+}
+
+// ─── Worktree isolation ──────────────────────────────────────────────────────
+const ISOLATION_MODES = ['worktree', 'none'];
+
+function parseWorktree(task) {
+  if (!task?.worktree) return null;
+  try { return JSON.parse(task.worktree); } catch { return null; }
+}
+
+function saveWorktree(taskId, wt) {
+  stmts.setTaskWorktree.run(wt ? JSON.stringify(wt) : null, taskId);
+}
+
+// Chain tasks build on each other's files and recurring tasks would pile up
+// unreviewed branches, so both always run in the project checkout.
+function taskWantsWorktree(task) {
+  if (task.chain_id || task.recurrence) return false;
+  if (task.isolation === 'worktree') return true;
+  if (task.isolation === 'none') return false;
+  const workdir = task.workdir || WORKDIR;
+  return !!loadProjects().find(p => p.workdir === workdir && !p.isRemote)?.worktreeIsolation;
+}
+
+// Execution backend of the local project at `workdir`: its container spec when
+// the project runs Claude in Docker/Podman, null for the host. Remote projects
+// always run over SSH.
+function projectContainer(workdir) {
+  const proj = loadProjects().find(p => p.workdir === workdir && !p.isRemote);
+  return proj?.backend === 'container' && proj.container ? proj.container : null;
+}
+
+// Permission profile of a run: the explicit choice, else the default of the
+// project at `workdir`, else full access. Throws on an unknown profile id.
+function resolveRunProfile(id, workdir) {
+  const projDefault = loadProjects().find(p => p.workdir === workdir)?.permissionProfile;
+  const profile = permissionProfiles.resolveProfile(id || projDefault, loadConfig().permissionProfiles);
+  if (!profile) throw new Error(`Unknown permission profile: ${id || projDefault}`);
+  return profile;
+}
+
+// CLI options for a run under `profile` ({ tools, settings, env }); the hook
+// reports blocked calls on `sessionId`. SSH hosts lack the hook script, so
+// remote runs rely on the CLI's own deny rules.
+function profileRunOptions(profile, sessionId, { remote = false } = {}) {
+  const opts = permissionProfiles.profileCliOptions(profile, { withHook: !remote });
+  if (opts.env.CCS_PERMISSION_PROFILE) {
+    Object.assign(opts.env, {
+      CCS_PERMISSION_URL: `http://127.0.0.1:${PORT}`,
+      CCS_PERMISSION_SESSION: sessionId,
+      CCS_PERMISSION_SECRET: PERMISSION_SECRET,
+    });
+  }
+  return opts;
+}
+
+// A tool call refused by the run's permission profile: kept in the history as a
+// "Blocked" tool row and streamed to whoever is watching the session.
+function reportToolBlocked(sessionId, { tool, input, reason, profile }) {
+  const inputJson = typeof input === 'string' ? input : JSON.stringify(input || {});
+  log.info('tool blocked by permission profile', { sessionId, tool, profile, reason });
+  try { stmts.addMsg.run(sessionId, 'assistant', 'tool', `${tool}: ${inputJson}`.substring(0, 500), 'Blocked', null, null, null); } catch {}
+  sendSessionEvent(sessionId, { type: 'tool_blocked', tool, input: inputJson.substring(0, 600), reason: String(reason || '').substring(0, 500), profile: profile || null, tabId: sessionId });
+}
+
+// Chats stream through their proxy (survives WS reconnects); task sessions go to watchers
+function sendSessionEvent(sessionId, event) {
+  const chat = activeTasks.get(sessionId);
+  if (chat?.proxy) chat.proxy.send(JSON.stringify(event));
+  else broadcastToSession(sessionId, event);
+}
+
+function toolApprovalEvent(requestId, entry) {
+  return {
+    type: 'tool_approval', requestId, tool: entry.tool, input: entry.input, pattern: entry.pattern,
+    reason: entry.reason, profile: entry.profile, defaultDecision: entry.defaultDecision,
+    expiresAt: entry.expiresAt, tabId: entry.sessionId,
+  };
+}
+
+/**
+ * Answer a tool call waiting in hooks/check-permission.js.
+ * `always` remembers the pattern for the rest of the session; `by` names who
+ * decided ('timeout' for the profile default, null when the run went away).
+ */
+function resolveToolApproval(requestId, decision, { always = false, by = null, reason = null } = {}) {
+  const entry = pendingToolApprovals.get(requestId);
+  if (!entry) return { error: 'Already decided' };
+  clearTimeout(entry.timer);
+  pendingToolApprovals.delete(requestId);
+  const allow = decision === 'allow';
+  if (allow && always) {
+    if (!sessionToolAllows.has(entry.sessionId)) sessionToolAllows.set(entry.sessionId, new Set());
+    sessionToolAllows.get(entry.sessionId).add(entry.pattern);
+  }
+  const denyReason = allow ? null : reason || `The user denied this ${entry.tool} call`;
+  entry.resolve(allow ? { decision: 'allow' } : { decision: 'deny', reason: denyReason });
+  log.info('tool approval resolved', { sessionId: entry.sessionId, tool: entry.tool, decision, always: allow && always, by });
+  if (by && !allow) reportToolBlocked(entry.sessionId, { tool: entry.tool, input: entry.input, reason: denyReason, profile: entry.profile });
+  sendSessionEvent(entry.sessionId, { type: 'tool_approval_resolved', requestId, decision, always: allow && always, by, tabId: entry.sessionId });
+  if (telegramBot) telegramBot.dismissToolApproval(requestId, { decision, by });
+  return { ok: true };
+}
+
+// The run is gone — nobody is waiting for these answers any more
+function cancelToolApprovals(sessionId) {
+  for (const [rid, entry] of pendingToolApprovals) {
+    if (entry.sessionId === sessionId) resolveToolApproval(rid, 'deny', { reason: 'The run was stopped' });
+  }
+}
+
+// Commit what the task left behind and park the branch for review.
+// A run that changed nothing cleans up after itself.
+function finishTaskWorktree(task, wt) {
+  try {
+    worktrees.commitPending(wt, `${task.title}\n\nKanban task ${task.id}`);
+    wt.stats = worktrees.summary(wt);
+    wt.state = wt.stats.commits ? 'review' : 'empty';
+    if (!wt.stats.commits) worktrees.remove(wt);
+  } catch (e) {
+    wt.state = 'review';
+    wt.error = e.message;
+    log.warn(`[taskWorker] task ${task.id}: finishing worktree failed`, { error: e.message });
+  }
+  wt.finished_at = new Date().toISOString();
+  try { saveWorktree(task.id, wt); } catch {}
+}
+
+// ─── Task git activity ───────────────────────────────────────────────────────
+// Commits a task produced — during its runs, in the checkout or on its worktree
+// branch, and from the git panel of its session — are kept on the task row so
+// the Kanban card can list them after the worktree is gone:
+//   { commits: [{ sha, short, subject, date, via: 'run' | 'panel' }], web, updated_at }
+const TASK_GIT_MAX_COMMITS = 50;
+
+function parseGitActivity(task) {
+  if (!task?.git_activity) return null;
+  try { return JSON.parse(task.git_activity); } catch { return null; }
+}
+
+// Newest first; commits already listed are skipped
+function addTaskCommits(taskId, commits, via, web) {
+  const task = stmts.getTask.get(taskId);
+  if (!task || !commits.length) return;
+  const activity = parseGitActivity(task) || { commits: [] };
+  const known = new Set(activity.commits.map(c => c.sha));
+  const added = commits.filter(c => !known.has(c.sha))
+    .map(c => ({ sha: c.sha, short: c.short, subject: c.subject, date: c.date, via }));
+  if (!added.length) return;
+  activity.commits = [...added, ...activity.commits].slice(0, TASK_GIT_MAX_COMMITS);
+  if (web) activity.web = web;
+  activity.updated_at = new Date().toISOString();
+  stmts.setTaskGitActivity.run(JSON.stringify(activity), taskId);
+}
+
+// After a run: commits on the worktree branch, or new commits in the checkout
+async function recordTaskRunCommits(task, wt, cwd, before) {
+  if (wt?.state === 'empty') return; // nothing committed, branch already deleted
+  try {
+    const run = gitOps.localRunner(wt ? wt.repo : cwd);
+    const range = wt ? `${wt.base}..${wt.branch}` : `${before}..HEAD`;
+    const commits = await gitOps.log(run, { range, max: TASK_GIT_MAX_COMMITS });
+    if (commits.length) addTaskCommits(task.id, commits, 'run', await gitOps.remoteWebUrl(run));
+  } catch (e) {
+    log.warn(`[taskWorker] task ${task.id}: reading git activity failed`, { error: e.message });
+  }
+}
+
+// ─── Task completion & approval gate ─────────────────────────────────────────
+const REVIEW_NOTES_MAX = 2000; // same cap as the notes field in the task API
+
+// Mark a successful task done (recurring standalone tasks re-arm instead) and
+// check whether that completes its chain. Returns true if the task was re-armed.
+function completeTask(task) {
+  const reArmed = (task.recurrence && !task.chain_id) ? scheduleNextRun(task) : false;
+  if (!reArmed) {
+    db.prepare(`UPDATE tasks SET status='done', failure_reason=NULL, worker_pid=NULL, updated_at=datetime('now') WHERE id=?`)
+      .run(task.id);
+  }
+  if (task.chain_id) checkChainCompletion(task.chain_id);
+  return reArmed;
+}
+
+// 🔗 Chain completion: check if all tasks in a manual chain are done
+function checkChainCompletion(chainId) {
+  try {
+    const chain = stmts.getChain.get(chainId);
+    if (!chain) return;
+    const allChainTasks = stmts.getChainTasksList.all(chainId);
+    db.prepare(`UPDATE task_chains SET updated_at=datetime('now') WHERE id=?`).run(chainId);
+    if (!allChainTasks.every(ct => ct.status === 'done')) return;
+    log.info(`[taskWorker] chain ${chainId} completed: all ${allChainTasks.length} tasks done`);
+    emitWebhook('chain.done', {
+      chain_id: chain.id, title: chain.title, workdir: chain.workdir || null,
+      session_id: chain.session_id || null, owner_id: chain.owner_id || null,
+      task_count: allChainTasks.length, recurrence: chain.recurrence || null,
+    }, `✅ Chain done: ${chain.title} (${allChainTasks.length} tasks)`);
+    if (chain.recurrence) {
+      scheduleNextChainRun(chain, allChainTasks);
+    }
+  } catch (e) { log.error('Chain completion check failed', { chainId, error: e.message }); }
+}
+
+function parseApproval(task) {
+  if (!task?.approval) return null;
+  try { return JSON.parse(task.approval); } catch { return null; }
+}
+
+function saveApproval(taskId, approval) {
+  stmts.setTaskApproval.run(approval ? JSON.stringify(approval) : null, taskId);
+}
+
+// A task needs sign-off when it or its chain asks for it
+function taskNeedsApproval(task) {
+  if (task.requires_approval) return true;
+  return !!(task.chain_id && stmts.getChain.get(task.chain_id)?.requires_approval);
+}
+
+// What the reviewer looks at: the worktree branch, or the checkout since the run's snapshot.
+// Returns { source, stat, patch, truncated } or null when there is nothing to diff.
+function taskReviewDiff(task, { withPatch = true } = {}) {
+  const wt = parseWorktree(task);
+  if (wt && (wt.state === 'review' || wt.state === 'active')) {
+    return { source: 'worktree', branch: wt.branch, stat: worktrees.diffStat(wt), ...(withPatch ? worktrees.diff(wt) : { patch: null, truncated: false }) };
+  }
+  const base = parseApproval(task)?.base;
+  if (!base || !fs.existsSync(task.workdir || WORKDIR)) return null;
+  const changes = worktrees.changesSince(task.workdir || WORKDIR, base);
+  return { source: 'workdir', base, ...changes, ...(withPatch ? {} : { patch: null, truncated: false }) };
+}
+
+// Park a finished task in 'review' and tell the people who can approve it
+function requestTaskReview(task, sessionId, durationMs) {
+  const prev = parseApproval(stmts.getTask.get(task.id)) || {};
+  const approval = {
+    ...prev, round: (prev.round || 0) + 1, requested_at: new Date().toISOString(),
+    decision: null, decided_by: null, decided_at: null, feedback: null,
+  };
+  db.prepare(`UPDATE tasks SET status='review', failure_reason=NULL, worker_pid=NULL, updated_at=datetime('now') WHERE id=?`)
+    .run(task.id);
+  saveApproval(task.id, approval);
+  log.info(`[taskWorker] task ${task.id}: awaiting approval (round ${approval.round})`);
+  emitWebhook('task.review', taskWebhookData(task, {
+    session_id: sessionId, duration_ms: durationMs, round: approval.round,
+  }), `✋ Task awaiting approval: ${task.title}`);
+  if (task.source_session_id) {
+    const _ctx = getNotificationContext(task.source_session_id);
+    broadcastToSession(task.source_session_id, {
+      type: 'notification', level: 'info',
+      title: `Awaiting approval: "${task.title}"`,
+      detail: task.chain_id ? 'Dependent tasks wait until it is approved on the Kanban board.' : 'Approve or reject it on the Kanban board.',
+      tabId: task.source_session_id,
+      chainTaskId: task.id, chainStatus: 'review',
+      sessionTitle: _ctx.sessionTitle, projectName: _ctx.projectName,
+    });
+  }
+  // Deferred: a worktree task's leftovers are committed in startTask's finally block
+  setImmediate(() => {
+    if (!telegramBot || !telegramBot.isRunning()) return;
+    const fresh = stmts.getTask.get(task.id);
+    if (!fresh || fresh.status !== 'review') return;
+    let stat = '';
+    try { stat = taskReviewDiff(fresh, { withPatch: false })?.stat || ''; } catch {}
+    telegramBot.notifyTaskReview({
+      taskId: fresh.id, sessionId, title: fresh.title || 'Task',
+      output: fresh.task_output || '', stat, duration: durationMs,
+    }).catch(() => {});
+  });
+}
+
+// Approve a task in review: it completes as if it had finished normally and dependents may start.
+// Shared by the REST route and Telegram. Returns { task } or { status, error }.
+function approveTask(taskId, reviewer) {
+  const task = stmts.getTask.get(taskId);
+  if (!task) return { status: 404, error: 'Task not found' };
+  if (task.status !== 'review') return { status: 409, error: `Task is ${task.status}, not awaiting review` };
+  saveApproval(task.id, {
+    ...parseApproval(task), decision: 'approved', decided_by: reviewer || null,
+    decided_at: new Date().toISOString(), feedback: null,
+  });
+  const reArmed = completeTask(task);
+  stmts.decideTaskRun.run('done', task.id);
+  log.info(`[taskWorker] task ${task.id}: approved by ${reviewer || 'unknown'}${reArmed ? ', re-armed' : ''}`);
+  emitWebhook('task.done', taskWebhookData(task, { approved_by: reviewer || null, rearmed: reArmed }),
+    `✅ Task approved: ${task.title}`);
+  setImmediate(processQueue);
+  return { task: stmts.getTask.get(task.id) };
+}
+
+// Reject a task in review: the feedback is appended to its notes and the task runs again
+// in the same session. Returns { task } or { status, error }.
+function rejectTask(taskId, feedback, reviewer) {
+  const task = stmts.getTask.get(taskId);
+  if (!task) return { status: 404, error: 'Task not found' };
+  if (task.status !== 'review') return { status: 409, error: `Task is ${task.status}, not awaiting review` };
+  const text = String(feedback || '').trim();
+  if (!text) return { status: 400, error: 'Feedback is required to reject a task' };
+  const stamp = new Date().toISOString().substring(0, 16).replace('T', ' ');
+  const entry = `Review feedback${reviewer ? ` from ${reviewer}` : ''} (${stamp}):\n${text}`;
+  let notes = task.notes?.trim() ? `${task.notes.trim()}\n\n${entry}` : entry;
+  // Keep the newest feedback when the notes outgrow the field
+  if (notes.length > REVIEW_NOTES_MAX) notes = '…' + notes.slice(-(REVIEW_NOTES_MAX - 1));
+  saveApproval(task.id, {
+    ...parseApproval(task), decision: 'rejected', decided_by: reviewer || null,
+    decided_at: new Date().toISOString(), feedback: text.substring(0, REVIEW_NOTES_MAX),
+  });
+  db.prepare(`UPDATE tasks SET status='todo', notes=?, failure_reason=NULL, task_retry_count=0, worker_pid=NULL, updated_at=datetime('now') WHERE id=?`)
+    .run(notes, task.id);
+  stmts.decideTaskRun.run('rejected', task.id);
+  log.info(`[taskWorker] task ${task.id}: rejected by ${reviewer || 'unknown'}, re-queued`);
+  emitWebhook('task.rejected', taskWebhookData(task, { rejected_by: reviewer || null, feedback: text }),
+    `↩️ Task sent back: ${task.title}`);
+  setImmediate(processQueue);
+  return { task: stmts.getTask.get(task.id) };
+}
+
 // ─── Recurring task scheduler ────────────────────────────────────────────────
-function calcNextRun(scheduled_at, recurrence) {
+const RECURRENCE_PRESETS = ['hourly', 'daily', 'weekly', 'monthly'];
+
+// recurrence is either a preset (interval added in server local time) or a
+// 5-field cron expression evaluated in recurrence_tz (server local if unset).
+function calcNextRun(scheduled_at, recurrence, tz) {
+  if (!RECURRENCE_PRESETS.includes(recurrence)) return cron.nextCronRun(recurrence, tz || null, scheduled_at);
   const d = new Date(scheduled_at * 1000);
   if (recurrence === 'hourly')  d.setHours(d.getHours() + 1);
   if (recurrence === 'daily')   d.setDate(d.getDate() + 1);
@@ -1248,15 +1924,42 @@ function calcNextRun(scheduled_at, recurrence) {
   return Math.floor(d.getTime() / 1000);
 }
 
+// Validates recurrence + timezone from API input. Returns an error string or null.
+function validateRecurrence(recurrence, tz) {
+  if (tz && !cron.isValidTimezone(tz)) return `Unknown timezone "${tz}"`;
+  if (!recurrence || RECURRENCE_PRESETS.includes(recurrence)) return null;
+  try { cron.parseCron(recurrence); } catch (e) { return `Invalid recurrence: ${e.message}`; }
+  return null;
+}
+
+// Whether an edit really changes a task's or chain's schedule. '' and null both
+// mean "no recurrence", so a client echoing '' back does not count as a change.
+function recurrenceChanged(row, recurrence, recurrenceTz) {
+  const norm = v => sqlVal(v) || null;
+  return norm(recurrence) !== norm(row.recurrence) || norm(recurrenceTz) !== norm(row.recurrence_tz);
+}
+
+// Cron schedules without an explicit start fire at their first matching time,
+// not immediately. Presets keep the old behaviour (first run = scheduled_at or now).
+function firstScheduledAt(scheduled_at, recurrence, tz) {
+  if (scheduled_at || !recurrence || RECURRENCE_PRESETS.includes(recurrence)) return scheduled_at || null;
+  return calcNextRun(Math.floor(Date.now() / 1000), recurrence, tz);
+}
+
 // Returns true if task was re-armed, false if series ended or skipped.
 function scheduleNextRun(task) {
   if (!task.recurrence) return false;
   const now = Math.floor(Date.now() / 1000);
-  // If no scheduled_at (recurring without fixed date), calculate next from now
-  const baseTime = task.scheduled_at || now;
-  let next = calcNextRun(baseTime, task.recurrence);
+  // If no scheduled_at (recurring without fixed date), calculate next from now.
+  // Cron schedules jump straight to the first match after now.
+  const isCron = !RECURRENCE_PRESETS.includes(task.recurrence);
+  const baseTime = isCron ? Math.max(task.scheduled_at || 0, now) : (task.scheduled_at || now);
+  let next;
+  try { next = calcNextRun(baseTime, task.recurrence, task.recurrence_tz); }
+  catch (e) { log.warn(`[schedule] Bad recurrence for "${task.title}": ${e.message}`); return false; }
+  if (!next) { log.warn(`[schedule] Recurrence never fires again for "${task.title}"`); return false; }
   let guard = 0;
-  while (next <= now && guard < 10000) { next = calcNextRun(next, task.recurrence); guard++; }
+  while (next <= now && guard < 10000) { next = calcNextRun(next, task.recurrence, task.recurrence_tz); guard++; }
   if (guard >= 10000) { log.warn(`[schedule] Too many iterations for "${task.title}", skipping`); return false; }
   // Respect end date
   if (task.recurrence_end_at && next > task.recurrence_end_at) {
@@ -1274,10 +1977,14 @@ function scheduleNextRun(task) {
 function scheduleNextChainRun(chain, oldTasks) {
   if (!chain.recurrence) return;
   const now = Math.floor(Date.now() / 1000);
-  const baseTime = chain.scheduled_at || now;
-  let next = calcNextRun(baseTime, chain.recurrence);
+  const isCron = !RECURRENCE_PRESETS.includes(chain.recurrence);
+  const baseTime = isCron ? Math.max(chain.scheduled_at || 0, now) : (chain.scheduled_at || now);
+  let next;
+  try { next = calcNextRun(baseTime, chain.recurrence, chain.recurrence_tz); }
+  catch (e) { log.warn(`[schedule] Bad chain recurrence for "${chain.title}": ${e.message}`); return; }
+  if (!next) { log.warn(`[schedule] Chain recurrence never fires again: "${chain.title}"`); return; }
   let guard = 0;
-  while (next <= now && guard < 10000) { next = calcNextRun(next, chain.recurrence); guard++; }
+  while (next <= now && guard < 10000) { next = calcNextRun(next, chain.recurrence, chain.recurrence_tz); guard++; }
   if (guard >= 10000) { log.warn(`[schedule] Chain recurrence too many iterations: "${chain.title}"`); return; }
   if (chain.recurrence_end_at && next > chain.recurrence_end_at) {
     log.info(`[schedule] Chain recurrence ended: "${chain.title}"`); return;
@@ -1288,6 +1995,7 @@ function scheduleNextChainRun(chain, oldTasks) {
     stmts.createSession.run(newSessionId, chain.title, '[]', '[]',
       chain.mode || 'auto', chain.agent_mode || 'single', chain.model || 'sonnet',
       chain.workdir || null);
+    stmts.setSessionOwner.run(chain.owner_id || null, newSessionId);
     // Re-arm chain with next scheduled_at + new session
     db.prepare(`UPDATE task_chains SET scheduled_at=?, session_id=?, updated_at=datetime('now') WHERE id=?`)
       .run(next, newSessionId, chain.id);
@@ -1306,12 +2014,15 @@ function processQueue() {
   const inProg = stmts.getInProgressTasks.all();
   // Sessions currently occupied (in_progress or just started by taskRunning)
   const occupiedSids = new Set(inProg.filter(t => t.session_id).map(t => t.session_id));
-  // Workdir-level lock: prevents parallel chain tasks from writing to the same directory concurrently
-  const occupiedWorkdirs = new Set(inProg.filter(t => t.workdir).map(t => t.workdir));
+  // Workdir-level lock: prevents parallel chain tasks from writing to the same directory concurrently.
+  // A parent blocked in wait_for_tasks holds neither the lock nor a worker slot — its children need both.
+  const occupiedWorkdirs = new Set(inProg.filter(t => t.workdir && !waitingTasks.has(t.id)).map(t => t.workdir));
   // Count independent running tasks (null session_id)
-  let indepRunning = inProg.filter(t => !t.session_id).length;
+  let indepRunning = inProg.filter(t => !t.session_id && !waitingTasks.has(t.id)).length;
   const startedSids = new Set();
   const startedWorkdirs = new Set();
+  const budgets = loadBudgets();
+  const budgetBlocks = new Map(); // workdir → block reason (null = ok), computed once per pass
   for (const task of todo) {
     if (taskRunning.has(task.id)) continue;
     // Dependency gate: check depends_on before starting chain tasks
@@ -1352,6 +2063,11 @@ function processQueue() {
     // Workdir lock: only for chain tasks — prevents parallel chains from conflicting in the same directory.
     // Independent tasks (no chain_id) can run in parallel per workdir; the user explicitly chose concurrency.
     if (task.chain_id && task.workdir && (occupiedWorkdirs.has(task.workdir) || startedWorkdirs.has(task.workdir))) continue;
+    // Budget gate: daily / project caps stop dispatching new work
+    const budgetWorkdir = task.workdir || WORKDIR;
+    if (!budgetBlocks.has(budgetWorkdir)) budgetBlocks.set(budgetWorkdir, budgetBlockReason(budgetWorkdir, budgets));
+    const budgetBlock = budgetBlocks.get(budgetWorkdir);
+    if (budgetBlock) { notifyBudgetBlocked(task, budgetBlock); continue; }
     if (task.session_id) {
       // Shared session: one at a time per session
       if (!occupiedSids.has(task.session_id) && !startedSids.has(task.session_id)) {
@@ -1370,6 +2086,30 @@ function processQueue() {
     }
   }
 }
+
+/**
+ * Put back in the queue the tasks processQueue cascade-cancelled because `taskId`
+ * failed, transitively. Used when the failed task itself is retried.
+ */
+function requeueDepFailed(taskId) {
+  const requeued = [];
+  const pending = [taskId];
+  while (pending.length) {
+    const id = pending.shift();
+    const rows = db.prepare(`SELECT id, depends_on FROM tasks WHERE status='cancelled' AND failure_reason='dep_failed' AND depends_on LIKE ?`)
+      .all(`%"${id}"%`);
+    for (const row of rows) {
+      let deps = [];
+      try { deps = JSON.parse(row.depends_on); } catch {}
+      if (!deps.includes(id) || requeued.includes(row.id)) continue;
+      // The cascade replaced the notes with "Blocked: dependency … failed" — drop them
+      db.prepare(`UPDATE tasks SET status='todo', failure_reason=NULL, notes='', task_retry_count=0, updated_at=datetime('now') WHERE id=?`).run(row.id);
+      requeued.push(row.id);
+      pending.push(row.id);
+    }
+  }
+  return requeued;
+}
 // Run every 15s (fast enough to pick up unblocked tasks promptly,
 // light enough to be negligible — just two SELECT queries on SQLite)
 setInterval(processQueue, 15000);
@@ -1411,6 +2151,7 @@ setTimeout(() => {
       killByPid(task.worker_pid);
       console.log(`[startup] sent kill to orphan PID ${task.worker_pid} for task "${task.title}"`);
     }
+    stmts.interruptTaskRuns.run(task.id);
     // Step 2: Determine if the task actually completed.
     // Assistant text is only written to DB on onDone — so its presence means success.
     let newStatus = 'todo'; // default: retry (task was interrupted)
@@ -1451,6 +2192,7 @@ setInterval(() => {
     // Worker is dead — recover
     log.warn(`[watchdog] task "${task.title}" (${task.id}) stuck in_progress with no live worker, recovering`);
     if (task.worker_pid) killByPid(task.worker_pid);
+    stmts.interruptTaskRuns.run(task.id);
     const recovered = task.recurrence ? scheduleNextRun(task) : false;
     if (!recovered) {
       db.prepare(`UPDATE tasks SET status='todo', worker_pid=NULL, updated_at=datetime('now') WHERE id=?`)
@@ -2247,6 +2989,120 @@ function getNotificationContext(sessionId) {
 function loadRemoteHosts() { try { return JSON.parse(fs.readFileSync(REMOTE_HOSTS_FILE, 'utf-8')); } catch { return []; } }
 function saveRemoteHosts(h) { const d=path.dirname(REMOTE_HOSTS_FILE); if(!fs.existsSync(d)) fs.mkdirSync(d,{recursive:true}); atomicWriteJSON(REMOTE_HOSTS_FILE, h); }
 
+// ─── SSH host key pinning ─────────────────────────────────────────────────────
+// Each remote-hosts entry pins the server's key: hostKey = { type, fingerprint,
+// source: first-use|test|known_hosts|admin, acceptedAt, acceptedBy }. A different
+// key refuses the connection and is parked in pendingHostKey for an admin to review.
+
+// Project entries copy host/port; older ones may point at a host id that was re-created
+function findRemoteHost(hostId, host, port) {
+  const hosts = loadRemoteHosts();
+  return hosts.find(h => h.id === hostId)
+    || hosts.find(h => h.host === host && (Number(h.port) || 22) === (Number(port) || 22))
+    || null;
+}
+
+// SSH projects created before host pinning may name a host that has no entry
+// in the hosts list. Give each such host an entry built from the project's own
+// connection settings (its key is pinned on first use) and link the project.
+function adoptProjectRemoteHosts() {
+  const projects = loadProjects();
+  const hosts = loadRemoteHosts();
+  let added = false, changed = false;
+  for (const p of projects) {
+    if (!p.isRemote || !p.remoteHost) continue;
+    let rh = hosts.find(h => h.id === p.remoteHostId)
+      || hosts.find(h => h.host === p.remoteHost && (Number(h.port) || 22) === (Number(p.port) || 22));
+    if (!rh) {
+      rh = { id: 'rh-' + genId(), label: p.remoteHost, host: p.remoteHost, port: Number(p.port) || 22, sshKeyPath: p.sshKeyPath || '', password: p.password || '', proxyJump: '', proxyCommand: '', createdAt: new Date().toISOString() };
+      hosts.push(rh);
+      added = true;
+      log.info(`[ssh] added ${rh.host}:${rh.port} to the SSH hosts list for project "${p.name}"`);
+    }
+    if (p.remoteHostId !== rh.id) { p.remoteHostId = rh.id; changed = true; }
+  }
+  if (added) saveRemoteHosts(hosts);
+  if (changed) saveProjects(projects);
+}
+try { adoptProjectRemoteHosts(); } catch (e) { log.error('[ssh] could not migrate project hosts', { error: e.message }); }
+
+function pinRemoteHostKey(hostId, key, source, acceptedBy = null) {
+  const hosts = loadRemoteHosts();
+  const rh = hosts.find(h => h.id === hostId);
+  if (!rh) return null;
+  rh.hostKey = { type: key.type, fingerprint: key.fingerprint, source, acceptedAt: new Date().toISOString(), acceptedBy };
+  delete rh.pendingHostKey;
+  saveRemoteHosts(hosts);
+  log.info(`[ssh] ${rh.host}: pinned ${key.type} ${key.fingerprint} (${source})`);
+  return rh;
+}
+
+function recordHostKeyMismatch(hostId, key) {
+  const hosts = loadRemoteHosts();
+  const rh = hosts.find(h => h.id === hostId);
+  if (!rh) return;
+  log.warn(`[ssh] ${rh.host}: host key changed — presented ${key.type} ${key.fingerprint}, pinned ${rh.hostKey?.fingerprint}`);
+  if (rh.pendingHostKey?.fingerprint === key.fingerprint) return;
+  rh.pendingHostKey = { type: key.type, fingerprint: key.fingerprint, seenAt: new Date().toISOString() };
+  saveRemoteHosts(hosts);
+}
+
+// ClaudeSSH options that enforce (or establish) the pin of a host entry
+function sshHostKeyOptions(rh) {
+  return {
+    hostKey: rh.hostKey || null,
+    onHostKey: key => pinRemoteHostKey(rh.id, key, 'first-use'),
+    onHostKeyMismatch: key => recordHostKeyMismatch(rh.id, key),
+  };
+}
+
+function isHostKey(k) {
+  return !!k && typeof k.type === 'string' && /^SHA256:[A-Za-z0-9+/]{43}$/.test(k.fingerprint || '');
+}
+
+// ─── SSH routing (ProxyJump / ProxyCommand) ───────────────────────────────────
+// A host entry may set proxyJump — a comma-separated list of other entries
+// (by label or [user@]host[:port]), connected first to last — or proxyCommand,
+// a local command in OpenSSH syntax. Jump hosts keep their own credentials and
+// pinned host keys.
+
+function findJumpHost(name, hosts) {
+  const byLabel = hosts.find(h => String(h.label || '').toLowerCase() === name.toLowerCase());
+  if (byLabel) return byLabel;
+  const [, addr, port] = name.match(/^(.*?)(?::(\d+))?$/);
+  const { hostname } = parseSshHost(addr);
+  return hosts.find(h =>
+    (h.host === addr || (!addr.includes('@') && parseSshHost(h.host).hostname === hostname))
+    && (!port || (Number(h.port) || 22) === Number(port))) || null;
+}
+
+function sshHopOptions(h) {
+  return { host: h.host, port: h.port || 22, sshKeyPath: h.sshKeyPath || '', password: decryptPassword(h.password) || '', ...sshHostKeyOptions(h) };
+}
+
+// ClaudeSSH { jumpHosts, proxyCommand } for a host entry. The first jump host's
+// own route goes in front of it, as in ssh. Throws on unknown names and loops.
+function sshRouteOptions(rh, hosts = loadRemoteHosts(), seen = new Set()) {
+  if (rh.id) seen.add(rh.id);
+  const names = String(rh.proxyJump || '').split(',').map(n => n.trim()).filter(Boolean);
+  if (!names.length) return { jumpHosts: [], proxyCommand: rh.proxyCommand || '' };
+  const hops = names.map(name => {
+    const hop = findJumpHost(name, hosts);
+    if (!hop) throw new Error(`Jump host "${name}" is not in the SSH hosts list`);
+    if (seen.has(hop.id)) throw new Error(`ProxyJump loop through "${hop.label}"`);
+    seen.add(hop.id);
+    return hop;
+  });
+  const before = sshRouteOptions(hops[0], hosts, seen);
+  return { jumpHosts: [...before.jumpHosts, ...hops.map(sshHopOptions)], proxyCommand: before.proxyCommand };
+}
+
+// Validation message for the route fields of a host entry being saved, or null
+function sshRouteError(entry, hosts) {
+  if (entry.proxyJump && entry.proxyCommand) return 'Set either ProxyJump or ProxyCommand, not both';
+  try { sshRouteOptions(entry, hosts); return null; } catch (e) { return e.message; }
+}
+
 // ─── SSH password encryption (AES-256-GCM, persistent key) ───────────────────
 // Key is generated once and stored in data/hosts.key (600 perms).
 // Stored format: "enc:<base64(16-byte-IV + 16-byte-authTag + ciphertext)>"
@@ -2307,9 +3163,191 @@ function isResettableClaudeSessionError(errorText = '') {
   return /Invalid signature in thinking block|invalid session|session .* not found|could not find .*session|no conversation found|resume .*failed|failed to resume|conversation .* not found/i.test(errorText || '');
 }
 
+// ─── Run ledger ──────────────────────────────────────────────────────────────
+// Each CLI invocation ends with a stream-json `result` event carrying usage + cost.
+// A chat turn / task run may span several invocations (auto-continue, rate-limit
+// retries), so results are summed into one accumulator and recorded once.
+function newRunUsage() {
+  return { results: 0, input_tokens: 0, output_tokens: 0, cache_read_tokens: 0, cache_creation_tokens: 0, cost_usd: 0, duration_ms: 0, num_turns: 0 };
+}
+function addRunUsage(acc, result) {
+  if (!result) return acc;
+  const u = result.usage || {};
+  acc.results++;
+  acc.input_tokens          += u.input_tokens || 0;
+  acc.output_tokens         += u.output_tokens || 0;
+  acc.cache_read_tokens     += u.cache_read_input_tokens || 0;
+  acc.cache_creation_tokens += u.cache_creation_input_tokens || 0;
+  acc.cost_usd              += result.total_cost_usd || 0;
+  acc.duration_ms           += result.duration_ms || 0;
+  acc.num_turns             += result.num_turns || 0;
+  return acc;
+}
+/**
+ * Persist one row in the runs ledger. No-op when no result event was received
+ * (process crashed before finishing) — there is nothing reliable to record.
+ * @param {{ kind: 'chat'|'task'|'agent', sessionId: string, taskId?: string, agentId?: string, title?: string, workdir?: string, model?: string }} meta
+ * @param {object} usage - accumulator from newRunUsage()/addRunUsage()
+ */
+function recordRun(meta, usage) {
+  if (!usage?.results) return;
+  try {
+    stmts.insertRun.run(meta.sessionId || null, meta.taskId || null, meta.kind, meta.agentId || null,
+      meta.title ? String(meta.title).substring(0, 200) : null, meta.workdir || WORKDIR, meta.model || null,
+      usage.input_tokens, usage.output_tokens, usage.cache_read_tokens, usage.cache_creation_tokens,
+      usage.cost_usd, usage.duration_ms, usage.num_turns);
+  } catch (e) { log.warn('[runs] failed to record run', { sessionId: meta.sessionId, kind: meta.kind, err: e.message }); }
+  // New spend may push a project or the whole day over its cap
+  setImmediate(enforceBudgets);
+}
+
+// ─── Budget guardrails ───────────────────────────────────────────────────────
+// Caps live in config.json under "budgets" (Config editor or PUT /api/budgets):
+//   task:     limits for a single task run
+//   project:  per-workdir limits per UTC day (default for every project)
+//   daily:    limits for all runs (chats included) per UTC day
+//   projects: { "<workdir>": {...} } — per-project overrides of `project`
+// Each level takes { maxCostUsd, maxTurns, maxMinutes }; missing or 0 = unlimited.
+// Spend = runs ledger for today + live usage of tasks still running.
+const BUDGET_LEVELS = ['task', 'project', 'daily'];
+const BUDGET_CHECK_INTERVAL_MS = 15_000;
+const liveTaskBudgets = new Map(); // taskId → { workdir, startedAt, usage } for running tasks
+const budgetStops = new Map();     // taskId → failure_reason for runs aborted by a cap
+const _budgetBlockNotified = new Set(); // "<date>|<reason>" — notify once per blocked scope per day
+
+function cleanBudgetLimits(l) {
+  const num = v => (typeof v === 'number' && isFinite(v) && v > 0) ? v : null;
+  return { maxCostUsd: num(l?.maxCostUsd), maxTurns: num(l?.maxTurns), maxMinutes: num(l?.maxMinutes) };
+}
+
+function loadBudgets() {
+  const b = loadConfig().budgets || {};
+  const projects = {};
+  for (const [wd, l] of Object.entries(b.projects || {})) projects[wd] = cleanBudgetLimits(l);
+  return { task: cleanBudgetLimits(b.task), project: cleanBudgetLimits(b.project), daily: cleanBudgetLimits(b.daily), projects };
+}
+
+// Today's spend, optionally scoped to one workdir. Includes running tasks.
+function budgetSpendToday(workdir) {
+  const row = workdir ? stmts.budgetSpendTodayByWorkdir.get(workdir) : stmts.budgetSpendToday.get();
+  let costUsd = row.cost_usd, turns = row.turns, ms = row.duration_ms;
+  // Deleted sessions take their runs with them — archived cost still counts for the day
+  if (!workdir) costUsd += stmts.budgetArchivedCostToday.get().cost_usd;
+  const now = Date.now();
+  for (const live of liveTaskBudgets.values()) {
+    if (workdir && live.workdir !== workdir) continue;
+    costUsd += live.usage.cost_usd; turns += live.usage.num_turns; ms += now - live.startedAt;
+  }
+  return { costUsd, turns, minutes: ms / 60000 };
+}
+
+function budgetExceeded(label, limits, used) {
+  if (limits.maxCostUsd && used.costUsd >= limits.maxCostUsd) return `${label} cost cap $${limits.maxCostUsd.toFixed(2)} reached ($${used.costUsd.toFixed(2)})`;
+  if (limits.maxTurns && used.turns >= limits.maxTurns) return `${label} turn cap ${limits.maxTurns} reached (${used.turns})`;
+  if (limits.maxMinutes && used.minutes >= limits.maxMinutes) return `${label} time cap ${limits.maxMinutes} min reached (${used.minutes < 10 ? used.minutes.toFixed(1) : Math.round(used.minutes)} min)`;
+  return null;
+}
+
+/** Reason new work in `workdir` must not start (daily or project cap hit), or null. */
+function budgetBlockReason(workdir, budgets = loadBudgets()) {
+  const daily = budgetExceeded('daily', budgets.daily, budgetSpendToday(null));
+  if (daily) return daily;
+  const projLimits = budgets.projects[workdir] || budgets.project;
+  if (!projLimits.maxCostUsd && !projLimits.maxTurns && !projLimits.maxMinutes) return null;
+  return budgetExceeded('project', projLimits, budgetSpendToday(workdir));
+}
+
+/** Reason a running task must stop (its own cap or a project/daily cap), or null. */
+function taskBudgetReason(taskId, budgets = loadBudgets()) {
+  const live = liveTaskBudgets.get(taskId);
+  if (!live) return null;
+  const used = { costUsd: live.usage.cost_usd, turns: live.usage.num_turns, minutes: (Date.now() - live.startedAt) / 60000 };
+  return budgetExceeded('task', budgets.task, used) || budgetBlockReason(live.workdir, budgets);
+}
+
+/** Smallest remaining cost / turns allowance across all levels for a running task. */
+function taskBudgetRemaining(taskId, budgets = loadBudgets()) {
+  const live = liveTaskBudgets.get(taskId);
+  if (!live) return { costUsd: null, turns: null };
+  const projLimits = budgets.projects[live.workdir] || budgets.project;
+  const levels = [
+    [budgets.task, { costUsd: live.usage.cost_usd, turns: live.usage.num_turns }],
+    [projLimits, budgetSpendToday(live.workdir)],
+    [budgets.daily, budgetSpendToday(null)],
+  ];
+  let costUsd = null, turns = null;
+  for (const [limits, used] of levels) {
+    if (limits.maxCostUsd) costUsd = Math.min(costUsd ?? Infinity, limits.maxCostUsd - used.costUsd);
+    if (limits.maxTurns) turns = Math.min(turns ?? Infinity, limits.maxTurns - used.turns);
+  }
+  return { costUsd, turns };
+}
+
+// Abort running tasks that went over a cap. Runs on a timer (wall-clock caps)
+// and after every recorded run (cost / turn caps).
+function enforceBudgets() {
+  if (!liveTaskBudgets.size) return;
+  let budgets;
+  try { budgets = loadBudgets(); } catch { return; }
+  for (const taskId of liveTaskBudgets.keys()) {
+    if (budgetStops.has(taskId)) continue;
+    const reason = taskBudgetReason(taskId, budgets);
+    if (!reason) continue;
+    budgetStops.set(taskId, `budget_exceeded: ${reason}`);
+    log.warn('[budget] aborting task', { taskId, reason });
+    try { runningTaskAborts.get(taskId)?.abort(); } catch {}
+  }
+}
+setInterval(enforceBudgets, BUDGET_CHECK_INTERVAL_MS);
+
+// processQueue skips work while a cap is hit — tell the user once per scope per day
+function notifyBudgetBlocked(task, reason) {
+  const key = `${new Date().toISOString().slice(0, 10)}|${reason.replace(/\(.*\)$/, '')}|${task.workdir || ''}`;
+  if (_budgetBlockNotified.has(key)) return;
+  _budgetBlockNotified.add(key);
+  log.warn('[budget] queue paused', { taskId: task.id, workdir: task.workdir, reason });
+  if (task.source_session_id) {
+    const _ctx = getNotificationContext(task.source_session_id);
+    broadcastToSession(task.source_session_id, {
+      type: 'notification', level: 'warn',
+      title: 'Task queue paused: budget reached',
+      detail: `${reason}. "${task.title}" will wait until the cap resets or is raised.`,
+      tabId: task.source_session_id,
+      sessionTitle: _ctx.sessionTitle, projectName: _ctx.projectName,
+    });
+  }
+  if (telegramBot && telegramBot.isRunning()) {
+    const esc = v => String(v).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    telegramBot.notifyAll(`⏸ <b>Task queue paused</b>\n${esc(reason)}\nWaiting: ${esc(task.title || 'Task')}`).catch(() => {});
+  }
+}
+
+// ─── Outbound webhooks ───────────────────────────────────────────────────────
+// config.webhooks: [{ id, name, url, secret, events: [...], enabled }]
+// Deliveries are queued in SQLite (webhook_deliveries) by webhooks.js.
+const webhooks = new WebhookDispatcher(db, { log, getHooks: () => loadConfig().webhooks || [] });
+webhooks.start();
+
+// Never let a webhook problem break the code path that raised the event
+function emitWebhook(event, data, text) {
+  try { webhooks.emit(event, data, text); }
+  catch (e) { log.warn(`[webhooks] emit ${event} failed: ${e.message}`); }
+}
+
+// Common task fields for task.* payloads
+function taskWebhookData(task, extra = {}) {
+  return {
+    task_id: task.id, title: task.title, workdir: task.workdir || null,
+    chain_id: task.chain_id || null, session_id: task.session_id || null,
+    model: task.model || null, owner_id: task.owner_id || null,
+    recurrence: task.recurrence || null,
+    ...extra,
+  };
+}
+
 // --- CLI Single Agent ---
 async function runCliSingle(p) {
-  const { prompt, userContent, systemPrompt, mcpServers, model, maxTurns, ws, sessionId, abortController, claudeSessionId, forkSession, mode, workdir, tabId, name, effort } = p;
+  const { prompt, userContent, systemPrompt, mcpServers, model, maxTurns, ws, sessionId, abortController, claudeSessionId, forkSession, mode, workdir, tabId, name, effort, onSpawn, permissionProfile } = p;
   const mp = mode==='planning' ? 'MODE: PLANNING ONLY. Analyze, plan, DO NOT modify files.\n\n' : mode==='task' ? 'MODE: EXECUTION.\n\n' : '';
   const sp = (mp + (systemPrompt||'')).trim() || undefined;
   // MCP tools must use the mcp__<serverName>__<toolName> format in allowedTools
@@ -2325,7 +3363,7 @@ async function runCliSingle(p) {
   // First invocation carries attachments; subsequent auto-continues do not
   let currentContentBlocks = Array.isArray(userContent) ? userContent : null;
 
-  const cli = new ClaudeCLI({ cwd: workdir || WORKDIR });
+  const cli = new ClaudeCLI({ cwd: workdir || WORKDIR, container: projectContainer(workdir || WORKDIR) });
   let pendingFork = !!forkSession; // only fork on first CLI call
 
   // Run a single CLI invocation and return { resultData, sid, errorText, rateLimitInfo }
@@ -2347,7 +3385,12 @@ async function runCliSingle(p) {
       CCS_INTERRUPT_SECRET: INTERRUPT_SECRET,
     };
 
-    cli.send({ prompt: runPrompt, contentBlocks, sessionId: resumeId, model, maxTurns: effectiveMaxTurns, systemPrompt: sp, mcpServers, allowedTools: tools, abortController, forkSession: useFork, extraEnv: interruptEnv, extraSettings: interruptHookSettings, name, effort })
+    const perm = profileRunOptions(permissionProfile, sessionId);
+
+    const stream = cli.send({ prompt: runPrompt, contentBlocks, sessionId: resumeId, model, maxTurns: effectiveMaxTurns, systemPrompt: sp, mcpServers, allowedTools: tools, tools: perm.tools, abortController, forkSession: useFork, extraEnv: { ...interruptEnv, ...perm.env }, extraSettings: permissionProfiles.mergeSettings(interruptHookSettings, perm.settings), name, effort });
+    // Journaled chat runs keep the subprocess PID so a restart after a crash can kill the orphan
+    if (onSpawn && stream.process?.pid) onSpawn(stream.process.pid);
+    stream
       .onText(t => {
         fullText += t;
         { const _cb = (chatBuffers.get(sessionId) || '') + t; chatBuffers.set(sessionId, _cb.length > MAX_CHAT_BUFFER ? _cb.slice(-MAX_CHAT_BUFFER) : _cb); }
@@ -2391,12 +3434,14 @@ async function runCliSingle(p) {
   // Main loop: run agent, auto-continue until it finishes successfully or budget exhausted
   let lastResult = null;
   let totalCostUsd = 0;
+  const runUsage = newRunUsage();
   while (true) {
     const fullTextBefore = fullText.length;
     const { resultData, errorText, rateLimitInfo } = await runOnce(currentPrompt, currentContentBlocks, newCid);
     const hadOutputBeforeRateLimit = fullText.length > fullTextBefore;
     lastResult = resultData;
     totalCostUsd += resultData?.total_cost_usd || 0;
+    addRunUsage(runUsage, resultData);
 
     // ✅ Success — agent finished naturally
     if (resultData?.subtype === 'success') break;
@@ -2556,12 +3601,16 @@ async function runCliSingle(p) {
     durationMs: lastResult.duration_ms,
     contextWindow: _modelInfo?.contextWindow || 0,
   } : null;
+  recordRun({ kind: 'chat', sessionId, workdir, model }, runUsage);
   return { cid: newCid, completed: lastResult?.subtype === 'success', resultMeta };
 }
 
 // --- SSH Remote Agent ---
 async function runSshSingle(p) {
-  const { prompt, userContent, systemPrompt, model, maxTurns, ws, sessionId, abortController, claudeSessionId, forkSession, mode, remoteHost, remoteWorkdir, sshKeyPath, password, port, tabId, name, effort } = p;
+  const { prompt, userContent, systemPrompt, model, maxTurns, ws, sessionId, abortController, claudeSessionId, forkSession, mode, remoteHost, remoteHostId, remoteWorkdir, sshKeyPath, password, port, tabId, name, effort, permissionProfile } = p;
+  // The host key is pinned on the remote-hosts entry; without one there is nothing to check it against
+  const rh = findRemoteHost(remoteHostId, remoteHost, port);
+  if (!rh) throw new Error(`SSH host ${remoteHost} is not in the SSH hosts list — add it in the SSH Hosts section (same address and port) so its host key can be pinned`);
   const mp = mode==='planning' ? 'MODE: PLANNING ONLY. Analyze, plan, DO NOT modify files.\n\n' : mode==='task' ? 'MODE: EXECUTION.\n\n' : '';
   const sp = (mp + (systemPrompt||'')).trim() || undefined;
   // MCP tools must use the mcp__<serverName>__<toolName> format in allowedTools
@@ -2576,8 +3625,9 @@ async function runSshSingle(p) {
   let rateLimitWaitCount = 0;
   let currentContentBlocks = Array.isArray(userContent) ? userContent : null;
 
-  const ssh = new ClaudeSSH({ host: remoteHost, workdir: remoteWorkdir, sshKeyPath, password, port });
+  const ssh = new ClaudeSSH({ host: remoteHost, workdir: remoteWorkdir, sshKeyPath, password, port, ...sshHostKeyOptions(rh), ...sshRouteOptions(rh) });
   let pendingFork = !!forkSession; // only fork on first SSH call
+  const perm = profileRunOptions(permissionProfile, sessionId, { remote: true });
 
   const runOnce = (runPrompt, contentBlocks, resumeId) => new Promise((resolve) => {
     let resultData = null;
@@ -2587,7 +3637,7 @@ async function runSshSingle(p) {
     const _finish = (sid) => { if (!_done) { _done = true; resolve({ resultData, sid, errorText, rateLimitInfo }); } };
     const useFork = pendingFork; pendingFork = false;
 
-    ssh.send({ prompt: runPrompt, contentBlocks, sessionId: resumeId, model, maxTurns: effectiveMaxTurns, systemPrompt: sp, allowedTools: tools, abortController, forkSession: useFork, name, effort })
+    ssh.send({ prompt: runPrompt, contentBlocks, sessionId: resumeId, model, maxTurns: effectiveMaxTurns, systemPrompt: sp, allowedTools: tools, tools: perm.tools, extraSettings: perm.settings, abortController, forkSession: useFork, name, effort })
       .onText(t => {
         fullText += t;
         { const _cb = (chatBuffers.get(sessionId) || '') + t; chatBuffers.set(sessionId, _cb.length > MAX_CHAT_BUFFER ? _cb.slice(-MAX_CHAT_BUFFER) : _cb); }
@@ -2610,7 +3660,13 @@ async function runSshSingle(p) {
         try { ws.send(JSON.stringify({ type:'rate_limit', info, ...(tabId ? { tabId } : {}) })); } catch {}
         if (info && info.status === 'rejected') rateLimitInfo = info;
       })
-      .onResult(r => { resultData = r; })
+      .onResult(r => {
+        resultData = r;
+        // No hook on the remote host: the CLI's own deny rules only show up in the result
+        for (const d of r?.permission_denials || []) {
+          reportToolBlocked(sessionId, { tool: d.tool_name, input: d.tool_input, reason: `Denied by permission profile "${permissionProfile?.name}"`, profile: permissionProfile?.id });
+        }
+      })
       .onError(err => {
         errorText += err;
         try { ws.send(JSON.stringify({ type:'error', error:err.substring(0,500), ...(tabId ? { tabId } : {}) })); } catch {}
@@ -2623,12 +3679,14 @@ async function runSshSingle(p) {
 
   let lastResult = null;
   let totalCostUsd = 0;
+  const runUsage = newRunUsage();
   while (true) {
     const fullTextBefore = fullText.length;
     const { resultData, errorText, rateLimitInfo } = await runOnce(currentPrompt, currentContentBlocks, newCid);
     const hadOutputBeforeRateLimit = fullText.length > fullTextBefore;
     lastResult = resultData;
     totalCostUsd += resultData?.total_cost_usd || 0;
+    addRunUsage(runUsage, resultData);
     if (resultData?.subtype === 'success') break;
 
     // 🚦 Rate limit rejected — wait for reset and auto-retry
@@ -2735,16 +3793,18 @@ async function runSshSingle(p) {
     durationMs: lastResult.duration_ms,
     contextWindow: _modelInfo?.contextWindow || 0,
   } : null;
+  recordRun({ kind: 'chat', sessionId, workdir: remoteWorkdir, model }, runUsage);
   return { cid: newCid, completed: lastResult?.subtype === 'success', resultMeta };
 }
 
 // --- Multi-Agent (CLI only) ---
 async function runMultiAgent(p) {
-  const { prompt, systemPrompt, mcpServers, model, maxTurns, ws, sessionId, abortController, claudeSessionId, workdir, tabId, effort } = p;
+  const { prompt, systemPrompt, mcpServers, model, maxTurns, ws, sessionId, abortController, claudeSessionId, workdir, tabId, effort, permissionProfile } = p;
   ws.send(JSON.stringify({ type:'agent_status', agent:'orchestrator', status:'🧠 Planning...', statusKey:'agent.planning', ...(tabId ? { tabId } : {}) }));
 
   const effectiveWorkdir = workdir || WORKDIR;
-  const cli = new ClaudeCLI({ cwd: effectiveWorkdir });
+  const cli = new ClaudeCLI({ cwd: effectiveWorkdir, container: projectContainer(effectiveWorkdir) });
+  const perm = profileRunOptions(permissionProfile, sessionId);
   let planText = '';
   // Orchestrator gets existing session context via --resume if available
   const planPrompt = `You are a lead architect. Break this into 2-5 subtasks. Respond ONLY in JSON:\n{"plan":"...","agents":[{"id":"agent-1","role":"...","task":"...","depends_on":[]}]}\n\nTASK: ${prompt}`;
@@ -2790,6 +3850,7 @@ async function runMultiAgent(p) {
       // as planText so the JSON.parse below works in either streaming path.
       .onTool((name, input) => { if (name === 'StructuredOutput' && input) planText = typeof input === 'string' ? input : JSON.stringify(input); })
       .onSessionId(sid => { currentSessionId = sid; })
+      .onResult(r => recordRun({ kind: 'agent', sessionId, agentId: 'orchestrator', workdir: effectiveWorkdir, model }, addRunUsage(newRunUsage(), r)))
       .onError(() => _res())
       .onDone(() => _res());
   });
@@ -2835,10 +3896,11 @@ async function runMultiAgent(p) {
         let _settled = false;
         const _res = () => { if (!_settled) { _settled = true; res(); } };
         // Agent resumes session to maintain context
-        cli.send({ prompt:agentPrompt, sessionId: currentSessionId, model, maxTurns:Math.min(maxTurns||30, 50), systemPrompt:agentSp, mcpServers, allowedTools:agentTools, abortController, effort })
+        cli.send({ prompt:agentPrompt, sessionId: currentSessionId, model, maxTurns:Math.min(maxTurns||30, 50), systemPrompt:agentSp, mcpServers, allowedTools:agentTools, tools: perm.tools, extraEnv: perm.env, extraSettings: perm.settings, abortController, effort })
           .onText(t => { agentText+=t; { const _cb = (chatBuffers.get(sessionId) || '') + t; chatBuffers.set(sessionId, _cb.length > MAX_CHAT_BUFFER ? _cb.slice(-MAX_CHAT_BUFFER) : _cb); } try { ws.send(JSON.stringify({ type:'text', text:t, agent:agent.id, ...(tabId ? { tabId } : {}) })); } catch {} })
           .onTool((n,i) => { if (n !== 'ask_user' && n !== 'notify_user' && n !== 'set_ui_state') { try { ws.send(JSON.stringify({ type:'tool', tool:n, input:(i||'').substring(0,600), agent:agent.id, ...(tabId ? { tabId } : {}) })); } catch {} } try { stmts.addMsg.run(sessionId,'assistant','tool',(i||'').substring(0,500),n,agent.id,null,null); } catch {} })
           .onSessionId(sid => { currentSessionId = sid; })
+          .onResult(r => recordRun({ kind: 'agent', sessionId, agentId: agent.id, workdir: effectiveWorkdir, model }, addRunUsage(newRunUsage(), r)))
           .onError(err => { try { ws.send(JSON.stringify({ type:'agent_status', agent:agent.id, status:`❌ ${err.substring(0,200)}`, ...(tabId ? { tabId } : {}) })); } catch {} _res(); })
           .onDone(() => _res());
       });
@@ -2866,6 +3928,7 @@ Provide a clear summary of what was accomplished. Be concise.`;
     cli.send({ prompt:summaryPrompt, sessionId: currentSessionId, model, maxTurns:1, allowedTools:[], abortController, effort })
       .onText(t => { summaryText+=t; { const _cb = (chatBuffers.get(sessionId) || '') + t; chatBuffers.set(sessionId, _cb.length > MAX_CHAT_BUFFER ? _cb.slice(-MAX_CHAT_BUFFER) : _cb); } try { ws.send(JSON.stringify({ type:'text', text:t, agent:'summarizer', ...(tabId ? { tabId } : {}) })); } catch {} })
       .onSessionId(sid => { currentSessionId = sid; try { stmts.updateClaudeId.run(sid, sessionId); } catch {} })
+      .onResult(r => recordRun({ kind: 'agent', sessionId, agentId: 'summarizer', workdir: effectiveWorkdir, model }, addRunUsage(newRunUsage(), r)))
       .onError(() => _res())
       .onDone(() => _res());
   });
@@ -2880,21 +3943,256 @@ Provide a clear summary of what was accomplished. Be concise.`;
   return currentSessionId;
 }
 
-// ============================================
-// EXPRESS
-// ============================================
-// CSP disabled: SPA uses inline scripts/styles; all other helmet headers applied
-app.use(helmet({ contentSecurityPolicy: false }));
-app.use(express.json({ limit:'5mb' }));
-app.use(cookieParser());
+// ─── Durable chat runs ───────────────────────────────────────────────────────
+// Every web chat turn is journaled in chat_runs. A shutdown leaves its rows
+// 'running'; on the next start resumeChatRuns() picks them up in the background
+// with `claude --resume`, and tabs that reconnect re-attach through activeTasks.
+const MAX_CHAT_RUN_RESUMES = 3;                      // a run that keeps crashing the server is given up
+const CHAT_RUN_RESUME_MAX_AGE_MS = 24 * 60 * 60 * 1000; // don't wake up day-old runs after a long outage
+const CONTINUE_PROMPT = 'Continue where you left off. Complete the remaining work.';
+const REPLAY_PROMPT = 'Continue this chat from the replayed history above. The latest user turn is included last. Respond to that latest user request.';
+let serverShuttingDown = false;
+
+/** MCP servers for a chat run: the session's enabled servers plus the internal ones. */
+function buildChatMcpServers(mcpIds, config, sessionId) {
+  const mcpServers = {};
+  for (const mid of mcpIds) {
+    const m = config.mcpServers[mid];
+    if (!m) continue;
+    if (m.type === 'http' || m.type === 'sse' || m.url) {
+      mcpServers[mid] = { type: m.type || 'http', url: m.url, ...(m.headers ? { headers: m.headers } : {}), ...(m.env ? { env: expandTildeInObj(m.env) } : {}) };
+    } else {
+      mcpServers[mid] = { command: m.command, args: m.args || [], env: expandTildeInObj(m.env || {}) };
+    }
+  }
 
-// ─── HTTP Request Logging ─────────────────────────────────────────────────────
-// Logs method, path, status, and duration for every request.
-// Skips the health endpoint to avoid noisy polling logs.
-app.use((req, res, next) => {
-  if (req.path === '/api/health') return next();
-  const start = Date.now();
-  res.on('finish', () => {
+  // --- Internal MCPs (always injected, invisible to user) ---
+  mcpServers['_ccs_ask_user'] = {
+    command: 'node',
+    args: [path.join(__dirname, 'mcp-ask-user.js')],
+    env: {
+      ASK_USER_SERVER_URL: `http://127.0.0.1:${PORT}`,
+      ASK_USER_SESSION_ID: sessionId,
+      ASK_USER_SECRET: ASK_USER_SECRET,
+    },
+  };
+  mcpServers['_ccs_notify'] = {
+    command: 'node',
+    args: [path.join(__dirname, 'mcp-notify.js')],
+    env: {
+      NOTIFY_SERVER_URL: `http://127.0.0.1:${PORT}`,
+      NOTIFY_SESSION_ID: sessionId,
+      NOTIFY_SECRET: NOTIFY_SECRET,
+    },
+  };
+  mcpServers['_ccs_set_ui_state'] = {
+    command: 'node',
+    args: [path.join(__dirname, 'mcp-set-ui-state.js')],
+    env: {
+      SET_UI_STATE_SERVER_URL: `http://127.0.0.1:${PORT}`,
+      SET_UI_STATE_SESSION_ID: sessionId,
+      SET_UI_STATE_SECRET: SET_UI_STATE_SECRET,
+    },
+  };
+  mcpServers['_ccs_user_interrupt'] = {
+    command: 'node',
+    args: [path.join(__dirname, 'mcp-user-interrupt.js')],
+    env: {
+      INTERRUPT_SERVER_URL: `http://127.0.0.1:${PORT}`,
+      INTERRUPT_SESSION_ID: sessionId,
+      INTERRUPT_SECRET: INTERRUPT_SECRET,
+    },
+  };
+  return mcpServers;
+}
+
+/**
+ * Run a chat turn on the right engine: SSH for remote projects, the
+ * orchestrator for multi mode, a single local agent otherwise.
+ * Returns { cid, resultMeta }.
+ */
+async function runChatEngine(params, agentMode) {
+  // Check if the active project is a remote SSH project
+  const _activeProj = loadProjects().find(p => p.workdir === params.workdir && p.isRemote);
+  if (_activeProj) {
+    // Route to SSH engine — runs claude on remote server
+    const sshResult = await runSshSingle({
+      ...params,
+      remoteHost:   _activeProj.remoteHost,
+      remoteHostId: _activeProj.remoteHostId,
+      remoteWorkdir: _activeProj.workdir,
+      sshKeyPath:   _activeProj.sshKeyPath || '',
+      password:     decryptPassword(_activeProj.password) || '',
+      port:         _activeProj.port || 22,
+    });
+    // Track remote host on session for UI indicators
+    try { db.prepare(`UPDATE sessions SET remote_host=? WHERE id=?`).run(_activeProj.remoteHost, params.sessionId); } catch {}
+    return { cid: sshResult.cid, resultMeta: sshResult.resultMeta };
+  }
+  if (agentMode === 'multi') return { cid: await runMultiAgent(params), resultMeta: null };
+  const result = await runCliSingle(params);
+  return { cid: result.cid, resultMeta: result.resultMeta };
+}
+
+function chatRunAge(run) {
+  const t = Date.parse(String(run.updated_at || '').replace(' ', 'T') + 'Z');
+  return Number.isFinite(t) ? Date.now() - t : 0;
+}
+
+/**
+ * Pick up chat runs that a shutdown or crash cut off. Called once before the
+ * server starts listening, so a tab that reconnects finds the run in activeTasks.
+ */
+function resumeChatRuns() {
+  for (const run of stmts.getRunningChatRuns.all()) {
+    // After a crash the old `claude` process is an orphan still writing to the same Claude session
+    if (run.pid) killByPid(run.pid);
+    const sess = stmts.getSession.get(run.session_id);
+    const giveUp = !sess ? 'session no longer exists'
+      : activeTasks.has(run.session_id) ? 'session is already running'
+      : run.resumes >= MAX_CHAT_RUN_RESUMES ? `gave up after ${run.resumes} resumes`
+      : chatRunAge(run) > CHAT_RUN_RESUME_MAX_AGE_MS ? 'too old to resume'
+      : null;
+    if (giveUp) {
+      try { stmts.finishChatRun.run('failed', `Not resumed: ${giveUp}`, run.id); } catch {}
+      log.warn('chat run not resumed', { runId: run.id, sessionId: run.session_id, reason: giveUp });
+      continue;
+    }
+    resumeChatRun(run, sess).catch(err => log.error('resumeChatRun error', { runId: run.id, message: err.message }));
+  }
+}
+
+async function resumeChatRun(run, sess) {
+  const sessionId = run.session_id;
+  let opts = {};
+  try { opts = JSON.parse(run.params || '{}') || {}; } catch {}
+  const agentMode = opts.agentMode || sess.agent_mode || 'single';
+  const workdir = sess.workdir || WORKDIR;
+  stmts.markChatRunResumed.run(run.id);
+
+  // Text streamed before the cut-off only made it to partial_text — keep it in the history
+  if (sess.partial_text) {
+    try { stmts.addMsg.run(sessionId, 'assistant', 'text', sess.partial_text, null, null, null, null); } catch {}
+    try { stmts.setPartialText.run(null, sessionId); } catch {}
+  }
+
+  // With a Claude session, --resume picks up the conversation where the CLI left it. A run
+  // that never reached the CLI (no PID recorded) still has to deliver its prompt. Without
+  // a Claude session the whole chat is replayed, or — with no history to replay, as for
+  // an SSH run cut off before the remote CLI reported a session — the prompt is sent
+  // again. Multi-agent runs re-plan from the prompt.
+  const claudeSessionId = sanitizeSessionId(sess.claude_session_id) || undefined;
+  const isRemote = loadProjects().some(p => p.workdir === workdir && p.isRemote);
+  const replayContent = claudeSessionId || agentMode === 'multi' ? null : buildSessionReplayContent(sessionId);
+  const prompt = agentMode === 'multi' || (claudeSessionId && !run.pid && !isRemote) ? run.prompt
+    : replayContent ? REPLAY_PROMPT
+    : claudeSessionId ? CONTINUE_PROMPT
+    : run.prompt || CONTINUE_PROMPT;
+  const config = loadMergedConfig();
+
+  const proxy = new WsProxy(null); // buffers until a tab subscribes to the session
+  const abortController = new AbortController();
+  chatBuffers.set(sessionId, '');
+  activeTasks.set(sessionId, { proxy, abortController, cleanupTimer: null, source: 'web', startedAt: Date.now() });
+  log.info('resuming chat run', { runId: run.id, sessionId, attempt: run.resumes + 1, agentMode, claudeSessionId: claudeSessionId || null });
+  proxy.send(JSON.stringify({ type:'agent_status', status:'♻️ Resuming after server restart...', statusKey:'status.resuming', tabId: sessionId }));
+
+  const startedAt = Date.now();
+  let status = 'failed', error = null;
+  try {
+    const { cid, resultMeta } = await runChatEngine({
+      prompt,
+      userContent: replayContent || undefined,
+      systemPrompt: claudeSessionId ? undefined : buildSystemPrompt(opts.skills || [], config),
+      mcpServers: buildChatMcpServers(opts.mcpServers || [], config, sessionId),
+      model: sess.model || 'sonnet',
+      maxTurns: opts.maxTurns || 30,
+      ws: proxy,
+      sessionId,
+      abortController,
+      claudeSessionId,
+      forkSession: !!sess.fork_from_cid,
+      mode: sess.mode || 'auto',
+      workdir,
+      tabId: sessionId,
+      name: sess.title && !DEFAULT_SESSION_TITLES.has(sess.title) ? sess.title : null,
+      effort: opts.effort || null,
+      permissionProfile: resolveRunProfile(opts.permissionProfile, workdir),
+      onSpawn: pid => { try { stmts.setChatRunPid.run(pid, run.id); } catch {} },
+    }, agentMode);
+    if (cid) { try { stmts.updateClaudeId.run(cid, sessionId); } catch {} }
+    if (sess.fork_from_cid) { try { db.prepare(`UPDATE sessions SET fork_from_cid=NULL WHERE id=?`).run(sessionId); } catch {} }
+    if (serverShuttingDown) return;
+    status = abortController.signal.aborted ? 'stopped' : 'done';
+    proxy.send(JSON.stringify({ type:'done', tabId: sessionId, duration: Date.now() - startedAt, ...(resultMeta ? { resultMeta } : {}) }));
+    proxy.send(JSON.stringify({ type:'files_changed' }));
+    emitWebhook('session.done', {
+      session_id: sessionId, title: sess.title || null, workdir: sess.workdir || null,
+      owner_id: sess.owner_id || null, duration_ms: Date.now() - startedAt,
+      cost_usd: resultMeta?.cost ?? null,
+    }, `💬 Chat reply finished: ${sess.title || 'Chat'}`);
+  } catch (err) {
+    if (serverShuttingDown) return;
+    status = err.name === 'AbortError' ? 'stopped' : 'failed';
+    error = err.message;
+    if (err.name !== 'AbortError') {
+      log.error('resumed chat error', { runId: run.id, sessionId, message: err.message });
+      proxy.send(JSON.stringify({ type:'error', error: err.message, tabId: sessionId }));
+      emitWebhook('session.failed', {
+        session_id: sessionId, title: sess.title || null, workdir: sess.workdir || null,
+        owner_id: sess.owner_id || null, error: err.message,
+      }, `❌ Chat failed: ${sess.title || 'Chat'} — ${err.message}`);
+    }
+    proxy.send(JSON.stringify({ type:'done', tabId: sessionId, duration: Date.now() - startedAt }));
+  } finally {
+    const own = activeTasks.get(sessionId);
+    if (own?.abortController === abortController) {
+      activeTasks.delete(sessionId);
+      chatBuffers.delete(sessionId);
+    }
+    if (!serverShuttingDown) {
+      try { stmts.finishChatRun.run(status, error, run.id); } catch {}
+      try { stmts.clearLastUserMsg.run(sessionId); } catch {}
+      const interrupts = pendingInterrupts.get(sessionId);
+      pendingInterrupts.delete(sessionId);
+      cleanupInterruptAttachments(interrupts);
+      for (const [rid, entry] of pendingAskUser) {
+        if (entry.sessionId === sessionId) {
+          clearTimeout(entry.timer);
+          pendingAskUser.delete(rid);
+          entry.resolve({ answer: '[Session ended]' });
+        }
+      }
+      cancelToolApprovals(sessionId);
+      // Messages queued by a tab while the resumed run was busy
+      for (const liveWs of sessionWatchers.get(sessionId) || []) {
+        if (liveWs.readyState === 1 && liveWs._tabQueue?.[sessionId]?.length > 0) {
+          liveWs.emit('message', JSON.stringify({ type: '_dequeue_next', tabId: sessionId }));
+          break;
+        }
+      }
+    }
+  }
+}
+
+// ============================================
+// EXPRESS
+// ============================================
+// CSP disabled: SPA uses inline scripts/styles; all other helmet headers applied
+app.use(helmet({ contentSecurityPolicy: false }));
+// Inbound triggers verify provider signatures over the exact bytes received
+app.use(express.json({ limit:'5mb', verify: (req, _res, buf) => {
+  if (req.url.startsWith('/api/inbound/')) req.rawBody = buf;
+} }));
+app.use(cookieParser());
+
+// ─── HTTP Request Logging ─────────────────────────────────────────────────────
+// Logs method, path, status, and duration for every request.
+// Skips the health endpoint to avoid noisy polling logs.
+app.use((req, res, next) => {
+  if (req.path === '/api/health') return next();
+  const start = Date.now();
+  res.on('finish', () => {
     const ms = Date.now() - start;
     const lvl = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'debug';
     log[lvl]('http', { method: req.method, path: req.path, status: res.statusCode, ms });
@@ -2902,6 +4200,83 @@ app.use((req, res, next) => {
   next();
 });
 
+// ─── Inbound triggers ────────────────────────────────────────────────────────
+// Registered BEFORE authMiddleware — callers (GitHub, GitLab, CI, monitoring)
+// authenticate with the secret trigger URL and, optionally, a provider signature.
+// Tasks are created through the same path as POST /api/tasks, owned by the
+// trigger's creator; chains go through the same path as /activate.
+const triggers = new TriggerStore(db);
+
+app.post('/api/inbound/:id/:token', inboundLimiter, (req, res) => {
+  const trigger = triggers.authenticate(req.params.id, req.params.token);
+  if (!trigger) return res.status(404).json({ error: 'Not found' });
+  const event = TriggerStore.eventName(req.headers);
+  const payload = req.body && typeof req.body === 'object' ? req.body : {};
+  const record = (status, httpStatus, extra = {}) => triggers.recordEvent(trigger.id, {
+    event, status, httpStatus, payload, remoteAddr: req.ip, ...extra,
+  });
+  const reply = (httpStatus, body) => res.status(httpStatus).json(body);
+
+  const sigErr = TriggerStore.verifySignature(trigger, req.headers, req.rawBody);
+  if (sigErr) {
+    record('rejected', 401, { error: sigErr });
+    log.warn('[trigger] rejected', { id: trigger.id, reason: sigErr, ip: req.ip });
+    return reply(401, { error: sigErr });
+  }
+  if (!trigger.enabled) {
+    record('ignored', 202, { error: 'Trigger is disabled' });
+    return reply(202, { ok: true, ignored: 'disabled' });
+  }
+  // GitHub sends a "ping" when the webhook is first saved
+  if (event === 'ping') {
+    record('ignored', 200, { error: 'ping' });
+    return reply(200, { ok: true, ignored: 'ping' });
+  }
+  if (trigger.events.length && !trigger.events.includes(event)) {
+    record('ignored', 202, { error: `Event "${event || '(none)'}" is not in the trigger's event filter` });
+    return reply(202, { ok: true, ignored: 'event' });
+  }
+  const owner = trigger.owner_id ? auth.getUser(trigger.owner_id) : null;
+  if (trigger.owner_id && (!owner || owner.disabled || !auth.hasRole(owner, 'member'))) {
+    record('rejected', 403, { error: 'Trigger owner can no longer create tasks' });
+    return reply(403, { error: 'Trigger owner can no longer create tasks' });
+  }
+
+  try {
+    if (trigger.action === 'chain') {
+      const target = stmts.getChain.get(trigger.chain_id);
+      if (target && trigger.owner_id && !canManageChain(owner, target)) {
+        record('rejected', 403, { error: 'Trigger owner cannot manage this chain', chainId: target.id });
+        return reply(403, { error: 'Trigger owner cannot manage this chain' });
+      }
+      const { chain, status, error } = activateChain(trigger.chain_id);
+      if (error) {
+        record('error', status, { error, chainId: trigger.chain_id });
+        return reply(status, { error });
+      }
+      record('activated', 200, { chainId: chain.id });
+      log.info('[trigger] chain activated', { id: trigger.id, chain: chain.id, event });
+      return reply(200, { ok: true, chain_id: chain.id });
+    }
+    const fields = TriggerStore.renderTaskTemplate(trigger.template, {
+      payload, event, trigger: { id: trigger.id, name: trigger.name },
+    });
+    fields.status = ['todo', 'backlog'].includes(fields.status) ? fields.status : 'todo';
+    const { task, error } = createTaskFromInput(fields, trigger.owner_id);
+    if (error) {
+      record('error', 400, { error });
+      return reply(400, { error });
+    }
+    record('created', 201, { taskId: task.id });
+    log.info('[trigger] task created', { id: trigger.id, task: task.id, event });
+    reply(201, { ok: true, task_id: task.id });
+  } catch (e) {
+    record('error', 500, { error: e.message });
+    log.error('[trigger] failed', { id: trigger.id, error: e.message });
+    reply(500, { error: 'Internal error' });
+  }
+});
+
 // ─── Internal MCP: ask_user endpoint ─────────────────────────────────────────
 // Registered BEFORE authMiddleware — MCP subprocess authenticates with ASK_USER_SECRET,
 // not with a user session token. The Bearer secret is a 32-char hex generated per process.
@@ -2946,6 +4321,15 @@ app.post('/api/internal/ask-user', express.json(), (req, res) => {
     });
   });
 
+  {
+    const _whSess = stmts.getSession.get(sessionId);
+    emitWebhook('ask_user.pending', {
+      request_id: requestId, session_id: sessionId, title: _whSess?.title || null,
+      workdir: _whSess?.workdir || null, owner_id: _whSess?.owner_id || null,
+      questions: normalizedQuestions, timeout_ms: ASK_USER_TIMEOUT_MS,
+    }, `❓ Claude is waiting for an answer in "${_whSess?.title || 'Chat'}": ${String(question).slice(0, 200)}`);
+  }
+
   // Route question to the client via the active task's proxy (survives WS reconnects)
   const activeTask = activeTasks.get(sessionId);
   if (activeTask?.proxy) {
@@ -3038,10 +4422,48 @@ app.post('/api/internal/set-ui-state', express.json(), (req, res) => {
   res.json({ ok: true });
 });
 
+// Project memory: key-value store shared by a project's tasks (memory_* tools below, Kanban UI)
+const projectMemory = new MemoryStore(db);
+
 // ─── Task Manager endpoint (internal MCP — autonomous task creation) ─────────
 // Safety limits: prevent runaway task creation by a single task execution
 const MAX_TASK_CHILDREN_PER_RUN = 10;
 const MAX_CHAIN_DEPTH = 5;
+const DEPTH_LIMIT_ERROR = `Chain depth limit reached (${MAX_CHAIN_DEPTH}). Cannot create deeper nested tasks.`;
+// wait_for_tasks: a parent blocks on its children without holding a worker slot (see processQueue)
+const MAX_WAIT_TASKS = 50;
+const WAIT_DEFAULT_SECONDS = 600;
+const WAIT_MAX_SECONDS = 1800;
+const WAIT_POLL_MS = 2000;
+// 'review' ends a wait too: the run is over and only a human can move it on
+const WAIT_END_STATUSES = ['done', 'cancelled', 'review'];
+
+/** Number of parent links above a task, counted up to MAX_CHAIN_DEPTH + 1. */
+function taskDepth(taskId) {
+  let depth = 0, cursor = taskId;
+  while (cursor && depth < MAX_CHAIN_DEPTH + 1) {
+    const parent = stmts.getParentTaskId.get(cursor);
+    if (!parent?.parent_task_id) break;
+    cursor = parent.parent_task_id;
+    depth++;
+  }
+  return depth;
+}
+
+/** What get_task_result and wait_for_tasks report for a task. */
+function taskResultPayload(task) {
+  let output = task.task_output;
+  if (output) {
+    try { output = JSON.parse(output); } catch { /* keep as string */ }
+  }
+  return {
+    task_id: task.id,
+    title: task.title,
+    status: task.status,
+    output,
+    completed_at: task.status === 'done' ? task.updated_at : null,
+  };
+}
 
 app.post('/api/internal/task-manager', express.json({ limit: '1mb' }), (req, res) => {
   const authHeader = req.headers.authorization || '';
@@ -3051,6 +4473,14 @@ app.post('/api/internal/task-manager', express.json({ limit: '1mb' }), (req, res
 
   const { action, taskId: callerTaskId } = req.body;
   if (!action) return res.status(400).json({ error: 'Missing action' });
+  // Tasks an agent creates belong to whoever owns the calling task (or chat session)
+  const ownerFor = (callerTask) => callerTask?.owner_id || stmts.getSessionOwner.get(req.body.sessionId || '')?.owner_id || null;
+  // Every action that queues work for a child is held to the same nesting limit
+  const depthExceeded = () => !!callerTaskId && taskDepth(callerTaskId) >= MAX_CHAIN_DEPTH;
+  const contextText = (context) => context
+    ? (typeof context === 'string' ? context : JSON.stringify(context)).substring(0, 10000) : null;
+  // Project memory belongs to the caller's project directory
+  const memoryWorkdir = () => (callerTaskId ? stmts.getTask.get(callerTaskId)?.workdir : null) || WORKDIR;
 
   // Helper: convert ISO string or Unix timestamp to integer seconds
   const toUnixTs = (v) => {
@@ -3065,9 +4495,27 @@ app.post('/api/internal/task-manager', express.json({ limit: '1mb' }), (req, res
 
       // ── create_task ────────────────────────────────────────────────────
       case 'create_task': {
-        const { title, description = '', context = null, model, mode, agent_mode,
-                depends_on, chain_id, scheduled_at, max_turns } = req.body;
+        const { context = null, mode, agent_mode, depends_on, chain_id, scheduled_at,
+                recurrence, recurrence_end_at, recurrence_tz, template_id, variables } = req.body;
+        let { title, description = '', model, max_turns } = req.body;
+        // Inherit workdir from caller task
+        const callerTask = callerTaskId ? stmts.getTask.get(callerTaskId) : null;
+        const workdir = callerTask?.workdir || null;
+
+        // A template fills in whatever the call leaves out
+        let fromTemplate = {};
+        if (template_id) {
+          const used = useTemplate(template_id, variables, workdir, 'task');
+          if (used.error) return res.status(used.status).json({ error: used.error });
+          fromTemplate = taskFieldsFromTemplate(used.spec);
+          title = title || fromTemplate.title;
+          description = req.body.description ?? fromTemplate.description;
+          model = model || fromTemplate.model;
+          max_turns = max_turns || fromTemplate.max_turns;
+        }
         if (!title) return res.status(400).json({ error: 'Missing title' });
+        const recurErr = validateRecurrence(recurrence, recurrence_tz);
+        if (recurErr) return res.status(400).json({ error: recurErr });
 
         // Safety: count how many children this task has already created
         if (callerTaskId) {
@@ -3078,25 +4526,10 @@ app.post('/api/internal/task-manager', express.json({ limit: '1mb' }), (req, res
         }
 
         // Safety: check chain depth to prevent infinite recursion
-        if (callerTaskId) {
-          let depth = 0, cursor = callerTaskId;
-          while (cursor && depth < MAX_CHAIN_DEPTH + 1) {
-            const parent = stmts.getParentTaskId.get(cursor);
-            if (!parent?.parent_task_id) break;
-            cursor = parent.parent_task_id;
-            depth++;
-          }
-          if (depth >= MAX_CHAIN_DEPTH) {
-            return res.status(429).json({ error: `Chain depth limit reached (${MAX_CHAIN_DEPTH}). Cannot create deeper nested tasks.` });
-          }
-        }
-
-        // Inherit workdir from caller task
-        const callerTask = callerTaskId ? stmts.getTask.get(callerTaskId) : null;
-        const workdir = callerTask?.workdir || null;
+        if (depthExceeded()) return res.status(429).json({ error: DEPTH_LIMIT_ERROR });
 
         const id = genId();
-        const contextJson = context ? (typeof context === 'string' ? context : JSON.stringify(context)).substring(0, 10000) : null;
+        const contextJson = contextText(context);
         const depsJson = depends_on ? JSON.stringify(depends_on) : null;
 
         stmts.createTask.run(
@@ -3110,18 +4543,22 @@ app.post('/api/internal/task-manager', express.json({ limit: '1mb' }), (req, res
           mode || callerTask?.mode || 'auto',
           agent_mode || callerTask?.agent_mode || 'single',
           max_turns || callerTask?.max_turns || 30,
-          null, // attachments
+          fromTemplate.attachments || null,
           depsJson,
           chain_id || null,
           callerTask?.source_session_id || null,
-          toUnixTs(scheduled_at),
-          null, // recurrence
-          null, // recurrence_end_at
-          callerTask?.effort || null  // effort: inherit from caller task by default
+          firstScheduledAt(toUnixTs(scheduled_at), recurrence || null, recurrence_tz || null),
+          recurrence || null,
+          recurrence ? toUnixTs(recurrence_end_at) : null,
+          fromTemplate.effort || callerTask?.effort || null  // effort: template's, else inherit from caller task
         );
 
         // Set new columns that aren't in createTask prepared statement
         stmts.setTaskContext.run(contextJson, callerTaskId || null, id);
+        stmts.setTaskOwner.run(ownerFor(callerTask), id);
+        // A task cannot give the tasks it spawns more access than it has itself
+        if (callerTask?.permission_profile) stmts.setTaskPermissionProfile.run(callerTask.permission_profile, id);
+        if (recurrence && recurrence_tz) stmts.setTaskRecurrenceTz.run(recurrence_tz, id);
 
         // Trigger queue to pick up new task
         setImmediate(processQueue);
@@ -3138,53 +4575,58 @@ app.post('/api/internal/task-manager', express.json({ limit: '1mb' }), (req, res
           });
         }
 
+        if (template_id) taskTemplates.markUsed(template_id);
         const task = stmts.getTask.get(id);
-        log.info('[task-manager] create_task', { id, title, parentId: callerTaskId });
-        return res.json({ task_id: id, status: task.status, title: task.title });
+        log.info('[task-manager] create_task', { id, title, parentId: callerTaskId, templateId: template_id || undefined });
+        return res.json({ task_id: id, status: task.status, title: task.title,
+          ...(task.scheduled_at ? { scheduled_at: new Date(task.scheduled_at * 1000).toISOString() } : {}) });
       }
 
       // ── create_chain ───────────────────────────────────────────────────
       case 'create_chain': {
-        const { title = 'Task Chain', tasks: taskDefs, model: chainModel,
-                scheduled_at: chainScheduledAt, recurrence, recurrence_end_at,
-                effort: chainEffort } = req.body;
+        const { scheduled_at: chainScheduledAt, recurrence, recurrence_end_at, recurrence_tz,
+                template_id, variables } = req.body;
+        let { title = 'Task Chain', tasks: taskDefs, model: chainModel, effort: chainEffort } = req.body;
+        const callerTask = callerTaskId ? stmts.getTask.get(callerTaskId) : null;
+        const workdir = callerTask?.workdir || null;
+        if (template_id) {
+          const used = useTemplate(template_id, variables, workdir, 'chain');
+          if (used.error) return res.status(used.status).json({ error: used.error });
+          title = req.body.title || used.spec.title;
+          taskDefs = used.spec.tasks.map(td => ({ ...td, max_turns: td.max_turns || used.spec.max_turns }));
+          chainModel = chainModel || used.spec.model;
+          chainEffort = chainEffort || used.spec.effort;
+        }
         if (!Array.isArray(taskDefs) || !taskDefs.length) {
           return res.status(400).json({ error: 'Missing or empty tasks array' });
         }
+        const recurErr = validateRecurrence(recurrence, recurrence_tz);
+        if (recurErr) return res.status(400).json({ error: recurErr });
         if (taskDefs.length > MAX_TASK_CHILDREN_PER_RUN) {
           return res.status(429).json({ error: `Too many tasks in chain (max ${MAX_TASK_CHILDREN_PER_RUN})` });
         }
 
         // Chain depth check (same as create_task)
-        if (callerTaskId) {
-          let depth = 0, cursor = callerTaskId;
-          while (cursor && depth < MAX_CHAIN_DEPTH + 1) {
-            const parent = stmts.getParentTaskId.get(cursor);
-            if (!parent?.parent_task_id) break;
-            cursor = parent.parent_task_id;
-            depth++;
-          }
-          if (depth >= MAX_CHAIN_DEPTH) {
-            return res.status(429).json({ error: `Chain depth limit reached (${MAX_CHAIN_DEPTH}). Cannot create deeper nested tasks.` });
-          }
-        }
-
-        const callerTask = callerTaskId ? stmts.getTask.get(callerTaskId) : null;
-        const workdir = callerTask?.workdir || null;
+        if (depthExceeded()) return res.status(429).json({ error: DEPTH_LIMIT_ERROR });
 
         // Create chain + shared session
         const chainId = genId();
         const chainSessionId = genId();
         const effectiveModel = chainModel || callerTask?.model || 'sonnet';
 
+        const chainOwner = ownerFor(callerTask);
         stmts.createSession.run(chainSessionId, String(title).substring(0, 200), '[]', '[]',
           'auto', 'single', effectiveModel, workdir);
+        stmts.setSessionOwner.run(chainOwner, chainSessionId);
         const effectiveEffort = chainEffort || callerTask?.effort || null;
+        const chainFirstRunAt = firstScheduledAt(toUnixTs(chainScheduledAt), recurrence || null, recurrence_tz || null);
         stmts.createChain.run(chainId, String(title).substring(0, 200), workdir,
           effectiveModel, 'auto', 'single', 30,
-          chainSessionId, toUnixTs(chainScheduledAt), recurrence || null,
+          chainSessionId, chainFirstRunAt, recurrence || null,
           toUnixTs(recurrence_end_at), callerTask?.source_session_id || null, 0,
           effectiveEffort);
+        stmts.setChainOwner.run(chainOwner, chainId);
+        if (recurrence && recurrence_tz) stmts.setChainRecurrenceTz.run(recurrence_tz, chainId);
 
         // Create tasks with auto-linked depends_on
         const taskIds = [];
@@ -3206,7 +4648,7 @@ app.post('/api/internal/task-manager', express.json({ limit: '1mb' }), (req, res
             depsJson = JSON.stringify([taskIds[i - 1]]);
           }
 
-          const contextJson = td.context ? (typeof td.context === 'string' ? td.context : JSON.stringify(td.context)).substring(0, 10000) : null;
+          const contextJson = contextText(td.context);
 
           stmts.createTask.run(
             taskId, String(td.title || `Step ${i + 1}`).substring(0, 200),
@@ -3223,19 +4665,28 @@ app.post('/api/internal/task-manager', express.json({ limit: '1mb' }), (req, res
             depsJson,
             chainId,
             callerTask?.source_session_id || null,
-            toUnixTs(chainScheduledAt),
+            chainFirstRunAt,
             null, null,
             td.effort || effectiveEffort  // effort: per-task override, else chain default
           );
 
           stmts.setTaskContext.run(contextJson, callerTaskId || null, taskId);
+          stmts.setTaskOwner.run(chainOwner, taskId);
+          if (callerTask?.permission_profile) stmts.setTaskPermissionProfile.run(callerTask.permission_profile, taskId);
         }
 
+        if (template_id) taskTemplates.markUsed(template_id);
         setImmediate(processQueue);
-        log.info('[task-manager] create_chain', { chainId, taskCount: taskIds.length, parentId: callerTaskId });
+        log.info('[task-manager] create_chain', { chainId, taskCount: taskIds.length, parentId: callerTaskId, templateId: template_id || undefined });
         return res.json({ chain_id: chainId, task_ids: taskIds });
       }
 
+      // ── list_templates ─────────────────────────────────────────────────
+      case 'list_templates': {
+        const workdir = (callerTaskId ? stmts.getTask.get(callerTaskId)?.workdir : null) || null;
+        return res.json({ templates: taskTemplates.usableIn(workdir).map(({ id, name, kind, variables }) => ({ id, name, kind, variables })) });
+      }
+
       // ── list_tasks ─────────────────────────────────────────────────────
       case 'list_tasks': {
         const { status: filterStatus, chain_id: filterChain, limit = 20 } = req.body;
@@ -3294,6 +4745,7 @@ app.post('/api/internal/task-manager', express.json({ limit: '1mb' }), (req, res
 
         const outputJson = (typeof data === 'string' ? data : JSON.stringify(data)).substring(0, 10000);
         stmts.setTaskOutput.run(outputJson, callerTaskId);
+        stmts.setTaskRunOutput.run(outputJson, callerTaskId);
 
         log.info('[task-manager] report_result', { taskId: callerTaskId, outputLen: outputJson.length });
         return res.json({ ok: true });
@@ -3312,18 +4764,7 @@ app.post('/api/internal/task-manager', express.json({ limit: '1mb' }), (req, res
           return res.status(403).json({ error: 'Cannot read task results outside your project' });
         }
 
-        let output = task.task_output;
-        if (output) {
-          try { output = JSON.parse(output); } catch { /* keep as string */ }
-        }
-
-        return res.json({
-          task_id: task.id,
-          title: task.title,
-          status: task.status,
-          output,
-          completed_at: task.status === 'done' ? task.updated_at : null,
-        });
+        return res.json(taskResultPayload(task));
       }
 
       // ── cancel_task ────────────────────────────────────────────────────
@@ -3356,6 +4797,210 @@ app.post('/api/internal/task-manager', express.json({ limit: '1mb' }), (req, res
         return res.json({ ok: true, task_id, status: 'cancelled' });
       }
 
+      // ── wait_for_tasks ─────────────────────────────────────────────────
+      case 'wait_for_tasks': {
+        const { task_ids, timeout_seconds } = req.body;
+        if (!callerTaskId) return res.status(400).json({ error: 'No task ID' });
+        if (!Array.isArray(task_ids) || !task_ids.length) {
+          return res.status(400).json({ error: 'Missing or empty task_ids array' });
+        }
+        const ids = [...new Set(task_ids.map(String))];
+        if (ids.length > MAX_WAIT_TASKS) {
+          return res.status(400).json({ error: `Too many tasks to wait for (max ${MAX_WAIT_TASKS})` });
+        }
+        if (ids.includes(callerTaskId)) return res.status(400).json({ error: 'A task cannot wait for itself' });
+
+        const callerTask = stmts.getTask.get(callerTaskId);
+        for (const id of ids) {
+          const task = stmts.getTask.get(id);
+          if (!task) return res.status(404).json({ error: `Task ${id} not found` });
+          if (callerTask && ((callerTask.workdir || null) !== (task.workdir || null))) {
+            return res.status(403).json({ error: 'Cannot wait for tasks outside your project' });
+          }
+          if (WAIT_END_STATUSES.includes(task.status)) continue;
+          // Either of these would only start after the caller finishes — waiting for them never ends
+          if (callerTask?.session_id && task.session_id === callerTask.session_id) {
+            return res.status(409).json({ error: `Task ${id} shares your session and cannot run until you finish. Do not wait for it.` });
+          }
+          let deps = [];
+          try { deps = JSON.parse(task.depends_on || '[]'); } catch {}
+          if (deps.includes(callerTaskId)) {
+            return res.status(409).json({ error: `Task ${id} depends on you and cannot run until you finish. Do not wait for it.` });
+          }
+        }
+
+        const seconds = Math.min(Math.max(parseInt(timeout_seconds, 10) || WAIT_DEFAULT_SECONDS, 1), WAIT_MAX_SECONDS);
+        const startedAt = Date.now();
+        const snapshot = () => ids.map(id => {
+          const task = stmts.getTask.get(id);
+          return task ? { ...taskResultPayload(task), failure_reason: task.failure_reason || null } : { task_id: id, status: 'deleted' };
+        });
+        const settled = (tasks) => tasks.every(t => t.status === 'deleted' || WAIT_END_STATUSES.includes(t.status));
+        const reply = (tasks, timedOut) => res.json({
+          finished: !timedOut, timed_out: timedOut,
+          waited_seconds: Math.round((Date.now() - startedAt) / 1000), tasks,
+        });
+
+        const initial = snapshot();
+        if (settled(initial)) return reply(initial, false);
+
+        waitingTasks.set(callerTaskId, (waitingTasks.get(callerTaskId) || 0) + 1);
+        setImmediate(processQueue); // the freed worker slot can go to a child right away
+        log.info('[task-manager] wait_for_tasks', { taskId: callerTaskId, ids, seconds });
+
+        let ended = false;
+        const end = () => {
+          if (ended) return false;
+          ended = true;
+          clearInterval(poll);
+          const open = (waitingTasks.get(callerTaskId) || 1) - 1;
+          if (open > 0) waitingTasks.set(callerTaskId, open);
+          else waitingTasks.delete(callerTaskId);
+          return true;
+        };
+        const poll = setInterval(() => {
+          try {
+            // The caller was stopped — nobody is left to read the answer
+            if (!taskRunning.has(callerTaskId)) return end();
+            const tasks = snapshot();
+            if (settled(tasks)) { if (end()) reply(tasks, false); }
+            else if (Date.now() - startedAt >= seconds * 1000) { if (end()) reply(tasks, true); }
+          } catch (err) {
+            log.error('[task-manager] wait_for_tasks poll error', { taskId: callerTaskId, err: err.message });
+            if (end()) res.status(500).json({ error: err.message });
+          }
+        }, WAIT_POLL_MS);
+        // MCP server gone (caller aborted or hit its timeout): stop waiting
+        res.on('close', end);
+        return;
+      }
+
+      // ── retry_task ─────────────────────────────────────────────────────
+      case 'retry_task': {
+        const { task_id, context, notes } = req.body;
+        if (!callerTaskId) return res.status(400).json({ error: 'No task ID' });
+        if (!task_id) return res.status(400).json({ error: 'Missing task_id' });
+        const task = stmts.getTask.get(task_id);
+        if (!task) return res.status(404).json({ error: 'Task not found' });
+        if (task.parent_task_id !== callerTaskId) {
+          return res.status(403).json({ error: 'You can only retry tasks you created' });
+        }
+        if (task.status !== 'cancelled') {
+          return res.status(409).json({ error: `Task is ${task.status}; only failed or cancelled tasks can be retried` });
+        }
+        if (depthExceeded()) return res.status(429).json({ error: DEPTH_LIMIT_ERROR });
+
+        // The child sees why it is running again in its notes, next to the parent's amendments
+        const stamp = new Date().toISOString().substring(0, 16).replace('T', ' ');
+        const entry = [
+          `Retry requested by the parent task (${stamp})`,
+          task.failure_reason ? `Previous attempt stopped: ${task.failure_reason}` : '',
+          notes ? String(notes).trim() : '',
+        ].filter(Boolean).join('\n');
+        let taskNotes = task.notes?.trim() ? `${task.notes.trim()}\n\n${entry}` : entry;
+        if (taskNotes.length > REVIEW_NOTES_MAX) taskNotes = '…' + taskNotes.slice(-(REVIEW_NOTES_MAX - 1));
+
+        if (context !== undefined) stmts.setTaskContext.run(contextText(context), callerTaskId, task.id);
+        db.prepare(`UPDATE tasks SET status='todo', notes=?, failure_reason=NULL, task_retry_count=0, worker_pid=NULL, updated_at=datetime('now') WHERE id=?`)
+          .run(taskNotes, task.id);
+        const requeued = requeueDepFailed(task.id);
+
+        setImmediate(processQueue);
+        log.info('[task-manager] retry_task', { taskId: task.id, parentId: callerTaskId, requeued });
+        return res.json({ ok: true, task_id: task.id, status: 'todo', requeued_dependents: requeued });
+      }
+
+      // ── update_task ────────────────────────────────────────────────────
+      case 'update_task': {
+        const { task_id, title, description, context, model, max_turns, depends_on, scheduled_at } = req.body;
+        if (!callerTaskId) return res.status(400).json({ error: 'No task ID' });
+        if (!task_id) return res.status(400).json({ error: 'Missing task_id' });
+        const task = stmts.getTask.get(task_id);
+        if (!task) return res.status(404).json({ error: 'Task not found' });
+        if (task.parent_task_id !== callerTaskId) {
+          return res.status(403).json({ error: 'You can only update tasks you created' });
+        }
+        if (!['backlog', 'todo'].includes(task.status) || taskRunning.has(task.id)) {
+          return res.status(409).json({ error: `Task is ${task.status}; only pending tasks can be updated` });
+        }
+        if (depthExceeded()) return res.status(429).json({ error: DEPTH_LIMIT_ERROR });
+        if (model !== undefined && !['haiku', 'sonnet', 'opus'].includes(model)) {
+          return res.status(400).json({ error: 'model must be haiku, sonnet or opus' });
+        }
+        let depsJson = task.depends_on;
+        if (depends_on !== undefined) {
+          if (!Array.isArray(depends_on)) return res.status(400).json({ error: 'depends_on must be an array of task IDs' });
+          for (const depId of depends_on) {
+            const dep = stmts.getTask.get(String(depId));
+            if (!dep || dep.id === task.id || (dep.workdir || null) !== (task.workdir || null)) {
+              return res.status(400).json({ error: `Invalid dependency: ${depId}` });
+            }
+          }
+          depsJson = depends_on.length ? JSON.stringify(depends_on.map(String)) : null;
+        }
+        const startAt = scheduled_at !== undefined
+          ? firstScheduledAt(toUnixTs(scheduled_at), task.recurrence || null, task.recurrence_tz || null)
+          : task.scheduled_at;
+
+        stmts.updateTask.run(
+          title !== undefined ? String(title).substring(0, 200) : task.title,
+          description !== undefined ? String(description).substring(0, 2000) : task.description,
+          task.notes || '', task.status, task.sort_order, task.session_id || null, task.workdir || null,
+          model || task.model || 'sonnet', task.mode || 'auto', task.agent_mode || 'single',
+          max_turns || task.max_turns || 30, task.attachments || null,
+          depsJson || null, task.chain_id || null, task.source_session_id || null,
+          startAt || null, task.recurrence || null, task.recurrence_end_at || null, task.effort || null,
+          task.id
+        );
+        if (context !== undefined) stmts.setTaskContext.run(contextText(context), callerTaskId, task.id);
+
+        setImmediate(processQueue);
+        const updated = stmts.getTask.get(task.id);
+        log.info('[task-manager] update_task', { taskId: task.id, parentId: callerTaskId });
+        return res.json({ ok: true, task_id: updated.id, title: updated.title, status: updated.status });
+      }
+
+      // ── memory_get ─────────────────────────────────────────────────────
+      case 'memory_get': {
+        const { key, limit } = req.body;
+        if (!key) return res.status(400).json({ error: 'Missing key' });
+        const item = projectMemory.get(memoryWorkdir(), String(key), { limit: parseInt(limit, 10) || undefined });
+        return res.json(item ? { found: true, ...item } : { found: false, key });
+      }
+
+      // ── memory_set ─────────────────────────────────────────────────────
+      case 'memory_set': {
+        const { key, value, ttl_seconds } = req.body;
+        if (!key) return res.status(400).json({ error: 'Missing key' });
+        const workdir = memoryWorkdir();
+        if (value === undefined || value === null) {
+          const deleted = projectMemory.delete(workdir, String(key));
+          log.info('[task-manager] memory_set (delete)', { taskId: callerTaskId, key, deleted });
+          return res.json({ ok: true, key, deleted });
+        }
+        const { item, error } = projectMemory.set(workdir, String(key), value, { ttl: ttl_seconds, by: callerTaskId || null });
+        if (error) return res.status(400).json({ error });
+        log.info('[task-manager] memory_set', { taskId: callerTaskId, key });
+        return res.json({ ok: true, key, expires_at: item.expires_at });
+      }
+
+      // ── memory_append ──────────────────────────────────────────────────
+      case 'memory_append': {
+        const { key, value, ttl_seconds } = req.body;
+        if (!key) return res.status(400).json({ error: 'Missing key' });
+        if (value === undefined) return res.status(400).json({ error: 'Missing value' });
+        const { item, entry, error } = projectMemory.append(memoryWorkdir(), String(key), value, { ttl: ttl_seconds, by: callerTaskId || null });
+        if (error) return res.status(400).json({ error });
+        log.info('[task-manager] memory_append', { taskId: callerTaskId, key });
+        return res.json({ ok: true, key, entry_id: entry.id, count: item.count });
+      }
+
+      // ── memory_list ────────────────────────────────────────────────────
+      case 'memory_list': {
+        const { prefix = '', limit = 100 } = req.body;
+        return res.json({ keys: projectMemory.list(memoryWorkdir(), { prefix, limit }) });
+      }
+
       default:
         return res.status(400).json({ error: `Unknown action: ${action}` });
     }
@@ -3365,6 +5010,62 @@ app.post('/api/internal/task-manager', express.json({ limit: '1mb' }), (req, res
   }
 });
 
+// ─── Internal: blocked tool calls ───────────────────────────────────────────
+// Called by hooks/check-permission.js when the run's permission profile refuses a tool call.
+// Registered BEFORE authMiddleware — the hook authenticates with PERMISSION_SECRET.
+app.post('/api/internal/tool-blocked', express.json(), (req, res) => {
+  if ((req.headers.authorization || '') !== `Bearer ${PERMISSION_SECRET}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  const { sessionId, tool, input, reason, profile } = req.body || {};
+  if (!sessionId || !tool) return res.status(400).json({ error: 'Missing sessionId or tool' });
+  reportToolBlocked(String(sessionId), { tool: String(tool).substring(0, 200), input, reason, profile });
+  res.json({ ok: true });
+});
+
+// ─── Internal: tool calls waiting for approval ──────────────────────────────
+// Called by hooks/check-permission.js for calls matching the profile's `ask` rules.
+// Holds the request until the user answers in the web UI or on Telegram, or the
+// profile's askTimeout runs out and its askDefault applies.
+app.post('/api/internal/tool-approval', express.json(), (req, res) => {
+  if ((req.headers.authorization || '') !== `Bearer ${PERMISSION_SECRET}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  const { sessionId, tool, input, cwd, pattern, reason, profile, timeout, default: onTimeout } = req.body || {};
+  if (!sessionId || !tool || !pattern) return res.status(400).json({ error: 'Missing sessionId, tool or pattern' });
+  const sid = String(sessionId);
+  const toolInput = input && typeof input === 'object' ? input : {};
+  const remembered = [...(sessionToolAllows.get(sid) || [])]
+    .find(rule => permissionProfiles.ruleMatches(rule, String(tool), toolInput, cwd || WORKDIR));
+  if (remembered) return res.json({ decision: 'allow' });
+
+  const requestId = crypto.randomBytes(8).toString('hex');
+  const timeoutMs = Math.min(Math.max(Number(timeout) || 300, 10), 24 * 3600) * 1000;
+  const entry = {
+    sessionId: sid, tool: String(tool).substring(0, 200), input: JSON.stringify(toolInput).substring(0, 2000),
+    pattern: String(pattern).substring(0, 500), reason: String(reason || '').substring(0, 500), profile: profile || null,
+    defaultDecision: onTimeout === 'allow' ? 'allow' : 'deny', expiresAt: Date.now() + timeoutMs,
+  };
+  entry.timer = setTimeout(() => resolveToolApproval(requestId, entry.defaultDecision, {
+    by: 'timeout', reason: `Nobody approved this ${entry.tool} call within ${timeoutMs / 1000}s`,
+  }), timeoutMs);
+  new Promise(resolve => { entry.resolve = resolve; }).then(result => { if (!res.writableEnded) res.json(result); });
+  pendingToolApprovals.set(requestId, entry);
+  // The hook dies with its run — drop the question instead of leaving it on screen
+  res.on('close', () => { if (!res.writableEnded) resolveToolApproval(requestId, 'deny', { reason: 'The run ended' }); });
+
+  log.info('tool approval requested', { sessionId: sid, tool: entry.tool, pattern: entry.pattern });
+  sendSessionEvent(sid, toolApprovalEvent(requestId, entry));
+  if (telegramBot) {
+    const sess = stmts.getSession.get(sid);
+    telegramBot.notifyToolApproval({
+      requestId, sessionId: sid, title: sess?.title || null, tool: entry.tool, input: entry.input,
+      pattern: entry.pattern, reason: entry.reason, defaultDecision: entry.defaultDecision, timeoutMs,
+    })
+      .catch(e => log.warn('tool approval Telegram notification failed', { error: e.message }));
+  }
+});
+
 // ─── Internal MCP: user-interrupt endpoint ──────────────────────────────────
 // Called by mcp-user-interrupt.js to fetch and consume pending clarifications.
 // Registered BEFORE authMiddleware — MCP subprocess authenticates with INTERRUPT_SECRET.
@@ -3594,15 +5295,14 @@ app.get('/api/stats', (req, res) => {
 app.get('/api/auth/status', (req,res) => {
   const setupDone = auth.isSetupDone();
   const token = req.cookies?.token || req.headers['x-auth-token'];
-  const loggedIn = setupDone && auth.validateToken(token);
-  const ad = auth.loadAuth();
-  res.json({ setupDone, loggedIn, displayName:loggedIn?ad?.displayName:null });
+  const user = setupDone ? auth.validateToken(token) : null;
+  res.json({ setupDone, loggedIn:!!user, displayName:user?.displayName||null, user });
 });
 
 app.post('/api/auth/setup', authLimiter, async (req,res) => {
   try {
-    const { password, displayName } = req.body;
-    const token = await auth.setupUser(password, displayName);
+    const { password, displayName, username } = req.body;
+    const token = await auth.setupUser(password, displayName, username);
     res.cookie('token', token, { httpOnly:true, sameSite:'lax', secure:SECURE_COOKIES, maxAge:30*24*60*60*1000 });
     res.json({ ok:true, displayName:displayName||'Admin' });
   } catch(e) { res.status(400).json({ error:e.message }); }
@@ -3610,9 +5310,10 @@ app.post('/api/auth/setup', authLimiter, async (req,res) => {
 
 app.post('/api/auth/login', authLimiter, async (req,res) => {
   try {
-    const token = await auth.login(req.body.password);
+    const token = await auth.login(req.body.password, req.body.username);
     res.cookie('token', token, { httpOnly:true, sameSite:'lax', secure:SECURE_COOKIES, maxAge:30*24*60*60*1000 });
-    res.json({ ok:true, displayName:auth.loadAuth()?.displayName });
+    const user = auth.validateToken(token);
+    res.json({ ok:true, displayName:user?.displayName, user });
   } catch(e) { res.status(401).json({ error:e.message }); }
 });
 
@@ -3620,12 +5321,71 @@ app.post('/api/auth/logout', (req,res) => { if(req.cookies?.token) auth.revokeTo
 
 app.post('/api/auth/change-password', async (req,res) => {
   try {
-    const token = await auth.changePassword(req.body.oldPassword, req.body.newPassword);
+    const token = await auth.changePassword(req.user.id, req.body.oldPassword, req.body.newPassword);
     res.cookie('token', token, { httpOnly:true, sameSite:'lax', secure:SECURE_COOKIES, maxAge:30*24*60*60*1000 });
     res.json({ ok:true });
   } catch(e) { res.status(400).json({ error:e.message }); }
 });
 
+// ─── Personal access tokens ──────────────────────────────────────────────────
+// Managed from a browser login only — a token can never mint or list tokens
+// (no scope covers /api/tokens, so authMiddleware rejects API-token callers).
+app.get('/api/tokens', (req,res) => res.json({ tokens: auth.listApiTokens(req.user.id), scopes: auth.API_SCOPES }));
+
+app.post('/api/tokens', (req,res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body || {};
+    const created = auth.createApiToken(req.user.id, { name, scopes, expiresInDays });
+    log.info(`[auth] API token created: "${created.name}" [${created.scopes.join(' ')}] by ${req.user.username}`);
+    res.json(created);
+  } catch(e) { res.status(400).json({ error:e.message }); }
+});
+
+app.delete('/api/tokens/:id', (req,res) => {
+  try {
+    auth.revokeApiToken(req.user.id, req.params.id);
+    res.json({ ok:true });
+  } catch(e) { res.status(404).json({ error:e.message }); }
+});
+
+// ─── Users (admin) ───────────────────────────────────────────────────────────
+// Role checks live in auth.authMiddleware — /api/users is admin-only.
+app.get('/api/users', (_req,res) => res.json(auth.listUsers()));
+
+app.post('/api/users', authLimiter, async (req,res) => {
+  try {
+    const { username, displayName, password, role } = req.body || {};
+    const user = await auth.createUser({ username, displayName, password, role });
+    log.info(`[auth] user created: ${user.username} (${user.role}) by ${req.user.username}`);
+    res.json(user);
+  } catch(e) { res.status(400).json({ error:e.message }); }
+});
+
+app.put('/api/users/:id', async (req,res) => {
+  try {
+    const { displayName, role, disabled, password } = req.body || {};
+    if (req.params.id === req.user.id && (disabled || (role && role !== 'admin'))) {
+      return res.status(400).json({ error:'You cannot disable or demote your own account' });
+    }
+    const user = await auth.updateUser(req.params.id, { displayName, role, disabled, password });
+    log.info(`[auth] user updated: ${user.username} (${user.role}${user.disabled ? ', disabled' : ''}) by ${req.user.username}`);
+    // Drop live WebSocket connections of a disabled / demoted user
+    if (user.disabled || role !== undefined) {
+      for (const ws of wss.clients) { if (ws._user?.id === user.id) ws.close(4001, 'Session revoked'); }
+    }
+    res.json(user);
+  } catch(e) { res.status(e.message === 'Unknown user' ? 404 : 400).json({ error:e.message }); }
+});
+
+app.delete('/api/users/:id', (req,res) => {
+  try {
+    if (req.params.id === req.user.id) return res.status(400).json({ error:'You cannot delete your own account' });
+    auth.deleteUser(req.params.id);
+    for (const ws of wss.clients) { if (ws._user?.id === req.params.id) ws.close(4001, 'Session revoked'); }
+    res.json({ ok:true });
+  } catch(e) { res.status(e.message === 'Unknown user' ? 404 : 400).json({ error:e.message }); }
+});
+
 app.get('/setup', (_,res) => { if(auth.isSetupDone()) return res.redirect('/'); res.sendFile(path.join(__dirname,'public','auth.html')); });
 app.get('/login', (_,res) => { if(!auth.isSetupDone()) return res.redirect('/setup'); res.sendFile(path.join(__dirname,'public','auth.html')); });
 app.get('/kanban', (_,res) => res.sendFile(path.join(__dirname,'public','kanban.html')));
@@ -3694,11 +5454,37 @@ app.get('/api/dashboard', (req, res) => {
       (toolRatio * 60) + (multiRatio * 25) + (Math.min(summary.total_sessions, 30) / 30 * 15)
     ));
 
+    // Cost ledger: live runs + archived runs of deleted sessions
+    const costFields = ['count', 'cost_usd', 'input_tokens', 'output_tokens'];
+    const costSummary = stmts.dashCostSummary.get();
+    if (archived) {
+      costSummary.runs += archived.total_runs || 0;
+      costSummary.cost_usd += archived.total_cost_usd || 0;
+      costSummary.input_tokens += archived.total_input_tokens || 0;
+      costSummary.output_tokens += archived.total_output_tokens || 0;
+      costSummary.cache_read_tokens += archived.total_cache_read_tokens || 0;
+      costSummary.cache_creation_tokens += archived.total_cache_creation_tokens || 0;
+    }
+    const costDaily = mergeDashRows(stmts.dashCostDaily.all(), stmts.archCostDaily.all(), 'date', costFields);
+    costDaily.sort((a, b) => a.date.localeCompare(b.date));
+    const _today = new Date().toISOString().slice(0, 10); // SQLite date('now') is UTC
+    costSummary.today_cost_usd = costDaily.find(d => d.date === _today)?.cost_usd || 0;
+    const byCost = (a, b) => b.cost_usd - a.cost_usd;
+    const costByModel = mergeDashRows(stmts.dashCostByModel.all(), stmts.archCostByModel.all(), 'model', costFields).sort(byCost);
+    const _projects = loadProjects();
+    const costByProject = mergeDashRows(stmts.dashCostByProject.all(), stmts.archCostByProject.all(), 'workdir', costFields)
+      .map(r => ({ ...r, name: _projects.find(p => p.workdir === r.workdir)?.name || (r.workdir ? path.basename(r.workdir) : 'workspace') }))
+      .sort(byCost);
+    const costByTask = mergeDashRows(stmts.dashCostByTask.all(), stmts.archCostByTask.all(), 'task_id', costFields)
+      .sort(byCost).slice(0, 15)
+      .map(r => ({ ...r, title: stmts.getTask.get(r.task_id)?.title || r.label || r.task_id }));
+    const costs = { summary: costSummary, daily: costDaily, byModel: costByModel, byProject: costByProject, byTask: costByTask };
+
     res.json({
       summary, tools: topTools, models, agentModes, modes,
       dailyActivity, hourlyDist, topSessions,
       sessionStats, multiAgentStats, weeklyTrend,
-      efficiencyScore
+      efficiencyScore, costs
     });
   } catch (e) {
     log.error('Dashboard analytics error', { err: e.message });
@@ -3706,13 +5492,304 @@ app.get('/api/dashboard', (req, res) => {
   }
 });
 
+// ─── Budgets ─────────────────────────────────────────────────────────────────
+// Limits + today's usage per level. Running tasks are included in usage.
+app.get('/api/budgets', (req, res) => {
+  const budgets = loadBudgets();
+  const projects = loadProjects();
+  const workdirs = new Set([...Object.keys(budgets.projects), ...projects.map(p => p.workdir).filter(Boolean)]);
+  const projectStatus = [...workdirs].map(wd => {
+    const limits = budgets.projects[wd] || budgets.project;
+    const used = budgetSpendToday(wd);
+    return {
+      workdir: wd,
+      name: projects.find(p => p.workdir === wd)?.name || path.basename(wd),
+      override: !!budgets.projects[wd],
+      limits, used,
+      exceeded: budgetExceeded('project', limits, used),
+    };
+  });
+  const dailyUsed = budgetSpendToday(null);
+  res.json({
+    budgets,
+    daily: { limits: budgets.daily, used: dailyUsed, exceeded: budgetExceeded('daily', budgets.daily, dailyUsed) },
+    projects: projectStatus,
+    running: [...liveTaskBudgets.entries()].map(([taskId, live]) => ({
+      taskId, workdir: live.workdir,
+      costUsd: live.usage.cost_usd, turns: live.usage.num_turns,
+      minutes: (Date.now() - live.startedAt) / 60000,
+    })),
+  });
+});
+
+app.put('/api/budgets', express.json(), (req, res) => {
+  const body = req.body || {};
+  const c = loadConfig();
+  const next = { ...(c.budgets || {}) };
+  for (const level of BUDGET_LEVELS) {
+    if (body[level] !== undefined) next[level] = cleanBudgetLimits(body[level]);
+  }
+  if (body.projects !== undefined) {
+    if (!body.projects || typeof body.projects !== 'object') return res.status(400).json({ error: 'projects must be an object keyed by workdir' });
+    next.projects = {};
+    for (const [wd, l] of Object.entries(body.projects)) {
+      if (l) next.projects[wd] = cleanBudgetLimits(l);
+    }
+  }
+  c.budgets = next;
+  saveConfig(c);
+  log.info('[budget] limits updated', { budgets: next });
+  // A raised cap should unblock the queue right away; a lowered one may stop running tasks
+  _budgetBlockNotified.clear();
+  setImmediate(processQueue);
+  setImmediate(enforceBudgets);
+  res.json({ ok: true, budgets: loadBudgets() });
+});
+
+// ─── Outbound webhooks ────────────────────────────────────────────────────
+function cleanWebhookEvents(events) {
+  if (!Array.isArray(events)) return null;
+  const valid = new Set([...WebhookDispatcher.EVENTS, '*']);
+  const out = [...new Set(events.map(String))].filter(e => valid.has(e));
+  return out.length ? out : null;
+}
+
+function isHttpUrl(value) {
+  try { return ['http:', 'https:'].includes(new URL(value).protocol); } catch { return false; }
+}
+
+app.get('/api/webhooks', (req, res) => {
+  res.json({ webhooks: loadConfig().webhooks || [], events: WebhookDispatcher.EVENTS });
+});
+
+app.post('/api/webhooks', express.json(), (req, res) => {
+  const { name, url, events, enabled } = req.body || {};
+  if (!url || !isHttpUrl(url)) return res.status(400).json({ error: 'url must be an http(s) URL' });
+  const cleanEvents = cleanWebhookEvents(events);
+  if (!cleanEvents) return res.status(400).json({ error: 'events must list at least one of: ' + WebhookDispatcher.EVENTS.join(', ') });
+  const hook = {
+    id: 'wh_' + crypto.randomBytes(6).toString('hex'),
+    name: String(name || '').trim().substring(0, 100) || new URL(url).host,
+    url: String(url).trim(),
+    secret: crypto.randomBytes(24).toString('hex'),
+    events: cleanEvents,
+    enabled: enabled !== false,
+    createdAt: new Date().toISOString(),
+  };
+  const c = loadConfig();
+  c.webhooks = [...(c.webhooks || []), hook];
+  saveConfig(c);
+  log.info('[webhooks] created', { id: hook.id, url: hook.url, events: hook.events });
+  res.json({ ok: true, webhook: hook });
+});
+
+app.put('/api/webhooks/:id', express.json(), (req, res) => {
+  const c = loadConfig();
+  const hook = (c.webhooks || []).find(h => h.id === req.params.id);
+  if (!hook) return res.status(404).json({ error: 'Webhook not found' });
+  const { name, url, events, enabled, rotateSecret } = req.body || {};
+  if (url !== undefined) {
+    if (!isHttpUrl(url)) return res.status(400).json({ error: 'url must be an http(s) URL' });
+    hook.url = String(url).trim();
+  }
+  if (events !== undefined) {
+    const cleanEvents = cleanWebhookEvents(events);
+    if (!cleanEvents) return res.status(400).json({ error: 'events must list at least one of: ' + WebhookDispatcher.EVENTS.join(', ') });
+    hook.events = cleanEvents;
+  }
+  if (name !== undefined) hook.name = String(name).trim().substring(0, 100) || hook.name;
+  if (enabled !== undefined) hook.enabled = !!enabled;
+  if (rotateSecret) hook.secret = crypto.randomBytes(24).toString('hex');
+  saveConfig(c);
+  res.json({ ok: true, webhook: hook });
+});
+
+app.delete('/api/webhooks/:id', (req, res) => {
+  const c = loadConfig();
+  const before = (c.webhooks || []).length;
+  c.webhooks = (c.webhooks || []).filter(h => h.id !== req.params.id);
+  if (c.webhooks.length === before) return res.status(404).json({ error: 'Webhook not found' });
+  saveConfig(c);
+  res.json({ ok: true });
+});
+
+app.post('/api/webhooks/:id/test', (req, res) => {
+  const hook = (loadConfig().webhooks || []).find(h => h.id === req.params.id);
+  if (!hook) return res.status(404).json({ error: 'Webhook not found' });
+  res.json({ ok: true, deliveryId: webhooks.sendTest(hook) });
+});
+
+app.get('/api/webhooks/deliveries', (req, res) => {
+  res.json({ deliveries: webhooks.listDeliveries({ webhookId: req.query.webhookId, limit: req.query.limit }) });
+});
+
+app.post('/api/webhooks/deliveries/:id/redeliver', (req, res) => {
+  if (!webhooks.redeliver(req.params.id)) return res.status(404).json({ error: 'Delivery not found' });
+  res.json({ ok: true });
+});
+
+// ─── Inbound trigger management ───────────────────────────────────────────
+// Members manage their own triggers; admins see and manage all of them.
+function canManageTrigger(req, trigger) {
+  return auth.hasRole(req.user, 'admin') || trigger.owner_id === req.user?.id;
+}
+
+// A chain trigger starts the chain as its owner, so the same rule applies to the chain
+function canManageChain(user, chain) {
+  return auth.hasRole(user, 'admin') || (!!chain.owner_id && chain.owner_id === user?.id);
+}
+
+function triggerView(trigger, names) {
+  return {
+    ...trigger,
+    token: undefined,
+    path: `/api/inbound/${trigger.id}/${trigger.token}`,
+    owner_name: names?.get(trigger.owner_id) || null,
+  };
+}
+
+function validateTriggerInput(f, user) {
+  if (f.action === 'chain') {
+    const chain = f.chain_id ? stmts.getChain.get(f.chain_id) : null;
+    if (!chain) return 'chain_id must reference an existing chain';
+    if (!canManageChain(user, chain)) return 'You can only trigger your own chains';
+  } else if (!f.template?.title || !String(f.template.title).trim()) {
+    return 'template.title is required';
+  } else {
+    const templated = TriggerStore.FIXED_FIELDS.find(k => /\{\{/.test(String(f.template[k] ?? '')));
+    if (templated) return `template.${templated} cannot use {{placeholders}}`;
+  }
+  if (f.verify && !TriggerStore.VERIFY_MODES.includes(f.verify)) return 'verify must be one of: ' + TriggerStore.VERIFY_MODES.join(', ');
+  return null;
+}
+
+app.get('/api/triggers', (req, res) => {
+  const names = ownerNameMap();
+  const list = triggers.list().filter(tr => canManageTrigger(req, tr)).map(tr => triggerView(tr, names));
+  res.json({ triggers: list, verifyModes: TriggerStore.VERIFY_MODES });
+});
+
+app.post('/api/triggers', (req, res) => {
+  const body = req.body || {};
+  const err = validateTriggerInput(body, req.user);
+  if (err) return res.status(400).json({ error: err });
+  const secret = body.verify && body.verify !== 'none' ? crypto.randomBytes(20).toString('hex') : null;
+  const trigger = triggers.create({ ...body, secret }, req.user?.id);
+  log.info('[trigger] created', { id: trigger.id, action: trigger.action, by: req.user?.username });
+  res.json(triggerView(trigger, ownerNameMap()));
+});
+
+app.put('/api/triggers/:id', (req, res) => {
+  const trigger = triggers.get(req.params.id);
+  if (!trigger || !canManageTrigger(req, trigger)) return res.status(404).json({ error: 'Trigger not found' });
+  const { rotateToken, rotateSecret, secret: _ignored, ...patch } = req.body || {};
+  const err = validateTriggerInput({ ...trigger, ...patch }, trigger.owner_id ? auth.getUser(trigger.owner_id) : req.user);
+  if (err) return res.status(400).json({ error: err });
+  const verify = patch.verify || trigger.verify;
+  let secret = trigger.secret;
+  if (verify === 'none') secret = null;
+  else if (!secret || rotateSecret) secret = crypto.randomBytes(20).toString('hex');
+  triggers.update(trigger.id, { ...patch, secret });
+  if (rotateToken) triggers.rotateToken(trigger.id);
+  res.json(triggerView(triggers.get(trigger.id), ownerNameMap()));
+});
+
+app.delete('/api/triggers/:id', (req, res) => {
+  const trigger = triggers.get(req.params.id);
+  if (!trigger || !canManageTrigger(req, trigger)) return res.status(404).json({ error: 'Trigger not found' });
+  triggers.delete(trigger.id);
+  res.json({ ok: true });
+});
+
+app.get('/api/triggers/:id/events', (req, res) => {
+  const trigger = triggers.get(req.params.id);
+  if (!trigger || !canManageTrigger(req, trigger)) return res.status(404).json({ error: 'Trigger not found' });
+  res.json({ events: triggers.listEvents(trigger.id, req.query.limit) });
+});
+
+// ─── Task templates ──────────────────────────────────────────────────────
+// Everyone can list and use templates; editing follows the trigger rule (creator or admin).
+const taskTemplates = new TemplateStore(db);
+
+/**
+ * Resolve template_id + variables for a task or chain being created in `workdir`.
+ * Returns { template, spec } or { error, status }.
+ */
+function useTemplate(templateId, variables, workdir, kind) {
+  const template = taskTemplates.get(templateId);
+  if (!template || (template.workdir && template.workdir !== workdir)) {
+    return { error: 'Template not found for this project', status: 404 };
+  }
+  if (template.kind !== kind) return { error: `Template "${template.name}" is a ${template.kind} template`, status: 400 };
+  const { spec, error } = TemplateStore.instantiate(template, variables);
+  if (error) return { error, status: 400 };
+  return { template, spec };
+}
+
+/** A rendered task template as createTaskFromInput() fields. */
+function taskFieldsFromTemplate(spec) {
+  return {
+    title: spec.title,
+    description: spec.description,
+    ...(spec.model ? { model: spec.model } : {}),
+    ...(spec.effort ? { effort: spec.effort } : {}),
+    ...(spec.max_turns ? { max_turns: spec.max_turns } : {}),
+    ...(spec.attachments?.length ? { attachments: JSON.stringify(spec.attachments) } : {}),
+  };
+}
+
+function templateView(template, names, { full = false } = {}) {
+  const spec = full || !template.spec.attachments ? template.spec
+    : { ...template.spec, attachments: template.spec.attachments.map(a => ({ name: a.name, type: a.type })) };
+  return { ...template, spec, owner_name: names?.get(template.owner_id) || null };
+}
+
+app.get('/api/task-templates', (req, res) => {
+  const names = ownerNameMap();
+  const list = req.query.workdir ? taskTemplates.usableIn(req.query.workdir) : taskTemplates.list();
+  res.json({ templates: list.map(tpl => templateView(tpl, names)) });
+});
+
+app.get('/api/task-templates/:id', (req, res) => {
+  const template = taskTemplates.get(req.params.id);
+  if (!template) return res.status(404).json({ error: 'Template not found' });
+  res.json(templateView(template, ownerNameMap(), { full: true }));
+});
+
+app.post('/api/task-templates', (req, res) => {
+  const { fields, error } = TemplateStore.cleanTemplate(req.body);
+  if (error) return res.status(400).json({ error });
+  const template = taskTemplates.create(fields, req.user?.id);
+  log.info('[template] created', { id: template.id, kind: template.kind, by: req.user?.username });
+  res.json(templateView(template, ownerNameMap()));
+});
+
+app.put('/api/task-templates/:id', (req, res) => {
+  const template = taskTemplates.get(req.params.id);
+  if (!template) return res.status(404).json({ error: 'Template not found' });
+  if (!canManageTrigger(req, template)) return res.status(403).json({ error: 'Only the template\'s creator or an admin can edit it' });
+  const { fields, error } = TemplateStore.cleanTemplate({ ...template, ...req.body });
+  if (error) return res.status(400).json({ error });
+  res.json(templateView(taskTemplates.update(template.id, fields), ownerNameMap()));
+});
+
+app.delete('/api/task-templates/:id', (req, res) => {
+  const template = taskTemplates.get(req.params.id);
+  if (!template) return res.status(404).json({ error: 'Template not found' });
+  if (!canManageTrigger(req, template)) return res.status(403).json({ error: 'Only the template\'s creator or an admin can delete it' });
+  taskTemplates.delete(template.id);
+  res.json({ ok: true });
+});
+
 // ─── Tasks (Kanban) ───────────────────────────────────────────────────────
 app.get('/api/tasks', (req, res) => {
   const workdir = req.query.workdir || null;
   const rows = stmts.getTasks.all({ w: workdir || null });
+  const owners = ownerNameMap();
   const result = rows.map(t => ({
     ...t,
     is_active: t.session_id ? activeTasks.has(t.session_id) : false,
+    owner_name: owners.get(t.owner_id) || null,
   }));
   res.json(result);
 });
@@ -3722,15 +5799,68 @@ app.get('/api/tasks/running-sessions', (req, res) => {
   const rows = db.prepare(`SELECT DISTINCT session_id FROM tasks WHERE status='in_progress' AND session_id IS NOT NULL`).all();
   res.json(rows.map(r => r.session_id));
 });
-app.post('/api/tasks', (req, res) => {
+// Preview upcoming fire times for a recurrence (preset or cron) — used by the schedule form
+app.get('/api/schedule/preview', (req, res) => {
+  const recurrence = String(req.query.recurrence || '').trim();
+  const tz = String(req.query.tz || '').trim() || null;
+  const count = Math.min(Math.max(parseInt(req.query.count) || 5, 1), 20);
+  const serverTz = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  if (!recurrence) return res.status(400).json({ error: 'Missing recurrence' });
+  const err = validateRecurrence(recurrence, tz);
+  if (err) return res.status(400).json({ error: err });
+  const now = Math.floor(Date.now() / 1000);
+  const from = parseInt(req.query.from) || null;
+  const runs = [];
+  // A future start time is itself the first run; otherwise start from the next match
+  let next = (from && from > now) ? from : calcNextRun(Math.max(from || 0, now), recurrence, tz);
+  while (next && runs.length < count) {
+    runs.push(next);
+    next = calcNextRun(next, recurrence, tz);
+  }
+  res.json({ runs, timezone: tz || serverTz, serverTimezone: serverTz });
+});
+// Error message for a task's permission_profile that names no profile (null/'' = project default)
+function validatePermissionProfile(id) {
+  if (!id) return null;
+  if (typeof id !== 'string' || !permissionProfiles.resolveProfile(id, loadConfig().permissionProfiles)) return `Unknown permission profile: ${id}`;
+  return null;
+}
+
+// Shared by POST /api/tasks and inbound triggers. Returns { task } or { error }.
+function createTaskFromInput(input, ownerId) {
   const { title=i18nTask(), description='', notes='', status='backlog', sort_order=0, session_id=null, workdir=null,
           model='sonnet', mode='auto', agent_mode='single', max_turns=30, attachments=null,
           depends_on=null, chain_id=null, source_session_id=null,
-          scheduled_at=null, recurrence=null, recurrence_end_at=null, effort=null } = req.body;
+          scheduled_at=null, recurrence=null, recurrence_end_at=null, recurrence_tz=null, effort=null, isolation=null,
+          requires_approval=false, permission_profile=null } = input;
+  const recurErr = validateRecurrence(sqlVal(recurrence), sqlVal(recurrence_tz));
+  if (recurErr) return { error: recurErr };
+  const profileErr = validatePermissionProfile(permission_profile);
+  if (profileErr) return { error: profileErr };
+  const firstRunAt = firstScheduledAt(sqlVal(scheduled_at) || null, sqlVal(recurrence) || null, sqlVal(recurrence_tz) || null);
   const id = genId();
-  stmts.createTask.run(id, String(title).substring(0,200), String(description).substring(0,2000), String(notes||'').substring(0,2000), sqlVal(status), sqlVal(sort_order), sqlVal(session_id)||null, sqlVal(workdir)||null, sqlVal(model), sqlVal(mode), sqlVal(agent_mode), sqlVal(max_turns), sqlVal(attachments)||null, sqlVal(depends_on)||null, sqlVal(chain_id)||null, sqlVal(source_session_id)||null, sqlVal(scheduled_at)||null, sqlVal(recurrence)||null, sqlVal(recurrence_end_at)||null, sqlVal(effort)||null);
-  const task = stmts.getTask.get(id);
+  stmts.createTask.run(id, String(title).substring(0,200), String(description).substring(0,2000), String(notes||'').substring(0,2000), sqlVal(status), sqlVal(sort_order), sqlVal(session_id)||null, sqlVal(workdir)||null, sqlVal(model), sqlVal(mode), sqlVal(agent_mode), sqlVal(max_turns), sqlVal(attachments)||null, sqlVal(depends_on)||null, sqlVal(chain_id)||null, sqlVal(source_session_id)||null, firstRunAt, sqlVal(recurrence)||null, sqlVal(recurrence_end_at)||null, sqlVal(effort)||null);
+  if (recurrence_tz) stmts.setTaskRecurrenceTz.run(sqlVal(recurrence_tz), id);
+  if (ISOLATION_MODES.includes(isolation)) stmts.setTaskIsolation.run(isolation, id);
+  if (requires_approval) stmts.setTaskRequiresApproval.run(1, id);
+  if (permission_profile) stmts.setTaskPermissionProfile.run(permission_profile, id);
+  stmts.setTaskOwner.run(ownerId || null, id);
   if (status === 'todo') setImmediate(processQueue);
+  return { task: stmts.getTask.get(id) };
+}
+
+app.post('/api/tasks', (req, res) => {
+  let input = req.body;
+  if (input.template_id) {
+    const used = useTemplate(input.template_id, input.variables, input.workdir || null, 'task');
+    if (used.error) return res.status(used.status).json({ error: used.error });
+    // Fields sent alongside the template override its defaults
+    const { template_id, variables, ...explicit } = input;
+    input = { ...taskFieldsFromTemplate(used.spec), ...Object.fromEntries(Object.entries(explicit).filter(([, v]) => v != null)) };
+  }
+  const { task, error } = createTaskFromInput(input, req.user?.id);
+  if (error) return res.status(400).json({ error });
+  if (req.body.template_id) taskTemplates.markUsed(req.body.template_id);
   res.json(task);
 });
 app.put('/api/tasks/:id', (req, res) => {
@@ -3743,7 +5873,18 @@ app.put('/api/tasks/:id', (req, res) => {
           max_turns=task.max_turns||30, attachments=task.attachments,
           depends_on=task.depends_on, chain_id=task.chain_id, source_session_id=task.source_session_id,
           scheduled_at=task.scheduled_at, recurrence=task.recurrence, recurrence_end_at=task.recurrence_end_at,
-          effort=task.effort } = req.body;
+          recurrence_tz=task.recurrence_tz, effort=task.effort, isolation=task.isolation,
+          requires_approval=task.requires_approval, permission_profile=task.permission_profile } = req.body;
+  const recurErr = validateRecurrence(sqlVal(recurrence), sqlVal(recurrence_tz));
+  if (recurErr) return res.status(400).json({ error: recurErr });
+  const profileErr = validatePermissionProfile(permission_profile);
+  if (profileErr) return res.status(400).json({ error: profileErr });
+  // Moving a task from review to done is an approval: it completes through approveTask()
+  // so chains advance and recurring tasks re-arm exactly as with the Approve button
+  const approving = task.status === 'review' && status === 'done';
+  // A changed schedule without an explicit start recomputes the next run
+  const recurChanged = recurrenceChanged(task, recurrence, recurrence_tz);
+  const startAt = (recurChanged && !('scheduled_at' in req.body)) ? null : scheduled_at;
   // Stop running process when task is moved away from in_progress
   if (task.status === 'in_progress' && status !== 'in_progress') {
     const ctrl = runningTaskAborts.get(req.params.id);
@@ -3759,13 +5900,19 @@ app.put('/api/tasks/:id', (req, res) => {
   stmts.updateTask.run(
     String(title).substring(0,200), String(description).substring(0,2000),
     String(notes||'').substring(0,2000),
-    sqlVal(status), sqlVal(sort_order), sqlVal(session_id) || null, sqlVal(workdir) || null,
+    sqlVal(approving ? task.status : status), sqlVal(sort_order), sqlVal(session_id) || null, sqlVal(workdir) || null,
     sqlVal(model), sqlVal(mode), sqlVal(agent_mode), sqlVal(max_turns), sqlVal(attachments) || null,
     sqlVal(depends_on) || null, sqlVal(chain_id) || null, sqlVal(source_session_id) || null,
-    sqlVal(scheduled_at) || null, sqlVal(recurrence) || null, sqlVal(recurrence_end_at) || null,
+    firstScheduledAt(sqlVal(startAt) || null, sqlVal(recurrence) || null, sqlVal(recurrence_tz) || null),
+    sqlVal(recurrence) || null, sqlVal(recurrence_end_at) || null,
     sqlVal(effort) || null,
     req.params.id
   );
+  stmts.setTaskRecurrenceTz.run(sqlVal(recurrence_tz) || null, req.params.id);
+  stmts.setTaskIsolation.run(ISOLATION_MODES.includes(isolation) ? isolation : null, req.params.id);
+  stmts.setTaskRequiresApproval.run(requires_approval ? 1 : 0, req.params.id);
+  stmts.setTaskPermissionProfile.run(sqlVal(permission_profile) || null, req.params.id);
+  if (approving) approveTask(req.params.id, req.user?.username);
   const updated = stmts.getTask.get(req.params.id);
   // Trigger queue whenever status is todo (covers "Run now" on scheduled tasks too)
   if (status === 'todo') setImmediate(processQueue);
@@ -3793,15 +5940,102 @@ app.delete('/api/tasks/:id', (req, res) => {
         .run(prevId ? JSON.stringify([prevId]) : null, nextTask.id);
     }
   }
+  // Drop the task's worktree and branch — nobody can review them after this
+  const wt = parseWorktree(task);
+  if (wt && (wt.state === 'active' || wt.state === 'review')) {
+    try { worktrees.remove(wt); } catch (e) { log.warn('Worktree cleanup failed', { taskId: tid, error: e.message }); }
+  }
   stmts.deleteTask.run(tid);
   res.json({ ok: true });
 });
 
+// ─── Task worktrees: review, merge, discard ──────────────────────────────
+function reviewableWorktree(req, res) {
+  const task = stmts.getTask.get(req.params.id);
+  const wt = parseWorktree(task);
+  if (!task || !wt) { res.status(404).json({ error: 'Task has no worktree' }); return null; }
+  if (wt.state !== 'review' && wt.state !== 'active') { res.status(409).json({ error: `Worktree is already ${wt.state}` }); return null; }
+  return { task, wt };
+}
+
+app.get('/api/tasks/:id/diff', (req, res) => {
+  const found = reviewableWorktree(req, res);
+  if (!found) return;
+  const { wt } = found;
+  try {
+    const stat = worktrees.diffStat(wt);
+    const { patch, truncated } = req.query.stat ? { patch: null, truncated: false } : worktrees.diff(wt);
+    res.json({ worktree: wt, stats: worktrees.summary(wt), stat, patch, truncated });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.post('/api/tasks/:id/worktree/merge', (req, res) => {
+  const found = reviewableWorktree(req, res);
+  if (!found) return;
+  const { task, wt } = found;
+  if (task.status === 'in_progress' || taskRunning.has(task.id)) return res.status(409).json({ error: 'Task is still running' });
+  const strategy = req.body?.strategy === 'rebase' ? 'rebase' : 'merge';
+  try {
+    const target = worktrees.integrate(wt, strategy, `Merge task "${task.title}" (${wt.branch})`);
+    worktrees.remove(wt);
+    saveWorktree(task.id, { ...wt, state: 'merged', merged_into: target, strategy, error: null, finished_at: new Date().toISOString() });
+    log.info(`[worktree] task ${task.id}: ${strategy} ${wt.branch} → ${target}`);
+    res.json({ ok: true, target, task: stmts.getTask.get(task.id) });
+  } catch (e) {
+    res.status(409).json({ error: e.message });
+  }
+});
+
+app.post('/api/tasks/:id/worktree/discard', (req, res) => {
+  const found = reviewableWorktree(req, res);
+  if (!found) return;
+  const { task, wt } = found;
+  if (task.status === 'in_progress' || taskRunning.has(task.id)) return res.status(409).json({ error: 'Task is still running' });
+  worktrees.remove(wt);
+  saveWorktree(task.id, { ...wt, state: 'discarded', finished_at: new Date().toISOString() });
+  log.info(`[worktree] task ${task.id}: discarded ${wt.branch}`);
+  res.json({ ok: true, task: stmts.getTask.get(task.id) });
+});
+
+// ─── Task run history ────────────────────────────────────────────────────
+app.get('/api/tasks/:id/runs', (req, res) => {
+  if (!stmts.getTask.get(req.params.id)) return res.status(404).json({ error: 'Not found' });
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+  const runs = stmts.getTaskRuns.all(req.params.id, limit).map(r => ({ ...r, session_exists: !!r.session_exists }));
+  res.json({ runs });
+});
+
+// ─── Task approval gate: review, approve, reject ─────────────────────────
+app.get('/api/tasks/:id/review', (req, res) => {
+  const task = stmts.getTask.get(req.params.id);
+  if (!task) return res.status(404).json({ error: 'Not found' });
+  let diff = null, diffError = null;
+  try { diff = taskReviewDiff(task, { withPatch: !req.query.stat }); } catch (e) { diffError = e.message; }
+  res.json({
+    status: task.status, requires_approval: taskNeedsApproval(task),
+    approval: parseApproval(task), task_output: task.task_output || null,
+    diff, diff_error: diffError,
+  });
+});
+
+app.post('/api/tasks/:id/approve', (req, res) => {
+  const { task, status, error } = approveTask(req.params.id, req.user?.username);
+  if (error) return res.status(status).json({ error });
+  res.json({ ok: true, task });
+});
+
+app.post('/api/tasks/:id/reject', (req, res) => {
+  const { task, status, error } = rejectTask(req.params.id, req.body?.feedback, req.user?.username);
+  if (error) return res.status(status).json({ error });
+  res.json({ ok: true, task });
+});
+
 // ─── Task Chains (Groups) ────────────────────────────────────────────────
 app.get('/api/task-chains', (req, res) => {
   const workdir = req.query.workdir || null;
   const rows = stmts.getChains.all({ w: workdir || null });
-  res.json(rows.map(chainWithSummary));
+  const owners = ownerNameMap();
+  res.json(rows.map(c => ({ ...chainWithSummary(c), owner_name: owners.get(c.owner_id) || null })));
 });
 app.get('/api/task-chains/etag', (req, res) => {
   // Combine chains etag with tasks etag for accurate change detection
@@ -3814,10 +6048,13 @@ app.get('/api/task-chains/:id', (req, res) => {
   if (!chain) return res.status(404).json({ error: 'Not found' });
   res.json(chainWithSummary(chain));
 });
-app.post('/api/task-chains', (req, res) => {
+function createChainFromInput(input, ownerId) {
   const { title = 'Task Group', workdir = null, model = 'sonnet', mode = 'auto',
           agent_mode = 'single', max_turns = 30, scheduled_at = null,
-          recurrence = null, recurrence_end_at = null, effort = null } = req.body;
+          recurrence = null, recurrence_end_at = null, recurrence_tz = null, effort = null,
+          requires_approval = false } = input;
+  const recurErr = validateRecurrence(sqlVal(recurrence), sqlVal(recurrence_tz));
+  if (recurErr) return { error: recurErr };
   const id = genId();
   // Create shared session for the chain
   const sessionId = genId();
@@ -3825,31 +6062,81 @@ app.post('/api/task-chains', (req, res) => {
     sqlVal(mode), sqlVal(agent_mode), sqlVal(model), sqlVal(workdir) || null);
   stmts.createChain.run(id, String(title).substring(0, 200), sqlVal(workdir) || null,
     sqlVal(model), sqlVal(mode), sqlVal(agent_mode), sqlVal(max_turns),
-    sessionId, sqlVal(scheduled_at) || null, sqlVal(recurrence) || null,
-    sqlVal(recurrence_end_at) || null, null, 0, sqlVal(effort) || null);
-  res.json(chainWithSummary(stmts.getChain.get(id)));
+    sessionId, firstScheduledAt(sqlVal(scheduled_at) || null, sqlVal(recurrence) || null, sqlVal(recurrence_tz) || null),
+    sqlVal(recurrence) || null, sqlVal(recurrence_end_at) || null, null, 0, sqlVal(effort) || null);
+  if (recurrence_tz) stmts.setChainRecurrenceTz.run(sqlVal(recurrence_tz), id);
+  if (requires_approval) stmts.setChainRequiresApproval.run(1, id);
+  stmts.setSessionOwner.run(ownerId || null, sessionId);
+  stmts.setChainOwner.run(ownerId || null, id);
+  return { chain: stmts.getChain.get(id) };
+}
+
+/**
+ * Create a chain with its steps from a chain template.
+ * `activate` queues it right away, as the Start button does.
+ */
+function createChainFromTemplate(spec, { workdir = null, activate = false, ...overrides }, ownerId) {
+  const { chain, error } = createChainFromInput({
+    title: spec.title, workdir, model: spec.model || 'sonnet', max_turns: spec.max_turns || 30,
+    effort: spec.effort || null, ...overrides,
+  }, ownerId);
+  if (error) return { error };
+  for (const step of spec.tasks) addChainTask(chain, step, ownerId);
+  if (activate) activateChain(chain.id);
+  return { chain: stmts.getChain.get(chain.id) };
+}
+
+app.post('/api/task-chains', (req, res) => {
+  if (req.body.template_id) {
+    const { template_id, variables, workdir = null, activate = false, ...overrides } = req.body;
+    const used = useTemplate(template_id, variables, workdir, 'chain');
+    if (used.error) return res.status(used.status).json({ error: used.error });
+    const { chain, error } = createChainFromTemplate(used.spec, { workdir, activate, ...overrides }, req.user?.id);
+    if (error) return res.status(400).json({ error });
+    taskTemplates.markUsed(template_id);
+    return res.json(chainWithSummary(chain));
+  }
+  const { chain, error } = createChainFromInput(req.body, req.user?.id);
+  if (error) return res.status(400).json({ error });
+  res.json(chainWithSummary(chain));
 });
-app.put('/api/task-chains/:id', (req, res) => {
-  const chain = stmts.getChain.get(req.params.id);
-  if (!chain) return res.status(404).json({ error: 'Not found' });
+/** Apply edits to a chain; fields left out keep their value. Returns { chain } or { error }. */
+function updateChainFromInput(chain, input) {
   const { title = chain.title, workdir = chain.workdir, model = chain.model,
           mode = chain.mode, agent_mode = chain.agent_mode, max_turns = chain.max_turns,
           session_id = chain.session_id, scheduled_at = chain.scheduled_at,
           recurrence = chain.recurrence, recurrence_end_at = chain.recurrence_end_at,
-          sort_order = chain.sort_order, effort = chain.effort } = req.body;
+          recurrence_tz = chain.recurrence_tz, sort_order = chain.sort_order, effort = chain.effort,
+          requires_approval = chain.requires_approval } = input;
+  const recurErr = validateRecurrence(sqlVal(recurrence), sqlVal(recurrence_tz));
+  if (recurErr) return { error: recurErr };
+  // A changed schedule without an explicit start recomputes the next run
+  const recurChanged = recurrenceChanged(chain, recurrence, recurrence_tz);
+  const startAt = (recurChanged && !('scheduled_at' in input)) ? null : scheduled_at;
+  const nextScheduledAt = firstScheduledAt(sqlVal(startAt) || null, sqlVal(recurrence) || null, sqlVal(recurrence_tz) || null);
   stmts.updateChain.run(String(title).substring(0, 200), sqlVal(workdir) || null,
     sqlVal(model), sqlVal(mode), sqlVal(agent_mode), sqlVal(max_turns),
-    sqlVal(session_id) || null, sqlVal(scheduled_at) || null, sqlVal(recurrence) || null,
-    sqlVal(recurrence_end_at) || null, sqlVal(sort_order), sqlVal(effort) || null, req.params.id);
+    sqlVal(session_id) || null, nextScheduledAt, sqlVal(recurrence) || null,
+    sqlVal(recurrence_end_at) || null, sqlVal(sort_order), sqlVal(effort) || null, chain.id);
+  stmts.setChainRecurrenceTz.run(sqlVal(recurrence_tz) || null, chain.id);
+  stmts.setChainRequiresApproval.run(requires_approval ? 1 : 0, chain.id);
   // If scheduled_at changed, propagate to child tasks
-  if (scheduled_at !== chain.scheduled_at) {
-    const tasks = stmts.getChainTasksList.all(req.params.id);
+  if (nextScheduledAt !== chain.scheduled_at) {
+    const tasks = stmts.getChainTasksList.all(chain.id);
     for (const t of tasks) {
       db.prepare(`UPDATE tasks SET scheduled_at=?, updated_at=datetime('now') WHERE id=?`)
-        .run(sqlVal(scheduled_at) || null, t.id);
+        .run(nextScheduledAt, t.id);
     }
   }
-  res.json(chainWithSummary(stmts.getChain.get(req.params.id)));
+  return { chain: stmts.getChain.get(chain.id) };
+}
+
+app.put('/api/task-chains/:id', (req, res) => {
+  const chain = stmts.getChain.get(req.params.id);
+  if (!chain) return res.status(404).json({ error: 'Not found' });
+  const { chain: updated, error } = updateChainFromInput(chain, req.body);
+  if (error) return res.status(400).json({ error });
+  res.json(chainWithSummary(updated));
 });
 app.delete('/api/task-chains/:id', (req, res) => {
   const chain = stmts.getChain.get(req.params.id);
@@ -3868,26 +6155,34 @@ app.delete('/api/task-chains/:id', (req, res) => {
   res.json({ ok: true });
 });
 // Add task to chain — auto-sets depends_on to previous task
-app.post('/api/task-chains/:id/tasks', (req, res) => {
-  const chain = stmts.getChain.get(req.params.id);
-  if (!chain) return res.status(404).json({ error: 'Chain not found' });
-  const { title = 'Subtask', description = '', notes = '' } = req.body;
-  const existing = stmts.getChainTasksList.all(req.params.id);
+/** Append a step to a chain; model, effort and max_turns default to the chain's. */
+function addChainTask(chain, { title = 'Subtask', description = '', notes = '', requires_approval = false,
+                               model, effort, max_turns } = {}, ownerId) {
+  const existing = stmts.getChainTasksList.all(chain.id);
   const lastTask = existing[existing.length - 1];
   const sortOrder = existing.length ? (lastTask?.sort_order || 0) + 1000 : 0;
   const dependsOn = lastTask ? JSON.stringify([lastTask.id]) : null;
   // Inherit chain's derived status for new tasks
-  const chainStatus = deriveChainStatus(req.params.id);
+  const chainStatus = deriveChainStatus(chain.id);
   const taskStatus = (chainStatus === 'in_progress' || chainStatus === 'todo') ? 'todo' : 'backlog';
   const taskId = genId();
   stmts.createTask.run(taskId, String(title).substring(0, 200), String(description).substring(0, 2000),
     String(notes || '').substring(0, 2000), taskStatus, sortOrder,
-    chain.session_id || null, chain.workdir || null, chain.model || 'sonnet',
-    chain.mode || 'auto', chain.agent_mode || 'single', chain.max_turns || 30,
-    null, dependsOn, req.params.id, chain.source_session_id || null,
-    chain.scheduled_at || null, null, null, chain.effort || null);
+    chain.session_id || null, chain.workdir || null, model || chain.model || 'sonnet',
+    chain.mode || 'auto', chain.agent_mode || 'single', max_turns || chain.max_turns || 30,
+    null, dependsOn, chain.id, chain.source_session_id || null,
+    chain.scheduled_at || null, null, null, effort || chain.effort || null);
+  if (requires_approval) stmts.setTaskRequiresApproval.run(1, taskId);
+  stmts.setTaskOwner.run(ownerId || null, taskId);
   if (taskStatus === 'todo') setImmediate(processQueue);
-  res.json(stmts.getTask.get(taskId));
+  return stmts.getTask.get(taskId);
+}
+
+app.post('/api/task-chains/:id/tasks', (req, res) => {
+  const chain = stmts.getChain.get(req.params.id);
+  if (!chain) return res.status(404).json({ error: 'Chain not found' });
+  const { title, description, notes, requires_approval } = req.body;
+  res.json(addChainTask(chain, { title, description, notes, requires_approval }, req.user?.id));
 });
 // Reorder tasks within a chain — rebuilds depends_on chain
 app.put('/api/task-chains/:id/tasks/reorder', (req, res) => {
@@ -3907,26 +6202,34 @@ app.put('/api/task-chains/:id/tasks/reorder', (req, res) => {
   db.prepare(`UPDATE task_chains SET updated_at=datetime('now') WHERE id=?`).run(req.params.id);
   res.json(chainWithSummary(stmts.getChain.get(req.params.id)));
 });
-// Activate chain — set all tasks to todo, first one has no depends_on
-app.post('/api/task-chains/:id/activate', (req, res) => {
-  const chain = stmts.getChain.get(req.params.id);
-  if (!chain) return res.status(404).json({ error: 'Chain not found' });
-  const tasks = stmts.getChainTasksList.all(req.params.id);
-  if (!tasks.length) return res.status(400).json({ error: 'Chain has no tasks' });
+// Activate chain — set all tasks to todo, first one has no depends_on.
+// Chains synced from a pipelines file keep the dependency graph declared there.
+// Shared by the REST route and inbound triggers. Returns { chain } or { status, error }.
+function activateChain(chainId) {
+  const chain = stmts.getChain.get(chainId);
+  if (!chain) return { status: 404, error: 'Chain not found' };
+  const tasks = stmts.getChainTasksList.all(chainId);
+  if (!tasks.length) return { status: 400, error: 'Chain has no tasks' };
   db.transaction(() => {
     for (let i = 0; i < tasks.length; i++) {
       const t = tasks[i];
-      // Skip already completed/in-progress tasks
-      if (t.status === 'done' || t.status === 'in_progress') continue;
+      // Skip already completed/in-progress tasks and results waiting for approval
+      if (t.status === 'done' || t.status === 'in_progress' || t.status === 'review') continue;
       const prevId = i > 0 ? tasks[i - 1].id : null;
-      const dependsOn = prevId ? JSON.stringify([prevId]) : null;
+      const dependsOn = chain.pipeline ? t.depends_on : (prevId ? JSON.stringify([prevId]) : null);
       db.prepare(`UPDATE tasks SET status='todo', depends_on=?, sort_order=?, scheduled_at=?, updated_at=datetime('now') WHERE id=?`)
         .run(dependsOn, i * 1000, chain.scheduled_at || null, t.id);
     }
-    db.prepare(`UPDATE task_chains SET updated_at=datetime('now') WHERE id=?`).run(req.params.id);
+    db.prepare(`UPDATE task_chains SET updated_at=datetime('now') WHERE id=?`).run(chainId);
   })();
   setImmediate(processQueue);
-  res.json(chainWithSummary(stmts.getChain.get(req.params.id)));
+  return { chain: chainWithSummary(stmts.getChain.get(chainId)) };
+}
+
+app.post('/api/task-chains/:id/activate', (req, res) => {
+  const { chain, status, error } = activateChain(req.params.id);
+  if (error) return res.status(status).json({ error });
+  res.json(chain);
 });
 // Remove a single task from chain — re-links depends_on
 app.delete('/api/task-chains/:chainId/tasks/:taskId', (req, res) => {
@@ -3948,9 +6251,146 @@ app.delete('/api/task-chains/:chainId/tasks/:taskId', (req, res) => {
     const newDeps = prevId ? JSON.stringify([prevId]) : null;
     db.prepare(`UPDATE tasks SET depends_on=?, updated_at=datetime('now') WHERE id=?`).run(newDeps, nextTask.id);
   }
-  stmts.deleteTask.run(taskId);
-  db.prepare(`UPDATE task_chains SET updated_at=datetime('now') WHERE id=?`).run(chainId);
-  res.json(chainWithSummary(stmts.getChain.get(chainId)));
+  stmts.deleteTask.run(taskId);
+  db.prepare(`UPDATE task_chains SET updated_at=datetime('now') WHERE id=?`).run(chainId);
+  res.json(chainWithSummary(stmts.getChain.get(chainId)));
+});
+
+// ─── Pipelines as code (.studio/pipelines.yml) ───────────────────────────
+// Chains synced from a project's pipelines file remember their pipeline key and
+// step ids, so the next sync updates them in place. Parsing, validation, the diff
+// and the file format live in pipelines.js.
+
+function chainForExport(chain) {
+  return { ...chain, active: deriveChainStatus(chain.id) !== 'backlog' };
+}
+
+/**
+ * Read and validate a project's pipelines file and work out what a sync would change.
+ * Returns { file, pipelines, errors, changes } or { status, error }.
+ */
+function planPipelineSync(workdir) {
+  if (!workdir) return { status: 400, error: 'workdir is required' };
+  if (loadProjects().find(p => p.workdir === workdir)?.isRemote) return { status: 400, error: 'Pipelines files are read from local projects only' };
+  let found;
+  try { found = pipelines.readProjectFile(workdir); } catch (e) { return { status: 500, error: e.message }; }
+  if (!found) return { file: null, pipelines: [], errors: [], changes: [] };
+  const { pipelines: wanted, errors } = pipelines.parse(found.text, found.file);
+  if (errors.length) return { file: found.rel, pipelines: wanted, errors, changes: [] };
+  const current = stmts.getPipelineChains.all(workdir).map(chain => ({
+    ...pipelines.fromChain(chainForExport(chain), stmts.getChainTasksList.all(chain.id)),
+    chain_id: chain.id,
+  }));
+  const changes = pipelines.diff(wanted, current);
+  for (const change of changes) {
+    const status = change.chain_id ? deriveChainStatus(change.chain_id) : null;
+    if (status === 'in_progress' && change.action !== 'unchanged') change.blocked = 'Running — sync again when it finishes';
+    if (change.action !== 'delete' && wanted.find(p => p.key === change.key).active && (!status || status === 'backlog')) change.start = true;
+  }
+  return { file: found.rel, pipelines: wanted, errors, changes };
+}
+
+// Make a chain's steps match the pipeline: update matched steps, add new ones,
+// drop the rest, then lay out order and dependencies as declared
+function syncPipelineSteps(chain, pipeline, ownerId) {
+  const existing = stmts.getChainTasksList.all(chain.id);
+  // Same step ids as the diff saw them, including steps added on the board
+  const ids = pipelines.fromChain(chain, existing).tasks.map(s => s.id);
+  const byStep = new Map(existing.map((t, n) => [ids[n], t]));
+  const taskIds = new Map();
+  for (const step of pipeline.tasks) {
+    let task = byStep.get(step.id);
+    byStep.delete(step.id);
+    if (task) {
+      stmts.updatePipelineStep.run(step.title, step.description, step.model, step.effort, step.max_turns, task.id);
+      stmts.setTaskRequiresApproval.run(step.requires_approval ? 1 : 0, task.id);
+    } else {
+      task = addChainTask(chain, step, ownerId);
+    }
+    stmts.setTaskPipelineStep.run(step.id, task.id);
+    taskIds.set(step.id, task.id);
+  }
+  for (const task of byStep.values()) stmts.deleteTask.run(task.id);
+  pipeline.tasks.forEach((step, n) => {
+    const deps = step.needs.map(id => taskIds.get(id));
+    stmts.setTaskGraph.run(deps.length ? JSON.stringify(deps) : null, n * 1000, taskIds.get(step.id));
+  });
+}
+
+/** Apply a project's pipelines file. Returns the plan with chain ids filled in, or { status, error }. */
+function applyPipelineSync(workdir, ownerId) {
+  const plan = planPipelineSync(workdir);
+  if (plan.error) return plan;
+  if (!plan.file) return { status: 404, error: `No ${pipelines.FILES[0]} in this project` };
+  if (plan.errors.length) return { status: 400, error: 'The pipelines file has errors', errors: plan.errors };
+  const wanted = new Map(plan.pipelines.map(p => [p.key, p]));
+  try {
+    db.transaction(() => {
+      for (const change of plan.changes) {
+        if (change.blocked || change.action === 'unchanged') continue;
+        if (change.action === 'delete') {
+          stmts.deleteChainTasks.run(change.chain_id);
+          stmts.deleteChain.run(change.chain_id);
+          continue;
+        }
+        const p = wanted.get(change.key);
+        const fields = {
+          title: p.title, model: p.model, effort: p.effort, max_turns: p.max_turns,
+          recurrence: p.schedule, recurrence_tz: p.timezone, requires_approval: p.requires_approval,
+        };
+        const { chain, error } = change.action === 'create'
+          ? createChainFromInput({ ...fields, workdir }, ownerId)
+          : updateChainFromInput(stmts.getChain.get(change.chain_id), fields);
+        if (error) throw new Error(`${change.key}: ${error}`);
+        if (change.action === 'create') stmts.setChainPipeline.run(p.key, chain.id);
+        syncPipelineSteps(stmts.getChain.get(chain.id), p, ownerId);
+        change.chain_id = chain.id;
+      }
+    })();
+  } catch (e) {
+    log.error('[pipelines] sync failed', { workdir, error: e.message });
+    return { status: 500, error: e.message };
+  }
+  for (const change of plan.changes) {
+    if (change.start && !change.blocked) activateChain(change.chain_id);
+  }
+  log.info(`[pipelines] synced ${plan.file} in ${workdir}`, {
+    changes: plan.changes.filter(c => c.action !== 'unchanged').map(c => `${c.action} ${c.key}${c.blocked ? ' (blocked)' : ''}`),
+  });
+  return plan;
+}
+
+app.get('/api/pipelines', (req, res) => {
+  const plan = planPipelineSync(req.query.workdir || null);
+  if (plan.error) return res.status(plan.status).json({ error: plan.error });
+  res.json(plan);
+});
+
+app.post('/api/pipelines/sync', (req, res) => {
+  const result = applyPipelineSync(req.body?.workdir || null, req.user?.id);
+  if (result.error) return res.status(result.status).json({ error: result.error, errors: result.errors });
+  res.json(result);
+});
+
+// Chains → pipelines file contents: one chain (chain_id) or every chain of a project (workdir)
+app.get('/api/pipelines/export', (req, res) => {
+  const format = req.query.format === 'json' ? 'json' : 'yaml';
+  let chains;
+  if (req.query.chain_id) {
+    const chain = stmts.getChain.get(req.query.chain_id);
+    if (!chain) return res.status(404).json({ error: 'Chain not found' });
+    chains = [chain];
+  } else {
+    if (!req.query.workdir) return res.status(400).json({ error: 'workdir or chain_id is required' });
+    chains = stmts.getChains.all({ w: req.query.workdir });
+  }
+  // Synced chains keep their key; the others get one from their title that does not clash
+  const taken = new Set(chains.map(c => c.pipeline).filter(Boolean));
+  const list = chains
+    .map(c => pipelines.fromChain(chainForExport(c), stmts.getChainTasksList.all(c.id), taken))
+    .filter(p => p.tasks.length);
+  const file = format === 'json' ? pipelines.FILES[2] : pipelines.FILES[0];
+  res.json({ file, format, count: list.length, text: pipelines.serialize(list, format) });
 });
 
 // ─── Task Dispatch (Chat → Kanban chain) ─────────────────────────────────
@@ -4009,6 +6449,8 @@ app.post('/api/tasks/dispatch', (req, res) => {
   stmts.createChain.run(chainId, (plan_description || 'Task chain').substring(0, 200),
     sqlVal(workdir) || null, sqlVal(model) || 'sonnet', 'auto', 'single', 30,
     chainSessionId, null, null, null, source_session_id || null, 0, sqlVal(effort) || null);
+  stmts.setSessionOwner.run(req.user?.id || null, chainSessionId);
+  stmts.setChainOwner.run(req.user?.id || null, chainId);
 
   // Chain gets its OWN Claude session — first task starts fresh,
   // subsequent tasks --resume from the chain's session (NOT the source chat's).
@@ -4042,6 +6484,7 @@ app.post('/api/tasks/dispatch', (req, res) => {
         null, null, null, // scheduled_at, recurrence, recurrence_end_at
         sqlVal(t.effort || effort) || null  // per-task override else dispatch-level effort
       );
+      stmts.setTaskOwner.run(req.user?.id || null, taskId);
       createdTasks.push(stmts.getTask.get(taskId));
     }
   })();
@@ -4052,14 +6495,40 @@ app.post('/api/tasks/dispatch', (req, res) => {
 });
 
 // Sessions
+// Admins see every chat and members only their own. Viewers watch everyone's
+// chats read-only. Neither sees chats of SSH projects they may not use.
+function canSeeSession(user, sess, projects = loadProjects()) {
+  if (auth.hasRole(user, 'admin')) return true;
+  if (auth.hasRole(user, 'member') && sess.owner_id !== user.id) return false;
+  const project = sess.workdir && projects.find(p => p.workdir === sess.workdir);
+  return !project || canUseProject(user, project);
+}
+
+// Bulk routes refuse the whole batch when any id is someone else's chat
+function hasHiddenSession(user, ids) {
+  const projects = loadProjects();
+  return ids.some(id => { const sess = stmts.getSession.get(String(id)); return sess && !canSeeSession(user, sess, projects); });
+}
+
+// Every /api/sessions/:id/* route acts on a chat the caller must be able to see.
+// Non-id paths (interrupted, import, …) find no session and pass through.
+app.use('/api/sessions/:id', (req, res, next) => {
+  const sess = stmts.getSession.get(req.params.id);
+  if (sess && !canSeeSession(req.user, sess)) return res.status(403).json({ error: 'forbidden' });
+  next();
+});
+
 app.get('/api/sessions', (req,res) => {
   const { workdir } = req.query;
-  res.json(workdir ? stmts.getSessionsByWorkdir.all(workdir) : stmts.getSessions.all());
+  const owner = auth.hasRole(req.user, 'member') && !auth.hasRole(req.user, 'admin') ? req.user.id : null;
+  const projects = loadProjects();
+  res.json(stmts.getSessionsFor.all({ w: workdir || null, owner }).filter(s => canSeeSession(req.user, s, projects)));
 });
 app.post('/api/sessions', (req, res) => {
   const { title = i18nSession(), workdir = null, model = 'sonnet', mode = 'auto', agentMode = 'single' } = req.body || {};
   const id = genId();
   stmts.createSession.run(id, String(title).substring(0, 200), '[]', '[]', sqlVal(mode), sqlVal(agentMode), sqlVal(model), sqlVal(workdir) || null);
+  stmts.setSessionOwner.run(req.user?.id || null, id);
   res.json(stmts.getSession.get(id));
 });
 // Fork session — create a branch from an existing conversation
@@ -4073,9 +6542,88 @@ app.post('/api/sessions/:id/fork', (req, res) => {
     source.mode || 'auto', source.agent_mode || 'single', source.model || 'sonnet', source.workdir || null);
   // Set claude_session_id to source's so --resume picks it up, and fork_from_cid to trigger --fork-session
   db.prepare(`UPDATE sessions SET claude_session_id=?, fork_from_cid=? WHERE id=?`).run(source.claude_session_id, source.claude_session_id, id);
+  stmts.setSessionOwner.run(req.user?.id || null, id);
   res.json(stmts.getSession.get(id));
 });
-app.get('/api/sessions/interrupted', (req, res) => { res.json(stmts.getInterrupted.all()); });
+app.get('/api/sessions/interrupted', (req, res) => {
+  // resuming: the run was picked up again after a restart and is streaming in the background
+  const projects = loadProjects();
+  res.json(stmts.getInterrupted.all().filter(s => canSeeSession(req.user, s, projects))
+    .map(({ owner_id, workdir, ...s }) => ({ ...s, resuming: activeTasks.has(s.id) })));
+});
+
+// ─── Message search ───────────────────────────────────────────────────────
+// Free text → FTS5 query: every word must match, "quoted phrases" stay together,
+// and the last bare word also matches as a prefix (search-as-you-type).
+function ftsQuery(q) {
+  const terms = String(q).match(/"[^"]+"|[^\s"]+/g) || [];
+  return terms.map((term, i) => {
+    const phrase = term.startsWith('"');
+    const quoted = '"' + term.replace(/^"|"$/g, '').replace(/"/g, '""') + '"';
+    return i === terms.length - 1 && !phrase ? quoted + '*' : quoted;
+  }).join(' ');
+}
+
+// Snippet highlight markers — control chars never appear in escaped HTML, so the UI
+// can escape the snippet first and then swap these for <mark> tags.
+const SEARCH_MARK_OPEN = '\u0002', SEARCH_MARK_CLOSE = '\u0003';
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+app.get('/api/search', (req, res) => {
+  const q = String(req.query.q || '').trim();
+  if (q.length < 2) return res.status(400).json({ error: 'q must be at least 2 characters' });
+  const { from, to } = req.query;
+  if ((from && !DATE_RE.test(from)) || (to && !DATE_RE.test(to))) return res.status(400).json({ error: 'from/to must be YYYY-MM-DD' });
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+  const filters = {
+    workdir: req.query.workdir || null,
+    from: from || null,
+    to: to || null,
+    role: ['user', 'assistant'].includes(req.query.role) ? req.query.role : null,
+    tool: req.query.tool || null,
+    type: ['text', 'tool', 'thinking'].includes(req.query.type) ? req.query.type : null,
+    // Same visibility as the session list (canSeeSession), applied in SQL so paging stays exact
+    owner: auth.hasRole(req.user, 'member') && !auth.hasRole(req.user, 'admin') ? req.user.id : null,
+    hidden: JSON.stringify(loadProjects().filter(p => !canUseProject(req.user, p)).map(p => p.workdir)),
+    limit: limit + 1, // one extra row tells the UI whether there is another page
+    offset,
+  };
+  const where = `
+    AND (@workdir IS NULL OR s.workdir = @workdir)
+    AND (@from IS NULL OR m.created_at >= @from)
+    AND (@to IS NULL OR m.created_at < date(@to, '+1 day'))
+    AND (@role IS NULL OR m.role = @role)
+    AND (@tool IS NULL OR m.tool_name = @tool)
+    AND (@type IS NULL OR m.type = @type)
+    AND (@owner IS NULL OR s.owner_id = @owner)
+    AND (s.workdir IS NULL OR s.workdir NOT IN (SELECT value FROM json_each(@hidden)))`;
+  const cols = `m.id, m.session_id, m.role, m.type, m.tool_name, m.agent_id, m.created_at, s.title AS session_title, s.workdir`;
+  try {
+    let rows;
+    if (ftsEnabled) {
+      const order = req.query.sort === 'recent' ? 'm.id DESC' : 'rank';
+      rows = db.prepare(`
+        SELECT ${cols}, snippet(messages_fts, 0, '${SEARCH_MARK_OPEN}', '${SEARCH_MARK_CLOSE}', '…', 24) AS snippet
+        FROM messages_fts
+        JOIN messages m ON m.id = messages_fts.rowid
+        JOIN sessions s ON s.id = m.session_id
+        WHERE messages_fts MATCH @match ${where}
+        ORDER BY ${order} LIMIT @limit OFFSET @offset`).all({ ...filters, match: ftsQuery(q) });
+    } else {
+      rows = db.prepare(`
+        SELECT ${cols}, substr(m.content, max(1, instr(lower(m.content), lower(@raw)) - 80), 240) AS snippet
+        FROM messages m JOIN sessions s ON s.id = m.session_id
+        WHERE m.type IN ${FTS_TYPES} AND (m.content LIKE @like ESCAPE '\\' OR m.tool_name LIKE @like ESCAPE '\\') ${where}
+        ORDER BY m.id DESC LIMIT @limit OFFSET @offset`).all({ ...filters, raw: q, like: '%' + q.replace(/[\\%_]/g, '\\$&') + '%' });
+    }
+    res.json({ results: rows.slice(0, limit), hasMore: rows.length > limit, engine: ftsEnabled ? 'fts5' : 'like' });
+  } catch (e) {
+    // Malformed MATCH syntax is the only expected failure — report it as a bad query
+    log.warn('[search] query failed', { q, error: e.message });
+    res.status(400).json({ error: 'Invalid search query' });
+  }
+});
 
 // ─── CLI Session Import ───────────────────────────────────────────────────────
 // Convert workdir path to Claude Code CLI project directory name
@@ -4253,6 +6801,7 @@ app.post('/api/sessions/cli-import', (req, res) => {
 
         const newId = genId();
         stmts.createSession.run(newId, title.substring(0, 200), '[]', '[]', 'auto', 'single', 'sonnet', cwd || null);
+        stmts.setSessionOwner.run(req.user?.id || null, newId);
         updateClaudeId.run(sessionId, newId);
         if (sessionTs) updateTimestamps.run(sessionTs, sessionTs, newId);
         for (const m of msgs) insertMsg.run(newId, m.role, m.type, m.content, m.tool_name, null, m.ts || sessionTs);
@@ -4331,6 +6880,7 @@ app.post('/api/sessions/enrich-thinking', (req, res) => {
 app.post('/api/sessions/reorder', (req, res) => {
   const { ids } = req.body;
   if (!Array.isArray(ids) || ids.length === 0) return res.status(400).json({ error: 'no ids' });
+  if (hasHiddenSession(req.user, ids)) return res.status(403).json({ error: 'forbidden' });
   const update = db.prepare(`UPDATE sessions SET sort_order=? WHERE id=?`);
   const tx = db.transaction(() => { ids.forEach((id, i) => update.run(i, String(id))); });
   tx();
@@ -4364,6 +6914,7 @@ app.post('/api/sessions/import', (req, res) => {
       session.model || 'sonnet',
       session.workdir || null
     );
+    stmts.setSessionOwner.run(req.user?.id || null, newId);
     const importMsg = db.prepare('INSERT INTO messages (session_id,role,type,content,tool_name,agent_id,reply_to_id,attachments,created_at) VALUES (?,?,?,?,?,?,?,?,COALESCE(?,CURRENT_TIMESTAMP))');
     const limit = Math.min(messages.length, 2000);
     for (let i = 0; i < limit; i++) {
@@ -4492,6 +7043,7 @@ ${transcript}`;
     sess.model || 'sonnet',
     sess.workdir || null
   );
+  stmts.setSessionOwner.run(req.user?.id || null, newId);
 
   // Insert the compact summary as the first user message so Claude gets context
   const contextMsg = `# 📋 Context from previous session\n\nThis is a continuation of a previous chat session. Here is the compact summary:\n\n${summaryText.trim()}`;
@@ -4512,6 +7064,8 @@ app.delete('/api/sessions/:id', (req,res) => {
     activeTasks.delete(sid);
   }
   chatBuffers.delete(sid);
+  cancelToolApprovals(sid);
+  sessionToolAllows.delete(sid);
   // Archive dashboard stats before deletion (ON DELETE CASCADE removes messages)
   archiveSessionStats([sid]);
   // Unlink recurring tasks from session (preserve the schedule), delete the rest
@@ -4524,6 +7078,7 @@ app.delete('/api/sessions/:id', (req,res) => {
 app.post('/api/sessions/bulk-delete', (req,res) => {
   const { ids } = req.body;
   if (!Array.isArray(ids) || ids.length === 0) return res.status(400).json({ error: 'no ids' });
+  if (hasHiddenSession(req.user, ids)) return res.status(403).json({ error: 'forbidden' });
   // Abort running subprocesses before deleting
   for (const id of ids) {
     const active = activeTasks.get(id);
@@ -4533,6 +7088,8 @@ app.post('/api/sessions/bulk-delete', (req,res) => {
       activeTasks.delete(id);
     }
     chatBuffers.delete(id);
+    cancelToolApprovals(id);
+    sessionToolAllows.delete(id);
   }
   // Archive dashboard stats before deletion (ON DELETE CASCADE removes messages)
   archiveSessionStats(ids);
@@ -4862,22 +7419,108 @@ app.post('/api/claude-md', (req,res) => {
 // Files browser
 // Resolve the effective workspace for /api/files and /api/files/download.
 // Priority: ?workdir= query param (must match a registered project) → global WORKDIR.
-// Returns null if workdir is unknown, or { workdir, isRemote } object.
-function resolveFilesWorkdir(reqWorkdir) {
+// Returns null if workdir is unknown, or { workdir, isRemote, project } object.
+// SSH projects run on hosts and credentials only admins manage: a member may use
+// the ones an admin assigned to them (ownerId) and those from before accounts
+// existed, an admin all of them
+function canUseProject(user, project) {
+  if (!project?.isRemote || auth.hasRole(user, 'admin')) return true;
+  return !project.ownerId || project.ownerId === user?.id;
+}
+
+// `user` (REST callers pass req.user) also denies SSH projects they may not use
+function resolveFilesWorkdir(reqWorkdir, user) {
   if (reqWorkdir) {
     const projects = loadProjects();
     const match = projects.find(p => path.resolve(p.workdir) === path.resolve(reqWorkdir));
-    if (match) return { workdir: path.resolve(match.workdir), isRemote: !!match.isRemote };
+    if (match && user !== undefined && !canUseProject(user, match)) return null;
+    if (match?.isRemote) return { workdir: match.workdir, isRemote: true, project: match };
+    if (match) return { workdir: path.resolve(match.workdir), isRemote: false, project: match };
     return null; // not a registered project — deny
   }
-  return { workdir: path.resolve(WORKDIR), isRemote: false };
+  return { workdir: path.resolve(WORKDIR), isRemote: false, project: null };
+}
+
+// ─── Remote project files (SFTP) ─────────────────────────────────────────────
+// Remote projects are browsed over SFTP through ClaudeSSH. Each project keeps one
+// client whose SFTP session stays open between requests and closes when idle.
+const TEXT_PREVIEW_EXTS = ['.js','.ts','.py','.html','.css','.json','.md','.txt','.yaml','.yml','.sh','.env','.toml','.sql','.jsx','.tsx','.pine','.cfg','.log','.mjs','.go','.rs','.rb','.php'];
+const REMOTE_PREVIEW_MAX = 1024 * 1024; // text preview of a remote file is cut here
+const RAW_MIME = {
+  '.png':'image/png', '.jpg':'image/jpeg', '.jpeg':'image/jpeg',
+  '.gif':'image/gif', '.webp':'image/webp', '.svg':'image/svg+xml',
+  '.pdf':'application/pdf',
+  '.mp4':'video/mp4', '.webm':'video/webm', '.ogg':'video/ogg',
+};
+const remoteFsClients = new Map(); // project id → { sig, ssh }
+
+function remoteFsFor(project) {
+  const rh = findRemoteHost(project.remoteHostId, project.remoteHost, project.port);
+  if (!rh) throw new Error(`SSH host ${project.remoteHost} is not in the SSH hosts list — add it in the SSH Hosts section (same address and port) so its host key can be pinned`);
+  const route = sshRouteOptions(rh);
+  // Recreate the client when the address, workdir, route or a pinned key changed
+  const sig = [project.remoteHost, project.port, project.workdir, project.sshKeyPath, project.password, rh.hostKey?.fingerprint,
+    route.proxyCommand, ...route.jumpHosts.map(h => `${h.host}:${h.port}:${h.hostKey?.fingerprint}`)].join('|');
+  const cached = remoteFsClients.get(project.id);
+  if (cached?.sig === sig) return cached.ssh;
+  cached?.ssh.closeSftp();
+  const ssh = new ClaudeSSH({
+    host: project.remoteHost, workdir: project.workdir, port: project.port || 22,
+    sshKeyPath: project.sshKeyPath || '', password: decryptPassword(project.password) || '',
+    ...sshHostKeyOptions(rh), ...route,
+  });
+  remoteFsClients.set(project.id, { sig, ssh });
+  return ssh;
+}
+
+// Same shape as the local /api/files response: a directory listing or a file preview
+async function readRemoteEntry(project, rel) {
+  const ssh = remoteFsFor(project);
+  const st = await ssh.stat(rel);
+  if (st.isDirectory) {
+    const items = (await ssh.readdir(rel)).filter(d => !d.name.startsWith('.'))
+      .map(d => ({ name: d.name, type: d.type, path: path.posix.join(rel || '', d.name), size: d.size }));
+    return { type: 'dir', items };
+  }
+  const ext = path.posix.extname(rel).toLowerCase();
+  const readable = TEXT_PREVIEW_EXTS.includes(ext) || st.size < 512 * 1024;
+  const content = readable ? (await ssh.readFile(rel, REMOTE_PREVIEW_MAX)).toString('utf-8') : '[Binary]';
+  return { type: 'file', name: path.posix.basename(rel), content, ext, size: st.size, truncated: readable && st.size > REMOTE_PREVIEW_MAX };
+}
+
+// Map SFTP / SSH failures onto HTTP statuses
+function sendRemoteFsError(res, e) {
+  if (e.code === 'EACCES') return res.status(403).json({ error: 'Denied' });
+  if (e.code === 'ENOENT') return res.status(404).json({ error: 'Not found' });
+  res.status(502).json({ error: e.message });
+}
+
+// Stream a remote file as a download (`inline` = false) or raw content
+async function streamRemoteFile(res, project, rel, inline) {
+  const ssh = remoteFsFor(project);
+  const st = await ssh.stat(rel);
+  if (st.isDirectory) return res.status(400).json({ error: inline ? 'Cannot serve directory' : 'Cannot download a directory' });
+  const name = path.posix.basename(rel);
+  if (inline) {
+    res.setHeader('Content-Type', RAW_MIME[path.posix.extname(name).toLowerCase()] || 'application/octet-stream');
+    res.setHeader('Content-Disposition', 'inline');
+  } else {
+    res.setHeader('Content-Disposition', `attachment; filename="${name.replace(/[^\w.\-]/g, '_')}"`);
+  }
+  res.setHeader('Content-Length', st.size);
+  const stream = await ssh.createReadStream(rel);
+  stream.on('error', () => res.destroy());
+  stream.pipe(res);
 }
 
-app.get('/api/files', (req,res) => {
+app.get('/api/files', async (req,res) => {
   const dir=req.query.path||'';
-  const resolved = resolveFilesWorkdir(req.query.workdir);
+  const resolved = resolveFilesWorkdir(req.query.workdir, req.user);
   if (!resolved) return res.status(403).json({error:'Workdir not in registered projects'});
-  if (resolved.isRemote) return res.json({type:'remote'}); // remote FS can't be browsed locally
+  if (resolved.isRemote) {
+    try { return res.json({ ...await readRemoteEntry(resolved.project, dir), workdir: resolved.workdir, remote: true }); }
+    catch (e) { return sendRemoteFsError(res, e); }
+  }
   const workdirReal = resolved.workdir;
   const fp=path.resolve(workdirReal,dir);
   if(fp!==workdirReal && !fp.startsWith(workdirReal+path.sep)) return res.status(403).json({error:'Denied'});
@@ -4889,18 +7532,20 @@ app.get('/api/files', (req,res) => {
       res.json({type:'dir',items,workdir:workdirReal});
     } else {
       const ext=path.extname(fp).toLowerCase();
-      const te=['.js','.ts','.py','.html','.css','.json','.md','.txt','.yaml','.yml','.sh','.env','.toml','.sql','.jsx','.tsx','.pine','.cfg','.log','.mjs','.go','.rs','.rb','.php'];
-      const content=(te.includes(ext)||stat.size<512*1024)?fs.readFileSync(fp,'utf-8'):'[Binary]';
+      const content=(TEXT_PREVIEW_EXTS.includes(ext)||stat.size<512*1024)?fs.readFileSync(fp,'utf-8'):'[Binary]';
       res.json({type:'file',name:path.basename(fp),content,ext,workdir:workdirReal});
     }
   }catch{res.status(404).json({error:'Not found'})}
 });
 
-app.get('/api/files/download', (req,res) => {
+app.get('/api/files/download', async (req,res) => {
   const fp_rel = req.query.path || '';
-  const resolved = resolveFilesWorkdir(req.query.workdir);
+  const resolved = resolveFilesWorkdir(req.query.workdir, req.user);
   if (!resolved) return res.status(403).json({error:'Workdir not in registered projects'});
-  if (resolved.isRemote) return res.status(400).json({error:'File download not available for remote projects'});
+  if (resolved.isRemote) {
+    try { return await streamRemoteFile(res, resolved.project, fp_rel, false); }
+    catch (e) { return sendRemoteFsError(res, e); }
+  }
   const workdirReal = resolved.workdir;
   const fp = path.resolve(workdirReal, fp_rel);
   if (fp !== workdirReal && !fp.startsWith(workdirReal + path.sep)) return res.status(403).json({error:'Denied'});
@@ -4914,11 +7559,14 @@ app.get('/api/files/download', (req,res) => {
   } catch { res.status(404).json({error:'Not found'}); }
 });
 
-app.get('/api/files/raw', (req, res) => {
+app.get('/api/files/raw', async (req, res) => {
   const fp_rel = req.query.path || '';
-  const resolved = resolveFilesWorkdir(req.query.workdir);
+  const resolved = resolveFilesWorkdir(req.query.workdir, req.user);
   if (!resolved) return res.status(403).json({error:'Workdir not in registered projects'});
-  if (resolved.isRemote) return res.status(400).json({error:'Raw file access not available for remote projects'});
+  if (resolved.isRemote) {
+    try { return await streamRemoteFile(res, resolved.project, fp_rel, true); }
+    catch (e) { return sendRemoteFsError(res, e); }
+  }
   const workdirReal = resolved.workdir;
   const fp = path.resolve(workdirReal, fp_rel);
   if (fp !== workdirReal && !fp.startsWith(workdirReal + path.sep)) return res.status(403).json({error:'Denied'});
@@ -4926,13 +7574,7 @@ app.get('/api/files/raw', (req, res) => {
     const stat = fs.statSync(fp);
     if (stat.isDirectory()) return res.status(400).json({error:'Cannot serve directory'});
     const ext = path.extname(fp).toLowerCase();
-    const mimeMap = {
-      '.png':'image/png', '.jpg':'image/jpeg', '.jpeg':'image/jpeg',
-      '.gif':'image/gif', '.webp':'image/webp', '.svg':'image/svg+xml',
-      '.pdf':'application/pdf',
-      '.mp4':'video/mp4', '.webm':'video/webm', '.ogg':'video/ogg',
-    };
-    const mime = mimeMap[ext] || 'application/octet-stream';
+    const mime = RAW_MIME[ext] || 'application/octet-stream';
     res.setHeader('Content-Type', mime);
     res.setHeader('Content-Length', stat.size);
     res.setHeader('Content-Disposition', 'inline');
@@ -4940,6 +7582,299 @@ app.get('/api/files/raw', (req, res) => {
   } catch { res.status(404).json({error:'Not found'}); }
 });
 
+// ─── File editor ──────────────────────────────────────────────────────────────
+// Text files of a project can be edited in the browser. A save carries the
+// version ({ mtime, hash }) the editor loaded; if the file changed since — a
+// running task edited it, another tab saved — the save is refused with 409
+// unless it is forced.
+const EDIT_MAX_BYTES = 1024 * 1024;
+
+function fileVersion(buf, mtimeMs) {
+  return { mtime: mtimeMs, hash: crypto.createHash('sha256').update(buf).digest('hex') };
+}
+
+function sameVersion(a, b) {
+  return !!a && !!b && a.mtime === b.mtime && a.hash === b.hash;
+}
+
+// Reads the current file: { buf, version } — local fs or SFTP for remote projects
+async function readEditableFile(resolved, rel) {
+  if (resolved.isRemote) {
+    const ssh = remoteFsFor(resolved.project);
+    const st = await ssh.stat(rel);
+    if (st.isDirectory) throw Object.assign(new Error('Cannot edit a directory'), { status: 400 });
+    if (st.size > EDIT_MAX_BYTES) throw Object.assign(new Error('File too large to edit (max 1 MB)'), { status: 413 });
+    const buf = await ssh.readFile(rel);
+    return { buf, version: fileVersion(buf, st.mtime.getTime()) };
+  }
+  const fp = path.resolve(resolved.workdir, rel);
+  if (fp !== resolved.workdir && !fp.startsWith(resolved.workdir + path.sep)) throw Object.assign(new Error('Denied'), { status: 403 });
+  let st;
+  try { st = fs.statSync(fp); } catch { throw Object.assign(new Error('Not found'), { status: 404 }); }
+  if (st.isDirectory()) throw Object.assign(new Error('Cannot edit a directory'), { status: 400 });
+  if (st.size > EDIT_MAX_BYTES) throw Object.assign(new Error('File too large to edit (max 1 MB)'), { status: 413 });
+  const buf = fs.readFileSync(fp);
+  return { buf, version: fileVersion(buf, st.mtimeMs), fp };
+}
+
+function sendEditError(res, e) {
+  if (e.status) return res.status(e.status).json({ error: e.message });
+  sendRemoteFsError(res, e);
+}
+
+app.get('/api/files/edit', async (req, res) => {
+  const rel = req.query.path || '';
+  const resolved = resolveFilesWorkdir(req.query.workdir, req.user);
+  if (!resolved) return res.status(403).json({error:'Workdir not in registered projects'});
+  try {
+    const { buf, version } = await readEditableFile(resolved, rel);
+    if (buf.subarray(0, 8000).includes(0)) return res.status(415).json({ error: 'Binary file — cannot edit' });
+    res.json({ path: rel, name: path.basename(rel), content: buf.toString('utf-8'), version, remote: resolved.isRemote });
+  } catch (e) { sendEditError(res, e); }
+});
+
+app.put('/api/files/edit', async (req, res) => {
+  const { workdir, path: rel = '', content, version, force = false } = req.body || {};
+  if (typeof content !== 'string') return res.status(400).json({ error: 'content required' });
+  if (Buffer.byteLength(content) > EDIT_MAX_BYTES) return res.status(413).json({ error: 'File too large to edit (max 1 MB)' });
+  const resolved = resolveFilesWorkdir(workdir, req.user);
+  if (!resolved) return res.status(403).json({error:'Workdir not in registered projects'});
+  try {
+    const current = await readEditableFile(resolved, rel);
+    if (!force && !sameVersion(current.version, version)) {
+      return res.status(409).json({ error: 'File changed on disk since it was opened', code: 'CONFLICT', version: current.version });
+    }
+    const buf = Buffer.from(content, 'utf-8');
+    if (resolved.isRemote) {
+      const ssh = remoteFsFor(resolved.project);
+      await ssh.writeFile(rel, buf);
+      const st = await ssh.stat(rel);
+      log.info(`[files] ${req.user?.username || 'user'} saved ${resolved.project.remoteHost}:${path.posix.join(resolved.workdir, rel)} (${buf.length} bytes)`);
+      return res.json({ ok: true, version: fileVersion(buf, st.mtime.getTime()) });
+    }
+    fs.writeFileSync(current.fp, buf);
+    log.info(`[files] ${req.user?.username || 'user'} saved ${current.fp} (${buf.length} bytes)`);
+    res.json({ ok: true, version: fileVersion(buf, fs.statSync(current.fp).mtimeMs) });
+  } catch (e) { sendEditError(res, e); }
+});
+
+// Uncommitted changes of the saved file against git HEAD
+app.get('/api/files/diff', (req, res) => {
+  const rel = req.query.path || '';
+  const resolved = resolveFilesWorkdir(req.query.workdir, req.user);
+  if (!resolved) return res.status(403).json({error:'Workdir not in registered projects'});
+  if (resolved.isRemote) return res.status(400).json({ error: 'Diff against HEAD is not available for remote projects' });
+  const fp = path.resolve(resolved.workdir, rel);
+  if (fp !== resolved.workdir && !fp.startsWith(resolved.workdir + path.sep)) return res.status(403).json({error:'Denied'});
+  if (!fs.existsSync(fp) || fs.statSync(fp).isDirectory()) return res.status(404).json({ error: 'Not found' });
+  try {
+    const changes = worktrees.fileChanges(fp);
+    if (!changes) return res.status(400).json({ error: 'Not a git repository' });
+    res.json(changes);
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// ─── Git panel ────────────────────────────────────────────────────────────────
+// Status, per-file diffs, staging, commits, branches and push for a project
+// checkout (see git-ops.js). Local projects run git here; SSH projects run it
+// on the remote host over the project's file-browser connection.
+const COMMIT_DRAFT_TIMEOUT_MS = 90_000;
+const COMMIT_DRAFT_DIFF_MAX = 40_000;
+const COMMIT_DRAFT_CHAT_MAX = 12_000;
+
+function gitRunnerFor(resolved) {
+  return resolved.isRemote ? gitOps.remoteRunner(remoteFsFor(resolved.project)) : gitOps.localRunner(resolved.workdir);
+}
+
+// Resolves the request's project and its git runner, or answers 403 and returns null
+function gitTarget(req, res) {
+  const resolved = resolveFilesWorkdir(req.method === 'GET' ? req.query.workdir : req.body?.workdir, req.user);
+  if (!resolved) { res.status(403).json({ error: 'Workdir not in registered projects' }); return null; }
+  try { return { resolved, run: gitRunnerFor(resolved) }; }
+  catch (e) { res.status(502).json({ error: e.message }); return null; }
+}
+
+// Git refusing an operation (nothing staged, checkout conflict) is the caller's problem;
+// anything else is an SSH or server failure
+function sendGitError(res, e) {
+  if (e.code === 'NOT_A_REPO') return res.status(400).json({ error: 'Not a git repository', code: e.code });
+  res.status(e.git ? 400 : 502).json({ error: e.message });
+}
+
+function gitPaths(body) {
+  const paths = Array.isArray(body?.paths) ? body.paths : [];
+  if (paths.some(p => typeof p !== 'string' || !p || p.includes('\0'))) return null;
+  return paths;
+}
+
+// The chat whose changes are being committed — only if it works in the same project
+function gitSessionFor(sessionId, resolved) {
+  const sess = sessionId ? stmts.getSession.get(String(sessionId)) : null;
+  if (!sess) return null;
+  const sessResolved = resolveFilesWorkdir(sess.workdir || '');
+  return sessResolved?.workdir === resolved.workdir && sessResolved.isRemote === resolved.isRemote ? sess : null;
+}
+
+function gitWho(req, resolved) {
+  return `${req.user?.username || 'user'} in ${resolved.isRemote ? `${resolved.project.remoteHost}:` : ''}${resolved.workdir}`;
+}
+
+app.get('/api/git/status', async (req, res) => {
+  const target = gitTarget(req, res);
+  if (!target) return;
+  try {
+    const status = await gitOps.status(target.run);
+    res.json(status ? { repo: true, remote: target.resolved.isRemote, ...status } : { repo: false, remote: target.resolved.isRemote });
+  } catch (e) { sendGitError(res, e); }
+});
+
+app.get('/api/git/diff', async (req, res) => {
+  const target = gitTarget(req, res);
+  if (!target) return;
+  if (!req.query.path) return res.status(400).json({ error: 'path required' });
+  try { res.json(await gitOps.fileDiff(target.run, String(req.query.path), { staged: req.query.staged === '1' })); }
+  catch (e) { sendGitError(res, e); }
+});
+
+app.post('/api/git/stage', async (req, res) => {
+  const target = gitTarget(req, res);
+  if (!target) return;
+  const paths = gitPaths(req.body);
+  if (!paths) return res.status(400).json({ error: 'paths must be a list of file paths' });
+  try {
+    await (req.body.unstage ? gitOps.unstage : gitOps.stage)(target.run, paths);
+    res.json({ ok: true, status: await gitOps.status(target.run) });
+  } catch (e) { sendGitError(res, e); }
+});
+
+app.post('/api/git/commit', async (req, res) => {
+  const target = gitTarget(req, res);
+  if (!target) return;
+  const { message, sessionId } = req.body;
+  if (typeof message !== 'string' || !message.trim()) return res.status(400).json({ error: 'message required' });
+  try {
+    const commit = await gitOps.commit(target.run, message.trim());
+    log.info(`[git] ${gitWho(req, target.resolved)}: committed ${commit.short} "${commit.subject}"`);
+    // A commit from a task's chat counts towards that task's git activity
+    const sess = gitSessionFor(sessionId, target.resolved);
+    const task = sess ? stmts.getTaskBySession.get(sess.id) : null;
+    if (task) addTaskCommits(task.id, [commit], 'panel', await gitOps.remoteWebUrl(target.run));
+    res.json({ ok: true, commit, task_id: task?.id || null, status: await gitOps.status(target.run) });
+  } catch (e) { sendGitError(res, e); }
+});
+
+// Claude (haiku) drafts a commit message from the staged diff and the chat that produced it
+app.post('/api/git/commit-message', async (req, res) => {
+  const target = gitTarget(req, res);
+  if (!target) return;
+  let staged;
+  try { staged = await gitOps.stagedChanges(target.run); } catch (e) { return sendGitError(res, e); }
+  if (!staged.stat) return res.status(400).json({ error: 'Nothing staged — stage changes first' });
+
+  let chat = '';
+  const sess = gitSessionFor(req.body.sessionId, target.resolved);
+  if (sess) {
+    const msgs = stmts.getMsgs.all(sess.id).filter(m => m.type === 'text' && m.content);
+    // Most recent messages matter most: walk back until the budget is spent
+    for (let i = msgs.length - 1; i >= 0; i--) {
+      const chunk = `${msgs[i].role === 'user' ? 'User' : 'Assistant'}: ${msgs[i].content.substring(0, 2000)}\n\n`;
+      if (chat.length + chunk.length > COMMIT_DRAFT_CHAT_MAX) break;
+      chat = chunk + chat;
+    }
+  }
+  const prompt = `Write a git commit message for the staged changes below.
+
+Rules:
+- First line: imperative summary, at most 72 characters, no trailing period
+- Then a blank line and a short body (wrapped at 72) only if the change needs explaining: what changed and why
+- Describe the change itself, not the conversation
+- Output ONLY the commit message — no quotes, no markdown fences, no commentary
+${chat ? `\nCONVERSATION THAT PRODUCED THE CHANGES:\n${chat}` : ''}
+STAGED FILES:
+${staged.stat}
+
+STAGED DIFF:
+${staged.patch.substring(0, COMMIT_DRAFT_DIFF_MAX)}${staged.patch.length > COMMIT_DRAFT_DIFF_MAX ? '\n[...diff truncated...]' : ''}`;
+
+  const cli = new ClaudeCLI({ cwd: target.resolved.isRemote ? WORKDIR : target.resolved.workdir });
+  let text = '';
+  try {
+    await new Promise((resolve, reject) => {
+      const ac = new AbortController();
+      const timeout = setTimeout(() => { ac.abort(); reject(new Error('Drafting the commit message timed out')); }, COMMIT_DRAFT_TIMEOUT_MS);
+      cli.send({
+        prompt,
+        model: 'haiku',
+        maxTurns: 1,
+        settingSources: 'user',
+        tools: '',
+        mcpServers: {},
+        abortController: ac,
+      })
+        .onText(t => { text += t; })
+        .onError(err => { clearTimeout(timeout); reject(new Error(typeof err === 'string' ? err : err?.message || 'Claude failed')); })
+        .onDone(() => { clearTimeout(timeout); resolve(); });
+    });
+  } catch (e) {
+    log.warn('[git] commit message draft failed', { error: e.message });
+    return res.status(502).json({ error: e.message });
+  }
+  const message = text.trim().replace(/^```\w*\n?|\n?```$/g, '').trim();
+  if (!message) return res.status(502).json({ error: 'Claude returned an empty message' });
+  res.json({ message });
+});
+
+app.get('/api/git/log', async (req, res) => {
+  const target = gitTarget(req, res);
+  if (!target) return;
+  try {
+    const commits = await gitOps.head(target.run) ? await gitOps.log(target.run, { max: parseInt(req.query.n, 10) || 20 }) : [];
+    res.json({ commits, web: await gitOps.remoteWebUrl(target.run) });
+  } catch (e) { sendGitError(res, e); }
+});
+
+app.get('/api/git/commits/:sha', async (req, res) => {
+  const target = gitTarget(req, res);
+  if (!target) return;
+  try { res.json(await gitOps.show(target.run, req.params.sha)); }
+  catch (e) { sendGitError(res, e); }
+});
+
+app.get('/api/git/branches', async (req, res) => {
+  const target = gitTarget(req, res);
+  if (!target) return;
+  try { res.json(await gitOps.branches(target.run)); }
+  catch (e) { sendGitError(res, e); }
+});
+
+// Create a branch at HEAD ({ name, checkout }) or switch to one ({ name, switch: true })
+app.post('/api/git/branches', async (req, res) => {
+  const target = gitTarget(req, res);
+  if (!target) return;
+  const { name, checkout = true } = req.body;
+  if (typeof name !== 'string' || !name.trim()) return res.status(400).json({ error: 'name required' });
+  try {
+    if (req.body.switch) await gitOps.switchBranch(target.run, name.trim());
+    else await gitOps.createBranch(target.run, name.trim(), { checkout: checkout !== false });
+    log.info(`[git] ${gitWho(req, target.resolved)}: ${req.body.switch ? 'switched to' : 'created'} branch ${name.trim()}`);
+    res.json({ ok: true, ...await gitOps.branches(target.run) });
+  } catch (e) { sendGitError(res, e); }
+});
+
+app.post('/api/git/push', async (req, res) => {
+  const target = gitTarget(req, res);
+  if (!target) return;
+  const { remote, branch } = req.body;
+  try {
+    const pushed = await gitOps.push(target.run, {
+      remote: typeof remote === 'string' ? remote : undefined,
+      branch: typeof branch === 'string' ? branch : undefined,
+    });
+    log.info(`[git] ${gitWho(req, target.resolved)}: pushed ${pushed.branch} to ${pushed.remote}`);
+    res.json({ ok: true, ...pushed, status: await gitOps.status(target.run) });
+  } catch (e) { sendGitError(res, e); }
+});
+
 // ─── Project file search (for @ mention) ────────────────────────────────────
 const TEXT_EXTS = new Set(['.js','.ts','.jsx','.tsx','.mjs','.cjs','.py','.rb','.go','.rs','.php','.java','.kt','.swift','.cs','.cpp','.c','.h','.html','.css','.scss','.less','.json','.yaml','.yml','.toml','.ini','.cfg','.env','.md','.txt','.sh','.bash','.zsh','.sql','.graphql','.xml','.vue','.svelte','.lock','.log','.pine','.r','.jl']);
 const SKIP_DIRS  = new Set(['node_modules','.git','.next','.nuxt','__pycache__','dist','build','.cache','vendor','venv','.venv','.svn','.hg']);
@@ -5016,7 +7951,8 @@ app.get('/api/project-files/read', (req, res) => {
 });
 
 // Projects CRUD
-app.get('/api/projects', (_,res) => res.json(loadProjects()));
+// Remote projects carry the (encrypted) SSH password — never ship it to browsers
+app.get('/api/projects', (_,res) => res.json(loadProjects().map(p => (p.password ? { ...p, password:'***' } : p))));
 
 app.post('/api/projects', (req,res) => {
   const { name, workdir, gitInit, isRemote=false, remoteHostId='', remoteWorkdir='', sshKeyPath='', port=22 } = req.body;
@@ -5024,6 +7960,8 @@ app.post('/api/projects', (req,res) => {
   try {
     const actions = [];
     if (isRemote) {
+      // A remote project hands out the host's credentials, so only admins add or relink one
+      if (!auth.hasRole(req.user, 'admin')) return res.status(403).json({ error:'Only admins can add SSH projects' });
       // Remote project: workdir is the path on the remote server — don't create locally
       const hosts = loadRemoteHosts();
       const rh = hosts.find(h => h.id === remoteHostId);
@@ -5032,7 +7970,7 @@ app.post('/api/projects', (req,res) => {
       const existing = projects.find(p => p.workdir === workdir && p.remoteHostId === remoteHostId);
       if (existing) { existing.name = name; saveProjects(projects); return res.json({ ok:true, id:existing.id, actions, updated:true }); }
       const id = 'proj-' + genId();
-      projects.push({ id, name, workdir, isRemote:true, remoteHostId, remoteHost: rh.host, sshKeyPath: rh.sshKeyPath||'', password: rh.password||'', port: rh.port||Number(port)||22, createdAt:new Date().toISOString() });
+      projects.push({ id, name, workdir, isRemote:true, remoteHostId, remoteHost: rh.host, sshKeyPath: rh.sshKeyPath||'', password: rh.password||'', port: rh.port||Number(port)||22, ownerId: req.user?.id||null, createdAt:new Date().toISOString() });
       saveProjects(projects);
       return res.json({ ok:true, id, actions });
     }
@@ -5044,9 +7982,10 @@ app.post('/api/projects', (req,res) => {
     }
     const projects = loadProjects();
     const existing = projects.find(p => p.workdir === workdir);
+    if (existing?.isRemote && !auth.hasRole(req.user, 'admin')) return res.status(403).json({ error:'Only admins can change SSH projects' });
     if (existing) { existing.name = name; saveProjects(projects); return res.json({ ok:true, id:existing.id, actions, updated:true }); }
     const id = 'proj-' + genId();
-    projects.push({ id, name, workdir, createdAt:new Date().toISOString() });
+    projects.push({ id, name, workdir, ownerId: req.user?.id||null, createdAt:new Date().toISOString() });
     saveProjects(projects);
     res.json({ ok:true, id, actions });
   } catch(e) { res.status(500).json({ error:e.message }); }
@@ -5063,19 +8002,145 @@ app.post('/api/projects/reorder', (req, res) => {
   saveProjects(ordered);
   res.json({ ok: true });
 });
+const PROJECT_BACKENDS = ['host', 'container'];
 app.patch('/api/projects/:id', (req,res) => {
-  const { name } = req.body;
-  if (!name || !name.trim()) return res.status(400).json({ error:'name required' });
+  const { name, worktreeIsolation, backend, container, permissionProfile, ownerId } = req.body;
+  if ((name === undefined && worktreeIsolation === undefined && backend === undefined && container === undefined && permissionProfile === undefined && ownerId === undefined) || (name !== undefined && !String(name).trim()))
+    return res.status(400).json({ error:'name required' });
   const projects = loadProjects();
   const p = projects.find(p => p.id === req.params.id);
   if (!p) return res.status(404).json({ error:'not found' });
-  p.name = name.trim();
+  if (p.isRemote && !auth.hasRole(req.user, 'admin')) return res.status(403).json({ error:'Only admins can change SSH projects' });
+  // Admins hand an SSH project to the member who may use it (see canUseProject)
+  if (ownerId !== undefined) {
+    if (!auth.hasRole(req.user, 'admin')) return res.status(403).json({ error:'Only admins can change the owner' });
+    if (ownerId && !auth.getUser(ownerId)) return res.status(400).json({ error:'Unknown user' });
+    p.ownerId = ownerId || null;
+  }
+  if (name !== undefined) p.name = String(name).trim();
+  if (worktreeIsolation !== undefined) {
+    if (worktreeIsolation && (p.isRemote || !worktrees.repoRoot(p.workdir)))
+      return res.status(400).json({ error:'Worktree isolation needs a local git repository' });
+    p.worktreeIsolation = !!worktreeIsolation;
+  }
+  if (backend !== undefined || container !== undefined) {
+    if (p.isRemote) return res.status(400).json({ error:'Remote projects always run over SSH' });
+    if (backend !== undefined && !PROJECT_BACKENDS.includes(backend))
+      return res.status(400).json({ error:`backend must be one of: ${PROJECT_BACKENDS.join(', ')}` });
+    if (container !== undefined) {
+      const { spec, error } = containerBackend.cleanContainerSpec(container);
+      if (error) return res.status(400).json({ error });
+      p.container = spec;
+    }
+    if (backend === 'container' && !p.container) p.container = containerBackend.cleanContainerSpec({}).spec;
+    if (backend !== undefined) p.backend = backend;
+  }
+  if (permissionProfile !== undefined) {
+    const profileErr = validatePermissionProfile(permissionProfile);
+    if (profileErr) return res.status(400).json({ error: profileErr });
+    if (permissionProfile) p.permissionProfile = permissionProfile;
+    else delete p.permissionProfile;
+  }
   saveProjects(projects);
-  res.json({ ok:true });
+  res.json({ ok:true, ...(p.container ? { container: p.container } : {}) });
+});
+
+// Dry run of a container spec: is the engine there, and does the image have the CLI?
+app.post('/api/projects/:id/backend/check', async (req,res) => {
+  const p = loadProjects().find(p => p.id === req.params.id);
+  if (!p) return res.status(404).json({ error:'not found' });
+  const { spec, error } = containerBackend.cleanContainerSpec(req.body?.container || p.container);
+  if (error) return res.status(400).json({ error });
+  res.json(await containerBackend.checkContainer(spec));
 });
 
 app.delete('/api/projects/:id', (req,res) => {
-  saveProjects(loadProjects().filter(p => p.id !== req.params.id));
+  const projects = loadProjects();
+  if (projects.find(p => p.id === req.params.id)?.isRemote && !auth.hasRole(req.user, 'admin'))
+    return res.status(403).json({ error:'Only admins can remove SSH projects' });
+  saveProjects(projects.filter(p => p.id !== req.params.id));
+  res.json({ ok:true });
+});
+
+// ─── Project memory (Kanban) ──────────────────────────────────────────────────
+// The same store tasks use through memory_get / memory_set / memory_append / memory_list.
+function memoryProject(req, res) {
+  const p = loadProjects().find(p => p.id === req.params.id);
+  if (!p) { res.status(404).json({ error:'not found' }); return null; }
+  if (!canUseProject(req.user, p)) { res.status(403).json({ error:'You do not have access to this SSH project' }); return null; }
+  return p;
+}
+const memoryEditor = (req) => req.user?.displayName || req.user?.username || null;
+
+app.get('/api/projects/:id/memory', (req,res) => {
+  const p = memoryProject(req, res); if (!p) return;
+  res.json({ keys: projectMemory.list(p.workdir, { prefix: req.query.prefix || '', limit: req.query.limit }) });
+});
+
+app.get('/api/projects/:id/memory/:key', (req,res) => {
+  const p = memoryProject(req, res); if (!p) return;
+  const item = projectMemory.get(p.workdir, req.params.key);
+  if (!item) return res.status(404).json({ error:'not found' });
+  res.json(item);
+});
+
+app.put('/api/projects/:id/memory/:key', (req,res) => {
+  const p = memoryProject(req, res); if (!p) return;
+  const { value, ttl_seconds } = req.body || {};
+  if (value === undefined) return res.status(400).json({ error:'value required' });
+  const { item, error } = projectMemory.set(p.workdir, req.params.key, value, { ttl: ttl_seconds, by: memoryEditor(req) });
+  if (error) return res.status(400).json({ error });
+  res.json(item);
+});
+
+app.post('/api/projects/:id/memory/:key/entries', (req,res) => {
+  const p = memoryProject(req, res); if (!p) return;
+  const { value, ttl_seconds } = req.body || {};
+  if (value === undefined) return res.status(400).json({ error:'value required' });
+  const { error } = projectMemory.append(p.workdir, req.params.key, value, { ttl: ttl_seconds, by: memoryEditor(req) });
+  if (error) return res.status(400).json({ error });
+  res.json(projectMemory.get(p.workdir, req.params.key));
+});
+
+app.delete('/api/projects/:id/memory/:key/entries/:entryId', (req,res) => {
+  const p = memoryProject(req, res); if (!p) return;
+  if (!projectMemory.deleteEntry(p.workdir, req.params.key, req.params.entryId, memoryEditor(req)))
+    return res.status(404).json({ error:'not found' });
+  res.json(projectMemory.get(p.workdir, req.params.key));
+});
+
+app.delete('/api/projects/:id/memory/:key', (req,res) => {
+  const p = memoryProject(req, res); if (!p) return;
+  if (!projectMemory.delete(p.workdir, req.params.key)) return res.status(404).json({ error:'not found' });
+  res.json({ ok:true });
+});
+
+// ─── Permission profiles ──────────────────────────────────────────────────────
+// Built-in profiles plus custom ones kept in config.json under `permissionProfiles`.
+app.get('/api/permission-profiles', (_,res) => {
+  res.json({ profiles: permissionProfiles.listProfiles(loadConfig().permissionProfiles), default: permissionProfiles.DEFAULT_PROFILE });
+});
+
+app.put('/api/permission-profiles/:id', (req,res) => {
+  const id = req.params.id;
+  if (permissionProfiles.BUILTIN_PROFILES[id]) return res.status(400).json({ error:'Built-in profiles cannot be changed' });
+  if (!permissionProfiles.ID_RE.test(id)) return res.status(400).json({ error:'id must be lowercase letters, digits, - or _' });
+  const { profile, error } = permissionProfiles.cleanProfile(req.body);
+  if (error) return res.status(400).json({ error });
+  const cfg = loadConfig();
+  cfg.permissionProfiles = { ...(cfg.permissionProfiles || {}), [id]: profile };
+  saveConfig(cfg);
+  res.json({ ok:true, profile: { id, builtin:false, ...profile } });
+});
+
+app.delete('/api/permission-profiles/:id', (req,res) => {
+  const id = req.params.id;
+  const cfg = loadConfig();
+  if (!cfg.permissionProfiles?.[id]) return res.status(404).json({ error:'not found' });
+  const users = loadProjects().filter(p => p.permissionProfile === id).map(p => p.name);
+  if (users.length) return res.status(409).json({ error:`Profile is the default of: ${users.join(', ')}` });
+  delete cfg.permissionProfiles[id];
+  saveConfig(cfg);
   res.json({ ok:true });
 });
 
@@ -5085,11 +8150,15 @@ app.get('/api/remote-hosts', (_,res) => res.json(
 ));
 
 app.post('/api/remote-hosts', (req,res) => {
-  const { label, host, port=22, sshKeyPath='', password='' } = req.body;
+  const { label, host, port=22, sshKeyPath='', password='', hostKey=null, proxyJump='', proxyCommand='' } = req.body;
   if (!label || !host) return res.status(400).json({ error:'label and host required' });
   const hosts = loadRemoteHosts();
   const id = 'rh-' + genId();
-  const entry = { id, label, host, port: Number(port)||22, sshKeyPath: sshKeyPath||'', password: encryptPassword(password||''), createdAt: new Date().toISOString() };
+  const entry = { id, label, host, port: Number(port)||22, sshKeyPath: sshKeyPath||'', password: encryptPassword(password||''), proxyJump: String(proxyJump||'').trim(), proxyCommand: String(proxyCommand||'').trim(), createdAt: new Date().toISOString() };
+  const routeError = sshRouteError(entry, hosts);
+  if (routeError) return res.status(400).json({ error: routeError });
+  // Key the admin saw in "Test" before saving; otherwise the first connection pins it
+  if (isHostKey(hostKey)) entry.hostKey = { type: hostKey.type, fingerprint: hostKey.fingerprint, source: 'test', acceptedAt: entry.createdAt, acceptedBy: req.user?.username || null };
   hosts.push(entry);
   saveRemoteHosts(hosts);
   // Don't expose password in response
@@ -5097,13 +8166,23 @@ app.post('/api/remote-hosts', (req,res) => {
 });
 
 app.put('/api/remote-hosts/:id', (req,res) => {
-  const { label, host, port=22, sshKeyPath='', password } = req.body;
+  const { label, host, port=22, sshKeyPath='', password, proxyJump, proxyCommand } = req.body;
   const hosts = loadRemoteHosts();
   const idx = hosts.findIndex(h => h.id === req.params.id);
   if (idx === -1) return res.status(404).json({ error:'Not found' });
   // If password not sent (undefined), keep existing encrypted value; if sent, encrypt the new value
   const newPassword = password === undefined ? (hosts[idx].password || '') : encryptPassword(password || '');
-  hosts[idx] = { ...hosts[idx], label, host, port: Number(port)||22, sshKeyPath: sshKeyPath||'', password: newPassword };
+  const moved = host !== hosts[idx].host || (Number(port)||22) !== (Number(hosts[idx].port)||22);
+  const updated = {
+    ...hosts[idx], label, host, port: Number(port)||22, sshKeyPath: sshKeyPath||'', password: newPassword,
+    proxyJump: proxyJump === undefined ? (hosts[idx].proxyJump || '') : String(proxyJump||'').trim(),
+    proxyCommand: proxyCommand === undefined ? (hosts[idx].proxyCommand || '') : String(proxyCommand||'').trim(),
+  };
+  const routeError = sshRouteError(updated, hosts);
+  if (routeError) return res.status(400).json({ error: routeError });
+  hosts[idx] = updated;
+  // A different address is a different machine — its key gets pinned afresh
+  if (moved) { delete hosts[idx].hostKey; delete hosts[idx].pendingHostKey; }
   saveRemoteHosts(hosts);
   res.json({ ok:true, host: { ...hosts[idx], password: hosts[idx].password ? '***' : '' } });
 });
@@ -5115,12 +8194,14 @@ app.delete('/api/remote-hosts/:id', (req,res) => {
 
 // Test SSH connection — for new (unsaved) host (must be before /:id/test)
 app.post('/api/remote-hosts/test-new', async (req,res) => {
-  const { host, port=22, sshKeyPath='', password='' } = req.body;
+  const { host, port=22, sshKeyPath='', password='', proxyJump='', proxyCommand='', id=null } = req.body;
   if (!host) return res.status(400).json({ error:'host required' });
   try {
-    const result = await testSshConnection({ host, port: Number(port)||22, sshKeyPath, password });
-    res.json({ ok:true, message:'Connection successful', latencyMs: result.latencyMs });
-  } catch(e) { res.status(400).json({ error: e.message||'Connection failed' }); }
+    // `id` is the entry being edited, so a ProxyJump back to itself is caught as a loop
+    const route = sshRouteOptions({ id, proxyJump, proxyCommand });
+    const result = await testSshConnection({ host, port: Number(port)||22, sshKeyPath, password, ...route });
+    res.json({ ok:true, message:'Connection successful', latencyMs: result.latencyMs, hostKey: result.hostKey });
+  } catch(e) { res.status(400).json({ error: e.message||'Connection failed', hostKey: e.hostKey || null }); }
 });
 
 // Test SSH connection — for saved host
@@ -5129,9 +8210,74 @@ app.post('/api/remote-hosts/:id/test', async (req,res) => {
   const rh = hosts.find(h => h.id === req.params.id);
   if (!rh) return res.status(404).json({ error:'Host not found' });
   try {
-    const result = await testSshConnection({ host: rh.host, port: rh.port||22, sshKeyPath: rh.sshKeyPath||'', password: decryptPassword(rh.password)||'' });
-    res.json({ ok:true, message:'Connection successful', latencyMs: result.latencyMs });
-  } catch(e) { res.status(400).json({ error: e.message||'Connection failed' }); }
+    const result = await testSshConnection({ host: rh.host, port: rh.port||22, sshKeyPath: rh.sshKeyPath||'', password: decryptPassword(rh.password)||'', hostKey: rh.hostKey || null, ...sshRouteOptions(rh, hosts) });
+    const pinned = rh.hostKey || !result.hostKey ? rh : pinRemoteHostKey(rh.id, result.hostKey, 'first-use', req.user?.username || null);
+    res.json({ ok:true, message:'Connection successful', latencyMs: result.latencyMs, hostKey: pinned.hostKey });
+  } catch(e) {
+    if (e.code === 'HOST_KEY_MISMATCH' && !e.jumpHost) {
+      recordHostKeyMismatch(rh.id, e.seen);
+      return res.status(409).json({ error: e.message, code: e.code, hostKey: e.seen, pinned: e.pinned });
+    }
+    res.status(400).json({ error: e.message||'Connection failed', hostKey: e.hostKey || null });
+  }
+});
+
+// One-click import of the Host entries in an OpenSSH client config. Aliases
+// become labels, so ProxyJump lines keep pointing at the imported bastions.
+// Aliases that already exist as a label are skipped.
+app.post('/api/remote-hosts/import-ssh-config', (req,res) => {
+  // Config text may be posted as `text`; file paths are not accepted so the
+  // endpoint cannot be used to read arbitrary files
+  const text = req.body?.text;
+  if (text != null && typeof text !== 'string') return res.status(400).json({ error:'text must be a string' });
+  const source = text != null ? 'posted config' : '~/.ssh/config';
+  const only = Array.isArray(req.body?.aliases) ? req.body.aliases : null;
+  let entries;
+  try { entries = readSshConfig(text ?? null); } catch (e) { return res.status(400).json({ error: e.message }); }
+  const hosts = loadRemoteHosts();
+  const imported = [], skipped = [];
+  for (const c of entries) {
+    if (only && !only.includes(c.alias)) continue;
+    if (hosts.some(h => h.label === c.alias)) { skipped.push(c.alias); continue; }
+    hosts.push({
+      id: 'rh-' + genId(), label: c.alias, host: c.user ? `${c.user}@${c.hostname}` : c.hostname,
+      port: c.port, sshKeyPath: c.identityFile || '', password: '',
+      // ssh itself prefers ProxyJump when both are set
+      proxyJump: c.proxyJump || '', proxyCommand: c.proxyJump ? '' : (c.proxyCommand || ''),
+      createdAt: new Date().toISOString(),
+    });
+    imported.push(c.alias);
+  }
+  if (imported.length) saveRemoteHosts(hosts);
+  log.info(`[ssh] imported ${imported.length} host(s) from ${source}${skipped.length ? `, ${skipped.length} already present` : ''}`);
+  res.json({ ok:true, imported, skipped });
+});
+
+// Accept the changed key an earlier connection reported. The fingerprint must
+// match the pending one, so a second change in between is not accepted blindly.
+app.post('/api/remote-hosts/:id/host-key/accept', (req,res) => {
+  const rh = loadRemoteHosts().find(h => h.id === req.params.id);
+  if (!rh) return res.status(404).json({ error:'Host not found' });
+  if (!rh.pendingHostKey) return res.status(409).json({ error:'No changed host key to review' });
+  if (req.body?.fingerprint !== rh.pendingHostKey.fingerprint)
+    return res.status(409).json({ error:'Fingerprint does not match the pending host key' });
+  const updated = pinRemoteHostKey(rh.id, rh.pendingHostKey, 'admin', req.user?.username || null);
+  res.json({ ok:true, hostKey: updated.hostKey });
+});
+
+// Pin the key recorded for this host in ~/.ssh/known_hosts, or in known_hosts
+// lines passed as `knownHosts` (e.g. ssh-keyscan output). File paths are not
+// accepted so the endpoint cannot be used to read arbitrary files.
+app.post('/api/remote-hosts/:id/host-key/import', (req,res) => {
+  const rh = loadRemoteHosts().find(h => h.id === req.params.id);
+  if (!rh) return res.status(404).json({ error:'Host not found' });
+  const text = req.body?.knownHosts;
+  if (text != null && typeof text !== 'string') return res.status(400).json({ error:'knownHosts must be a string' });
+  const { hostname } = parseSshHost(rh.host);
+  const keys = knownHostsLookup(hostname, rh.port || 22, text ?? null);
+  if (!keys.length) return res.status(404).json({ error:`No key for ${hostname} in ${text != null ? 'the given known_hosts lines' : '~/.ssh/known_hosts'}` });
+  const updated = pinRemoteHostKey(rh.id, keys[0], 'known_hosts', req.user?.username || null);
+  res.json({ ok:true, hostKey: updated.hostKey, found: keys.length });
 });
 
 // Directory browser — list directories at given path (no restriction to WORKDIR)
@@ -5405,6 +8551,7 @@ async function processTelegramChat({ sessionId, text, userId, chatId, threadId,
       await runSshSingle({
         ...params,
         remoteHost:    _activeProj.remoteHost,
+        remoteHostId:  _activeProj.remoteHostId,
         remoteWorkdir: _activeProj.workdir,
         sshKeyPath:    _activeProj.sshKeyPath || '',
         password:      decryptPassword(_activeProj.password) || '',
@@ -5430,6 +8577,7 @@ async function processTelegramChat({ sessionId, text, userId, chatId, threadId,
         entry.resolve({ answer: '[Session ended]' });
       }
     }
+    cancelToolApprovals(sessionId);
     // Clean up pending ask_user state on Telegram bot context
     if (userId && telegramBot) {
       const ctx = telegramBot.getContext(userId);
@@ -5464,6 +8612,44 @@ function _attachTelegramListeners(bot) {
     }
   });
 
+  // Approve / deny a tool call held by a permission profile
+  bot.on('tool_approval', ({ requestId, decision, always, by, callback }) => {
+    const result = resolveToolApproval(requestId, decision, { always, by });
+    if (callback) callback(result);
+  });
+
+  // ✋ Approve / reject a task in review from the inline buttons
+  bot.on('task_review', ({ taskId, decision, feedback, reviewer, callback }) => {
+    const result = decision === 'approve' ? approveTask(taskId, reviewer) : rejectTask(taskId, feedback, reviewer);
+    if (callback) callback(result);
+  });
+
+  // 📋 New task from a template: the templates usable in a project, then create a backlog task or chain
+  bot.on('task_templates', ({ workdir, callback }) => {
+    callback(taskTemplates.usableIn(workdir || null).map(({ id, name, kind, variables }) => ({ id, name, kind, variables })));
+  });
+
+  bot.on('task_from_template', ({ templateId, variables, workdir, by, callback }) => {
+    const template = taskTemplates.get(templateId);
+    const used = useTemplate(templateId, variables, workdir || null, template?.kind);
+    if (used.error) return callback({ error: used.error });
+    const created = used.template.kind === 'chain'
+      ? createChainFromTemplate(used.spec, { workdir: workdir || null }, null)
+      : createTaskFromInput({ ...taskFieldsFromTemplate(used.spec), workdir: workdir || null }, null);
+    if (created.error) return callback({ error: created.error });
+    taskTemplates.markUsed(templateId);
+    log.info('[template] used from Telegram', { id: templateId, by });
+    callback({ kind: used.template.kind, title: (created.task || created.chain).title });
+  });
+
+  // /files and /cat for remote projects: read over SFTP (null = local project)
+  bot.on('remote_files', async ({ workdir, path: relPath, callback }) => {
+    const project = loadProjects().find(p => p.isRemote && p.workdir === workdir);
+    if (!project) return callback(null);
+    try { callback(await readRemoteEntry(project, relPath === '.' ? '' : relPath)); }
+    catch (e) { callback({ error: e.code === 'EACCES' ? 'Denied' : e.message, code: e.code || null }); }
+  });
+
   // Phase 2: Process messages sent from Telegram to Claude
   bot.on('send_message', async ({ sessionId, text, userId, chatId, threadId, attachments, callback }) => {
     try {
@@ -6160,6 +9346,11 @@ app.post('/api/delegate/:id/save-msg', express.json(), (req, res) => {
   const toolName = `delegate:${delegation.agentId}`;
   try {
     stmts.addMsg.run(delegation.sessionId, 'assistant', 'delegate', content, toolName, null, null, null);
+    emitWebhook('delegation.reply', {
+      delegation_id: delegation.id, agent_id: delegation.agentId, agent_label: delegation.agentLabel,
+      mode: delegation.mode, session_id: delegation.sessionId, workdir: delegation.workdir,
+      task: delegation.task, reply: String(content).slice(0, 10000),
+    }, `↩ ${delegation.agentLabel} replied: ${String(content).slice(0, 200)}`);
     res.json({ ok: true });
   } catch (e) {
     res.status(500).json({ error: e.message });
@@ -6185,16 +9376,73 @@ server.on('upgrade', (req, socket, head) => {
   (req.headers.cookie||'').split(';').forEach(c => { const[k,v]=c.trim().split('='); if(k&&v) cookies[k]=v; });
   const bearerToken = req.headers.authorization?.startsWith('Bearer ') ? req.headers.authorization.slice(7) : null;
   const token = cookies.token || req.headers['x-auth-token'] || bearerToken;
-  if (!auth.validateWsToken(token)) { socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n'); socket.destroy(); return; }
-  wss.handleUpgrade(req, socket, head, ws => wss.emit('connection', ws, req));
+  const user = auth.validateWsToken(token);
+  if (!user) { socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n'); socket.destroy(); return; }
+  wss.handleUpgrade(req, socket, head, ws => { ws._user = user; wss.emit('connection', ws, req); });
 });
 
+// ─── Web terminal ────────────────────────────────────────────────────────────
+// Shells in a project's workdir — a local PTY, or an SSH PTY for remote
+// projects — streamed over the socket as term_* messages. A terminal belongs to
+// the socket that opened it and closes with it, on term_close, or after
+// TERMINAL_IDLE_MS without input or output.
+const TERMINAL_IDLE_MS = parseInt(process.env.TERMINAL_IDLE_TIMEOUT_MS || String(30 * 60 * 1000), 10);
+const MAX_TERMINALS_PER_SOCKET = 8;
+
+// Where a terminal opens: a registered project, or a chat session's workdir.
+// `resume` starts `claude --resume` for the session before the shell.
+function terminalTarget({ workdir, sessionId, resume }, user) {
+  let session = null;
+  if (sessionId) {
+    session = stmts.getSession.get(sessionId);
+    if (!session) throw new Error('Session not found');
+  }
+  const resolved = session
+    ? resolveFilesWorkdir(session.workdir || '') || { workdir: path.resolve(session.workdir), isRemote: false, project: null }
+    : resolveFilesWorkdir(workdir || '');
+  if (!resolved) throw new Error('Workdir is not a registered project');
+  if (!canUseProject(user, resolved.project)) throw new Error('You do not have access to this SSH project');
+  let command = '';
+  if (resume) {
+    const sid = (sanitizeSessionId(session?.claude_session_id) || '').replace(/[^a-zA-Z0-9-]/g, '');
+    if (!sid) throw new Error('No Claude session ID');
+    command = `claude --resume ${sid}`;
+  }
+  return { ...resolved, command };
+}
+
+async function openTerminal({ workdir, isRemote, project, command }, { cols, rows }) {
+  if (!isRemote) return webTerminal.openLocalTerminal({ cwd: workdir, command, cols, rows });
+  const rh = findRemoteHost(project.remoteHostId, project.remoteHost, project.port);
+  if (!rh) throw new Error(`SSH host ${project.remoteHost} is not in the SSH hosts list — add it in the SSH Hosts section (same address and port) so its host key can be pinned`);
+  const ssh = new ClaudeSSH({
+    host: project.remoteHost, workdir: project.workdir, port: project.port || 22,
+    sshKeyPath: project.sshKeyPath || '', password: decryptPassword(project.password) || '',
+    ...sshHostKeyOptions(rh), ...sshRouteOptions(rh),
+  });
+  return ssh.shell({ command, cols, rows });
+}
+
+// Close a socket's terminal; its 'exit' still reaches the client as term_exit
+function closeTerminal(ws, termId, reason) {
+  const entry = ws._terms.get(termId);
+  if (!entry) return;
+  ws._terms.delete(termId);
+  entry.reason = reason;
+  clearTimeout(entry.idle);
+  entry.term?.close();
+}
+
+// Viewers get a read-only socket: they may watch sessions but not drive them
+const WS_VIEWER_TYPES = new Set(['subscribe_session', 'resume_task', '_dequeue_next']);
+
 wss.on('connection', (ws) => {
   log.info('ws connected', { clients: wss.clients.size });
   // Per-tab concurrency tracking
   ws._tabBusy  = {};  // tabId → bool
   ws._tabQueue = {};  // tabId → msg[]
   ws._tabAbort = {};  // tabId → AbortController
+  ws._terms    = new Map(); // termId → { term, idle, touch, reason } (web terminal)
   // Legacy single-connection state (kept for backward compat with start_session)
   let legacySessionId = null, legacyClaudeId = undefined;
   // Legacy queue (for messages without tabId)
@@ -6227,6 +9475,7 @@ wss.on('connection', (ws) => {
     // effectiveTabId (= localSessionId) is computed, finally still resets the
     // correct _tabBusy key and avoids leaving the tab permanently stuck.
     let localSessionId = null, localClaudeId = undefined, effectiveTabId = tabId;
+    let chatRunId = null, chatRunStatus = 'failed', chatRunError = null;
     const _chatStartedAt = Date.now();
 
     try {
@@ -6249,6 +9498,7 @@ wss.on('connection', (ws) => {
       if (!localSessionId || !existSess) {
         localSessionId = genId();
         stmts.createSession.run(localSessionId,i18nSession(),'[]','[]',sqlVal(msg.mode)||'auto',sqlVal(msg.agentMode)||'single',sqlVal(msg.model)||'sonnet',sqlVal(msg.workdir)||null);
+        stmts.setSessionOwner.run(ws._user?.id || null, localSessionId);
         isNewSession = true;
       } else {
         localClaudeId = sanitizeSessionId(existSess.claude_session_id) || undefined;
@@ -6312,6 +9562,7 @@ wss.on('connection', (ws) => {
 
       // Load config early — needed for skill classification
       const config = loadMergedConfig();
+      const permissionProfile = resolveRunProfile(msg.permissionProfile, workdir || WORKDIR);
 
       // Create AbortController EARLY — before classification — so that pressing
       // Stop during the 10-15s classification phase actually aborts this processChat.
@@ -6389,55 +9640,7 @@ wss.on('connection', (ws) => {
         }
       }
 
-      const mcpServers = {};
-      for (const mid of mIds) {
-        const m = config.mcpServers[mid];
-        if (!m) continue;
-        if (m.type === 'http' || m.type === 'sse' || m.url) {
-          mcpServers[mid] = { type: m.type || 'http', url: m.url, ...(m.headers ? { headers: m.headers } : {}), ...(m.env ? { env: expandTildeInObj(m.env) } : {}) };
-        } else {
-          mcpServers[mid] = { command: m.command, args: m.args || [], env: expandTildeInObj(m.env || {}) };
-        }
-      }
-
-      // --- Internal MCPs (always injected, invisible to user) ---
-      mcpServers['_ccs_ask_user'] = {
-        command: 'node',
-        args: [path.join(__dirname, 'mcp-ask-user.js')],
-        env: {
-          ASK_USER_SERVER_URL: `http://127.0.0.1:${PORT}`,
-          ASK_USER_SESSION_ID: localSessionId,
-          ASK_USER_SECRET: ASK_USER_SECRET,
-        },
-      };
-
-      mcpServers['_ccs_notify'] = {
-        command: 'node',
-        args: [path.join(__dirname, 'mcp-notify.js')],
-        env: {
-          NOTIFY_SERVER_URL: `http://127.0.0.1:${PORT}`,
-          NOTIFY_SESSION_ID: localSessionId,
-          NOTIFY_SECRET: NOTIFY_SECRET,
-        },
-      };
-      mcpServers['_ccs_set_ui_state'] = {
-        command: 'node',
-        args: [path.join(__dirname, 'mcp-set-ui-state.js')],
-        env: {
-          SET_UI_STATE_SERVER_URL: `http://127.0.0.1:${PORT}`,
-          SET_UI_STATE_SESSION_ID: localSessionId,
-          SET_UI_STATE_SECRET: SET_UI_STATE_SECRET,
-        },
-      };
-      mcpServers['_ccs_user_interrupt'] = {
-        command: 'node',
-        args: [path.join(__dirname, 'mcp-user-interrupt.js')],
-        env: {
-          INTERRUPT_SERVER_URL: `http://127.0.0.1:${PORT}`,
-          INTERRUPT_SESSION_ID: localSessionId,
-          INTERRUPT_SECRET: INTERRUPT_SECRET,
-        },
-      };
+      const mcpServers = buildChatMcpServers(mIds, config, localSessionId);
 
       proxy.send(JSON.stringify({ type:'status', status:'thinking', mode, agentMode, model, tabId: effectiveTabId }));
 
@@ -6445,6 +9648,10 @@ wss.on('connection', (ws) => {
       try { stmts.setLastUserMsg.run(userMessage, localSessionId); } catch (e) { log.error('setLastUserMsg failed', { err: e.message }); }
       chatBuffers.set(localSessionId, ''); // reset buffer for this session
       activeTasks.set(localSessionId, { proxy, abortController, cleanupTimer: null, source: 'web', startedAt: Date.now() });
+      // Journal the run so a restart resumes it instead of dropping it (see resumeChatRuns)
+      chatRunId = genId();
+      try { stmts.startChatRun.run(chatRunId, localSessionId, userMessage, JSON.stringify({ agentMode, maxTurns, effort, skills: effectiveSkills, mcpServers: mIds, permissionProfile: permissionProfile.id })); }
+      catch (e) { chatRunId = null; log.error('startChatRun failed', { sessionId: localSessionId, err: e.message }); }
 
       // Detect fork: if fork_from_cid is set, this is the first message in a forked session
       const _forkCid = existSess?.fork_from_cid || null;
@@ -6467,40 +9674,29 @@ wss.on('connection', (ws) => {
         tabId: effectiveTabId,
         name: _sessName,
         effort,
+        permissionProfile,
+        onSpawn: pid => { if (chatRunId) { try { stmts.setChatRunPid.run(pid, chatRunId); } catch {} } },
       };
 
-      let newCid;
-      let resultMeta = null;
-      // Check if the active project is a remote SSH project
-      const _activeProj = loadProjects().find(p => p.workdir === (workdir || WORKDIR) && p.isRemote);
-      if (_activeProj) {
-        // Route to SSH engine — runs claude on remote server
-        const sshResult = await runSshSingle({
-          ...params,
-          remoteHost:   _activeProj.remoteHost,
-          remoteWorkdir: _activeProj.workdir,
-          sshKeyPath:   _activeProj.sshKeyPath || '',
-          password:     decryptPassword(_activeProj.password) || '',
-          port:         _activeProj.port || 22,
-        });
-        newCid = sshResult.cid;
-        resultMeta = sshResult.resultMeta;
-        // Track remote host on session for UI indicators
-        try { db.prepare(`UPDATE sessions SET remote_host=? WHERE id=?`).run(_activeProj.remoteHost, localSessionId); } catch {}
-      } else if (agentMode==='multi') {
-        newCid = await runMultiAgent(params);
-      } else {
-        const result = await runCliSingle(params);
-        newCid = result.cid;
-        resultMeta = result.resultMeta;
-      }
+      const { cid: newCid, resultMeta } = await runChatEngine(params, agentMode);
       if (newCid) { try { stmts.updateClaudeId.run(newCid, localSessionId); } catch (e) { log.error('updateClaudeId failed', { cid: String(newCid).substring(0,50), sessionId: localSessionId, err: e.message, stack: e.stack }); } }
       // Clear fork flag after first successful CLI call — session now has its own claude_session_id
       if (_forkCid) { try { db.prepare(`UPDATE sessions SET fork_from_cid=NULL WHERE id=?`).run(localSessionId); } catch {} }
+      // Cut off by a server shutdown: the journal row stays 'running' and the next start resumes it
+      if (serverShuttingDown) return;
+      chatRunStatus = abortController.signal.aborted ? 'stopped' : 'done';
 
       const _dic = proxy._deliveredInterruptCount || 0;
       proxy.send(JSON.stringify({ type:'done', tabId: effectiveTabId, duration: Date.now() - _chatStartedAt, ...(resultMeta ? { resultMeta } : {}), ...(_dic ? { deliveredInterruptCount: _dic } : {}) }));
       proxy.send(JSON.stringify({ type:'files_changed' }));
+      {
+        const _whSess = stmts.getSession.get(localSessionId);
+        emitWebhook('session.done', {
+          session_id: localSessionId, title: _whSess?.title || null, workdir: _whSess?.workdir || null,
+          owner_id: _whSess?.owner_id || null, duration_ms: Date.now() - _chatStartedAt,
+          cost_usd: resultMeta?.cost ?? null,
+        }, `💬 Chat reply finished: ${_whSess?.title || 'Chat'}`);
+      }
       // Notify Telegram (if task was NOT started from Telegram — those get notified via TelegramProxy)
       if (telegramBot && telegramBot.isRunning()) {
         const _tgTask = activeTasks.get(localSessionId);
@@ -6515,9 +9711,19 @@ wss.on('connection', (ws) => {
         }
       }
     } catch(err) {
+      if (serverShuttingDown) return;
+      chatRunStatus = err.name === 'AbortError' ? 'stopped' : 'failed';
+      chatRunError = err.message;
       if(err.name==='AbortError') proxy.send(JSON.stringify({ type:'agent_status', status:'Stopped', statusKey:'status.stopped', tabId: effectiveTabId }));
       else { log.error('chat error', { message: err.message, name: err.name, stack: err.stack }); proxy.send(JSON.stringify({ type:'error', error:err.message, tabId: effectiveTabId })); }
       { const _dic = proxy._deliveredInterruptCount || 0; proxy.send(JSON.stringify({ type:'done', tabId: effectiveTabId, duration: Date.now() - _chatStartedAt, ...(_dic ? { deliveredInterruptCount: _dic } : {}) })); }
+      if (err.name !== 'AbortError') {
+        const _whSess = stmts.getSession.get(localSessionId);
+        emitWebhook('session.failed', {
+          session_id: localSessionId, title: _whSess?.title || null, workdir: _whSess?.workdir || null,
+          owner_id: _whSess?.owner_id || null, error: err.message,
+        }, `❌ Chat failed: ${_whSess?.title || 'Chat'} — ${err.message}`);
+      }
       // Notify Telegram about error (if task was NOT started from Telegram)
       if (telegramBot && telegramBot.isRunning() && err.name !== 'AbortError') {
         const _tgTask = activeTasks.get(localSessionId);
@@ -6539,6 +9745,7 @@ wss.on('connection', (ws) => {
         activeTasks.delete(localSessionId);
         chatBuffers.delete(localSessionId); // cleanup in-memory buffer — only if we own the session
       }
+      if (chatRunId && !serverShuttingDown) { try { stmts.finishChatRun.run(chatRunStatus, chatRunError, chatRunId); } catch {} }
       // Detect stale finally early: if a stop happened, ws._tabAbort was deleted or replaced
       // by a new processChat. In that case, another processChat now owns this tab — our
       // cleanup would stomp on its state. Skip session-specific cleanup and let the new owner handle it.
@@ -6556,7 +9763,8 @@ wss.on('connection', (ws) => {
             entry.resolve({ answer: '[Session ended]' });
           }
         }
-        try { stmts.clearLastUserMsg.run(localSessionId); } catch {}
+        cancelToolApprovals(localSessionId);
+        if (!serverShuttingDown) { try { stmts.clearLastUserMsg.run(localSessionId); } catch {} }
       }
       if (!isStale && effectiveTabId) {
         ws._tabBusy[effectiveTabId] = false;
@@ -6634,6 +9842,11 @@ wss.on('connection', (ws) => {
   ws.on('message', async (raw) => {
     let msg; try{msg=JSON.parse(raw)}catch{return}
 
+    if (!auth.hasRole(ws._user, 'member') && !WS_VIEWER_TYPES.has(msg.type)) {
+      try { ws.send(JSON.stringify({ type:'error', error:'Read-only account: viewers cannot run or change sessions', ...(msg.tabId ? { tabId: msg.tabId } : {}) })); } catch {}
+      return;
+    }
+
     if (msg.type==='start_session') {
       legacySessionId = msg.sessionId || genId();
       const existing = stmts.getSession.get(legacySessionId);
@@ -6644,6 +9857,7 @@ wss.on('connection', (ws) => {
         // session_started is only needed for NEW sessions (to map temp tab ID → real session ID).
       } else {
         stmts.createSession.run(legacySessionId,i18nSession(),'[]','[]',sqlVal(msg.mode)||'auto',sqlVal(msg.agentMode)||'single',sqlVal(msg.model)||'sonnet',null);
+        stmts.setSessionOwner.run(ws._user?.id || null, legacySessionId);
         ws.send(JSON.stringify({ type:'session_started', sessionId:legacySessionId }));
       }
       return;
@@ -6668,6 +9882,12 @@ wss.on('connection', (ws) => {
 
     if (msg.type==='chat') {
       const tabId = msg.tabId || null;
+      const chatWorkdir = msg.workdir || (msg.sessionId && stmts.getSession.get(msg.sessionId)?.workdir);
+      const chatProject = chatWorkdir ? loadProjects().find(p => p.workdir === chatWorkdir) : null;
+      if (!canUseProject(ws._user, chatProject)) {
+        ws.send(JSON.stringify({ type: 'error', error: 'You do not have access to this SSH project', ...(tabId ? { tabId } : {}) }));
+        return;
+      }
       if (tabId) {
         // Per-tab concurrency: queue if this specific tab is busy (same WS connection),
         // another WS connection is processing this session (activeChatSessions), or
@@ -6793,6 +10013,7 @@ wss.on('connection', (ws) => {
             entry.resolve({ answer: '[Cancelled]' });
           }
         }
+        cancelToolApprovals(tabId);
       }
     }
 
@@ -6887,6 +10108,13 @@ wss.on('connection', (ws) => {
       return;
     }
 
+    // ─── Tool approval answers (permission profile `ask` rules) ──────────────
+    if (msg.type === 'tool_approval_response') {
+      const by = ws._user?.displayName || ws._user?.username || 'web';
+      resolveToolApproval(String(msg.requestId || ''), msg.decision === 'allow' ? 'allow' : 'deny', { always: !!msg.always, by });
+      return;
+    }
+
     if (msg.type === 'ask_user_cancel') {
       const entry = pendingAskUser.get(msg.requestId);
       if (entry) {
@@ -6975,6 +10203,10 @@ wss.on('connection', (ws) => {
             }
           }
         }
+        // Tool calls still waiting for approval (chat or Kanban task)
+        for (const [rid, entry] of pendingToolApprovals) {
+          if (entry.sessionId === sessionId && ws.readyState === 1) ws.send(JSON.stringify(toolApprovalEvent(rid, entry)));
+        }
         // Cancel any pending delayed cleanup — a live WS is reclaiming this session
         const _cleanupTimer = sessionQueueCleanupTimers.get(sessionId);
         if (_cleanupTimer) { clearTimeout(_cleanupTimer); sessionQueueCleanupTimers.delete(sessionId); }
@@ -7135,6 +10367,8 @@ wss.on('connection', (ws) => {
           stmts.createChain.run(chainId, (finalPlan || 'Task chain').substring(0, 200),
             sqlVal(workdir) || null, sqlVal(model) || 'sonnet', 'auto', 'single', 30,
             chainSessionId, null, null, null, sessionId || null, 0, sqlVal(effort) || null);
+          stmts.setSessionOwner.run(ws._user?.id || null, chainSessionId);
+          stmts.setChainOwner.run(ws._user?.id || null, chainId);
           // Chain gets its OWN Claude session — first task starts fresh,
           // subsequent tasks --resume from the chain's session (NOT the source chat's).
           // Sharing claude_session_id with source chat causes context mixing chaos.
@@ -7160,6 +10394,7 @@ wss.on('connection', (ws) => {
                 null, null, null,  // scheduled_at, recurrence, recurrence_end_at
                 sqlVal(a.effort || effort) || null
               );
+              stmts.setTaskOwner.run(ws._user?.id || null, taskId);
               created.push(stmts.getTask.get(taskId));
             }
           })();
@@ -7198,6 +10433,62 @@ wss.on('connection', (ws) => {
       return;
     }
 
+    if (msg.type === 'term_open') {
+      const termId = String(msg.termId || '').substring(0, 64);
+      const reply = (o) => { if (ws.readyState === 1) try { ws.send(JSON.stringify({ ...o, termId })); } catch {} };
+      if (!termId || ws._terms.has(termId)) return reply({ type: 'term_error', error: 'Invalid terminal id' });
+      if (ws._terms.size >= MAX_TERMINALS_PER_SOCKET) return reply({ type: 'term_error', error: `Too many open terminals (max ${MAX_TERMINALS_PER_SOCKET})` });
+      const entry = { term: null, idle: null, reason: null };
+      ws._terms.set(termId, entry); // reserved while the shell starts
+      let target;
+      try {
+        target = terminalTarget(msg, ws._user);
+        entry.term = await openTerminal(target, webTerminal.clampSize(msg.cols, msg.rows));
+      } catch (e) {
+        if (ws._terms.get(termId) === entry) ws._terms.delete(termId);
+        return reply({ type: 'term_error', error: e.message });
+      }
+      const term = entry.term;
+      // Closed (term_close or disconnect) while an SSH shell was still connecting
+      if (ws._terms.get(termId) !== entry) return term.close();
+      entry.touch = () => {
+        clearTimeout(entry.idle);
+        entry.idle = setTimeout(() => closeTerminal(ws, termId, 'idle'), TERMINAL_IDLE_MS);
+      };
+      entry.touch();
+      term.on('data', (data) => { entry.touch(); reply({ type: 'term_output', data }); });
+      term.on('exit', (code) => {
+        clearTimeout(entry.idle);
+        if (ws._terms.get(termId) === entry) ws._terms.delete(termId);
+        reply({ type: 'term_exit', code: code ?? null, reason: entry.reason || 'exit' });
+        log.info('web terminal closed', { termId, reason: entry.reason || 'exit', code });
+      });
+      reply({ type: 'term_opened', cwd: target.workdir, remote: !!target.isRemote, pty: !!term.pty, resumed: !!target.command });
+      log.info('web terminal opened', { termId, workdir: target.workdir, remote: !!target.isRemote, resume: !!target.command, by: ws._user?.username });
+      return;
+    }
+
+    if (msg.type === 'term_input') {
+      const entry = ws._terms.get(msg.termId);
+      if (!entry?.term || typeof msg.data !== 'string') return;
+      entry.touch();
+      entry.term.write(msg.data.substring(0, 64 * 1024));
+      return;
+    }
+
+    if (msg.type === 'term_resize') {
+      const entry = ws._terms.get(msg.termId);
+      if (!entry?.term) return;
+      const { cols, rows } = webTerminal.clampSize(msg.cols, msg.rows);
+      entry.term.resize(cols, rows);
+      return;
+    }
+
+    if (msg.type === 'term_close') {
+      closeTerminal(ws, msg.termId, 'closed');
+      return;
+    }
+
     if (msg.type === 'resume_task') {
       const { sessionId, tabId } = msg;
       const task = activeTasks.get(sessionId);
@@ -7246,6 +10537,7 @@ wss.on('connection', (ws) => {
   ws.on('close', () => {
     log.info('ws disconnected', { clients: wss.clients.size - 1 });
     ws._queue = [];
+    for (const termId of [...ws._terms.keys()]) closeTerminal(ws, termId, 'closed');
     // Clean up session watchers
     for (const [sid, set] of sessionWatchers) { set.delete(ws); if (!set.size) sessionWatchers.delete(sid); }
     // Detach from active task proxies — tasks keep running in background
@@ -7315,6 +10607,15 @@ initTelegramBot();
 // Restore delegations from .crosswork/*/state.json (survives server restarts)
 restoreDelegations();
 
+// Containers orphaned by a crash would keep editing the project next to the resumed runs
+for (const engine of new Set(loadProjects().filter(p => p.backend === 'container' && p.container).map(p => p.container.engine))) {
+  const n = containerBackend.sweepContainers(engine);
+  if (n) log.info(`[startup] removed ${n} leftover ${engine} container(s)`);
+}
+// Resume chat runs cut off by the last shutdown or crash — before listening, so
+// reconnecting tabs find them in activeTasks and re-attach instead of retrying
+resumeChatRuns();
+
 server.listen(PORT, () => {
   log.info('server started', {
     port:      PORT,
@@ -7350,14 +10651,19 @@ function gracefulShutdown(signal) {
   }
   activeDelegations.clear();
 
-  // 1. Abort all running Claude subprocesses
+  // 1. Abort all running Claude subprocesses. Chat runs keep their journal rows
+  //    'running' and are resumed on the next start (resumeChatRuns).
+  serverShuttingDown = true;
   wss.clients.forEach(ws => {
     ws._queue = [];
+    ws._tabQueue = {};
     if (ws._abort) { try { ws._abort.abort(); } catch {} }
     if (ws._tabAbort) { Object.values(ws._tabAbort).forEach(ac => { try { ac.abort(); } catch {} }); }
     // Close WebSocket with "server going down" code so clients reconnect
     try { ws.close(1001, 'Server shutting down'); } catch {}
   });
+  // Runs whose tab disconnected are only reachable through activeTasks
+  for (const [, task] of activeTasks) { try { task.abortController.abort(); } catch {} }
 
   // 2. Force-exit after 10 s if server.close() hangs (long-lived WS connections)
   const forceExit = setTimeout(() => {
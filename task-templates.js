@@ -0,0 +1,222 @@
+// ─── Task templates for Claude Code Studio ──────────────────────────────────
+// Reusable task and chain blueprints ("Dependency audit", "Release checklist")
+// with {{variables}} that are filled in when the template is used. Used from
+// the Kanban, POST /api/tasks and /api/task-chains (template_id), the Telegram
+// new-task flow and the task_manager MCP create_task / create_chain tools.
+// No external npm dependencies.
+//
+// A template's spec:
+//   task:  { title, description, model, effort, max_turns, attachments }
+//   chain: { title, model, effort, max_turns, tasks: [{ title, description, model, effort, max_turns }] }
+// attachments: [{ name, type, base64 }] — the same shape as a task's attachments.
+// Variables are every {{name}} used in the text fields; declared ones may carry
+// a default and a description: [{ name, default, description }].
+'use strict';
+
+const crypto = require('crypto');
+const { renderTemplate } = require('./triggers');
+
+const KINDS = ['task', 'chain'];
+const MODELS = ['haiku', 'sonnet', 'opus'];
+const EFFORTS = ['low', 'medium', 'high', 'xhigh', 'max'];
+const MAX_CHAIN_STEPS = 20;
+const MAX_ATTACHMENTS = 10;
+const MAX_ATTACHMENT_BYTES = 5 * 1024 * 1024; // same cap as the Kanban form
+const VAR_RE = /\{\{\s*([A-Za-z_][\w-]*)\s*\}\}/g;
+
+// ─── Spec ────────────────────────────────────────────────────────────────────
+
+function cleanText(v, max) {
+  return typeof v === 'string' ? v.substring(0, max) : '';
+}
+
+function cleanRunFields(src) {
+  const out = {};
+  if (MODELS.includes(src.model)) out.model = src.model;
+  if (EFFORTS.includes(src.effort)) out.effort = src.effort;
+  const turns = parseInt(src.max_turns, 10);
+  if (turns >= 1 && turns <= 500) out.max_turns = turns;
+  return out;
+}
+
+function cleanAttachments(list) {
+  if (!Array.isArray(list) || !list.length) return { attachments: [] };
+  if (list.length > MAX_ATTACHMENTS) return { error: `At most ${MAX_ATTACHMENTS} attachments` };
+  const out = [];
+  for (const a of list) {
+    if (!a || typeof a.name !== 'string' || typeof a.base64 !== 'string' || !a.name.trim()) {
+      return { error: 'Each attachment needs a name and base64 content' };
+    }
+    if (Math.floor(a.base64.length * 3 / 4) > MAX_ATTACHMENT_BYTES) return { error: `${a.name}: larger than 5 MB` };
+    out.push({ name: a.name.substring(0, 200), type: String(a.type || 'application/octet-stream').substring(0, 100), base64: a.base64 });
+  }
+  return { attachments: out };
+}
+
+/**
+ * Validate a template coming from the API.
+ * Returns { fields } ready for storage, or { error }.
+ */
+function cleanTemplate(input) {
+  const src = input && typeof input === 'object' ? input : {};
+  const kind = src.kind || 'task';
+  if (!KINDS.includes(kind)) return { error: `kind must be one of: ${KINDS.join(', ')}` };
+  const name = cleanText(src.name, 100).trim();
+  if (!name) return { error: 'name is required' };
+  const s = src.spec && typeof src.spec === 'object' ? src.spec : {};
+  const title = cleanText(s.title, 200).trim();
+  if (!title) return { error: 'spec.title is required' };
+
+  let spec;
+  if (kind === 'task') {
+    const { attachments, error } = cleanAttachments(s.attachments);
+    if (error) return { error };
+    spec = { title, description: cleanText(s.description, 2000), ...cleanRunFields(s), attachments };
+  } else {
+    if (!Array.isArray(s.tasks) || !s.tasks.length) return { error: 'A chain template needs at least one step in spec.tasks' };
+    if (s.tasks.length > MAX_CHAIN_STEPS) return { error: `At most ${MAX_CHAIN_STEPS} steps per chain template` };
+    const tasks = [];
+    for (const [i, step] of s.tasks.entries()) {
+      const stepTitle = cleanText(step?.title, 200).trim();
+      if (!stepTitle) return { error: `Step ${i + 1} needs a title` };
+      tasks.push({ title: stepTitle, description: cleanText(step.description, 2000), ...cleanRunFields(step) });
+    }
+    spec = { title, ...cleanRunFields(s), tasks };
+  }
+
+  const variables = [];
+  for (const v of Array.isArray(src.variables) ? src.variables : []) {
+    const varName = String(v?.name || '').trim();
+    if (!/^[A-Za-z_][\w-]*$/.test(varName) || variables.some(x => x.name === varName)) continue;
+    variables.push({
+      name: varName,
+      ...(v.default !== undefined && v.default !== null ? { default: String(v.default).substring(0, 2000) } : {}),
+      ...(v.description ? { description: String(v.description).substring(0, 200) } : {}),
+    });
+  }
+
+  return { fields: { name, kind, workdir: src.workdir || null, spec, variables } };
+}
+
+/** Names of the {{variables}} a spec uses, in order of appearance. */
+function usedVariables(spec) {
+  const texts = [spec.title, spec.description, ...(spec.tasks || []).flatMap(t => [t.title, t.description])];
+  const names = [];
+  for (const text of texts) {
+    for (const m of String(text || '').matchAll(VAR_RE)) if (!names.includes(m[1])) names.push(m[1]);
+  }
+  return names;
+}
+
+/**
+ * Fill in a template's variables.
+ * Returns { kind, spec } with every text field rendered, or { error } naming missing variables.
+ */
+function instantiate(template, values = {}) {
+  const ctx = {};
+  for (const v of template.variables) if (v.default !== undefined) ctx[v.name] = v.default;
+  for (const [k, v] of Object.entries(values && typeof values === 'object' ? values : {})) {
+    if (v !== undefined && v !== null) ctx[k] = String(v);
+  }
+  const missing = usedVariables(template.spec).filter(name => ctx[name] === undefined);
+  if (missing.length) return { error: `Missing template variables: ${missing.join(', ')}` };
+
+  const render = (str, max) => renderTemplate(str || '', ctx).substring(0, max);
+  const s = template.spec;
+  const spec = template.kind === 'task'
+    ? { ...s, title: render(s.title, 200), description: render(s.description, 2000) }
+    : { ...s, title: render(s.title, 200), tasks: s.tasks.map(t => ({ ...t, title: render(t.title, 200), description: render(t.description, 2000) })) };
+  return { kind: template.kind, spec };
+}
+
+// ─── Storage ─────────────────────────────────────────────────────────────────
+
+function parseRow(row) {
+  if (!row) return null;
+  let spec = {}, variables = [];
+  try { spec = JSON.parse(row.spec || '{}'); } catch {}
+  try { variables = JSON.parse(row.variables || '[]'); } catch {}
+  const template = { ...row, spec, variables };
+  // Variables used in the text but not declared are required and have no default
+  for (const name of usedVariables(spec)) {
+    if (!variables.some(v => v.name === name)) template.variables = [...template.variables, { name }];
+  }
+  return template;
+}
+
+class TemplateStore {
+  constructor(db) {
+    this.db = db;
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS task_templates (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        kind TEXT NOT NULL DEFAULT 'task',   -- task | chain
+        workdir TEXT,                        -- project the template belongs to; NULL = every project
+        spec TEXT NOT NULL,                  -- JSON, see the header of task-templates.js
+        variables TEXT,                      -- JSON array of {name, default, description}
+        owner_id TEXT,
+        use_count INTEGER NOT NULL DEFAULT 0,
+        last_used_at TEXT,
+        created_at TEXT DEFAULT (datetime('now')),
+        updated_at TEXT DEFAULT (datetime('now'))
+      );
+    `);
+
+    this.stmts = {
+      list: db.prepare(`SELECT * FROM task_templates ORDER BY name COLLATE NOCASE`),
+      listFor: db.prepare(`SELECT * FROM task_templates WHERE workdir IS NULL OR workdir=? ORDER BY name COLLATE NOCASE`),
+      listGlobal: db.prepare(`SELECT * FROM task_templates WHERE workdir IS NULL ORDER BY name COLLATE NOCASE`),
+      get: db.prepare(`SELECT * FROM task_templates WHERE id=?`),
+      insert: db.prepare(`INSERT INTO task_templates (id, name, kind, workdir, spec, variables, owner_id) VALUES (@id, @name, @kind, @workdir, @spec, @variables, @owner_id)`),
+      update: db.prepare(`UPDATE task_templates SET name=@name, kind=@kind, workdir=@workdir, spec=@spec, variables=@variables, updated_at=datetime('now') WHERE id=@id`),
+      markUsed: db.prepare(`UPDATE task_templates SET use_count=use_count+1, last_used_at=datetime('now') WHERE id=?`),
+      delete: db.prepare(`DELETE FROM task_templates WHERE id=?`),
+    };
+  }
+
+  /** Every template, for the management list. */
+  list() {
+    return this.stmts.list.all().map(parseRow);
+  }
+
+  /** Templates usable in a project: its own plus the global ones (only those when workdir is null). */
+  usableIn(workdir) {
+    return (workdir ? this.stmts.listFor.all(workdir) : this.stmts.listGlobal.all()).map(parseRow);
+  }
+
+  get(id) { return parseRow(this.stmts.get.get(id)); }
+
+  create(fields, ownerId) {
+    const id = 'tpl_' + crypto.randomBytes(6).toString('hex');
+    this.stmts.insert.run({ ...this._columns(fields), id, owner_id: ownerId || null });
+    return this.get(id);
+  }
+
+  update(id, fields) {
+    if (!this.stmts.get.get(id)) return null;
+    this.stmts.update.run({ ...this._columns(fields), id });
+    return this.get(id);
+  }
+
+  delete(id) {
+    return this.stmts.delete.run(id).changes > 0;
+  }
+
+  markUsed(id) {
+    this.stmts.markUsed.run(id);
+  }
+
+  _columns(f) {
+    return {
+      name: f.name, kind: f.kind, workdir: f.workdir || null,
+      spec: JSON.stringify(f.spec), variables: JSON.stringify(f.variables || []),
+    };
+  }
+}
+
+module.exports = TemplateStore;
+module.exports.KINDS = KINDS;
+module.exports.cleanTemplate = cleanTemplate;
+module.exports.usedVariables = usedVariables;
+module.exports.instantiate = instantiate;
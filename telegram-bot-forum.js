@@ -559,7 +559,7 @@ class TelegramBotForum {
         case '/full':
           return this._api.cmdFull(chatId, userId);
         case '/diff':
-          return this._api.cmdDiff(chatId, userId);
+          return this._api.cmdDiff(chatId, userId, argParts);
         case '/log':
           return this._api.cmdLog(chatId, userId, argParts);
         case '/stop':
@@ -1113,7 +1113,7 @@ class TelegramBotForum {
 
     if (action === 'info') {
       // Show task detail with all action buttons
-      const icons = { backlog: '📋', todo: '📝', in_progress: '🔄', done: '✅', blocked: '🚫' };
+      const icons = { backlog: '📋', todo: '📝', in_progress: '🔄', review: '✋', done: '✅', blocked: '🚫' };
       const text = `${icons[task.status] || '•'} <b>#${this._api.escHtml(task.id.slice(-4))}</b> ${this._api.escHtml((task.title || '').substring(0, 100))}\n📌 ${task.status}`;
       const buttons = this._buildTaskButtons(task);
       return this._api.sendMessage(chatId, text, {
@@ -1130,7 +1130,7 @@ class TelegramBotForum {
 
     this._api.stmts.updateTaskStatus.run(newStatus, task.id);
 
-    const icons = { done: '✅', in_progress: '🔄', todo: '📝', blocked: '🚫', backlog: '📋' };
+    const icons = { done: '✅', in_progress: '🔄', review: '✋', todo: '📝', blocked: '🚫', backlog: '📋' };
     const text = this._api.t('forum_task_updated', {
       icon: icons[newStatus],
       id: this._api.escHtml(task.id.slice(-4)),
@@ -1208,7 +1208,7 @@ class TelegramBotForum {
 
         if (rows.length === 0) return this._api.sendMessage(chatId, this._api.t('tasks_empty'));
 
-        const icons = { backlog: '📋', todo: '📝', in_progress: '🔄', done: '✅', blocked: '🚫' };
+        const icons = { backlog: '📋', todo: '📝', in_progress: '🔄', review: '✋', done: '✅', blocked: '🚫' };
         const grouped = {};
         for (const r of rows) {
           if (!grouped[r.status]) grouped[r.status] = [];
@@ -1250,7 +1250,7 @@ class TelegramBotForum {
         if (!task) return this._api.sendMessage(chatId, this._api.t('forum_task_not_found'));
 
         const statusMap = { '/done': 'done', '/start': 'in_progress', '/todo': 'todo', '/block': 'blocked', '/backlog': 'backlog' };
-        const iconMap = { done: '✅', in_progress: '🔄', todo: '📝', blocked: '🚫', backlog: '📋' };
+        const iconMap = { done: '✅', in_progress: '🔄', review: '✋', todo: '📝', blocked: '🚫', backlog: '📋' };
         const newStatus = statusMap[cmd];
         this._api.stmts.updateTaskStatus.run(newStatus, task.id);
 
@@ -112,6 +112,14 @@ const BOT_I18N = {
     'new_task_created': '✅ <b>Завдання створено</b>\n\n📋 {title}\n📌 Статус: backlog',
     'new_task_with_desc': '💡 Введіть опис завдання або натисніть «Пропустити»:',
     'btn_skip': '⏭ Пропустити',
+    'btn_from_template': '📋 З шаблону',
+    'tpl_choose': '📋 <b>Шаблони завдань</b>\n\nОберіть шаблон:',
+    'tpl_none': 'Для цього проєкту ще немає шаблонів. Створіть їх у Kanban.',
+    'tpl_var_prompt': '📋 <b>{name}</b> ({n}/{total})\n\nВведіть значення <code>{var}</code>:',
+    'tpl_var_default': 'За замовчуванням: <code>{value}</code>',
+    'btn_tpl_default': '↩️ Залишити за замовчуванням',
+    'tpl_task_created': '✅ <b>Завдання створено з шаблону</b>\n\n📋 {title}\n📌 Статус: backlog',
+    'tpl_chain_created': '✅ <b>Ланцюжок створено з шаблону</b>\n\n🔗 {title}\n📌 Статус: backlog — запустіть його в Kanban',
 
     // Status
     'status_title': '📊 <b>Studio Status</b>',
@@ -177,7 +185,7 @@ const BOT_I18N = {
     'time_ago_long': 'давно',
 
     // Help
-    'help_text': '📖 <b>Команди Claude Code Studio</b>\n\n<b>Навігація:</b>\n/projects — список проектів\n/project <code>&lt;n&gt;</code> — вибрати проект\n/chats — чати поточного проекту\n/chat <code>&lt;n&gt;</code> — відкрити чат\n/back — повернутися назад\n\n<b>Перегляд:</b>\n/last <code>[n]</code> — останні N повідомлень (5)\n/full — повна остання відповідь\n/tasks — завдання (Kanban)\n/files <code>[path]</code> — файли в workspace\n/cat <code>&lt;file&gt;</code> — вміст файлу\n/diff — git diff в workspace\n/log <code>[n]</code> — останні git коміти\n\n<b>Дії:</b>\n/new <code>[title]</code> — нова сесія\n/stop — зупинити поточне завдання\n\n<b>Remote Access:</b>\n/tunnel — керування доступом\n/url — показати публічний URL\n\n<b>Forum Mode:</b>\n/forum — налаштування Forum Mode\n\n<b>Налаштування:</b>\n/status — стан Studio\n/notify <code>on/off</code> — сповіщення\n/unlink — відключити цей пристрій',
+    'help_text': '📖 <b>Команди Claude Code Studio</b>\n\n<b>Навігація:</b>\n/projects — список проектів\n/project <code>&lt;n&gt;</code> — вибрати проект\n/chats — чати поточного проекту\n/chat <code>&lt;n&gt;</code> — відкрити чат\n/back — повернутися назад\n\n<b>Перегляд:</b>\n/last <code>[n]</code> — останні N повідомлень (5)\n/full — повна остання відповідь\n/tasks — завдання (Kanban)\n/files <code>[path]</code> — файли в workspace\n/cat <code>&lt;file&gt;</code> — вміст файлу\n/diff <code>[#task]</code> — git diff в workspace або гілці завдання\n/log <code>[n]</code> — останні git коміти\n\n<b>Дії:</b>\n/new <code>[title]</code> — нова сесія\n/stop — зупинити поточне завдання\n\n<b>Remote Access:</b>\n/tunnel — керування доступом\n/url — показати публічний URL\n\n<b>Forum Mode:</b>\n/forum — налаштування Forum Mode\n\n<b>Налаштування:</b>\n/status — стан Studio\n/notify <code>on/off</code> — сповіщення\n/unlink — відключити цей пристрій',
 
     // Back navigation
     'back_to_chats': '↩️ Повернулися до списку чатів. Введіть /chats',
@@ -201,6 +209,33 @@ const BOT_I18N = {
 
     // Git
     'git_no_changes': '📊 Немає змін або не git-репозиторій.',
+    'diff_task_not_found': '❌ Завдання #{id} не знайдено.',
+    'diff_task_no_worktree': '📊 Завдання «{title}» не має гілки на рев\'ю.',
+    'diff_review_pending': '🌿 <b>Гілки на рев\'ю:</b>',
+
+    // Task review (approval gate)
+    'review_waiting': 'Чекає на схвалення — залежні завдання не запускаються.',
+    'review_result': 'Результат:',
+    'review_btn_approve': '✅ Схвалити',
+    'review_btn_reject': '✍️ Відхилити',
+    'review_feedback_prompt': '✍️ Напишіть, що треба виправити. Відгук додасться до нотаток, і завдання запуститься знову.',
+    'review_approved': '✅ «{title}» схвалено.',
+    'review_rejected': '↩️ «{title}» повернуто на доопрацювання.',
+    'review_cancelled': 'Відхилення скасовано.',
+    'ta_title': 'Claude просить дозволу: {tool}',
+    'ta_session': 'Чат: {title}',
+    'ta_reason': 'Причина: {reason}',
+    'ta_timeout': 'Без відповіді за {mins} хв: {decision}.',
+    'ta_decision_allow': 'дозволено',
+    'ta_decision_deny': 'заборонено',
+    'ta_btn_allow': '✅ Дозволити',
+    'ta_btn_deny': '⛔ Заборонити',
+    'ta_btn_always': '♾ Завжди в цьому чаті: {pattern}',
+    'ta_allowed': '✅ Дозволив(ла) {by}',
+    'ta_denied': '⛔ Заборонив(ла) {by}',
+    'ta_timed_out': '⏱ Без відповіді — {decision}',
+    'ta_gone': 'Запуск завершився до відповіді.',
+    'ta_already': 'На цей запит уже відповіли.',
     'git_not_repo': '📊 Не git-репозиторій.',
     'git_last_commits': '📜 <b>Останні {n} комітів</b>',
 
@@ -422,6 +457,14 @@ const BOT_I18N = {
     'new_task_created': '✅ <b>Task created</b>\n\n📋 {title}\n📌 Status: backlog',
     'new_task_with_desc': '💡 Enter task description or press «Skip»:',
     'btn_skip': '⏭ Skip',
+    'btn_from_template': '📋 From template',
+    'tpl_choose': '📋 <b>Task templates</b>\n\nChoose a template:',
+    'tpl_none': 'This project has no templates yet. Create them in the Kanban.',
+    'tpl_var_prompt': '📋 <b>{name}</b> ({n}/{total})\n\nEnter a value for <code>{var}</code>:',
+    'tpl_var_default': 'Default: <code>{value}</code>',
+    'btn_tpl_default': '↩️ Keep the default',
+    'tpl_task_created': '✅ <b>Task created from template</b>\n\n📋 {title}\n📌 Status: backlog',
+    'tpl_chain_created': '✅ <b>Chain created from template</b>\n\n🔗 {title}\n📌 Status: backlog — start it from the Kanban',
 
     'status_title': '📊 <b>Studio Status</b>',
     'status_uptime': '⏱ Uptime: {hours}h {mins}m',
@@ -480,7 +523,7 @@ const BOT_I18N = {
     'time_ago_day': '{n}d ago',
     'time_ago_long': 'long ago',
 
-    'help_text': '📖 <b>Claude Code Studio Commands</b>\n\n<b>Navigation:</b>\n/projects — list projects\n/project <code>&lt;n&gt;</code> — select project\n/chats — chats of current project\n/chat <code>&lt;n&gt;</code> — open chat\n/back — go back\n\n<b>View:</b>\n/last <code>[n]</code> — last N messages (5)\n/full — full last response\n/tasks — tasks (Kanban)\n/files <code>[path]</code> — files in workspace\n/cat <code>&lt;file&gt;</code> — file contents\n/diff — git diff in workspace\n/log <code>[n]</code> — recent git commits\n\n<b>Actions:</b>\n/new <code>[title]</code> — new session\n/stop — stop current task\n\n<b>Remote Access:</b>\n/tunnel — manage remote access\n/url — show public URL\n\n<b>Forum Mode:</b>\n/forum — set up Forum Mode\n\n<b>Settings:</b>\n/status — Studio status\n/notify <code>on/off</code> — notifications\n/unlink — unlink this device',
+    'help_text': '📖 <b>Claude Code Studio Commands</b>\n\n<b>Navigation:</b>\n/projects — list projects\n/project <code>&lt;n&gt;</code> — select project\n/chats — chats of current project\n/chat <code>&lt;n&gt;</code> — open chat\n/back — go back\n\n<b>View:</b>\n/last <code>[n]</code> — last N messages (5)\n/full — full last response\n/tasks — tasks (Kanban)\n/files <code>[path]</code> — files in workspace\n/cat <code>&lt;file&gt;</code> — file contents\n/diff <code>[#task]</code> — git diff in workspace or a task branch\n/log <code>[n]</code> — recent git commits\n\n<b>Actions:</b>\n/new <code>[title]</code> — new session\n/stop — stop current task\n\n<b>Remote Access:</b>\n/tunnel — manage remote access\n/url — show public URL\n\n<b>Forum Mode:</b>\n/forum — set up Forum Mode\n\n<b>Settings:</b>\n/status — Studio status\n/notify <code>on/off</code> — notifications\n/unlink — unlink this device',
 
     'back_to_chats': '↩️ Back to chat list. Type /chats',
     'back_to_projects': '↩️ Back to project list. Type /projects',
@@ -501,6 +544,33 @@ const BOT_I18N = {
     'tn_notify_stopped': '⬛ Remote access closed.',
 
     'git_no_changes': '📊 No changes or not a git repository.',
+    'diff_task_not_found': '❌ Task #{id} not found.',
+    'diff_task_no_worktree': '📊 Task “{title}” has no branch awaiting review.',
+    'diff_review_pending': '🌿 <b>Branches awaiting review:</b>',
+
+    // Task review (approval gate)
+    'review_waiting': 'Awaiting approval — dependent tasks are on hold.',
+    'review_result': 'Result:',
+    'review_btn_approve': '✅ Approve',
+    'review_btn_reject': '✍️ Reject',
+    'review_feedback_prompt': '✍️ Reply with what needs to change. The feedback is added to the task notes and the task runs again.',
+    'review_approved': '✅ “{title}” approved.',
+    'review_rejected': '↩️ “{title}” sent back for another run.',
+    'review_cancelled': 'Rejection cancelled.',
+    'ta_title': 'Claude asks to use {tool}',
+    'ta_session': 'Chat: {title}',
+    'ta_reason': 'Why: {reason}',
+    'ta_timeout': 'No answer in {mins} min: {decision}.',
+    'ta_decision_allow': 'allowed',
+    'ta_decision_deny': 'denied',
+    'ta_btn_allow': '✅ Allow',
+    'ta_btn_deny': '⛔ Deny',
+    'ta_btn_always': '♾ Always in this chat: {pattern}',
+    'ta_allowed': '✅ Allowed by {by}',
+    'ta_denied': '⛔ Denied by {by}',
+    'ta_timed_out': '⏱ No answer — {decision}',
+    'ta_gone': 'The run ended before an answer.',
+    'ta_already': 'This request has already been answered.',
     'git_not_repo': '📊 Not a git repository.',
     'git_last_commits': '📜 <b>Last {n} commits</b>',
 
@@ -720,6 +790,14 @@ const BOT_I18N = {
     'new_task_created': '✅ <b>Задача создана</b>\n\n📋 {title}\n📌 Статус: backlog',
     'new_task_with_desc': '💡 Введите описание задачи или нажмите «Пропустить»:',
     'btn_skip': '⏭ Пропустить',
+    'btn_from_template': '📋 Из шаблона',
+    'tpl_choose': '📋 <b>Шаблоны задач</b>\n\nВыберите шаблон:',
+    'tpl_none': 'Для этого проекта ещё нет шаблонов. Создайте их в Kanban.',
+    'tpl_var_prompt': '📋 <b>{name}</b> ({n}/{total})\n\nВведите значение <code>{var}</code>:',
+    'tpl_var_default': 'По умолчанию: <code>{value}</code>',
+    'btn_tpl_default': '↩️ Оставить по умолчанию',
+    'tpl_task_created': '✅ <b>Задача создана из шаблона</b>\n\n📋 {title}\n📌 Статус: backlog',
+    'tpl_chain_created': '✅ <b>Цепочка создана из шаблона</b>\n\n🔗 {title}\n📌 Статус: backlog — запустите её в Kanban',
 
     'status_title': '📊 <b>Studio Status</b>',
     'status_uptime': '⏱ Аптайм: {hours}h {mins}m',
@@ -778,7 +856,7 @@ const BOT_I18N = {
     'time_ago_day': '{n} д назад',
     'time_ago_long': 'давно',
 
-    'help_text': '📖 <b>Команды Claude Code Studio</b>\n\n<b>Навигация:</b>\n/projects — список проектов\n/project <code>&lt;n&gt;</code> — выбрать проект\n/chats — чаты текущего проекта\n/chat <code>&lt;n&gt;</code> — открыть чат\n/back — вернуться назад\n\n<b>Просмотр:</b>\n/last <code>[n]</code> — последние N сообщений (5)\n/full — полный последний ответ\n/tasks — задачи (Kanban)\n/files <code>[path]</code> — файлы в workspace\n/cat <code>&lt;file&gt;</code> — содержимое файла\n/diff — git diff в workspace\n/log <code>[n]</code> — последние git коммиты\n\n<b>Действия:</b>\n/new <code>[title]</code> — новая сессия\n/stop — остановить текущую задачу\n\n<b>Remote Access:</b>\n/tunnel — управление доступом\n/url — показать публичный URL\n\n<b>Forum Mode:</b>\n/forum — настройка Forum Mode\n\n<b>Настройки:</b>\n/status — состояние Studio\n/notify <code>on/off</code> — уведомления\n/unlink — отключить это устройство',
+    'help_text': '📖 <b>Команды Claude Code Studio</b>\n\n<b>Навигация:</b>\n/projects — список проектов\n/project <code>&lt;n&gt;</code> — выбрать проект\n/chats — чаты текущего проекта\n/chat <code>&lt;n&gt;</code> — открыть чат\n/back — вернуться назад\n\n<b>Просмотр:</b>\n/last <code>[n]</code> — последние N сообщений (5)\n/full — полный последний ответ\n/tasks — задачи (Kanban)\n/files <code>[path]</code> — файлы в workspace\n/cat <code>&lt;file&gt;</code> — содержимое файла\n/diff <code>[#task]</code> — git diff в workspace или ветке задачи\n/log <code>[n]</code> — последние git коммиты\n\n<b>Действия:</b>\n/new <code>[title]</code> — новая сессия\n/stop — остановить текущую задачу\n\n<b>Remote Access:</b>\n/tunnel — управление доступом\n/url — показать публичный URL\n\n<b>Forum Mode:</b>\n/forum — настройка Forum Mode\n\n<b>Настройки:</b>\n/status — состояние Studio\n/notify <code>on/off</code> — уведомления\n/unlink — отключить это устройство',
 
     'back_to_chats': '↩️ Вернулись к списку чатов. Введите /chats',
     'back_to_projects': '↩️ Вернулись к списку проектов. Введите /projects',
@@ -799,6 +877,33 @@ const BOT_I18N = {
     'tn_notify_stopped': '⬛ Remote Access закрыт.',
 
     'git_no_changes': '📊 Нет изменений или не git-репозиторий.',
+    'diff_task_not_found': '❌ Задача #{id} не найдена.',
+    'diff_task_no_worktree': '📊 У задачи «{title}» нет ветки на ревью.',
+    'diff_review_pending': '🌿 <b>Ветки на ревью:</b>',
+
+    // Task review (approval gate)
+    'review_waiting': 'Ждёт одобрения — зависимые задачи не запускаются.',
+    'review_result': 'Результат:',
+    'review_btn_approve': '✅ Одобрить',
+    'review_btn_reject': '✍️ Отклонить',
+    'review_feedback_prompt': '✍️ Напишите, что нужно исправить. Отзыв добавится в заметки, и задача запустится снова.',
+    'review_approved': '✅ «{title}» одобрена.',
+    'review_rejected': '↩️ «{title}» возвращена на доработку.',
+    'review_cancelled': 'Отклонение отменено.',
+    'ta_title': 'Claude просит разрешения: {tool}',
+    'ta_session': 'Чат: {title}',
+    'ta_reason': 'Причина: {reason}',
+    'ta_timeout': 'Без ответа за {mins} мин: {decision}.',
+    'ta_decision_allow': 'разрешено',
+    'ta_decision_deny': 'запрещено',
+    'ta_btn_allow': '✅ Разрешить',
+    'ta_btn_deny': '⛔ Запретить',
+    'ta_btn_always': '♾ Всегда в этом чате: {pattern}',
+    'ta_allowed': '✅ Разрешил(а) {by}',
+    'ta_denied': '⛔ Запретил(а) {by}',
+    'ta_timed_out': '⏱ Без ответа — {decision}',
+    'ta_gone': 'Запуск завершился до ответа.',
+    'ta_already': 'На этот запрос уже ответили.',
     'git_not_repo': '📊 Не git-репозиторий.',
     'git_last_commits': '📜 <b>Последние {n} коммитов</b>',
 
@@ -6,6 +6,7 @@
 
 const EventEmitter = require('events');
 const crypto = require('crypto');
+const worktrees = require('./worktrees');
 
 const TELEGRAM_API = 'https://api.telegram.org/bot';
 const PAIRING_CODE_TTL = 5 * 60 * 1000; // 5 minutes
@@ -43,7 +44,9 @@ const FSM_STATES = {
   COMPOSING: 'COMPOSING',
   AWAITING_TASK_TITLE: 'AWAITING_TASK_TITLE',
   AWAITING_TASK_DESCRIPTION: 'AWAITING_TASK_DESCRIPTION',
+  AWAITING_TEMPLATE_VAR: 'AWAITING_TEMPLATE_VAR',
   AWAITING_ASK_RESPONSE: 'AWAITING_ASK_RESPONSE',
+  AWAITING_REVIEW_FEEDBACK: 'AWAITING_REVIEW_FEEDBACK',
 };
 
 // ─── Screen Registry ────────────────────────────────────────────────────────
@@ -128,6 +131,7 @@ class TelegramBot extends EventEmitter {
     this._rateLimit = new Map();     // telegramUserId → { count, resetAt }
     this._currentThreadId = null;    // Legacy: used by shared commands for forum-aware button generation. Will be removed in Phase 4.
     this._botId = null;              // bot's own user ID (set on start)
+    this._toolApprovals = new Map(); // requestId → { msgs: [{ chatId, msgId, text }], outcome, sending }
 
     // DB setup
     this._initDb();
@@ -675,6 +679,13 @@ class TelegramBot extends EventEmitter {
     return SENSITIVE_FILE_PATTERNS.some(p => p.test(filePath));
   }
 
+  // Files of remote (SSH) projects are read over SFTP by the server. Resolves null
+  // for local projects so the caller falls back to the local filesystem.
+  _remoteFiles(workdir, relPath) {
+    if (!workdir || !this.listenerCount('remote_files')) return Promise.resolve(null);
+    return new Promise(resolve => this.emit('remote_files', { workdir, path: relPath, callback: resolve }));
+  }
+
   _sanitize(text) {
     if (!text) return '';
     let safe = String(text);
@@ -809,6 +820,13 @@ class TelegramBot extends EventEmitter {
         return;
       }
 
+      // Intercept: feedback for a task rejected via the ✋ review buttons (commands cancel it)
+      if (ctx.state === FSM_STATES.AWAITING_REVIEW_FEEDBACK) {
+        if (!text.startsWith('/')) return this._submitReviewFeedback(chatId, userId, text);
+        ctx.state = FSM_STATES.IDLE;
+        ctx.stateData = null;
+      }
+
       // Route commands
       if (text.startsWith('/')) {
         await this._handleCommand(msg);
@@ -930,7 +948,7 @@ class TelegramBot extends EventEmitter {
       case '/tasks':   return this._cmdTasks(chatId, userId);
       case '/files':   return this._cmdFiles(chatId, userId, args);
       case '/cat':     return this._cmdCat(chatId, userId, args);
-      case '/diff':    return this._cmdDiff(chatId, userId);
+      case '/diff':    return this._cmdDiff(chatId, userId, args);
       case '/log':     return this._cmdLog(chatId, userId, args);
       case '/notify':  return this._cmdNotify(chatId, userId, args);
       case '/stop':    return this._cmdStop(chatId, userId);
@@ -1123,7 +1141,7 @@ class TelegramBot extends EventEmitter {
     const filePath = pathMod.resolve(baseDir, args.join(' '));
 
     // Security: path traversal check
-    if (!filePath.startsWith(baseDir)) {
+    if (!filePath.startsWith(pathMod.resolve(baseDir))) {
       await this._sendMessage(chatId, this._t('files_denied'), navButtons);
       return;
     }
@@ -1135,7 +1153,14 @@ class TelegramBot extends EventEmitter {
     }
 
     try {
-      const content = fs.readFileSync(filePath, 'utf-8');
+      const remote = await this._remoteFiles(ctx.projectWorkdir, args.join(' '));
+      if (remote?.code === 'EACCES') {
+        await this._sendMessage(chatId, this._t('files_denied'), navButtons);
+        return;
+      }
+      if (remote?.error) throw new Error(remote.error);
+      if (remote?.type === 'dir') throw new Error('Is a directory');
+      const content = remote ? remote.content : fs.readFileSync(filePath, 'utf-8');
       const sanitized = this._sanitize(content);
       const ext = pathMod.extname(filePath).slice(1) || 'txt';
       const name = pathMod.basename(filePath);
@@ -1153,7 +1178,7 @@ class TelegramBot extends EventEmitter {
     }
   }
 
-  async _cmdDiff(chatId, userId) {
+  async _cmdDiff(chatId, userId, args = []) {
     const ctx = this._getContext(userId);
     const { execSync } = require('child_process');
 
@@ -1162,18 +1187,21 @@ class TelegramBot extends EventEmitter {
       [{ text: this._t('btn_back_menu'), callback_data: 'm:menu' }],
     ] }) };
 
+    if (args[0]) return this._cmdTaskDiff(chatId, args[0].replace(/^#/, ''), navButtons);
+
     try {
       const diff = execSync('git diff --stat HEAD', {
         cwd: workdir, encoding: 'utf-8', timeout: 5000, stdio: ['pipe', 'pipe', 'pipe'],
       }).trim();
+      const reviewHint = this._pendingReviewHint(ctx.projectWorkdir);
 
       if (!diff) {
-        await this._sendMessage(chatId, this._t('git_no_changes'), navButtons);
+        await this._sendMessage(chatId, this._t('git_no_changes') + reviewHint, navButtons);
         return;
       }
 
       await this._sendMessage(chatId,
-        `📊 <b>Git Diff</b>\n\n<pre><code>${this._escHtml(this._sanitize(diff))}</code></pre>`, navButtons);
+        `📊 <b>Git Diff</b>\n\n<pre><code>${this._escHtml(this._sanitize(diff))}</code></pre>${reviewHint}`, navButtons);
     } catch (err) {
       const msg = (err.stderr || err.message || '').toString();
       if (msg.includes('not a git repository') || msg.includes('fatal:')) {
@@ -1184,6 +1212,39 @@ class TelegramBot extends EventEmitter {
     }
   }
 
+  // /diff <task id> — changes on the task's worktree branch (see worktrees.js)
+  async _cmdTaskDiff(chatId, shortId, navButtons) {
+    const task = shortId.length >= 4 ? this._stmts.findTaskByIdLike.get(`%${shortId}`) : null;
+    if (!task) {
+      await this._sendMessage(chatId, this._t('diff_task_not_found', { id: this._escHtml(shortId) }), navButtons);
+      return;
+    }
+    let wt = null;
+    try { wt = JSON.parse(task.worktree || 'null'); } catch {}
+    if (!wt || (wt.state !== 'review' && wt.state !== 'active')) {
+      await this._sendMessage(chatId, this._t('diff_task_no_worktree', { title: this._escHtml(task.title) }), navButtons);
+      return;
+    }
+    try {
+      const stat = worktrees.diffStat(wt);
+      await this._sendMessage(chatId,
+        `🌿 <b>${this._escHtml(task.title)}</b>\n<code>${this._escHtml(wt.branch)}</code>\n\n` +
+        (stat ? `<pre><code>${this._escHtml(this._sanitize(stat).substring(0, MAX_MESSAGE_LENGTH - 500))}</code></pre>` : this._t('git_no_changes')),
+        navButtons);
+    } catch (err) {
+      await this._sendMessage(chatId, `❌ ${this._escHtml(err.message.slice(0, 200))}`, navButtons);
+    }
+  }
+
+  // Footer listing tasks whose branches wait for review in this project
+  _pendingReviewHint(workdir) {
+    const rows = this.db.prepare(`SELECT id, title FROM tasks WHERE worktree LIKE '%"state":"review"%' AND (? IS NULL OR workdir = ?) ORDER BY updated_at DESC LIMIT 5`)
+      .all(workdir || null, workdir || null);
+    if (!rows.length) return '';
+    return '\n\n' + this._t('diff_review_pending') + '\n' +
+      rows.map(r => `· ${this._escHtml((r.title || '').substring(0, 45))} — /diff ${r.id.slice(-4)}`).join('\n');
+  }
+
   async _cmdLog(chatId, userId, args) {
     const ctx = this._getContext(userId);
     const { execSync } = require('child_process');
@@ -1390,6 +1451,10 @@ class TelegramBot extends EventEmitter {
       return;
     }
 
+    if (ctx.state === FSM_STATES.AWAITING_TEMPLATE_VAR) {
+      return this._submitTemplateVar(chatId, userId, (msg.text || '').trim().substring(0, 2000));
+    }
+
     if (ctx.state === FSM_STATES.AWAITING_TASK_DESCRIPTION) {
       const description = (msg.text || '').trim().substring(0, 2000);
       const taskId = ctx.stateData?.taskId;
@@ -1630,6 +1695,80 @@ class TelegramBot extends EventEmitter {
 
     return true;
   }
+  // ─── Task Review Callbacks (✋ approval gate) ────────────────────────────
+
+  _reviewDecision(taskId, decision, userId, feedback = null) {
+    const device = this._stmts.getDevice.get(userId);
+    const reviewer = `${device?.display_name || device?.username || userId} (Telegram)`;
+    return new Promise(resolve => this.emit('task_review', { taskId, decision, feedback, reviewer, callback: resolve }));
+  }
+
+  // Drop the Approve/Reject buttons once a decision has been made
+  _clearReviewButtons(chatId, msgId) {
+    if (!chatId || !msgId) return;
+    this._callApi('editMessageReplyMarkup', {
+      chat_id: chatId, message_id: msgId, reply_markup: JSON.stringify({ inline_keyboard: [] }),
+    }).catch(() => {});
+  }
+
+  async _handleReviewCallback(chatId, userId, msgId, data) {
+    const [, action, taskId] = data.split(':');
+    const ctx = this._getContext(userId);
+
+    if (action === 'cancel') {
+      ctx.state = FSM_STATES.IDLE;
+      ctx.stateData = null;
+      await this._editScreen(chatId, msgId, this._t('review_cancelled'), []);
+      return;
+    }
+    if (action === 'no') {
+      ctx.state = FSM_STATES.AWAITING_REVIEW_FEEDBACK;
+      ctx.stateData = { reviewTaskId: taskId, reviewMsgId: msgId, reviewChatId: chatId };
+      await this._sendMessage(chatId, this._t('review_feedback_prompt'), {
+        reply_markup: JSON.stringify({ inline_keyboard: [[{ text: this._t('btn_cancel'), callback_data: 'rv:cancel' }]] }),
+      });
+      return;
+    }
+    if (action !== 'ok' || !taskId) return;
+    const result = await this._reviewDecision(taskId, 'approve', userId);
+    if (result.error) {
+      await this._sendMessage(chatId, `❌ ${this._escHtml(result.error)}`);
+      return;
+    }
+    this._clearReviewButtons(chatId, msgId);
+    await this._sendMessage(chatId, this._t('review_approved', { title: this._escHtml(result.task.title) }));
+  }
+
+  async _submitReviewFeedback(chatId, userId, text) {
+    const ctx = this._getContext(userId);
+    const { reviewTaskId, reviewMsgId, reviewChatId } = ctx.stateData || {};
+    ctx.state = FSM_STATES.IDLE;
+    ctx.stateData = null;
+    const result = await this._reviewDecision(reviewTaskId, 'reject', userId, text);
+    if (result.error) {
+      await this._sendMessage(chatId, `❌ ${this._escHtml(result.error)}`);
+      return;
+    }
+    this._clearReviewButtons(reviewChatId, reviewMsgId);
+    await this._sendMessage(chatId, this._t('review_rejected', { title: this._escHtml(result.task.title) }));
+  }
+
+  // ─── Tool Approval Callbacks (permission profile `ask` rules) ──────────────
+
+  async _handleToolApprovalCallback(chatId, userId, msgId, data) {
+    const [, action, requestId] = data.split(':');
+    if (!requestId || !['ok', 'always', 'no'].includes(action)) return;
+    const device = this._stmts.getDevice.get(userId);
+    const by = `${device?.display_name || device?.username || userId} (Telegram)`;
+    const result = await new Promise(resolve => this.emit('tool_approval', {
+      requestId, decision: action === 'no' ? 'deny' : 'allow', always: action === 'always', by, callback: resolve,
+    }));
+    // Success edits every copy of the question through dismissToolApproval()
+    if (result.error) {
+      this._clearReviewButtons(chatId, msgId);
+      await this._sendMessage(chatId, this._t('ta_already'));
+    }
+  }
 
   // ─── Inline Keyboard Navigation ───────────────────────────────────────────
 
@@ -1660,15 +1799,27 @@ class TelegramBot extends EventEmitter {
         ctx.state = FSM_STATES.IDLE;
         ctx.stateData = null;
       }
+      if (ctx.state === FSM_STATES.AWAITING_TEMPLATE_VAR && data !== 't:tpld') {
+        ctx.state = FSM_STATES.IDLE;
+        ctx.stateData = null;
+      }
       // Reset COMPOSING state when user navigates away via inline button
       // (compose is only for free-text input; any callback means user changed intent)
       if (ctx.state === FSM_STATES.COMPOSING &&
           data !== 'cm:compose' && !data.startsWith('d:compose:') && !data.startsWith('ask:')) {
         ctx.state = FSM_STATES.IDLE;
       }
+      if (ctx.state === FSM_STATES.AWAITING_REVIEW_FEEDBACK && !data.startsWith('rv:')) {
+        ctx.state = FSM_STATES.IDLE;
+        ctx.stateData = null;
+      }
 
       // ask_user option selection
       if (data.startsWith('ask:')) return this._handleAskCallback(chatId, userId, msgId, data);
+      // ✋ Task review: approve / reject with feedback
+      if (data.startsWith('rv:')) return this._handleReviewCallback(chatId, userId, msgId, data);
+      // 🔐 Tool call held by a permission profile: allow / always / deny
+      if (data.startsWith('ta:')) return this._handleToolApprovalCallback(chatId, userId, msgId, data);
 
       // Forum project topic guard — prevent cross-project navigation
       const threadId = cbq.message?.message_thread_id || null;
@@ -1706,6 +1857,9 @@ class TelegramBot extends EventEmitter {
       if (data === 't:list' || data === 't:all') return this._screenTasks(chatId, userId, data, opts);
       if (data === 't:new')         return this._handleNewTask(chatId, userId, opts);
       if (data === 't:skip')        return this._handleSkipTaskDesc(chatId, userId, opts);
+      if (data === 't:tpl')         return this._screenTaskTemplates(chatId, userId, opts);
+      if (data === 't:tpld')        return this._submitTemplateVar(chatId, userId, null);
+      if (data.startsWith('t:tpl:')) return this._handlePickTemplate(chatId, userId, data.slice(6), opts);
       if (data === 's:menu')       return this._screenSettings(chatId, userId, opts);
       if (data.startsWith('s:'))   return this._routeSettings(chatId, userId, data, opts);
       if (data.startsWith('tn:'))  return this._routeTunnel(chatId, userId, data, opts);
@@ -2456,7 +2610,7 @@ class TelegramBot extends EventEmitter {
     }
 
     const targetDir = pathMod.resolve(baseDir, subPath);
-    if (!targetDir.startsWith(baseDir)) {
+    if (!targetDir.startsWith(pathMod.resolve(baseDir))) {
       const deniedBack = this._buildBackButton('FILES', ctx) || [{ text: this._t('btn_back_menu'), callback_data: 'm:menu' }];
       if (editMsgId) {
         return this._editScreen(chatId, editMsgId, this._t('files_denied'),
@@ -2467,14 +2621,17 @@ class TelegramBot extends EventEmitter {
     }
 
     try {
-      const stat = fs.statSync(targetDir);
+      const remote = await this._remoteFiles(ctx.projectWorkdir, subPath);
+      if (remote?.code === 'EACCES') throw new Error(this._t('files_denied'));
+      if (remote?.error) throw new Error(remote.error);
+      const isFile = remote ? remote.type === 'file' : fs.statSync(targetDir).isFile();
 
       // If it's a file, show content as new message
-      if (stat.isFile()) {
+      if (isFile) {
         if (this._isSensitiveFile(targetDir)) {
           return this._sendMessage(chatId, this._t('files_sensitive_short'));
         }
-        const content = fs.readFileSync(targetDir, 'utf-8');
+        const content = remote ? remote.content : fs.readFileSync(targetDir, 'utf-8');
         const sanitized = this._sanitize(content);
         const ext = pathMod.extname(targetDir).slice(1) || 'txt';
         const name = pathMod.basename(targetDir);
@@ -2486,10 +2643,13 @@ class TelegramBot extends EventEmitter {
       }
 
       // Directory listing
-      const items = fs.readdirSync(targetDir, { withFileTypes: true })
+      const entries = remote
+        ? remote.items.map(d => ({ name: d.name, isDir: d.type === 'dir' }))
+        : fs.readdirSync(targetDir, { withFileTypes: true }).map(d => ({ name: d.name, isDir: d.isDirectory() }));
+      const items = entries
         .filter(d => !d.name.startsWith('.'))
         .sort((a, b) => {
-          if (a.isDirectory() !== b.isDirectory()) return a.isDirectory() ? -1 : 1;
+          if (a.isDir !== b.isDir) return a.isDir ? -1 : 1;
           return a.name.localeCompare(b.name);
         })
         .slice(0, 20);
@@ -2499,7 +2659,7 @@ class TelegramBot extends EventEmitter {
       let cacheCounter = ctx.filePathCache.size;
 
       const keyboard = items.map(d => {
-        const icon = d.isDirectory() ? '📁' : '📄';
+        const icon = d.isDir ? '📁' : '📄';
         const rel = pathMod.join(subPath, d.name);
         let cbData;
         if (rel.length <= 61) { // 64 - "f:" prefix - margin
@@ -2580,7 +2740,7 @@ class TelegramBot extends EventEmitter {
         return this._showScreen(chatId, userId, emptyText, emptyKb);
       }
 
-      const icons = { backlog: '📋', todo: '📝', in_progress: '🔄', done: '✅', blocked: '🚫' };
+      const icons = { backlog: '📋', todo: '📝', in_progress: '🔄', review: '✋', done: '✅', blocked: '🚫' };
       const grouped = {};
       for (const r of rows) {
         if (!grouped[r.status]) grouped[r.status] = [];
@@ -2633,7 +2793,7 @@ class TelegramBot extends EventEmitter {
         this._t('status_messages', { count: messageCount }) + '\n';
 
       if (tasksByStatus.length > 0) {
-        const icons = { backlog: '📋', todo: '📝', in_progress: '🔄', done: '✅', blocked: '🚫' };
+        const icons = { backlog: '📋', todo: '📝', in_progress: '🔄', review: '✋', done: '✅', blocked: '🚫' };
         text += '\n' + this._t('status_tasks_label') + '\n' + tasksByStatus.map(t => `  ${icons[t.status]||'•'} ${t.status}: ${t.n}`).join('\n') + '\n';
       }
 
@@ -3069,6 +3229,121 @@ class TelegramBot extends EventEmitter {
     }
   }
 
+  /**
+   * Ask paired devices to approve or reject a task that stopped in review.
+   * Always sent to the private chat (also in Forum Mode): the Reject button
+   * asks for feedback, and the reply has to land in the same conversation.
+   */
+  async notifyTaskReview({ taskId, sessionId, title, output, stat, duration }) {
+    if (!this.running) return;
+
+    const devices = this._stmts.getAllDevices.all().filter(d => d.notifications_enabled);
+    if (!devices.length) return;
+
+    const secs = Math.round((duration || 0) / 1000);
+    const durationText = !secs ? '' : secs < 60 ? `${secs}s` : secs < 3600 ? `${Math.floor(secs / 60)}m ${secs % 60}s` : `${Math.floor(secs / 3600)}h ${Math.floor((secs % 3600) / 60)}m`;
+    const outputText = String(output || '').trim();
+
+    const text = [
+      `✋ <b>${this._escHtml(title)}</b>`,
+      this._t('review_waiting'),
+      durationText ? `Duration: ${durationText}` : '',
+      outputText ? `\n<b>${this._t('review_result')}</b>\n${this._escHtml(this._sanitize(outputText).substring(0, 800))}${outputText.length > 800 ? '…' : ''}` : '',
+      stat ? `\n<pre><code>${this._escHtml(this._sanitize(stat).substring(0, 1500))}</code></pre>` : '',
+    ].filter(Boolean).join('\n');
+
+    const rows = [[
+      { text: this._t('review_btn_approve'), callback_data: `rv:ok:${taskId}` },
+      { text: this._t('review_btn_reject'), callback_data: `rv:no:${taskId}` },
+    ]];
+    if (sessionId) rows.push([{ text: this._t('fm_btn_view'), callback_data: `d:view:${sessionId}` }]);
+
+    // No rate limit — like ask_user, a pending review blocks the chain
+    for (const device of devices) {
+      try {
+        await this._sendMessage(device.telegram_chat_id, text, {
+          parse_mode: 'HTML',
+          reply_markup: JSON.stringify({ inline_keyboard: rows }),
+        });
+      } catch (err) {
+        this.log.warn(`[telegram] Review notification failed for ${device.display_name}: ${err.message}`);
+      }
+    }
+  }
+
+  // ─── Tool Approval Notification ─────────────────────────────────────────
+
+  /**
+   * Ask paired devices to allow or deny a tool call that a permission profile
+   * holds for approval. Sent to the private chat like task reviews; every copy
+   * is closed by dismissToolApproval() once someone answers or time runs out.
+   */
+  async notifyToolApproval({ requestId, sessionId, title, tool, input, pattern, reason, defaultDecision, timeoutMs }) {
+    if (!this.running) return;
+
+    const devices = this._stmts.getAllDevices.all().filter(d => d.notifications_enabled);
+    if (!devices.length) return;
+
+    let detail = input;
+    try { const inp = JSON.parse(input); detail = inp.command || inp.file_path || inp.path || input; } catch {}
+    const mins = Math.max(1, Math.round((timeoutMs || 0) / 60000));
+    const text = [
+      `🔐 <b>${this._t('ta_title', { tool: this._escHtml(tool) })}</b>`,
+      title ? this._t('ta_session', { title: this._escHtml(title) }) : '',
+      `<pre><code>${this._escHtml(this._sanitize(String(detail)).substring(0, 1500))}</code></pre>`,
+      reason ? this._t('ta_reason', { reason: this._escHtml(reason) }) : '',
+      `<i>${this._t('ta_timeout', { mins, decision: this._t(defaultDecision === 'allow' ? 'ta_decision_allow' : 'ta_decision_deny') })}</i>`,
+    ].filter(Boolean).join('\n');
+
+    const rows = [
+      [{ text: this._t('ta_btn_allow'), callback_data: `ta:ok:${requestId}` }, { text: this._t('ta_btn_deny'), callback_data: `ta:no:${requestId}` }],
+      [{ text: this._t('ta_btn_always', { pattern: String(pattern).substring(0, 40) }), callback_data: `ta:always:${requestId}` }],
+    ];
+    if (sessionId) rows.push([{ text: this._t('fm_btn_view'), callback_data: `d:view:${sessionId}` }]);
+
+    const entry = { msgs: [], outcome: null, sending: true };
+    this._toolApprovals.set(requestId, entry);
+    // No rate limit — the run is blocked until someone answers
+    for (const device of devices) {
+      try {
+        const msg = await this._sendMessage(device.telegram_chat_id, text, {
+          parse_mode: 'HTML',
+          reply_markup: JSON.stringify({ inline_keyboard: rows }),
+        });
+        if (msg?.message_id) entry.msgs.push({ chatId: device.telegram_chat_id, msgId: msg.message_id, text });
+      } catch (err) {
+        this.log.warn(`[telegram] Tool approval notification failed for ${device.display_name}: ${err.message}`);
+      }
+    }
+    entry.sending = false;
+    // Answered while the copies were still going out
+    if (entry.outcome) this._closeToolApproval(requestId);
+  }
+
+  /** Replace the buttons of a tool approval with its outcome. */
+  dismissToolApproval(requestId, { decision, by }) {
+    const entry = this._toolApprovals.get(requestId);
+    if (!entry) return;
+    const key = by === 'timeout' ? 'ta_timed_out' : !by ? 'ta_gone' : decision === 'allow' ? 'ta_allowed' : 'ta_denied';
+    entry.outcome = this._t(key, {
+      by: this._escHtml(by || ''),
+      decision: this._t(decision === 'allow' ? 'ta_decision_allow' : 'ta_decision_deny'),
+    });
+    this._closeToolApproval(requestId);
+  }
+
+  _closeToolApproval(requestId) {
+    const entry = this._toolApprovals.get(requestId);
+    if (!entry) return;
+    for (const { chatId, msgId, text } of entry.msgs.splice(0)) {
+      this._callApi('editMessageText', {
+        chat_id: chatId, message_id: msgId, text: `${text}\n\n${entry.outcome}`,
+        parse_mode: 'HTML', reply_markup: JSON.stringify({ inline_keyboard: [] }),
+      }).catch(() => {});
+    }
+    if (!entry.sending) this._toolApprovals.delete(requestId);
+  }
+
   // ─── Ask User Notification (cross-context alert) ──────────────────────
 
   /**
@@ -3192,6 +3467,9 @@ class TelegramBot extends EventEmitter {
 
     const taskText = this._t('new_task_prompt');
     const taskKb = [[{ text: this._t('btn_cancel'), callback_data: ctx.projectWorkdir ? 't:list' : 'm:menu' }]];
+    if ((await this._taskTemplates(ctx.projectWorkdir)).length) {
+      taskKb.unshift([{ text: this._t('btn_from_template'), callback_data: 't:tpl' }]);
+    }
     if (editMsgId) {
       await this._editScreen(chatId, editMsgId, taskText, taskKb);
     } else {
@@ -3199,6 +3477,82 @@ class TelegramBot extends EventEmitter {
     }
   }
 
+  // ─── New task from a template ────────────────────────────────────────────
+
+  _taskTemplates(workdir) {
+    return new Promise(resolve => this.emit('task_templates', { workdir: workdir || null, callback: resolve }));
+  }
+
+  async _screenTaskTemplates(chatId, userId, { editMsgId } = {}) {
+    const ctx = this._getContext(userId);
+    const templates = await this._taskTemplates(ctx.projectWorkdir);
+    const keyboard = templates.slice(0, 20).map(tpl => [{
+      text: `${tpl.kind === 'chain' ? '🔗' : '📋'} ${tpl.name}`.substring(0, 60),
+      callback_data: `t:tpl:${tpl.id}`,
+    }]);
+    keyboard.push([{ text: this._t('btn_back'), callback_data: 't:new' }]);
+    const text = templates.length ? this._t('tpl_choose') : this._t('tpl_none');
+    if (editMsgId) await this._editScreen(chatId, editMsgId, text, keyboard);
+    else await this._showScreen(chatId, userId, text, keyboard);
+  }
+
+  async _handlePickTemplate(chatId, userId, templateId, opts) {
+    const ctx = this._getContext(userId);
+    const template = (await this._taskTemplates(ctx.projectWorkdir)).find(tpl => tpl.id === templateId);
+    if (!template) return this._screenTaskTemplates(chatId, userId, opts);
+    ctx.state = FSM_STATES.AWAITING_TEMPLATE_VAR;
+    ctx.stateData = { workdir: ctx.projectWorkdir || null, template, values: {}, index: 0 };
+    return this._promptTemplateVar(chatId, userId);
+  }
+
+  // Ask for the next variable, or create the task once every variable has a value
+  async _promptTemplateVar(chatId, userId) {
+    const ctx = this._getContext(userId);
+    const { template, values, index, workdir } = ctx.stateData;
+    const variable = template.variables[index];
+    if (!variable) {
+      ctx.state = FSM_STATES.IDLE;
+      ctx.stateData = null;
+      const device = this._stmts.getDevice.get(userId);
+      const by = `${device?.display_name || device?.username || userId} (Telegram)`;
+      const result = await new Promise(resolve => this.emit('task_from_template', {
+        templateId: template.id, variables: values, workdir, by, callback: resolve,
+      }));
+      if (result.error) return this._sendMessage(chatId, `❌ ${this._escHtml(result.error)}`);
+      return this._sendMessage(chatId,
+        this._t(result.kind === 'chain' ? 'tpl_chain_created' : 'tpl_task_created', { title: this._escHtml(result.title) }),
+        {
+          reply_markup: JSON.stringify({ inline_keyboard: [
+            [{ text: this._t('btn_tasks'), callback_data: 't:list' }],
+            [{ text: this._t('btn_back_menu'), callback_data: 'm:menu' }],
+          ]}),
+        });
+    }
+
+    const lines = [this._t('tpl_var_prompt', {
+      name: this._escHtml(template.name), n: index + 1, total: template.variables.length, var: this._escHtml(variable.name),
+    })];
+    if (variable.description) lines.push(`<i>${this._escHtml(variable.description)}</i>`);
+    const keyboard = [];
+    if (variable.default !== undefined) {
+      lines.push(this._t('tpl_var_default', { value: this._escHtml(String(variable.default).substring(0, 200)) }));
+      keyboard.push([{ text: this._t('btn_tpl_default'), callback_data: 't:tpld' }]);
+    }
+    keyboard.push([{ text: this._t('btn_cancel'), callback_data: ctx.projectWorkdir ? 't:list' : 'm:menu' }]);
+    await this._sendMessage(chatId, lines.join('\n\n'), { reply_markup: JSON.stringify({ inline_keyboard: keyboard }) });
+  }
+
+  // value === null keeps the variable's default
+  async _submitTemplateVar(chatId, userId, value) {
+    const ctx = this._getContext(userId);
+    if (ctx.state !== FSM_STATES.AWAITING_TEMPLATE_VAR || !ctx.stateData?.template) return;
+    if (value === '') return;
+    const variable = ctx.stateData.template.variables[ctx.stateData.index];
+    if (value !== null) ctx.stateData.values[variable.name] = value;
+    ctx.stateData.index++;
+    return this._promptTemplateVar(chatId, userId);
+  }
+
   async _handleSkipTaskDesc(chatId, userId, { editMsgId } = {}) {
     const ctx = this._getContext(userId);
     ctx.state = FSM_STATES.IDLE;
@@ -0,0 +1,244 @@
+// ─── Inbound Triggers for Claude Code Studio ────────────────────────────────
+// Secret URLs that external systems (GitHub, GitLab, CI, monitoring) POST JSON
+// to. Each trigger renders the payload into a task template or activates a
+// chain; every call is recorded in a history table.
+// No external npm dependencies.
+//
+// Template placeholders: {{payload.some.path}}, {{payload.commits.0.message}},
+// {{payload}} (whole body as JSON), {{event}} (X-GitHub-Event / X-Gitlab-Event
+// header), {{trigger.name}}. Missing values render as an empty string.
+// Placeholders work in title, description, model, effort and max_turns only:
+// the payload comes from an unauthenticated caller, so where a task runs
+// (workdir), its mode and its column are fixed when the trigger is saved.
+'use strict';
+
+const crypto = require('crypto');
+
+const ACTIONS = ['task', 'chain'];
+const VERIFY_MODES = ['none', 'github', 'gitlab'];
+const TEMPLATE_FIELDS = ['title', 'description', 'workdir', 'model', 'effort', 'mode', 'status', 'max_turns'];
+const FIXED_FIELDS = ['workdir', 'mode', 'status'];
+const EVENT_HEADERS = ['x-github-event', 'x-gitlab-event', 'x-gitea-event', 'x-event-type'];
+const MAX_PAYLOAD_LOG = 16_384;
+const HISTORY_PER_TRIGGER = 200;
+
+// ─── Templates ───────────────────────────────────────────────────────────────
+
+function lookup(obj, dotted) {
+  let cur = obj;
+  for (const key of dotted.split('.')) {
+    if (cur === null || cur === undefined || typeof cur !== 'object') return undefined;
+    cur = cur[key];
+  }
+  return cur;
+}
+
+/** Replace `{{path}}` placeholders in `str` with values from `ctx`. */
+function renderTemplate(str, ctx) {
+  if (typeof str !== 'string') return str;
+  return str.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (_, expr) => {
+    const value = lookup(ctx, expr);
+    if (value === undefined || value === null) return '';
+    if (typeof value === 'object') return JSON.stringify(value, null, 2);
+    return String(value);
+  });
+}
+
+/** Render every string field of a task template; non-template fields are dropped. */
+function renderTaskTemplate(template, ctx) {
+  const out = {};
+  for (const field of TEMPLATE_FIELDS) {
+    const raw = template?.[field];
+    if (raw === undefined || raw === null || raw === '') continue;
+    out[field] = typeof raw === 'string' && !FIXED_FIELDS.includes(field) ? renderTemplate(raw, ctx).trim() : raw;
+  }
+  return out;
+}
+
+function cleanTemplate(template) {
+  const out = {};
+  for (const field of TEMPLATE_FIELDS) {
+    const v = template?.[field];
+    if (typeof v === 'string' && v.trim()) out[field] = v.substring(0, 4000);
+    else if (typeof v === 'number' && Number.isFinite(v)) out[field] = v;
+  }
+  return out;
+}
+
+// ─── Verification ────────────────────────────────────────────────────────────
+
+function safeEqual(a, b) {
+  const ba = Buffer.from(String(a || ''));
+  const bb = Buffer.from(String(b || ''));
+  return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+}
+
+/**
+ * Check the provider signature of an inbound request.
+ * Returns null when the request is authentic, otherwise a short reason.
+ *   github — X-Hub-Signature-256: sha256=HMAC-SHA256(secret, raw body)
+ *   gitlab — X-Gitlab-Token: <secret>
+ */
+function verifySignature(trigger, headers, rawBody) {
+  if (!trigger.verify || trigger.verify === 'none') return null;
+  if (!trigger.secret) return 'Trigger has no signing secret';
+  if (trigger.verify === 'github') {
+    const sig = headers['x-hub-signature-256'];
+    if (!sig) return 'Missing X-Hub-Signature-256 header';
+    const expected = 'sha256=' + crypto.createHmac('sha256', trigger.secret).update(rawBody || Buffer.alloc(0)).digest('hex');
+    return safeEqual(sig, expected) ? null : 'Signature mismatch';
+  }
+  if (trigger.verify === 'gitlab') {
+    const token = headers['x-gitlab-token'];
+    if (!token) return 'Missing X-Gitlab-Token header';
+    return safeEqual(token, trigger.secret) ? null : 'Token mismatch';
+  }
+  return `Unknown verification mode "${trigger.verify}"`;
+}
+
+/** Event name sent by the provider, e.g. "push" or "Pipeline Hook". */
+function eventName(headers) {
+  for (const h of EVENT_HEADERS) if (headers[h]) return String(headers[h]);
+  return '';
+}
+
+// ─── Storage ─────────────────────────────────────────────────────────────────
+
+function parseRow(row) {
+  if (!row) return null;
+  let template = {}, events = [];
+  try { template = JSON.parse(row.template || '{}'); } catch {}
+  try { events = JSON.parse(row.events || '[]'); } catch {}
+  return { ...row, template, events, enabled: !!row.enabled };
+}
+
+class TriggerStore {
+  constructor(db) {
+    this.db = db;
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS task_triggers (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        token TEXT NOT NULL,
+        secret TEXT,
+        verify TEXT NOT NULL DEFAULT 'none',   -- none | github | gitlab
+        events TEXT,                           -- JSON array of accepted event names; empty = all
+        action TEXT NOT NULL DEFAULT 'task',   -- task | chain
+        template TEXT,                         -- JSON task template (action=task)
+        chain_id TEXT,                         -- chain to activate (action=chain)
+        enabled INTEGER NOT NULL DEFAULT 1,
+        owner_id TEXT,
+        fire_count INTEGER NOT NULL DEFAULT 0,
+        last_fired_at TEXT,
+        created_at TEXT DEFAULT (datetime('now')),
+        updated_at TEXT DEFAULT (datetime('now'))
+      );
+      CREATE TABLE IF NOT EXISTS trigger_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        trigger_id TEXT NOT NULL,
+        event TEXT,
+        status TEXT NOT NULL,                  -- created | activated | ignored | rejected | error
+        http_status INTEGER,
+        task_id TEXT,
+        chain_id TEXT,
+        error TEXT,
+        payload TEXT,
+        remote_addr TEXT,
+        created_at TEXT DEFAULT (datetime('now'))
+      );
+      CREATE INDEX IF NOT EXISTS idx_trigger_events ON trigger_events(trigger_id, id);
+    `);
+
+    this.stmts = {
+      list: db.prepare(`SELECT * FROM task_triggers ORDER BY created_at DESC`),
+      get: db.prepare(`SELECT * FROM task_triggers WHERE id=?`),
+      insert: db.prepare(`INSERT INTO task_triggers (id, name, token, secret, verify, events, action, template, chain_id, enabled, owner_id) VALUES (@id, @name, @token, @secret, @verify, @events, @action, @template, @chain_id, @enabled, @owner_id)`),
+      update: db.prepare(`UPDATE task_triggers SET name=@name, secret=@secret, verify=@verify, events=@events, action=@action, template=@template, chain_id=@chain_id, enabled=@enabled, updated_at=datetime('now') WHERE id=@id`),
+      setToken: db.prepare(`UPDATE task_triggers SET token=?, updated_at=datetime('now') WHERE id=?`),
+      markFired: db.prepare(`UPDATE task_triggers SET fire_count=fire_count+1, last_fired_at=datetime('now') WHERE id=?`),
+      delete: db.prepare(`DELETE FROM task_triggers WHERE id=?`),
+      deleteEvents: db.prepare(`DELETE FROM trigger_events WHERE trigger_id=?`),
+      addEvent: db.prepare(`INSERT INTO trigger_events (trigger_id, event, status, http_status, task_id, chain_id, error, payload, remote_addr) VALUES (@trigger_id, @event, @status, @http_status, @task_id, @chain_id, @error, @payload, @remote_addr)`),
+      listEvents: db.prepare(`SELECT * FROM trigger_events WHERE trigger_id=? ORDER BY id DESC LIMIT ?`),
+      pruneEvents: db.prepare(`DELETE FROM trigger_events WHERE trigger_id=? AND id <= (SELECT id FROM trigger_events WHERE trigger_id=? ORDER BY id DESC LIMIT 1 OFFSET ?)`),
+    };
+  }
+
+  list() { return this.stmts.list.all().map(parseRow); }
+
+  get(id) { return parseRow(this.stmts.get.get(id)); }
+
+  create(fields, ownerId) {
+    const id = 'trg_' + crypto.randomBytes(6).toString('hex');
+    this.stmts.insert.run({
+      ...this._columns(fields),
+      id,
+      token: crypto.randomBytes(20).toString('hex'),
+      owner_id: ownerId || null,
+    });
+    return this.get(id);
+  }
+
+  update(id, fields) {
+    const current = this.get(id);
+    if (!current) return null;
+    this.stmts.update.run({ ...this._columns({ ...current, ...fields }), id });
+    return this.get(id);
+  }
+
+  /** New URL token; the old URL stops working immediately. */
+  rotateToken(id) {
+    this.stmts.setToken.run(crypto.randomBytes(20).toString('hex'), id);
+    return this.get(id);
+  }
+
+  delete(id) {
+    this.stmts.deleteEvents.run(id);
+    return this.stmts.delete.run(id).changes > 0;
+  }
+
+  /** Look up a trigger by id and URL token (constant-time token compare). */
+  authenticate(id, token) {
+    const trigger = this.get(id);
+    if (!trigger || !safeEqual(trigger.token, token)) return null;
+    return trigger;
+  }
+
+  recordEvent(triggerId, { event = '', status, httpStatus = null, taskId = null, chainId = null, error = null, payload = null, remoteAddr = null }) {
+    const text = payload === null ? null : (typeof payload === 'string' ? payload : JSON.stringify(payload));
+    this.stmts.addEvent.run({
+      trigger_id: triggerId, event, status, http_status: httpStatus,
+      task_id: taskId, chain_id: chainId, error,
+      payload: text && text.length > MAX_PAYLOAD_LOG ? text.slice(0, MAX_PAYLOAD_LOG) + '…' : text,
+      remote_addr: remoteAddr,
+    });
+    if (status === 'created' || status === 'activated') this.stmts.markFired.run(triggerId);
+    this.stmts.pruneEvents.run(triggerId, triggerId, HISTORY_PER_TRIGGER);
+  }
+
+  listEvents(triggerId, limit = 50) {
+    return this.stmts.listEvents.all(triggerId, Math.min(Math.max(Number(limit) || 50, 1), HISTORY_PER_TRIGGER));
+  }
+
+  _columns(f) {
+    return {
+      name: String(f.name || '').trim().substring(0, 100) || 'Trigger',
+      secret: f.secret || null,
+      verify: VERIFY_MODES.includes(f.verify) ? f.verify : 'none',
+      events: JSON.stringify((Array.isArray(f.events) ? f.events : []).map(e => String(e).trim()).filter(Boolean)),
+      action: ACTIONS.includes(f.action) ? f.action : 'task',
+      template: JSON.stringify(cleanTemplate(f.template)),
+      chain_id: f.chain_id || null,
+      enabled: f.enabled === false ? 0 : 1,
+    };
+  }
+}
+
+module.exports = TriggerStore;
+module.exports.ACTIONS = ACTIONS;
+module.exports.VERIFY_MODES = VERIFY_MODES;
+module.exports.FIXED_FIELDS = FIXED_FIELDS;
+module.exports.renderTemplate = renderTemplate;
+module.exports.renderTaskTemplate = renderTaskTemplate;
+module.exports.verifySignature = verifySignature;
+module.exports.eventName = eventName;
@@ -0,0 +1,151 @@
+// ─── Web terminal for Claude Code Studio ─────────────────────────────────────
+// Local shells for the in-browser terminal, streamed over the WebSocket.
+// A real pseudo-terminal comes from the `script` utility (util-linux or BSD),
+// so no native addon is needed. Where `script` is missing (Windows, slim
+// containers) the shell runs on plain pipes: line-based commands work, full
+// screen programs do not. Remote terminals come from ClaudeSSH.shell().
+//
+// Both kinds are EventEmitters with the same surface:
+//   write(data), resize(cols, rows), close()
+//   'data' (string), 'exit' (code)
+'use strict';
+
+const fs = require('fs');
+const { spawn, execFile, execFileSync } = require('child_process');
+const { EventEmitter } = require('events');
+const { StringDecoder } = require('string_decoder');
+
+const IS_WIN = process.platform === 'win32';
+// Printed by the wrapper before the shell starts: the pty device, used for resizes
+const TTY_MARKER = /\x1b\]7770;([^\x07]*)\x07/;
+const MARKER_WAIT_BYTES = 4096;
+const KILL_GRACE_MS = 3000;
+
+function shq(str) {
+  return "'" + String(str).replace(/'/g, "'\\''") + "'";
+}
+
+function clampSize(cols, rows) {
+  return {
+    cols: Math.min(Math.max(parseInt(cols, 10) || 80, 10), 500),
+    rows: Math.min(Math.max(parseInt(rows, 10) || 24, 4), 200),
+  };
+}
+
+let _flavor;
+/** Which `script` is installed: 'util-linux', 'bsd' or null (none — use pipes). */
+function scriptFlavor() {
+  if (_flavor !== undefined) return _flavor;
+  _flavor = null;
+  if (IS_WIN) return _flavor;
+  try {
+    execFileSync('script', ['--version'], { stdio: 'ignore', timeout: 5000 });
+    _flavor = 'util-linux';
+  } catch {
+    if (fs.existsSync('/usr/bin/script') && process.platform !== 'linux') _flavor = 'bsd';
+  }
+  return _flavor;
+}
+
+function defaultShell() {
+  if (IS_WIN) return process.env.COMSPEC || 'cmd.exe';
+  return process.env.SHELL || (fs.existsSync('/bin/bash') ? '/bin/bash' : '/bin/sh');
+}
+
+class LocalTerminal extends EventEmitter {
+  /**
+   * @param {object} opts
+   * @param {string} opts.cwd      directory the shell starts in
+   * @param {string} [opts.command] shell command run first (e.g. `claude --resume <id>`);
+   *                                the interactive shell starts when it exits
+   * @param {number} [opts.cols]
+   * @param {number} [opts.rows]
+   */
+  constructor({ cwd, command = '', cols, rows }) {
+    super();
+    const size = clampSize(cols, rows);
+    const shell = defaultShell();
+    const env = { ...process.env, TERM: 'xterm-256color', COLORTERM: 'truecolor' };
+    delete env.CLAUDECODE; // `claude` refuses to start inside another Claude Code session
+
+    this.flavor = scriptFlavor();
+    this.pty = !!this.flavor;
+    this.tty = null;
+    this._pending = this.pty ? '' : null; // output held back until the tty marker arrives
+    this._decoder = new StringDecoder('utf8');
+
+    if (this.pty) {
+      const wrapper = [
+        `printf '\\033]7770;%s\\007' "$(tty)"`,
+        `stty rows ${size.rows} cols ${size.cols} 2>/dev/null`,
+        ...(command ? [command] : []),
+        `exec ${shq(shell)}`,
+      ].join('; ');
+      const args = this.flavor === 'bsd'
+        ? ['-q', '/dev/null', '/bin/sh', '-c', wrapper]
+        : ['-qfc', `exec /bin/sh -c ${shq(wrapper)}`, '/dev/null'];
+      this.proc = spawn('script', args, { cwd, env });
+    } else if (IS_WIN) {
+      this.proc = spawn(shell, command ? ['/k', command] : [], { cwd, env, windowsHide: true });
+    } else {
+      this.proc = spawn(shell, command ? ['-c', `${command}; exec ${shq(shell)} -i`] : ['-i'], { cwd, env });
+    }
+
+    this.proc.stdout.on('data', d => this._onOutput(d));
+    this.proc.stderr.on('data', d => this._onOutput(d));
+    this.proc.on('error', err => this.emit('data', `\r\n${err.message}\r\n`));
+    this.proc.on('close', code => {
+      this.exited = true;
+      clearTimeout(this._killTimer);
+      if (this._pending) this.emit('data', this._pending);
+      this.emit('exit', code);
+    });
+  }
+
+  _onOutput(chunk) {
+    let text = this._decoder.write(chunk);
+    if (!this.pty) text = text.replace(/\r?\n/g, '\r\n');
+    if (this._pending !== null) {
+      this._pending += text;
+      const m = this._pending.match(TTY_MARKER);
+      if (!m && this._pending.length < MARKER_WAIT_BYTES) return;
+      if (m) this.tty = m[1].trim();
+      text = m ? this._pending.replace(TTY_MARKER, '') : this._pending;
+      this._pending = null;
+    }
+    if (text) this.emit('data', text);
+  }
+
+  write(data) {
+    if (this.exited) return;
+    if (!this.pty) {
+      // No line discipline on pipes: echo locally and turn Enter into a newline
+      this.emit('data', String(data).replace(/\r/g, '\r\n'));
+      data = String(data).replace(/\r/g, '\n');
+    }
+    try { this.proc.stdin.write(data); } catch {}
+  }
+
+  // Resizing the pty through its device makes the kernel send SIGWINCH to the shell
+  resize(cols, rows) {
+    if (!this.tty || this.exited) return;
+    const size = clampSize(cols, rows);
+    execFile('stty', [this.flavor === 'bsd' ? '-f' : '-F', this.tty, 'rows', String(size.rows), 'cols', String(size.cols)],
+      { timeout: 5000 }, () => {});
+  }
+
+  close() {
+    if (this.exited) return;
+    try { this.proc.kill('SIGTERM'); } catch {}
+    this._killTimer = setTimeout(() => { try { this.proc.kill('SIGKILL'); } catch {} }, KILL_GRACE_MS);
+    this._killTimer.unref?.();
+  }
+}
+
+/** Start a local shell in `cwd`. See LocalTerminal for options. */
+function openLocalTerminal(opts) {
+  if (!opts.cwd || !fs.existsSync(opts.cwd)) throw new Error(`Directory not found: ${opts.cwd}`);
+  return new LocalTerminal(opts);
+}
+
+module.exports = { openLocalTerminal, clampSize };
@@ -0,0 +1,212 @@
+// ─── Outbound Webhooks for Claude Code Studio ───────────────────────────────
+// Delivers lifecycle events (task.done, chain.done, ask_user.pending, …) to
+// configured HTTP endpoints as HMAC-signed JSON. Deliveries are queued in
+// SQLite so they survive restarts and are retried with exponential backoff.
+// No external npm dependencies — uses Node 20 built-in fetch.
+'use strict';
+
+const crypto = require('crypto');
+
+const EVENTS = [
+  'task.started', 'task.done', 'task.failed',
+  'task.review', 'task.rejected',
+  'chain.done',
+  'session.done', 'session.failed',
+  'ask_user.pending',
+  'delegation.reply',
+];
+const TEST_EVENT = 'test.ping';
+
+const MAX_ATTEMPTS = 6;
+const BACKOFF_SECONDS = [10, 30, 120, 600, 1800]; // wait before attempt 2, 3, 4, 5, 6
+const REQUEST_TIMEOUT = 10_000;
+const TICK_INTERVAL = 5_000;
+const BATCH_SIZE = 10;
+const LOG_RETENTION_DAYS = 14;
+const MAX_RESPONSE_SNIPPET = 500;
+
+/**
+ * Signature header value: `sha256=<hex>` of `<timestamp>.<body>`. Covering the
+ * timestamp lets receivers reject replays of an old delivery.
+ */
+function sign(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+class WebhookDispatcher {
+  /**
+   * @param {object} db — better-sqlite3 compatible handle
+   * @param {object} opts
+   * @param {Function} opts.getHooks — returns the configured webhooks:
+   *   [{ id, name, url, secret, events: string[], enabled }]
+   */
+  constructor(db, { log, getHooks }) {
+    this.db = db;
+    this.log = log || console;
+    this.getHooks = getHooks;
+    this._timer = null;
+    this._busy = false;
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id TEXT PRIMARY KEY,
+        webhook_id TEXT NOT NULL,
+        event TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',  -- pending | delivered | failed
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at INTEGER NOT NULL,        -- Unix seconds
+        response_status INTEGER,
+        response_body TEXT,
+        error TEXT,
+        duration_ms INTEGER,
+        created_at TEXT DEFAULT (datetime('now')),
+        updated_at TEXT DEFAULT (datetime('now'))
+      );
+      CREATE INDEX IF NOT EXISTS idx_whd_due ON webhook_deliveries(status, next_attempt_at);
+      CREATE INDEX IF NOT EXISTS idx_whd_hook ON webhook_deliveries(webhook_id, created_at);
+    `);
+
+    this.stmts = {
+      insert: db.prepare(`INSERT INTO webhook_deliveries (id, webhook_id, event, payload, next_attempt_at) VALUES (?, ?, ?, ?, ?)`),
+      due: db.prepare(`SELECT * FROM webhook_deliveries WHERE status='pending' AND next_attempt_at <= ? ORDER BY next_attempt_at ASC LIMIT ?`),
+      get: db.prepare(`SELECT * FROM webhook_deliveries WHERE id=?`),
+      markDelivered: db.prepare(`UPDATE webhook_deliveries SET status='delivered', attempts=attempts+1, response_status=?, response_body=?, error=NULL, duration_ms=?, updated_at=datetime('now') WHERE id=?`),
+      markRetry: db.prepare(`UPDATE webhook_deliveries SET attempts=attempts+1, next_attempt_at=?, response_status=?, response_body=?, error=?, duration_ms=?, updated_at=datetime('now') WHERE id=?`),
+      markFailed: db.prepare(`UPDATE webhook_deliveries SET status='failed', attempts=attempts+1, response_status=?, response_body=?, error=?, duration_ms=?, updated_at=datetime('now') WHERE id=?`),
+      requeue: db.prepare(`UPDATE webhook_deliveries SET status='pending', attempts=0, next_attempt_at=?, updated_at=datetime('now') WHERE id=?`),
+      list: db.prepare(`SELECT id, webhook_id, event, status, attempts, next_attempt_at, response_status, response_body, error, duration_ms, created_at, updated_at FROM webhook_deliveries WHERE (@hook IS NULL OR webhook_id=@hook) ORDER BY created_at DESC, rowid DESC LIMIT @limit`),
+      prune: db.prepare(`DELETE FROM webhook_deliveries WHERE status != 'pending' AND created_at < datetime('now', ?)`),
+    };
+  }
+
+  start() {
+    if (this._timer) return;
+    this._timer = setInterval(() => this._tick(), TICK_INTERVAL);
+    this._timer.unref?.();
+    try { this.stmts.prune.run(`-${LOG_RETENTION_DAYS} days`); } catch {}
+    setImmediate(() => this._tick());
+  }
+
+  stop() {
+    if (this._timer) { clearInterval(this._timer); this._timer = null; }
+  }
+
+  /**
+   * Queue `event` for every enabled webhook subscribed to it.
+   * `text` is a one-line human summary (lets Slack/Discord-style receivers render it as-is).
+   */
+  emit(event, data = {}, text = '') {
+    let hooks;
+    try { hooks = this.getHooks() || []; } catch { hooks = []; }
+    const targets = hooks.filter(h => h.enabled !== false && Array.isArray(h.events) && (h.events.includes(event) || h.events.includes('*')));
+    if (!targets.length) return 0;
+    const payload = JSON.stringify({
+      id: 'evt_' + crypto.randomBytes(8).toString('hex'),
+      event,
+      timestamp: new Date().toISOString(),
+      text: text || event,
+      data,
+    });
+    for (const hook of targets) this._enqueue(hook.id, event, payload);
+    setImmediate(() => this._tick());
+    return targets.length;
+  }
+
+  /** Queue a `test.ping` for one webhook regardless of its event filter. Returns the delivery id. */
+  sendTest(hook) {
+    const payload = JSON.stringify({
+      id: 'evt_' + crypto.randomBytes(8).toString('hex'),
+      event: TEST_EVENT,
+      timestamp: new Date().toISOString(),
+      text: `Test event from Claude Code Studio for webhook "${hook.name || hook.id}"`,
+      data: { webhook_id: hook.id },
+    });
+    const id = this._enqueue(hook.id, TEST_EVENT, payload);
+    setImmediate(() => this._tick());
+    return id;
+  }
+
+  /** Reset a finished delivery so it is sent again on the next tick. */
+  redeliver(deliveryId) {
+    const row = this.stmts.get.get(deliveryId);
+    if (!row) return false;
+    this.stmts.requeue.run(Math.floor(Date.now() / 1000), deliveryId);
+    setImmediate(() => this._tick());
+    return true;
+  }
+
+  listDeliveries({ webhookId = null, limit = 50 } = {}) {
+    return this.stmts.list.all({ hook: webhookId || null, limit: Math.min(Math.max(Number(limit) || 50, 1), 500) });
+  }
+
+  _enqueue(webhookId, event, payload) {
+    const id = 'whd_' + crypto.randomBytes(8).toString('hex');
+    this.stmts.insert.run(id, webhookId, event, payload, Math.floor(Date.now() / 1000));
+    return id;
+  }
+
+  async _tick() {
+    if (this._busy) return;
+    this._busy = true;
+    try {
+      const rows = this.stmts.due.all(Math.floor(Date.now() / 1000), BATCH_SIZE);
+      for (const row of rows) await this._deliver(row);
+    } catch (e) {
+      this.log.error?.(`[webhooks] tick failed: ${e.message}`);
+    } finally {
+      this._busy = false;
+    }
+  }
+
+  async _deliver(row) {
+    const hook = (this.getHooks() || []).find(h => h.id === row.webhook_id);
+    if (!hook) {
+      this.stmts.markFailed.run(null, null, 'Webhook no longer exists', 0, row.id);
+      return;
+    }
+    const started = Date.now();
+    const timestamp = String(Math.floor(started / 1000));
+    let status = null, body = null, error = null;
+    try {
+      const res = await fetch(hook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'ClaudeCodeStudio-Webhook/1',
+          'X-Studio-Event': row.event,
+          'X-Studio-Delivery': row.id,
+          'X-Studio-Timestamp': timestamp,
+          ...(hook.secret ? { 'X-Studio-Signature-256': sign(hook.secret, timestamp, row.payload) } : {}),
+        },
+        body: row.payload,
+        redirect: 'manual', // a redirect is treated as a failure, never followed with the signed body
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+      });
+      status = res.status;
+      body = (await res.text().catch(() => '')).slice(0, MAX_RESPONSE_SNIPPET);
+      if (status < 200 || status >= 300) error = `HTTP ${status}`;
+    } catch (e) {
+      error = e.name === 'TimeoutError' ? `Timed out after ${REQUEST_TIMEOUT / 1000}s` : (e.cause?.code || e.message);
+    }
+    const duration = Date.now() - started;
+
+    if (!error) {
+      this.stmts.markDelivered.run(status, body, duration, row.id);
+      return;
+    }
+    const attempt = row.attempts + 1;
+    if (attempt >= MAX_ATTEMPTS) {
+      this.stmts.markFailed.run(status, body, error, duration, row.id);
+      this.log.warn?.(`[webhooks] ${row.event} → "${hook.name || hook.id}" failed after ${attempt} attempts: ${error}`);
+      return;
+    }
+    const wait = BACKOFF_SECONDS[Math.min(attempt - 1, BACKOFF_SECONDS.length - 1)];
+    this.stmts.markRetry.run(Math.floor(Date.now() / 1000) + wait, status, body, error, duration, row.id);
+  }
+}
+
+module.exports = WebhookDispatcher;
+module.exports.EVENTS = EVENTS;
+module.exports.TEST_EVENT = TEST_EVENT;
+module.exports.sign = sign;
@@ -0,0 +1,249 @@
+// ─── Git worktree isolation for Claude Code Studio ──────────────────────────
+// Runs a Kanban task in its own `git worktree` on a dedicated branch so that
+// parallel tasks never write to the same checkout. When the task finishes, its
+// work is committed on the branch and waits for review: merge into the project
+// checkout, rebase onto it (linear history), or discard.
+// No external npm dependencies — shells out to the `git` binary.
+//
+// A task's worktree state is a plain object stored as JSON on the task row:
+//   { repo, path, subdir, branch, base, state, stats, error, created_at, finished_at }
+//   state: active (task running) | review (finished, has commits)
+//        | empty (finished without changes, cleaned up) | merged | discarded
+//
+// Tasks that run in the project checkout itself can still be reviewed: snapshot()
+// records the checkout before the run and changesSince() diffs against it.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const GIT_TIMEOUT = 60_000;
+const MAX_DIFF_BYTES = 512 * 1024;
+const BRANCH_PREFIX = 'ccs/';
+const FALLBACK_IDENTITY = ['-c', 'user.name=Claude Code Studio', '-c', 'user.email=studio@localhost'];
+// Written into the worktree by startTask; must not end up in the task's commits
+const IGNORED_PATHS = ['.kanban-attachments'];
+
+function git(cwd, args, opts = {}) {
+  try {
+    return execFileSync('git', args, {
+      cwd, encoding: 'utf-8', timeout: GIT_TIMEOUT, stdio: ['ignore', 'pipe', 'pipe'],
+      maxBuffer: 32 * 1024 * 1024, ...opts,
+    }).trimEnd();
+  } catch (e) {
+    const msg = (e.stderr?.toString() || e.stdout?.toString() || e.message || '').trim();
+    const lines = msg.split('\n').filter(l => l.trim() && !l.startsWith('hint:'));
+    throw new Error(lines.slice(-3).join(' ') || `git ${args[0]} failed`);
+  }
+}
+
+function tryGit(cwd, args) {
+  try { return git(cwd, args); } catch { return null; }
+}
+
+/** Top-level directory of the repository containing `dir`, or null. */
+function repoRoot(dir) {
+  if (!dir || !fs.existsSync(dir)) return null;
+  return tryGit(dir, ['rev-parse', '--show-toplevel']);
+}
+
+// Commits made on behalf of the task fall back to a Studio identity when the
+// repository has none configured (fresh servers, containers).
+function identityArgs(cwd) {
+  return tryGit(cwd, ['config', 'user.email']) ? [] : FALLBACK_IDENTITY;
+}
+
+function slugify(title) {
+  return String(title || '').toLowerCase()
+    .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '')
+    .substring(0, 40).replace(/-+$/, '') || 'task';
+}
+
+/** Branch name for a task: `ccs/<title-slug>-<id prefix>`. */
+function branchName(task) {
+  return `${BRANCH_PREFIX}${slugify(task.title)}-${String(task.id).substring(0, 8)}`;
+}
+
+function branchExists(repo, branch) {
+  return tryGit(repo, ['rev-parse', '--verify', '--quiet', `refs/heads/${branch}`]) !== null;
+}
+
+/** Directory Claude should run in: the worktree, plus the project's subdirectory inside the repo. */
+function cwdOf(wt) {
+  return wt.subdir ? path.join(wt.path, wt.subdir) : wt.path;
+}
+
+/**
+ * Create a worktree for `task` branching off the current HEAD of the
+ * repository that contains `workdir`. Worktrees live under `baseDir/<task id>`.
+ */
+function create(workdir, task, baseDir) {
+  const repo = repoRoot(workdir);
+  if (!repo) throw new Error(`Not a git repository: ${workdir}`);
+  const base = tryGit(repo, ['rev-parse', '--verify', 'HEAD']);
+  if (!base) throw new Error('Repository has no commits yet — make an initial commit first');
+  const wtPath = path.join(baseDir, String(task.id));
+  if (fs.existsSync(wtPath)) {
+    // Leftover from a crashed run or a previous review — start clean
+    tryGit(repo, ['worktree', 'remove', '--force', wtPath]);
+    fs.rmSync(wtPath, { recursive: true, force: true });
+    tryGit(repo, ['worktree', 'prune']);
+  }
+  fs.mkdirSync(baseDir, { recursive: true });
+  let branch = branchName(task);
+  for (let n = 2; branchExists(repo, branch); n++) branch = `${branchName(task)}-${n}`;
+  git(repo, ['worktree', 'add', '-b', branch, wtPath, base]);
+  const subdir = path.relative(fs.realpathSync(repo), fs.realpathSync(workdir));
+  return {
+    repo, path: wtPath, subdir: subdir && !subdir.startsWith('..') ? subdir : '',
+    branch, base, state: 'active', stats: null, error: null,
+    created_at: new Date().toISOString(), finished_at: null,
+  };
+}
+
+/** Commit whatever the task left uncommitted in its worktree. Returns true if a commit was made. */
+function commitPending(wt, message) {
+  if (!fs.existsSync(wt.path)) return false;
+  git(wt.path, ['add', '-A', '--', '.', ...IGNORED_PATHS.map(p => `:(glob,exclude)**/${p}/**`)]);
+  if (tryGit(wt.path, ['diff', '--cached', '--quiet']) !== null) return false; // exit 0 = nothing staged
+  git(wt.path, [...identityArgs(wt.path), 'commit', '-q', '--no-verify', '-m', message]);
+  return true;
+}
+
+/** Commits and line counts on the task branch relative to where it forked. */
+function summary(wt) {
+  const commits = parseInt(tryGit(wt.repo, ['rev-list', '--count', `${wt.base}..${wt.branch}`]) || '0', 10);
+  const short = tryGit(wt.repo, ['diff', '--shortstat', `${wt.base}...${wt.branch}`]) || '';
+  const num = re => parseInt((short.match(re) || [])[1] || '0', 10);
+  return {
+    commits,
+    files: num(/(\d+) files? changed/),
+    insertions: num(/(\d+) insertions?\(\+\)/),
+    deletions: num(/(\d+) deletions?\(-\)/),
+  };
+}
+
+/** `git diff --stat` of the task branch, for compact views (Telegram, card tooltips). */
+function diffStat(wt) {
+  return git(wt.repo, ['diff', '--stat=100', `${wt.base}...${wt.branch}`]);
+}
+
+/** Full patch of the task branch. Large diffs are cut at MAX_DIFF_BYTES. */
+function diff(wt) {
+  const patch = git(wt.repo, ['diff', '--no-color', '--no-ext-diff', `${wt.base}...${wt.branch}`]);
+  const truncated = Buffer.byteLength(patch) > MAX_DIFF_BYTES;
+  return { patch: truncated ? patch.substring(0, MAX_DIFF_BYTES) : patch, truncated };
+}
+
+/** Remove the worktree directory and (by default) its branch. Best effort. */
+function remove(wt, { keepBranch = false } = {}) {
+  tryGit(wt.repo, ['worktree', 'remove', '--force', wt.path]);
+  if (fs.existsSync(wt.path)) fs.rmSync(wt.path, { recursive: true, force: true });
+  tryGit(wt.repo, ['worktree', 'prune']);
+  if (!keepBranch) tryGit(wt.repo, ['branch', '-D', wt.branch]);
+}
+
+function checkedOutBranch(repo) {
+  return tryGit(repo, ['symbolic-ref', '--quiet', '--short', 'HEAD']);
+}
+
+/**
+ * Bring the task branch into the branch currently checked out in the project.
+ *   merge  — `git merge --no-ff` (keeps the task's commits as a side branch)
+ *   rebase — rebase the task branch onto the project HEAD, then fast-forward
+ * A conflict aborts the operation and leaves both checkouts untouched.
+ */
+function integrate(wt, strategy, message) {
+  const target = checkedOutBranch(wt.repo);
+  if (!target) throw new Error('Project checkout is on a detached HEAD — check out a branch first');
+  if (strategy === 'rebase') {
+    const head = git(wt.repo, ['rev-parse', 'HEAD']);
+    try {
+      git(wt.path, [...identityArgs(wt.path), 'rebase', '-q', head]);
+    } catch (e) {
+      tryGit(wt.path, ['rebase', '--abort']);
+      throw new Error(`Rebase onto ${target} failed: ${e.message}`);
+    }
+    git(wt.repo, ['merge', '-q', '--ff-only', wt.branch]);
+  } else {
+    try {
+      git(wt.repo, [...identityArgs(wt.repo), 'merge', '-q', '--no-ff', '--no-edit', '-m', message, wt.branch]);
+    } catch (e) {
+      tryGit(wt.repo, ['merge', '--abort']);
+      throw new Error(`Merge into ${target} failed: ${e.message}`);
+    }
+  }
+  return target;
+}
+
+// ─── Checkout snapshots (review of tasks without a worktree) ─────────────────
+
+/**
+ * Record the current state of the checkout at `dir`: HEAD plus uncommitted
+ * edits. `git stash create` builds that commit without touching the working
+ * tree, the index or the stash list. Returns a commit id, or null outside git.
+ */
+function snapshot(dir) {
+  if (!repoRoot(dir)) return null;
+  return tryGit(dir, ['stash', 'create']) || tryGit(dir, ['rev-parse', '--verify', 'HEAD']);
+}
+
+// `git diff --no-index` exits 1 when the files differ, so the patch arrives as an error
+function newFilePatch(dir, file) {
+  try {
+    execFileSync('git', ['diff', '--no-color', '--no-index', '--', '/dev/null', file], {
+      cwd: dir, encoding: 'utf-8', timeout: GIT_TIMEOUT, stdio: ['ignore', 'pipe', 'pipe'], maxBuffer: 32 * 1024 * 1024,
+    });
+    return '';
+  } catch (e) {
+    return e.stdout?.toString() || '';
+  }
+}
+
+/**
+ * Changes under `dir` since a snapshot() commit: new commits, uncommitted
+ * edits and untracked files. Returns { stat, patch, truncated }.
+ */
+function changesSince(dir, base) {
+  const scope = ['--', '.', ...IGNORED_PATHS.map(p => `:(glob,exclude)**/${p}/**`)];
+  const untracked = (tryGit(dir, ['ls-files', '--others', '--exclude-standard', ...scope]) || '').split('\n').filter(Boolean);
+  let stat = git(dir, ['diff', '--stat=100', base, ...scope]);
+  if (untracked.length) stat = [stat, ...untracked.map(f => ` ${f} (new, untracked)`)].filter(Boolean).join('\n');
+  let patch = git(dir, ['diff', '--no-color', '--no-ext-diff', base, ...scope]);
+  for (const file of untracked) {
+    if (Buffer.byteLength(patch) > MAX_DIFF_BYTES) break;
+    patch += (patch ? '\n' : '') + newFilePatch(dir, file).trimEnd();
+  }
+  const truncated = Buffer.byteLength(patch) > MAX_DIFF_BYTES;
+  return { stat, patch: truncated ? patch.substring(0, MAX_DIFF_BYTES) : patch, truncated };
+}
+
+// ─── Single file against HEAD (file editor) ──────────────────────────────────
+
+/**
+ * Uncommitted changes of one file relative to HEAD. Returns null outside git,
+ * otherwise { status: modified | unchanged | new, patch, truncated }.
+ */
+function fileChanges(file) {
+  const dir = path.dirname(file);
+  if (!repoRoot(dir)) return null;
+  const name = path.basename(file);
+  const inHead = tryGit(dir, ['cat-file', '-e', `HEAD:./${name}`]) !== null;
+  const patch = inHead
+    ? git(dir, ['diff', '--no-color', '--no-ext-diff', 'HEAD', '--', name])
+    : newFilePatch(dir, name).trimEnd();
+  const truncated = Buffer.byteLength(patch) > MAX_DIFF_BYTES;
+  return {
+    status: !inHead ? 'new' : patch ? 'modified' : 'unchanged',
+    patch: truncated ? patch.substring(0, MAX_DIFF_BYTES) : patch,
+    truncated,
+  };
+}
+
+module.exports = {
+  repoRoot, branchName, cwdOf, create, commitPending, summary, diffStat, diff, remove, integrate,
+  snapshot, changesSince, fileChanges,
+  BRANCH_PREFIX,
+};